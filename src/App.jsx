@@ -1,11 +1,13 @@
 import React from 'react';
 import { Routes, Route } from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext';
+import { LocaleProvider } from './context/LocaleContext';
 import LoginPage from './pages/LoginPage';
 import SignUpPage from './pages/SignUpPage';
 import DashboardPage from './pages/DashboardPage';
 import StudentsPage from './pages/StudentsPage';
 import RoomsPage from './pages/RoomsPage';
+import BuildingsPage from './pages/BuildingsPage';
 import FeesPage from './pages/FeesPage';
 import VisitorsPage from './pages/VisitorsPage';
 import MaintenancePage from './pages/MaintenancePage';
@@ -19,38 +21,62 @@ import FeeDetailPage from './pages/details/FeeDetailPage';
 import VisitorDetailPage from './pages/details/VisitorDetailPage';
 import MaintenanceDetailPage from './pages/details/MaintenanceDetailPage';
 import RoomAllocationPage from './pages/RoomAllocationPage';
+import RoomChangeRequestsPage from './pages/RoomChangeRequestsPage';
+import AutoAllocationPage from './pages/AutoAllocationPage';
 import AttendancePage from './pages/AttendancePage';
 import MyAttendancePage from './pages/MyAttendancePage';
 import ProfilePage from './pages/ProfilePage';
+import LeavesPage from './pages/LeavesPage';
+import HolidaysPage from './pages/HolidaysPage';
+import AttendanceAnalyticsPage from './pages/AttendanceAnalyticsPage';
+import NotificationsPage from './pages/NotificationsPage';
+import FeePlansPage from './pages/FeePlansPage';
+import FeeRemindersPage from './pages/FeeRemindersPage';
+import FinancialReportsPage from './pages/FinancialReportsPage';
+import VerifyDocumentPage from './pages/VerifyDocumentPage';
 
 function App() {
     return (
         <AuthProvider>
-            <Routes>
-                <Route path="/login" element={<LoginPage />} />
-                <Route path="/signup" element={<SignUpPage />} />
-                <Route path="/" element={<ProtectedRoute />}>
-                    <Route element={<MainLayout />}>
-                        <Route path="/" element={<DashboardPage />} />
-                        <Route path="/students" element={<StudentsPage />} />
-                        <Route path="/students/:id" element={<StudentDetailPage />} />
-                        <Route path="/rooms" element={<RoomsPage />} />
-                        <Route path="/rooms/:id" element={<RoomDetailPage />} />
-                        <Route path="/allocation" element={<RoomAllocationPage />} />
-                        <Route path="/fees" element={<FeesPage />} />
-                        <Route path="/fees/:id" element={<FeeDetailPage />} />
-                        <Route path="/visitors" element={<VisitorsPage />} />
-                        <Route path="/visitors/:id" element={<VisitorDetailPage />} />
-                        <Route path="/maintenance" element={<MaintenancePage />} />
-                        <Route path="/maintenance/:id" element={<MaintenanceDetailPage />} />
-                        <Route path="/reports" element={<ReportsPage />} />
-                        <Route path="/notices" element={<NoticesPage />} />
-                        <Route path="/attendance" element={<AttendancePage />} />
-                        <Route path="/my-attendance" element={<MyAttendancePage />} />
-                        <Route path="/profile" element={<ProfilePage />} />
+            <LocaleProvider>
+                <Routes>
+                    <Route path="/login" element={<LoginPage />} />
+                    <Route path="/signup" element={<SignUpPage />} />
+                    <Route path="/verify" element={<VerifyDocumentPage />} />
+                    <Route path="/verify/:code" element={<VerifyDocumentPage />} />
+                    <Route path="/" element={<ProtectedRoute />}>
+                        <Route element={<MainLayout />}>
+                            <Route path="/" element={<DashboardPage />} />
+                            <Route path="/students" element={<StudentsPage />} />
+                            <Route path="/students/:id" element={<StudentDetailPage />} />
+                            <Route path="/rooms" element={<RoomsPage />} />
+                            <Route path="/rooms/:id" element={<RoomDetailPage />} />
+                            <Route path="/buildings" element={<BuildingsPage />} />
+                            <Route path="/allocation" element={<RoomAllocationPage />} />
+                            <Route path="/room-changes" element={<RoomChangeRequestsPage />} />
+                            <Route path="/auto-allocation" element={<AutoAllocationPage />} />
+                            <Route path="/fees" element={<FeesPage />} />
+                            <Route path="/fees/:id" element={<FeeDetailPage />} />
+                            <Route path="/fee-plans" element={<FeePlansPage />} />
+                            <Route path="/fee-reminders" element={<FeeRemindersPage />} />
+                            <Route path="/visitors" element={<VisitorsPage />} />
+                            <Route path="/visitors/:id" element={<VisitorDetailPage />} />
+                            <Route path="/maintenance" element={<MaintenancePage />} />
+                            <Route path="/maintenance/:id" element={<MaintenanceDetailPage />} />
+                            <Route path="/reports" element={<ReportsPage />} />
+                            <Route path="/financial-reports" element={<FinancialReportsPage />} />
+                            <Route path="/notices" element={<NoticesPage />} />
+                            <Route path="/attendance" element={<AttendancePage />} />
+                            <Route path="/attendance-analytics" element={<AttendanceAnalyticsPage />} />
+                            <Route path="/my-attendance" element={<MyAttendancePage />} />
+                            <Route path="/leaves" element={<LeavesPage />} />
+                            <Route path="/holidays" element={<HolidaysPage />} />
+                            <Route path="/notifications" element={<NotificationsPage />} />
+                            <Route path="/profile" element={<ProfilePage />} />
+                        </Route>
                     </Route>
-                </Route>
-            </Routes>
+                </Routes>
+            </LocaleProvider>
         </AuthProvider>
     );
 }
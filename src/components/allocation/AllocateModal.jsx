@@ -4,12 +4,14 @@ import { supabase } from '../../lib/supabase';
 import Modal from '../ui/Modal';
 import { Loader, Search, UserPlus, Phone } from 'lucide-react';
 import { useDebounce } from '../../hooks/useDebounce';
+import { getBlockRestrictionError, describeBlockRestrictions } from '../../lib/rooms';
 
-const AllocateModal = ({ isOpen, onClose, room, onAllocationSuccess }) => {
+const AllocateModal = ({ isOpen, onClose, room, freeBeds = [], onAllocationSuccess }) => {
     const [students, setStudents] = useState([]);
     const [loading, setLoading] = useState(true);
     const [formLoading, setFormLoading] = useState(false);
     const [selectedStudentId, setSelectedStudentId] = useState('');
+    const [selectedBedId, setSelectedBedId] = useState('');
     const [searchTerm, setSearchTerm] = useState('');
     const debouncedSearchTerm = useDebounce(searchTerm, 300);
 
@@ -46,6 +48,8 @@ const AllocateModal = ({ isOpen, onClose, room, onAllocationSuccess }) => {
         );
     }, [students, debouncedSearchTerm]);
 
+    const block = room.floor?.block;
+
     const handleAllocate = async () => {
         if (!selectedStudentId) {
             toast.error('Please select a student to allocate.');
@@ -56,6 +60,7 @@ const AllocateModal = ({ isOpen, onClose, room, onAllocationSuccess }) => {
             const { error } = await supabase.rpc('allocate_room', {
                 p_student_id: selectedStudentId,
                 p_room_id: room.id,
+                p_bed_id: selectedBedId || null,
             });
 
             if (error) throw error;
@@ -73,6 +78,11 @@ const AllocateModal = ({ isOpen, onClose, room, onAllocationSuccess }) => {
                 <p className="text-sm text-base-content-secondary">
                     Select a student to allocate to this room. The list shows only unallocated students, sorted alphabetically.
                 </p>
+                {block && describeBlockRestrictions(block) && (
+                    <p className="text-sm text-yellow-600 dark:text-yellow-400">
+                        {block.name}: {describeBlockRestrictions(block)}. Students who don&apos;t qualify can&apos;t be selected.
+                    </p>
+                )}
                 
                 <div className="relative">
                     <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-base-content-secondary" />
@@ -92,25 +102,30 @@ const AllocateModal = ({ isOpen, onClose, room, onAllocationSuccess }) => {
                         </div>
                     ) : filteredStudents.length > 0 ? (
                         <ul className="divide-y divide-base-200 dark:divide-dark-base-300">
-                            {filteredStudents.map(student => (
-                                <li
-                                    key={student.id}
-                                    onClick={() => setSelectedStudentId(student.id)}
-                                    className={`p-3 cursor-pointer transition-colors ${selectedStudentId === student.id ? 'bg-primary/10 text-primary' : 'hover:bg-base-200/60 dark:hover:bg-dark-base-300/60'}`}
-                                >
-                                    <div className="flex justify-between items-center">
-                                        <span className="font-semibold">{student.full_name}</span>
-                                        <span className="text-xs text-base-content-secondary">{student.course}</span>
-                                    </div>
-                                    <p className="text-sm text-base-content-secondary">{student.email}</p>
-                                    {student.contact && (
-                                        <p className="flex items-center text-sm text-base-content-secondary mt-1">
-                                            <Phone className="w-3 h-3 mr-1.5" />
-                                            {student.contact}
-                                        </p>
-                                    )}
-                                </li>
-                            ))}
+                            {filteredStudents.map(student => {
+                                const restrictionError = getBlockRestrictionError(block, student);
+                                return (
+                                    <li
+                                        key={student.id}
+                                        onClick={() => !restrictionError && setSelectedStudentId(student.id)}
+                                        title={restrictionError || undefined}
+                                        className={`p-3 transition-colors ${restrictionError ? 'opacity-50 cursor-not-allowed' : selectedStudentId === student.id ? 'cursor-pointer bg-primary/10 text-primary' : 'cursor-pointer hover:bg-base-200/60 dark:hover:bg-dark-base-300/60'}`}
+                                    >
+                                        <div className="flex justify-between items-center">
+                                            <span className="font-semibold">{student.full_name}</span>
+                                            <span className="text-xs text-base-content-secondary">{student.course}</span>
+                                        </div>
+                                        <p className="text-sm text-base-content-secondary">{student.email}</p>
+                                        {student.contact && (
+                                            <p className="flex items-center text-sm text-base-content-secondary mt-1">
+                                                <Phone className="w-3 h-3 mr-1.5" />
+                                                {student.contact}
+                                            </p>
+                                        )}
+                                        {restrictionError && <p className="text-xs text-red-500 mt-1">{restrictionError}</p>}
+                                    </li>
+                                );
+                            })}
                         </ul>
                     ) : (
                         <div className="text-center p-8 text-base-content-secondary">
@@ -120,6 +135,19 @@ const AllocateModal = ({ isOpen, onClose, room, onAllocationSuccess }) => {
                     )}
                 </div>
 
+                <div>
+                    <label htmlFor="bed" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Bed</label>
+                    <select
+                        id="bed"
+                        value={selectedBedId}
+                        onChange={(e) => setSelectedBedId(e.target.value)}
+                        className="mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm"
+                    >
+                        <option value="">First free bed</option>
+                        {freeBeds.map(bed => <option key={bed.id} value={bed.id}>Bed {bed.label}</option>)}
+                    </select>
+                </div>
+
                 <div className="flex justify-end pt-4 space-x-3">
                     <button type="button" onClick={onClose} className="inline-flex justify-center py-2 px-4 border border-base-300 dark:border-dark-base-300 shadow-sm text-sm font-medium rounded-lg text-base-content dark:text-dark-base-content bg-base-100 dark:bg-dark-base-200 hover:bg-base-200 dark:hover:bg-dark-base-300">Cancel</button>
                     <button
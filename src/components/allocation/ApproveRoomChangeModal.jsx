@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { supabase } from '../../lib/supabase';
+import { ROOM_LOCATION_SELECT, getFreeBeds, formatRoomLocation, getBlockRestrictionError } from '../../lib/rooms';
+import Modal from '../ui/Modal';
+import { Loader, Check } from 'lucide-react';
+
+const inputClassName = "mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm";
+const labelClassName = "block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary";
+
+// `request` carries `student` (with gender and year) and, for swaps, `partner`; see RoomChangeRequestsPage.
+const ApproveRoomChangeModal = ({ isOpen, onClose, request, onApproved }) => {
+    const [rooms, setRooms] = useState([]);
+    const [allocationsByRoom, setAllocationsByRoom] = useState({});
+    const [loading, setLoading] = useState(false);
+    const [roomId, setRoomId] = useState('');
+    const [bedId, setBedId] = useState('');
+    const [note, setNote] = useState('');
+    const [formLoading, setFormLoading] = useState(false);
+    const isSwap = Boolean(request?.swap_with_student_id);
+
+    useEffect(() => {
+        if (!isOpen || !request) return;
+        setRoomId(request.preferred_room_id || '');
+        setBedId('');
+        setNote('');
+        if (isSwap) return;
+
+        const fetchRooms = async () => {
+            setLoading(true);
+            try {
+                const [roomsRes, allocationsRes] = await Promise.all([
+                    supabase.from('rooms').select(`id, room_number, status, beds(id, label), ${ROOM_LOCATION_SELECT}`).neq('status', 'Maintenance').order('room_number'),
+                    supabase.from('room_allocations').select('room_id, bed_id').eq('is_active', true),
+                ]);
+                if (roomsRes.error) throw roomsRes.error;
+                if (allocationsRes.error) throw allocationsRes.error;
+                setRooms(roomsRes.data || []);
+                setAllocationsByRoom((allocationsRes.data || []).reduce((acc, allocation) => {
+                    (acc[allocation.room_id] = acc[allocation.room_id] || []).push(allocation);
+                    return acc;
+                }, {}));
+            } catch (error) {
+                toast.error(`Failed to fetch rooms: ${error.message}`);
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchRooms();
+    }, [isOpen, request, isSwap]);
+
+    // Rooms with a free bed, preferred block first.
+    const options = rooms
+        .map(room => ({ room, freeBeds: getFreeBeds(room, allocationsByRoom[room.id]) }))
+        .filter(({ room, freeBeds }) => freeBeds.length > 0 || room.id === request?.preferred_room_id)
+        .sort((a, b) => Number(b.room.floor?.block.id === request?.preferred_block_id) - Number(a.room.floor?.block.id === request?.preferred_block_id));
+    const selected = options.find(option => option.room.id === roomId);
+    const restrictionError = selected && request ? getBlockRestrictionError(selected.room.floor?.block, request.student) : null;
+
+    const handleApprove = async () => {
+        setFormLoading(true);
+        const { error } = await supabase.rpc('approve_room_change', {
+            p_request_id: request.id,
+            p_room_id: isSwap ? null : roomId || null,
+            p_bed_id: isSwap ? null : bedId || null,
+            p_note: note || null,
+        });
+        if (error) {
+            toast.error(`Approval failed: ${error.message}`);
+        } else {
+            onApproved();
+        }
+        setFormLoading(false);
+    };
+
+    if (!request) return null;
+
+    return (
+        <Modal title={`Approve ${isSwap ? 'Room Swap' : 'Room Change'}`} isOpen={isOpen} onClose={onClose}>
+            <div className="space-y-4">
+                {isSwap ? (
+                    <p className="text-sm text-base-content-secondary">
+                        {request.student?.full_name} (Room {request.currentRoom || '?'}) and {request.partner?.full_name} (Room {request.partnerRoom || '?'}) will exchange rooms and beds. Both moves happen together, and both students must meet the other room&apos;s block restrictions.
+                    </p>
+                ) : loading ? (
+                    <div className="flex justify-center py-6"><Loader className="animate-spin" /></div>
+                ) : (
+                    <>
+                        <p className="text-sm text-base-content-secondary">
+                            Move {request.student?.full_name} out of Room {request.currentRoom || '?'}. Their current allocation is closed and kept in their room history.
+                        </p>
+                        <div>
+                            <label htmlFor="approve_room" className={labelClassName}>New Room</label>
+                            <select id="approve_room" value={roomId} onChange={(e) => { setRoomId(e.target.value); setBedId(''); }} className={inputClassName}>
+                                <option value="">Choose a room</option>
+                                {options.map(({ room, freeBeds }) => (
+                                    <option key={room.id} value={room.id}>
+                                        Room {room.room_number}{room.floor ? ` — ${formatRoomLocation(room)}` : ''} ({freeBeds.length} free)
+                                    </option>
+                                ))}
+                            </select>
+                            {restrictionError && <p className="mt-1 text-xs text-red-500">{restrictionError}</p>}
+                        </div>
+                        {selected && (
+                            <div>
+                                <label htmlFor="approve_bed" className={labelClassName}>Bed</label>
+                                <select id="approve_bed" value={bedId} onChange={(e) => setBedId(e.target.value)} className={inputClassName}>
+                                    <option value="">First free bed</option>
+                                    {selected.freeBeds.map(bed => <option key={bed.id} value={bed.id}>Bed {bed.label}</option>)}
+                                </select>
+                            </div>
+                        )}
+                    </>
+                )}
+                <div>
+                    <label htmlFor="approve_note" className={labelClassName}>Note to the student (optional)</label>
+                    <input type="text" id="approve_note" value={note} onChange={(e) => setNote(e.target.value)} className={inputClassName} />
+                </div>
+                <div className="flex justify-end pt-4 space-x-3">
+                    <button type="button" onClick={onClose} className="inline-flex justify-center py-2 px-4 border border-base-300 dark:border-dark-base-300 shadow-sm text-sm font-medium rounded-lg text-base-content dark:text-dark-base-content bg-base-100 dark:bg-dark-base-200 hover:bg-base-200 dark:hover:bg-dark-base-300">Cancel</button>
+                    <button
+                        type="button"
+                        onClick={handleApprove}
+                        disabled={formLoading || (!isSwap && (!roomId || Boolean(restrictionError)))}
+                        className="inline-flex justify-center items-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50"
+                    >
+                        {formLoading ? <Loader className="animate-spin h-4 w-4 mr-2" /> : <Check className="h-4 w-4 mr-2" />}
+                        {isSwap ? 'Approve Swap' : 'Approve Move'}
+                    </button>
+                </div>
+            </div>
+        </Modal>
+    );
+};
+
+export default ApproveRoomChangeModal;
@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { supabase } from '../../lib/supabase';
+import { formatMoney } from '../../lib/format';
+import Modal from '../ui/Modal';
+import { Loader, Plus, Trash2, LogOut } from 'lucide-react';
+
+const refundMethods = ['Cash', 'Cheque', 'Bank Transfer'];
+
+const inputClassName = "mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm";
+
+// Ends a student's stay: records damage found at the room inspection and settles their security deposit.
+const CheckoutModal = ({ isOpen, onClose, allocation, onCheckedOut }) => {
+    const [deposit, setDeposit] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [deductions, setDeductions] = useState([]);
+    const [refundMethod, setRefundMethod] = useState('Cash');
+
+    useEffect(() => {
+        if (!isOpen || !allocation) return;
+        setDeductions([]);
+        setRefundMethod('Cash');
+
+        const fetchDeposit = async () => {
+            setLoading(true);
+            const { data, error } = await supabase
+                .from('security_deposits')
+                .select('id, amount, status, fees!security_deposits_fee_id_fkey(amount_paid, balance)')
+                .eq('student_id', allocation.student_id)
+                .neq('status', 'Settled')
+                .maybeSingle();
+            if (error) toast.error(`Failed to fetch deposit: ${error.message}`);
+            setDeposit(data || null);
+            setLoading(false);
+        };
+        fetchDeposit();
+    }, [isOpen, allocation]);
+
+    if (!allocation) return null;
+
+    const held = parseFloat(deposit?.fees?.amount_paid || 0);
+    const unpaid = parseFloat(deposit?.fees?.balance || 0);
+    const damages = deductions.reduce((sum, d) => sum + (parseFloat(d.amount) || 0), 0);
+    const deducted = Math.min(damages, held);
+    const refund = held - deducted;
+    const uncovered = damages - deducted;
+
+    const updateDeduction = (index, field, value) => {
+        setDeductions(prev => prev.map((d, i) => (i === index ? { ...d, [field]: value } : d)));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        const formData = Object.fromEntries(new FormData(e.target).entries());
+
+        const { error } = await supabase.rpc('checkout_student', {
+            p_student_id: allocation.student_id,
+            p_deductions: deductions.map(d => ({ description: d.description, amount: parseFloat(d.amount) })),
+            p_refund_method: refundMethod,
+            p_refund_reference: formData.refund_reference || null,
+            p_notes: formData.notes || null,
+        });
+
+        if (error) {
+            toast.error(`Checkout failed: ${error.message}`);
+        } else {
+            onCheckedOut(allocation.students.full_name, refund);
+            onClose();
+        }
+        setSaving(false);
+    };
+
+    return (
+        <Modal title={`Check Out ${allocation.students.full_name}`} isOpen={isOpen} onClose={onClose}>
+            {loading ? (
+                <div className="flex justify-center items-center p-8"><Loader className="animate-spin" /></div>
+            ) : (
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div className="bg-base-200 dark:bg-dark-base-300 p-4 rounded-lg space-y-1 text-sm">
+                        {deposit ? (
+                            <>
+                                <div className="flex justify-between"><span className="font-semibold">Security Deposit:</span> <span>{formatMoney(deposit.amount)}</span></div>
+                                <div className="flex justify-between"><span className="font-semibold">Held:</span> <span>{formatMoney(held)}</span></div>
+                                {unpaid > 0 && <div className="flex justify-between text-yellow-600"><span>Unpaid (will be cancelled):</span> <span>{formatMoney(unpaid)}</span></div>}
+                            </>
+                        ) : (
+                            <p>No security deposit is held for this student. Any damage charges will be raised as a new fee.</p>
+                        )}
+                    </div>
+
+                    <div className="space-y-2">
+                        <div className="flex items-center justify-between">
+                            <span className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Inspection Deductions</span>
+                            <button type="button" onClick={() => setDeductions(prev => [...prev, { description: '', amount: '' }])} className="inline-flex items-center text-sm font-medium text-primary hover:text-primary-focus">
+                                <Plus className="w-4 h-4 mr-1" /> Add Charge
+                            </button>
+                        </div>
+                        {deductions.length === 0 && <p className="text-sm text-base-content-secondary">No damage found.</p>}
+                        {deductions.map((deduction, index) => (
+                            <div key={index} className="flex items-center gap-2">
+                                <input type="text" value={deduction.description} onChange={(e) => updateDeduction(index, 'description', e.target.value)} placeholder="e.g. Broken chair" required className={`${inputClassName} flex-1`} />
+                                <input type="number" step="0.01" min="0.01" value={deduction.amount} onChange={(e) => updateDeduction(index, 'amount', e.target.value)} placeholder="Amount" required className={`${inputClassName} w-28`} />
+                                <button type="button" onClick={() => setDeductions(prev => prev.filter((_, i) => i !== index))} className="p-2 text-red-500/70 hover:text-red-500" title="Remove">
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="bg-base-200 dark:bg-dark-base-300 p-4 rounded-lg space-y-1 text-sm">
+                        <div className="flex justify-between"><span>Damage charges:</span> <span>{formatMoney(damages)}</span></div>
+                        {deposit && <div className="flex justify-between"><span>Deducted from deposit:</span> <span>{formatMoney(deducted)}</span></div>}
+                        {uncovered > 0 && <div className="flex justify-between text-red-500"><span>Raised as a new fee:</span> <span>{formatMoney(uncovered)}</span></div>}
+                        {deposit && <div className="flex justify-between text-base font-bold"><span>Refund to student:</span> <span>{formatMoney(refund)}</span></div>}
+                    </div>
+
+                    {deposit && refund > 0 && (
+                        <div className="grid grid-cols-2 gap-4">
+                            <div>
+                                <label htmlFor="refund_method" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Refund Via</label>
+                                <select id="refund_method" value={refundMethod} onChange={(e) => setRefundMethod(e.target.value)} className={inputClassName}>
+                                    {refundMethods.map(m => <option key={m}>{m}</option>)}
+                                </select>
+                            </div>
+                            <div>
+                                <label htmlFor="refund_reference" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Reference</label>
+                                <input type="text" name="refund_reference" id="refund_reference" placeholder={refundMethod === 'Cash' ? 'Optional' : 'Cheque / UTR number'} required={refundMethod !== 'Cash'} className={inputClassName} />
+                            </div>
+                        </div>
+                    )}
+
+                    <div>
+                        <label htmlFor="notes" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Notes</label>
+                        <input type="text" name="notes" id="notes" placeholder="e.g. Keys returned, room inspected by warden" className={inputClassName} />
+                    </div>
+
+                    <div className="flex justify-end pt-4 space-x-3">
+                        <button type="button" onClick={onClose} className="inline-flex justify-center py-2 px-4 border border-base-300 dark:border-dark-base-300 shadow-sm text-sm font-medium rounded-lg text-base-content dark:text-dark-base-content bg-base-100 dark:bg-dark-base-200 hover:bg-base-200 dark:hover:bg-dark-base-300">Cancel</button>
+                        <button type="submit" disabled={saving} className="inline-flex justify-center items-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-lg text-white bg-red-600 hover:bg-red-700 disabled:opacity-50">
+                            {saving ? <Loader className="animate-spin h-4 w-4 mr-2" /> : <LogOut className="h-4 w-4 mr-2" />}
+                            Check Out
+                        </button>
+                    </div>
+                </form>
+            )}
+        </Modal>
+    );
+};
+
+export default CheckoutModal;
@@ -0,0 +1,360 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import toast from 'react-hot-toast';
+import { supabase } from '../../lib/supabase';
+import { getFreeBeds, getFloorLabel, getBlockRestrictionError, describeBlockRestrictions } from '../../lib/rooms';
+import { useDebounce } from '../../hooks/useDebounce';
+import { Loader, Search, UserPlus, GripVertical, Edit, Save, WandSparkles } from 'lucide-react';
+
+const cellClassName = "relative h-24 rounded-xl border-2 p-2 text-left transition-all";
+
+const vacancyStyles = {
+    Maintenance: 'bg-yellow-500/10 border-yellow-500/40 text-yellow-700 dark:text-yellow-400',
+    Full: 'bg-red-500/10 border-red-500/40 text-red-600 dark:text-red-400',
+    Partial: 'bg-green-500/5 border-green-500/30 text-green-700 dark:text-green-400',
+    Vacant: 'bg-green-500/15 border-green-500/50 text-green-700 dark:text-green-400',
+};
+
+const genderBandStyles = {
+    Male: 'bg-sky-500',
+    Female: 'bg-pink-500',
+};
+
+const getVacancy = (room, freeBeds) => {
+    if (room.status === 'Maintenance') return 'Maintenance';
+    if (freeBeds.length === 0) return 'Full';
+    return freeBeds.length === room.beds.length ? 'Vacant' : 'Partial';
+};
+
+// Why `student` cannot go into `room` right now, or null. The database checks again.
+const getAllocationBlocker = (student, room, freeBeds) => {
+    if (room.status === 'Maintenance') return `Room ${room.room_number} is under maintenance.`;
+    if (freeBeds.length === 0) return `Room ${room.room_number} has no free bed.`;
+    return getBlockRestrictionError(room.floor?.block, student);
+};
+
+// Cells as "x,y" → room, ignoring cells that fall outside the grid.
+const placeRooms = (rooms, positions, columns, rows) => {
+    const cells = {};
+    rooms.forEach(room => {
+        const position = positions[room.id];
+        if (position && position.x < columns && position.y < rows) cells[`${position.x},${position.y}`] = room;
+    });
+    return cells;
+};
+
+const FloorPlanView = ({ floor, block, rooms, allocations, selectedRoomId, onSelectRoom, onAllocated, onLayoutSaved, isAdmin }) => {
+    const [students, setStudents] = useState([]);
+    const [loadingStudents, setLoadingStudents] = useState(true);
+    const [searchTerm, setSearchTerm] = useState('');
+    const debouncedSearchTerm = useDebounce(searchTerm, 300);
+    // The student being dragged, or picked by tapping, then dropped or tapped onto a room.
+    const [activeStudent, setActiveStudent] = useState(null);
+    const [allocatingRoomId, setAllocatingRoomId] = useState(null);
+    // While editing: { columns, rows, positions: { [roomId]: { x, y } } }.
+    const [draft, setDraft] = useState(null);
+    const [draggedRoomId, setDraggedRoomId] = useState(null);
+    const [savingLayout, setSavingLayout] = useState(false);
+
+    // Refetched whenever the allocations change, e.g. after a checkout in the detail panel.
+    useEffect(() => {
+        const fetchStudents = async () => {
+            const { data, error } = await supabase.rpc('get_unallocated_students');
+            if (error) {
+                toast.error(`Failed to fetch students: ${error.message}`);
+                setStudents([]);
+            } else {
+                setStudents(data || []);
+            }
+            setLoadingStudents(false);
+        };
+        fetchStudents();
+    }, [allocations]);
+
+    // A different floor starts out of edit mode.
+    useEffect(() => {
+        setDraft(null);
+    }, [floor.id]);
+
+    const filteredStudents = useMemo(() => {
+        if (!debouncedSearchTerm) return students;
+        const lowercasedTerm = debouncedSearchTerm.toLowerCase();
+        return students.filter(student =>
+            student.full_name.toLowerCase().includes(lowercasedTerm) ||
+            student.email.toLowerCase().includes(lowercasedTerm)
+        );
+    }, [students, debouncedSearchTerm]);
+
+    const savedPositions = useMemo(() => Object.fromEntries(rooms
+        .filter(room => room.plan_x !== null && room.plan_y !== null)
+        .map(room => [room.id, { x: room.plan_x, y: room.plan_y }])
+    ), [rooms]);
+
+    const columns = draft ? draft.columns : floor.plan_columns;
+    const rows = draft ? draft.rows : floor.plan_rows;
+    const cells = placeRooms(rooms, draft ? draft.positions : savedPositions, columns, rows);
+    const placedIds = new Set(Object.values(cells).map(room => room.id));
+    const unplacedRooms = rooms.filter(room => !placedIds.has(room.id));
+
+    const handleAllocate = async (student, room) => {
+        setActiveStudent(null);
+        const blocker = getAllocationBlocker(student, room, getFreeBeds(room, allocations[room.id]));
+        if (blocker) {
+            toast.error(blocker);
+            return;
+        }
+        setAllocatingRoomId(room.id);
+        const { error } = await supabase.rpc('allocate_room', {
+            p_student_id: student.id,
+            p_room_id: room.id,
+            p_bed_id: null,
+        });
+        if (error) {
+            toast.error(`Allocation failed: ${error.message}`);
+        } else {
+            toast.success(`${student.full_name} allocated to Room ${room.room_number}.`);
+            setStudents(prev => prev.filter(s => s.id !== student.id));
+            onAllocated();
+        }
+        setAllocatingRoomId(null);
+    };
+
+    const startEditing = () => {
+        setActiveStudent(null);
+        setDraft({ columns: floor.plan_columns, rows: floor.plan_rows, positions: { ...savedPositions } });
+    };
+
+    const moveRoom = (roomId, cell) => {
+        setDraft(prev => {
+            const positions = { ...prev.positions };
+            const occupant = cell && Object.keys(positions).find(id => positions[id].x === cell.x && positions[id].y === cell.y);
+            // Dropping onto another room swaps the two.
+            if (occupant && occupant !== roomId) {
+                if (positions[roomId]) positions[occupant] = positions[roomId];
+                else delete positions[occupant];
+            }
+            if (cell) positions[roomId] = cell;
+            else delete positions[roomId];
+            return { ...prev, positions };
+        });
+    };
+
+    // Fills empty cells with the rooms not on the plan, in room-number order, adding rows as needed.
+    const placeRemaining = () => {
+        setDraft(prev => {
+            const positions = { ...prev.positions };
+            const taken = new Set(Object.keys(placeRooms(rooms, positions, prev.columns, prev.rows)));
+            const remaining = unplacedRooms.map(room => room.id);
+            let index = 0;
+            let rowCount = prev.rows;
+            while (remaining.length > 0) {
+                const cell = { x: index % prev.columns, y: Math.floor(index / prev.columns) };
+                if (cell.y >= rowCount) rowCount = cell.y + 1;
+                if (!taken.has(`${cell.x},${cell.y}`)) positions[remaining.shift()] = cell;
+                index += 1;
+            }
+            return { ...prev, rows: Math.min(rowCount, 30), positions };
+        });
+    };
+
+    const handleSaveLayout = async () => {
+        setSavingLayout(true);
+        const { error } = await supabase.rpc('save_floor_plan', {
+            p_floor_id: floor.id,
+            p_columns: draft.columns,
+            p_rows: draft.rows,
+            p_positions: Object.values(cells).map(room => ({ room_id: room.id, ...draft.positions[room.id] })),
+        });
+        if (error) {
+            toast.error(`Failed to save the layout: ${error.message}`);
+        } else {
+            toast.success('Floor plan saved.');
+            setDraft(null);
+            onLayoutSaved();
+        }
+        setSavingLayout(false);
+    };
+
+    const handleDrop = (e, cell) => {
+        e.preventDefault();
+        if (draft && draggedRoomId) {
+            moveRoom(draggedRoomId, cell);
+        } else if (!draft && activeStudent && cell?.room) {
+            handleAllocate(activeStudent, cell.room);
+        }
+        setDraggedRoomId(null);
+    };
+
+    const renderRoom = (room, cell) => {
+        const freeBeds = getFreeBeds(room, allocations[room.id]);
+        const vacancy = getVacancy(room, freeBeds);
+        const blocker = activeStudent && getAllocationBlocker(activeStudent, room, freeBeds);
+        const isSelected = selectedRoomId === room.id;
+
+        return (
+            <div
+                key={room.id}
+                draggable={Boolean(draft)}
+                onDragStart={(e) => { e.dataTransfer.setData('text/plain', room.id); setDraggedRoomId(room.id); }}
+                onDragEnd={() => setDraggedRoomId(null)}
+                onDragOver={(e) => (draft || (activeStudent && !blocker)) && e.preventDefault()}
+                onDrop={(e) => handleDrop(e, draft ? cell : { room })}
+                onClick={() => (!draft && activeStudent ? handleAllocate(activeStudent, room) : onSelectRoom(room))}
+                title={blocker || `Room ${room.room_number}: ${freeBeds.length} of ${room.beds.length} beds free`}
+                className={`${cellClassName} ${vacancyStyles[vacancy]} ${draft ? 'cursor-move' : 'cursor-pointer'} ${isSelected && !draft ? 'ring-2 ring-primary dark:ring-dark-primary' : ''} ${blocker ? 'opacity-40' : ''} ${activeStudent && !blocker ? 'ring-2 ring-green-500' : ''}`}
+            >
+                {block?.gender_restriction && (
+                    <span className={`absolute left-0 top-2 bottom-2 w-1 rounded-r ${genderBandStyles[block.gender_restriction]}`} />
+                )}
+                <div className="flex items-start justify-between">
+                    <span className="font-bold text-base-content dark:text-dark-base-content">{room.room_number}</span>
+                    {draft ? (
+                        <GripVertical className="w-4 h-4 text-base-content-secondary" />
+                    ) : allocatingRoomId === room.id && (
+                        <Loader className="w-4 h-4 animate-spin" />
+                    )}
+                </div>
+                <p className="text-xs text-base-content-secondary">{room.type}</p>
+                <p className="text-xs font-medium mt-1">
+                    {vacancy === 'Maintenance' ? 'Maintenance' : `${freeBeds.length}/${room.beds.length} free`}
+                </p>
+            </div>
+        );
+    };
+
+    return (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+            {/* Unallocated students, dragged (or tapped, then a room tapped) to allocate. */}
+            <div className="lg:col-span-1 bg-base-100 dark:bg-dark-base-200 rounded-2xl shadow-lg flex flex-col overflow-hidden max-h-[calc(100vh-240px)] transition-colors">
+                <div className="p-4 border-b border-base-200 dark:border-dark-base-300">
+                    <h3 className="font-semibold mb-1">Unallocated Students ({students.length})</h3>
+                    <p className="text-xs text-base-content-secondary mb-3">Drag a student onto a room, or tap a student and then a room.</p>
+                    <div className="relative">
+                        <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-base-content-secondary" />
+                        <input
+                            type="text"
+                            placeholder="Search students..."
+                            value={searchTerm}
+                            onChange={(e) => setSearchTerm(e.target.value)}
+                            className="w-full pl-10 pr-4 py-2 rounded-lg bg-base-200 dark:bg-dark-base-300 focus:ring-2 focus:ring-primary focus:border-primary transition"
+                        />
+                    </div>
+                </div>
+                <div className="overflow-y-auto flex-grow">
+                    {loadingStudents ? (
+                        <div className="flex justify-center items-center p-8">
+                            <Loader className="animate-spin" />
+                        </div>
+                    ) : filteredStudents.length > 0 ? (
+                        <ul className="divide-y divide-base-200 dark:divide-dark-base-300">
+                            {filteredStudents.map(student => {
+                                const restrictionError = getBlockRestrictionError(block, student);
+                                return (
+                                    <li
+                                        key={student.id}
+                                        draggable={!draft}
+                                        onDragStart={(e) => { e.dataTransfer.setData('text/plain', student.id); setActiveStudent(student); }}
+                                        onDragEnd={() => setActiveStudent(null)}
+                                        onClick={() => !draft && setActiveStudent(prev => (prev?.id === student.id ? null : student))}
+                                        className={`flex items-center p-3 transition-colors ${draft ? 'opacity-50' : 'cursor-grab'} ${activeStudent?.id === student.id ? 'bg-primary/10 text-primary' : 'hover:bg-base-200/60 dark:hover:bg-dark-base-300/60'}`}
+                                    >
+                                        <GripVertical className="w-4 h-4 mr-2 text-base-content-secondary flex-shrink-0" />
+                                        <div className="min-w-0">
+                                            <p className="font-semibold truncate">{student.full_name}</p>
+                                            <p className="text-xs text-base-content-secondary truncate">
+                                                {[student.gender, student.year_of_study && `Year ${student.year_of_study}`, student.course].filter(Boolean).join(' · ')}
+                                            </p>
+                                            {restrictionError && <p className="text-xs text-red-500">{restrictionError}</p>}
+                                        </div>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    ) : (
+                        <div className="text-center p-8 text-base-content-secondary">
+                            <UserPlus className="w-8 h-8 mx-auto mb-2" />
+                            <p>No unallocated students found.</p>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            <div className="lg:col-span-2 bg-base-100 dark:bg-dark-base-200 rounded-2xl shadow-lg p-6 transition-colors">
+                <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+                    <div>
+                        <h2 className="text-xl font-bold font-heading">{block?.building?.name} · {block?.name} · {getFloorLabel(floor)}</h2>
+                        {block && describeBlockRestrictions(block) && (
+                            <p className="text-sm text-base-content-secondary">{describeBlockRestrictions(block)}</p>
+                        )}
+                    </div>
+                    {isAdmin && (draft ? (
+                        <div className="flex flex-wrap items-center gap-2">
+                            <label className="text-sm text-base-content-secondary">
+                                Columns
+                                <input type="number" min="1" max="30" value={draft.columns} onChange={(e) => setDraft(prev => ({ ...prev, columns: Math.min(Math.max(Number(e.target.value) || 1, 1), 30) }))} className="ml-2 w-16 rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-sm" />
+                            </label>
+                            <label className="text-sm text-base-content-secondary">
+                                Rows
+                                <input type="number" min="1" max="30" value={draft.rows} onChange={(e) => setDraft(prev => ({ ...prev, rows: Math.min(Math.max(Number(e.target.value) || 1, 1), 30) }))} className="ml-2 w-16 rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-sm" />
+                            </label>
+                            <button type="button" onClick={placeRemaining} disabled={unplacedRooms.length === 0} className="inline-flex items-center py-2 px-3 text-sm font-medium rounded-lg text-primary bg-primary/10 hover:bg-primary/20 dark:text-dark-primary disabled:opacity-50">
+                                <WandSparkles className="w-4 h-4 mr-1" /> Place Remaining
+                            </button>
+                            <button type="button" onClick={() => setDraft(null)} className="py-2 px-3 border border-base-300 dark:border-dark-base-300 text-sm font-medium rounded-lg hover:bg-base-200 dark:hover:bg-dark-base-300">Cancel</button>
+                            <button type="button" onClick={handleSaveLayout} disabled={savingLayout} className="inline-flex items-center py-2 px-3 text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
+                                {savingLayout ? <Loader className="animate-spin h-4 w-4 mr-1" /> : <Save className="w-4 h-4 mr-1" />} Save Layout
+                            </button>
+                        </div>
+                    ) : (
+                        <button type="button" onClick={startEditing} className="inline-flex items-center py-2 px-3 text-sm font-medium rounded-lg text-primary bg-primary/10 hover:bg-primary/20 dark:text-dark-primary">
+                            <Edit className="w-4 h-4 mr-1" /> Edit Layout
+                        </button>
+                    ))}
+                </div>
+
+                <div className="overflow-x-auto pb-2">
+                    <div className="grid gap-2" style={{ gridTemplateColumns: `repeat(${columns}, minmax(5.5rem, 1fr))` }}>
+                        {Array.from({ length: rows * columns }, (_, index) => {
+                            const cell = { x: index % columns, y: Math.floor(index / columns) };
+                            const room = cells[`${cell.x},${cell.y}`];
+                            if (room) return renderRoom(room, cell);
+                            return (
+                                <div
+                                    key={`${cell.x},${cell.y}`}
+                                    onDragOver={(e) => draft && e.preventDefault()}
+                                    onDrop={(e) => handleDrop(e, cell)}
+                                    className={`h-24 rounded-xl border-2 border-dashed ${draft ? 'border-base-300 dark:border-dark-base-300' : 'border-transparent bg-base-200/40 dark:bg-dark-base-300/30'}`}
+                                />
+                            );
+                        })}
+                    </div>
+                </div>
+
+                {(unplacedRooms.length > 0 || draft) && (
+                    <div
+                        onDragOver={(e) => draft && e.preventDefault()}
+                        onDrop={(e) => handleDrop(e, null)}
+                        className="mt-6 p-3 rounded-xl border-2 border-dashed border-base-300 dark:border-dark-base-300"
+                    >
+                        <p className="text-xs font-semibold uppercase tracking-wider text-base-content-secondary mb-2">
+                            Not on the plan ({unplacedRooms.length}){draft && ' — drag rooms here to take them off'}
+                        </p>
+                        <div className="grid gap-2 grid-cols-[repeat(auto-fill,minmax(5.5rem,1fr))]">
+                            {unplacedRooms.map(room => renderRoom(room, null))}
+                        </div>
+                    </div>
+                )}
+
+                <div className="flex flex-wrap gap-4 mt-6 text-xs text-base-content-secondary">
+                    <span className="flex items-center"><span className="w-3 h-3 rounded mr-1.5 border-2 bg-green-500/15 border-green-500/50" />Vacant</span>
+                    <span className="flex items-center"><span className="w-3 h-3 rounded mr-1.5 border-2 bg-green-500/5 border-green-500/30" />Beds free</span>
+                    <span className="flex items-center"><span className="w-3 h-3 rounded mr-1.5 border-2 bg-red-500/10 border-red-500/40" />Full</span>
+                    <span className="flex items-center"><span className="w-3 h-3 rounded mr-1.5 border-2 bg-yellow-500/10 border-yellow-500/40" />Maintenance</span>
+                    <span className="flex items-center"><span className="w-1 h-3 rounded mr-1.5 bg-sky-500" />Male only</span>
+                    <span className="flex items-center"><span className="w-1 h-3 rounded mr-1.5 bg-pink-500" />Female only</span>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default FloorPlanView;
@@ -1,5 +1,6 @@
 import React from 'react';
-import { BedDouble, Users, UserX, Info, Phone } from 'lucide-react';
+import { BedDouble, BedSingle, LogOut, Info, Phone, MapPin } from 'lucide-react';
+import { getRoomBeds, formatRoomLocation, describeBlockRestrictions } from '../../lib/rooms';
 
 const statusStyles = {
     Occupied: 'bg-red-500/10 text-red-500 dark:bg-red-500/20 dark:text-red-400',
@@ -7,15 +8,23 @@ const statusStyles = {
     Maintenance: 'bg-yellow-500/10 text-yellow-600 dark:bg-yellow-500/20 dark:text-yellow-400',
 };
 
-const RoomAllocationDetail = ({ room, allocations, onDeallocate }) => {
+const RoomAllocationDetail = ({ room, allocations, onCheckout }) => {
+    const beds = getRoomBeds(room, allocations);
+    const freeBeds = beds.filter(bed => !bed.allocation);
+
     return (
         <div>
             <h2 className="text-2xl font-bold font-heading mb-1">Room {room.room_number} Details</h2>
+            <p className="flex items-center text-sm text-base-content-secondary mb-2">
+                <MapPin className="w-4 h-4 mr-1.5" />
+                {formatRoomLocation(room)}
+                {room.floor && describeBlockRestrictions(room.floor.block) && ` (${describeBlockRestrictions(room.floor.block)})`}
+            </p>
             <div className="flex items-center space-x-4 text-sm text-base-content-secondary mb-6">
                 <span>Type: {room.type}</span>
                 <span className="flex items-center">
-                    <Users className="w-4 h-4 mr-1.5" />
-                    Capacity: {room.occupants}
+                    <BedSingle className="w-4 h-4 mr-1.5" />
+                    {freeBeds.length} of {beds.length} beds free
                 </span>
                 <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${statusStyles[room.status]}`}>
                     {room.status}
@@ -29,7 +38,10 @@ const RoomAllocationDetail = ({ room, allocations, onDeallocate }) => {
                     {allocations.map(alloc => (
                         <li key={alloc.id} className="flex items-center justify-between p-3 bg-base-200/50 dark:bg-dark-base-300/50 rounded-lg">
                             <div>
-                                <p className="font-semibold">{alloc.students.full_name}</p>
+                                <p className="font-semibold">
+                                    {alloc.students.full_name}
+                                    {alloc.beds && <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-base-300/60 dark:bg-dark-base-300">Bed {alloc.beds.label}</span>}
+                                </p>
                                 <p className="text-sm text-base-content-secondary">{alloc.students.course}</p>
                                 {alloc.students.contact && (
                                     <p className="flex items-center text-sm text-base-content-secondary mt-1">
@@ -39,11 +51,11 @@ const RoomAllocationDetail = ({ room, allocations, onDeallocate }) => {
                                 )}
                             </div>
                             <button
-                                onClick={() => onDeallocate(alloc.id, alloc.students.full_name)}
+                                onClick={() => onCheckout(alloc)}
                                 className="p-2 text-red-500/70 hover:text-red-500 hover:bg-red-500/10 rounded-full transition-colors"
-                                title="Deallocate Student"
+                                title="Check Out Student"
                             >
-                                <UserX className="w-5 h-5" />
+                                <LogOut className="w-5 h-5" />
                             </button>
                         </li>
                     ))}
@@ -56,6 +68,12 @@ const RoomAllocationDetail = ({ room, allocations, onDeallocate }) => {
                 </div>
             )}
 
+            {allocations.length > 0 && freeBeds.length > 0 && (
+                <p className="mt-4 text-sm text-green-600 dark:text-green-400">
+                    Free: {freeBeds.map(bed => `Bed ${bed.label}`).join(', ')}
+                </p>
+            )}
+
             {room.status === 'Maintenance' && (
                  <div className="mt-6 p-4 bg-yellow-500/10 text-yellow-700 dark:text-yellow-300 rounded-lg flex items-start">
                     <Info className="w-5 h-5 mr-3 mt-0.5 flex-shrink-0" />
@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import { supabase } from '../../lib/supabase';
+import { formatDate, formatDateTime } from '../../lib/format';
+import { Loader, ArrowRight, History } from 'lucide-react';
+import EmptyState from '../ui/EmptyState';
+
+const statusColors = {
+    Present: 'text-green-600 dark:text-green-400',
+    Late: 'text-orange-600 dark:text-orange-400',
+    Absent: 'text-red-600 dark:text-red-400',
+    Leave: 'text-yellow-600 dark:text-yellow-400',
+    Holiday: 'text-blue-600 dark:text-blue-400',
+};
+
+const StatusLabel = ({ status, fallback }) => (
+    status
+        ? <span className={`font-semibold ${statusColors[status] || ''}`}>{status}</span>
+        : <span className="italic text-base-content-secondary">{fallback}</span>
+);
+
+// Shows who changed a student's attendance and when. `from`/`to` limit it to sessions in a date range.
+const AttendanceHistory = ({ studentId, from, to, limit = 50 }) => {
+    const [entries, setEntries] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchHistory = async () => {
+            if (!studentId) return;
+            setLoading(true);
+            setError('');
+
+            let query = supabase
+                .from('attendance_record_history')
+                .select('id, previous_status, new_status, changed_at, attendance_sessions!inner(date, session_type), profiles(full_name)')
+                .eq('student_id', studentId)
+                .order('changed_at', { ascending: false })
+                .limit(limit);
+
+            if (from) query = query.gte('attendance_sessions.date', from);
+            if (to) query = query.lte('attendance_sessions.date', to);
+
+            const { data, error: fetchError } = await query;
+            if (fetchError) {
+                console.error(fetchError);
+                setError('Failed to load attendance history.');
+                setEntries([]);
+            } else {
+                setEntries(data);
+            }
+            setLoading(false);
+        };
+
+        fetchHistory();
+    }, [studentId, from, to, limit]);
+
+    if (loading) {
+        return <div className="flex justify-center items-center h-32"><Loader className="animate-spin text-primary" /></div>;
+    }
+
+    if (error) {
+        return <p className="text-sm text-red-500">{error}</p>;
+    }
+
+    if (entries.length === 0) {
+        return (
+            <EmptyState
+                icon={<History className="w-full h-full" />}
+                title="No Changes Recorded"
+                message="Attendance changes for this student will appear here."
+            />
+        );
+    }
+
+    return (
+        <div className="overflow-x-auto">
+            <table className="min-w-full">
+                <thead className="border-b-2 border-base-200 dark:border-dark-base-300">
+                    <tr>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Session</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Change</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Changed By</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">When</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {entries.map(entry => (
+                        <tr key={entry.id} className="border-b border-base-200 dark:border-dark-base-300 last:border-0">
+                            <td className="px-4 py-3 text-sm whitespace-nowrap">
+                                {formatDate(entry.attendance_sessions.date)} · {entry.attendance_sessions.session_type}
+                            </td>
+                            <td className="px-4 py-3 text-sm whitespace-nowrap">
+                                <span className="inline-flex items-center gap-2">
+                                    <StatusLabel status={entry.previous_status} fallback="Not marked" />
+                                    <ArrowRight className="w-4 h-4 text-base-content-secondary" />
+                                    <StatusLabel status={entry.new_status} fallback="Removed" />
+                                </span>
+                            </td>
+                            <td className="px-4 py-3 text-sm">{entry.profiles?.full_name || 'System'}</td>
+                            <td className="px-4 py-3 text-sm text-base-content-secondary whitespace-nowrap">{formatDateTime(entry.changed_at)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default AttendanceHistory;
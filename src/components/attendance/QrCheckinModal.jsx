@@ -0,0 +1,123 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { supabase } from '../../lib/supabase';
+import { CHECKIN_QR_PREFIX } from '../../lib/attendance';
+import Modal from '../ui/Modal';
+import toast from 'react-hot-toast';
+import { Loader, QrCode, Timer } from 'lucide-react';
+
+const durations = [5, 10, 15, 30];
+
+const secondsUntil = (timestamp) => Math.max(0, Math.ceil((new Date(timestamp).getTime() - Date.now()) / 1000));
+
+const QrCheckinModal = ({ isOpen, onClose, date, sessionType }) => {
+    const [duration, setDuration] = useState(15);
+    const [windowId, setWindowId] = useState(null);
+    const [token, setToken] = useState(null);
+    const [opening, setOpening] = useState(false);
+    const [now, setNow] = useState(Date.now());
+
+    const fetchToken = useCallback(async (id) => {
+        const { data, error } = await supabase.rpc('get_qr_checkin_token', { p_window_id: id });
+        if (error) {
+            toast.error(error.message);
+            setWindowId(null);
+            setToken(null);
+            return;
+        }
+        setToken(data?.[0] || null);
+    }, []);
+
+    // Tick every second for the countdowns and fetch a fresh token as soon as the current one expires.
+    useEffect(() => {
+        if (!windowId) return;
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, [windowId]);
+
+    useEffect(() => {
+        if (!windowId || !token) return;
+        if (secondsUntil(token.closes_at) === 0) {
+            toast.success('Check-in window closed.');
+            setWindowId(null);
+            setToken(null);
+        } else if (secondsUntil(token.valid_until) === 0) {
+            fetchToken(windowId);
+        }
+    }, [now, windowId, token, fetchToken]);
+
+    const handleOpen = async () => {
+        setOpening(true);
+        const { data, error } = await supabase.rpc('open_qr_checkin', {
+            p_date: date,
+            p_session_type: sessionType,
+            p_duration_minutes: duration
+        });
+        if (error) {
+            toast.error(`Failed to open check-in: ${error.message}`);
+        } else {
+            setWindowId(data);
+            await fetchToken(data);
+        }
+        setOpening(false);
+    };
+
+    const handleClose = async () => {
+        if (windowId) {
+            const { error } = await supabase.rpc('close_qr_checkin', { p_window_id: windowId });
+            if (error) toast.error(error.message);
+            else toast.success('Check-in window closed.');
+        }
+        setWindowId(null);
+        setToken(null);
+        onClose();
+    };
+
+    const formatCountdown = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+    return (
+        <Modal isOpen={isOpen} onClose={handleClose} title={`QR Check-in · ${sessionType} session`}>
+            {!windowId ? (
+                <div className="space-y-4">
+                    <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary">
+                        Display a rotating QR code for students to scan from their dashboard. Each code is only valid for a few seconds, so it has to be scanned in person.
+                    </p>
+                    <div>
+                        <label htmlFor="duration" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Keep check-in open for</label>
+                        <select id="duration" value={duration} onChange={(e) => setDuration(Number(e.target.value))} className="mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm">
+                            {durations.map(minutes => <option key={minutes} value={minutes}>{minutes} minutes</option>)}
+                        </select>
+                    </div>
+                    <div className="flex justify-end pt-2">
+                        <button type="button" onClick={handleOpen} disabled={opening} className="inline-flex items-center py-2 px-4 text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
+                            {opening ? <Loader className="animate-spin h-4 w-4 mr-2" /> : <QrCode className="h-4 w-4 mr-2" />}
+                            Open Check-in
+                        </button>
+                    </div>
+                </div>
+            ) : (
+                <div className="flex flex-col items-center text-center">
+                    {token ? (
+                        <>
+                            <div className="p-4 bg-white rounded-xl">
+                                <QRCodeSVG value={`${CHECKIN_QR_PREFIX}${token.token}`} size={240} level="M" />
+                            </div>
+                            <p className="mt-4 font-mono text-2xl font-bold tracking-widest text-base-content dark:text-dark-base-content">{token.token}</p>
+                            <p className="mt-1 text-sm text-base-content-secondary">New code in {secondsUntil(token.valid_until)}s</p>
+                            <p className="mt-3 flex items-center gap-1.5 text-sm font-semibold text-yellow-600 dark:text-yellow-400">
+                                <Timer className="w-4 h-4" /> Closes in {formatCountdown(secondsUntil(token.closes_at))}
+                            </p>
+                        </>
+                    ) : (
+                        <div className="flex items-center justify-center h-64"><Loader className="animate-spin" /></div>
+                    )}
+                    <button type="button" onClick={handleClose} className="mt-6 py-2 px-4 text-sm font-medium rounded-lg border border-base-300 dark:border-dark-base-300 hover:bg-base-200 dark:hover:bg-dark-base-300">
+                        Close Check-in
+                    </button>
+                </div>
+            )}
+        </Modal>
+    );
+};
+
+export default QrCheckinModal;
@@ -0,0 +1,136 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { supabase } from '../../lib/supabase';
+import { parseCheckinToken } from '../../lib/attendance';
+import Modal from '../ui/Modal';
+import toast from 'react-hot-toast';
+import { Loader, Check } from 'lucide-react';
+
+// BarcodeDetector ships with the Android WebView and Chromium browsers. Where it is missing,
+// students can still type the code shown under the QR.
+const canScan = typeof window !== 'undefined' && 'BarcodeDetector' in window && !!navigator.mediaDevices?.getUserMedia;
+
+const QrCheckinScanner = ({ isOpen, onClose, onCheckedIn }) => {
+    const videoRef = useRef(null);
+    const submittingRef = useRef(false);
+    // The last code check-in refused; the camera keeps seeing it, so scanning skips it.
+    const rejectedTokenRef = useRef(null);
+    const [code, setCode] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+    const [cameraError, setCameraError] = useState('');
+
+    const submitToken = useCallback(async (value) => {
+        const token = parseCheckinToken(value);
+        if (!token) {
+            toast.error('That is not a valid check-in code.');
+            return;
+        }
+        if (submittingRef.current) return;
+        submittingRef.current = true;
+        setSubmitting(true);
+
+        const { data, error } = await supabase.rpc('qr_check_in', { p_token: token });
+        if (error) {
+            rejectedTokenRef.current = token;
+            toast.error(error.message);
+        } else {
+            const sessionType = data?.[0]?.session_type;
+            toast.success(`Checked in for the ${sessionType ? sessionType.toLowerCase() : ''} session.`);
+            onCheckedIn?.();
+            onClose();
+        }
+        submittingRef.current = false;
+        setSubmitting(false);
+    }, [onCheckedIn, onClose]);
+
+    useEffect(() => {
+        if (!isOpen || !canScan) return;
+        rejectedTokenRef.current = null;
+
+        let stream;
+        let frame;
+        let cancelled = false;
+        const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+
+        const scan = async () => {
+            if (cancelled) return;
+            const video = videoRef.current;
+            if (video && video.readyState >= 2 && !submittingRef.current) {
+                try {
+                    const [barcode] = await detector.detect(video);
+                    const token = barcode && parseCheckinToken(barcode.rawValue);
+                    if (token && token !== rejectedTokenRef.current) {
+                        await submitToken(barcode.rawValue);
+                    }
+                } catch {
+                    // A frame the detector cannot read; try the next one.
+                }
+            }
+            frame = requestAnimationFrame(scan);
+        };
+
+        navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+            .then((mediaStream) => {
+                if (cancelled) {
+                    mediaStream.getTracks().forEach(track => track.stop());
+                    return;
+                }
+                stream = mediaStream;
+                setCameraError('');
+                if (videoRef.current) {
+                    videoRef.current.srcObject = mediaStream;
+                    videoRef.current.play();
+                }
+                scan();
+            })
+            .catch(() => setCameraError('Camera access was denied. Enter the code shown below the QR instead.'));
+
+        return () => {
+            cancelled = true;
+            cancelAnimationFrame(frame);
+            stream?.getTracks().forEach(track => track.stop());
+        };
+    }, [isOpen, submitToken]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        submitToken(code);
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title="Scan Check-in QR">
+            <div className="space-y-4">
+                {canScan && !cameraError ? (
+                    <div className="relative overflow-hidden rounded-xl bg-black aspect-square">
+                        <video ref={videoRef} className="w-full h-full object-cover" muted playsInline />
+                        <div className="absolute inset-10 border-4 border-white/70 rounded-xl pointer-events-none" />
+                        {submitting && (
+                            <div className="absolute inset-0 flex items-center justify-center bg-black/50">
+                                <Loader className="animate-spin h-8 w-8 text-white" />
+                            </div>
+                        )}
+                    </div>
+                ) : (
+                    <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary">
+                        {cameraError || 'QR scanning is not supported on this device. Enter the code shown below the QR instead.'}
+                    </p>
+                )}
+                <form onSubmit={handleSubmit} className="flex gap-2">
+                    <input
+                        type="text"
+                        value={code}
+                        onChange={(e) => setCode(e.target.value.toUpperCase())}
+                        placeholder="8-character code"
+                        maxLength={8}
+                        className="flex-1 rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content font-mono tracking-widest shadow-sm focus:border-primary focus:ring-primary sm:text-sm"
+                    />
+                    <button type="submit" disabled={submitting || code.length !== 8} className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
+                        {submitting ? <Loader className="animate-spin h-4 w-4 mr-2" /> : <Check className="h-4 w-4 mr-2" />}
+                        Check In
+                    </button>
+                </form>
+            </div>
+        </Modal>
+    );
+};
+
+export default QrCheckinScanner;
@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import { supabase } from '../../lib/supabase';
+import { useAuth } from '../../context/AuthContext';
+import Modal from '../ui/Modal';
+import toast from 'react-hot-toast';
+import { Loader, Sun, Moon } from 'lucide-react';
+
+const sessionIcons = {
+    Morning: <Sun className="w-4 h-4" />,
+    Evening: <Moon className="w-4 h-4" />,
+};
+
+const inputClassName = "mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm";
+
+const SessionWindowsModal = ({ isOpen, onClose, onSaved }) => {
+    const { user } = useAuth();
+    const [windows, setWindows] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        if (!isOpen) return;
+        const fetchWindows = async () => {
+            setLoading(true);
+            const { data, error } = await supabase
+                .from('attendance_session_windows')
+                .select('*')
+                .order('session_type');
+            if (error) {
+                toast.error(`Failed to load session times: ${error.message}`);
+                setWindows([]);
+            } else {
+                setWindows(data.map(w => ({ ...w, opens_at: w.opens_at.slice(0, 5), closes_at: w.closes_at.slice(0, 5) })));
+            }
+            setLoading(false);
+        };
+        fetchWindows();
+    }, [isOpen]);
+
+    const updateWindow = (sessionType, field, value) => {
+        setWindows(prev => prev.map(w => (w.session_type === sessionType ? { ...w, [field]: value } : w)));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (windows.some(w => w.closes_at <= w.opens_at)) {
+            toast.error('Each session must close after it opens.');
+            return;
+        }
+
+        setSaving(true);
+        // The hostel has a single time zone, so keep every session type in step with the first one.
+        const timezone = windows[0]?.timezone || 'Asia/Kolkata';
+        const { error } = await supabase
+            .from('attendance_session_windows')
+            .upsert(windows.map(w => ({
+                session_type: w.session_type,
+                opens_at: w.opens_at,
+                closes_at: w.closes_at,
+                grace_minutes: Number(w.grace_minutes) || 0,
+                timezone,
+                updated_by: user.id,
+                updated_at: new Date().toISOString(),
+            })));
+
+        if (error) {
+            toast.error(error.message);
+        } else {
+            toast.success('Session times updated.');
+            onSaved?.();
+            onClose();
+        }
+        setSaving(false);
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title="Session Times">
+            {loading ? (
+                <div className="flex justify-center items-center h-40"><Loader className="animate-spin" /></div>
+            ) : (
+                <form onSubmit={handleSubmit} className="space-y-6">
+                    <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary">
+                        Students can only check themselves in while a session is open. Check-ins during the grace period after closing are marked Late.
+                    </p>
+                    {windows.map(w => (
+                        <div key={w.session_type}>
+                            <h4 className="flex items-center gap-2 font-semibold text-base-content dark:text-dark-base-content">{sessionIcons[w.session_type]} {w.session_type}</h4>
+                            <div className="grid grid-cols-3 gap-3">
+                                <div>
+                                    <label className="block text-xs font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Opens</label>
+                                    <input type="time" required value={w.opens_at} onChange={(e) => updateWindow(w.session_type, 'opens_at', e.target.value)} className={inputClassName} />
+                                </div>
+                                <div>
+                                    <label className="block text-xs font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Closes</label>
+                                    <input type="time" required value={w.closes_at} onChange={(e) => updateWindow(w.session_type, 'closes_at', e.target.value)} className={inputClassName} />
+                                </div>
+                                <div>
+                                    <label className="block text-xs font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Grace (min)</label>
+                                    <input type="number" min="0" max="240" required value={w.grace_minutes} onChange={(e) => updateWindow(w.session_type, 'grace_minutes', e.target.value)} className={inputClassName} />
+                                </div>
+                            </div>
+                        </div>
+                    ))}
+                    {windows.length > 0 && (
+                        <div>
+                            <label htmlFor="timezone" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Hostel Time Zone</label>
+                            <input
+                                type="text"
+                                id="timezone"
+                                required
+                                value={windows[0].timezone}
+                                onChange={(e) => updateWindow(windows[0].session_type, 'timezone', e.target.value)}
+                                placeholder="e.g. Asia/Kolkata"
+                                className={inputClassName}
+                            />
+                        </div>
+                    )}
+                    <div className="flex justify-end pt-2 space-x-3">
+                        <button type="button" onClick={onClose} className="inline-flex justify-center py-2 px-4 border border-base-300 dark:border-dark-base-300 shadow-sm text-sm font-medium rounded-lg text-base-content dark:text-dark-base-content bg-base-100 dark:bg-dark-base-200 hover:bg-base-200 dark:hover:bg-dark-base-300">Cancel</button>
+                        <button type="submit" disabled={saving} className="inline-flex justify-center items-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
+                            {saving && <Loader className="animate-spin h-4 w-4 mr-2" />}
+                            Save
+                        </button>
+                    </div>
+                </form>
+            )}
+        </Modal>
+    );
+};
+
+export default SessionWindowsModal;
@@ -4,6 +4,7 @@ import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, Responsive
 import StatCard from '../ui/StatCard';
 import { Users, BedDouble, Wrench, CircleDollarSign, Loader, Megaphone } from 'lucide-react';
 import { supabase } from '../../lib/supabase';
+import { formatMoney, formatDate, formatDateTime } from '../../lib/format';
 import { useAuth } from '../../context/AuthContext';
 import { Link } from 'react-router-dom';
 
@@ -36,7 +37,7 @@ function AdminDashboard() {
             try {
                 const [
                     studentsRes, roomsRes, maintenanceRes, feesRes,
-                    noticesRes, paymentsRes, paidFeesRes
+                    noticesRes, paymentsRes, collectedRes, refundsRes
                 ] = await Promise.all([
                     supabase.from('students').select('*', { count: 'exact', head: true }),
                     supabase.from('rooms').select('status'),
@@ -44,7 +45,8 @@ function AdminDashboard() {
                     supabase.from('fees').select('*', { count: 'exact', head: true }).eq('status', 'Overdue'),
                     supabase.from('notices').select('id, title, created_at').limit(5).order('created_at', { ascending: false }),
                     supabase.from('payments').select('id, amount, paid_on, fees(students(full_name))').limit(5).order('paid_on', { ascending: false }),
-                    supabase.from('fees').select('amount, created_at').eq('status', 'Paid')
+                    supabase.from('payments').select('amount, paid_on'),
+                    supabase.from('payment_refunds').select('amount, refunded_on')
                 ]);
 
                 // Process Stats
@@ -63,16 +65,19 @@ function AdminDashboard() {
                 // Process Recent Payments
                 setRecentPayments(paymentsRes.data || []);
 
-                // Process Chart Data
-                const monthlyCollections = (paidFeesRes.data || []).reduce((acc, fee) => {
-                    const month = new Date(fee.created_at).toLocaleString('default', { month: 'short', year: '2-digit' });
-                    acc[month] = (acc[month] || 0) + parseFloat(fee.amount);
-                    return acc;
-                }, {});
-
-                const chartFormattedData = Object.keys(monthlyCollections).map(month => ({
-                    name: month,
-                    Collection: monthlyCollections[month],
+                // Process Chart Data: money received in each month, less refunds paid out that month.
+                // Waivers and concessions never reach the till, so they are not counted.
+                const monthlyCollections = {};
+                const addToMonth = (date, amount) => {
+                    const key = date.substring(0, 7);
+                    monthlyCollections[key] = (monthlyCollections[key] || 0) + amount;
+                };
+                (collectedRes.data || []).forEach(payment => addToMonth(payment.paid_on, parseFloat(payment.amount)));
+                (refundsRes.data || []).forEach(refund => addToMonth(refund.refunded_on, -parseFloat(refund.amount)));
+
+                const chartFormattedData = Object.keys(monthlyCollections).sort().map(key => ({
+                    name: formatDate(`${key}-01`, { month: 'short', year: '2-digit' }),
+                    Collection: Math.round(monthlyCollections[key] * 100) / 100,
                 })).slice(-6); // Get last 6 months
                 setChartData(chartFormattedData);
 
@@ -108,7 +113,7 @@ function AdminDashboard() {
                             <BarChart data={chartData} margin={{ top: 5, right: 20, left: -10, bottom: 5 }}>
                                 <CartesianGrid strokeDasharray="3 3" stroke="currentColor" opacity={0.2} />
                                 <XAxis dataKey="name" tick={{ fill: 'currentColor', fontSize: 12 }} />
-                                <YAxis tick={{ fill: 'currentColor', fontSize: 12 }} tickFormatter={(value) => `$${value/1000}k`}/>
+                                <YAxis tick={{ fill: 'currentColor', fontSize: 12 }} tickFormatter={(value) => formatMoney(value, { compact: true })}/>
                                 <Tooltip
                                     cursor={{ fill: 'rgba(128,128,128,0.1)' }}
                                     contentStyle={{
@@ -135,7 +140,7 @@ function AdminDashboard() {
                                     </div>
                                     <div>
                                         <Link to="/notices" className="text-sm font-semibold text-base-content dark:text-dark-base-content hover:underline">{notice.title}</Link>
-                                        <p className="text-xs text-base-content-secondary dark:text-dark-base-content-secondary">{new Date(notice.created_at).toLocaleDateString()}</p>
+                                        <p className="text-xs text-base-content-secondary dark:text-dark-base-content-secondary">{formatDate(notice.created_at)}</p>
                                     </div>
                                 </li>
                             )) : <p className="text-sm text-center py-10 text-base-content-secondary dark:text-dark-base-content-secondary">No recent notices.</p>}
@@ -153,8 +158,8 @@ function AdminDashboard() {
                                 recentPayments.length > 0 ? recentPayments.map(payment => (
                                     <tr key={payment.id} className="border-b border-base-200 dark:border-dark-base-300 last:border-0">
                                         <td className="py-3 pr-4 text-sm font-medium text-base-content dark:text-dark-base-content">{payment.fees?.students?.full_name || 'N/A'}</td>
-                                        <td className="py-3 px-4 text-sm text-base-content-secondary dark:text-dark-base-content-secondary">{new Date(payment.paid_on).toLocaleString()}</td>
-                                        <td className="py-3 pl-4 text-sm font-semibold text-right text-green-600 dark:text-green-400">{`$${parseFloat(payment.amount).toFixed(2)}`}</td>
+                                        <td className="py-3 px-4 text-sm text-base-content-secondary dark:text-dark-base-content-secondary">{formatDateTime(payment.paid_on)}</td>
+                                        <td className="py-3 pl-4 text-sm font-semibold text-right text-green-600 dark:text-green-400">{formatMoney(payment.amount)}</td>
                                     </tr>
                                 )) : <tr><td colSpan="3" className="text-center py-10 text-sm text-base-content-secondary dark:text-dark-base-content-secondary">No recent payments found.</td></tr>
                             }
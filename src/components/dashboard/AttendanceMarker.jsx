@@ -2,11 +2,20 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { supabase } from '../../lib/supabase';
 import { useAuth } from '../../context/AuthContext';
 import toast from 'react-hot-toast';
-import { Check, Loader, Sun, Moon, Info } from 'lucide-react';
+import { Loader, Sun, Moon, Info, ScanQrCode } from 'lucide-react';
+import QrCheckinScanner from '../attendance/QrCheckinScanner';
+import { getCheckinState, formatSessionTime } from '../../lib/attendance';
 
-const SessionCard = ({ sessionType, status, onMarkPresent, loading }) => {
+const checkinMessages = {
+    not_open: 'Check-in not open yet',
+    closed: 'Check-in closed',
+};
+
+const SessionCard = ({ sessionType, status, sessionWindow, onScan }) => {
     const isMarked = status && status !== 'unmarked';
     const icon = sessionType === 'morning' ? <Sun /> : <Moon />;
+    const checkinState = getCheckinState(sessionWindow);
+    const statusColor = status === 'Late' ? 'text-orange-500' : isMarked ? 'text-green-500' : 'text-yellow-500';
 
     return (
         <div className="bg-base-100 dark:bg-dark-base-200 p-6 rounded-xl shadow-md flex items-center justify-between">
@@ -14,19 +23,26 @@ const SessionCard = ({ sessionType, status, onMarkPresent, loading }) => {
                 <div className="p-3 bg-primary/10 text-primary rounded-full">{icon}</div>
                 <div>
                     <h3 className="font-bold capitalize text-lg">{sessionType} Session</h3>
-                    <p className="text-sm text-base-content-secondary">Status: <span className={`font-semibold ${isMarked ? 'text-green-500' : 'text-yellow-500'}`}>{isMarked ? status : 'Not Marked'}</span></p>
+                    <p className="text-sm text-base-content-secondary">Status: <span className={`font-semibold ${statusColor}`}>{isMarked ? status : 'Not Marked'}</span></p>
+                    {sessionWindow && (
+                        <p className="text-xs text-base-content-secondary">
+                            Check-in {formatSessionTime(sessionWindow.opens_at)}–{formatSessionTime(sessionWindow.closes_at)}
+                            {sessionWindow.grace_minutes > 0 && ` (late until +${sessionWindow.grace_minutes} min)`}
+                        </p>
+                    )}
                 </div>
             </div>
-            {!isMarked && (
+            {!isMarked && (checkinMessages[checkinState] ? (
+                <span className="text-sm font-medium text-base-content-secondary">{checkinMessages[checkinState]}</span>
+            ) : (
                 <button
-                    onClick={onMarkPresent}
-                    disabled={loading}
-                    className="inline-flex items-center justify-center px-4 py-2 border border-transparent text-sm font-medium rounded-lg shadow-sm text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50"
+                    onClick={onScan}
+                    className="inline-flex items-center justify-center px-4 py-2 border border-transparent text-sm font-medium rounded-lg shadow-sm text-primary-content bg-primary hover:bg-primary-focus"
                 >
-                    {loading ? <Loader className="animate-spin h-5 w-5" /> : <Check className="h-5 w-5 mr-2" />}
-                    Mark Present
+                    <ScanQrCode className="h-5 w-5 mr-2" />
+                    {checkinState === 'late' ? 'Scan QR (Late)' : 'Scan QR'}
                 </button>
-            )}
+            ))}
         </div>
     );
 };
@@ -34,7 +50,22 @@ const SessionCard = ({ sessionType, status, onMarkPresent, loading }) => {
 const AttendanceMarker = () => {
     const { user } = useAuth();
     const [attendance, setAttendance] = useState({ morning: 'loading', evening: 'loading' });
-    const [loading, setLoading] = useState({ morning: false, evening: false });
+    const [isScannerOpen, setIsScannerOpen] = useState(false);
+    const [sessionWindows, setSessionWindows] = useState({});
+
+    useEffect(() => {
+        const fetchSessionWindows = async () => {
+            const { data, error } = await supabase
+                .from('attendance_session_windows')
+                .select('session_type, opens_at, closes_at, grace_minutes, timezone');
+            if (error) {
+                console.error('Error fetching session windows:', error);
+                return;
+            }
+            setSessionWindows(Object.fromEntries(data.map(w => [w.session_type.toLowerCase(), w])));
+        };
+        fetchSessionWindows();
+    }, []);
 
     const fetchAttendanceStatus = useCallback(async () => {
         if (!user) return;
@@ -79,40 +110,9 @@ const AttendanceMarker = () => {
         fetchAttendanceStatus();
     }, [fetchAttendanceStatus]);
 
-    const handleMarkPresent = async (sessionType) => {
-        if (!user) return;
-        setLoading(prev => ({ ...prev, [sessionType]: true }));
-
-        try {
-            const today = new Date().toISOString().slice(0, 10);
-            const sessionTypeForDb = sessionType === 'morning' ? 'Morning' : 'Evening';
-            
-            const { data: sessionId, error: sessionError } = await supabase.rpc('get_or_create_session', {
-                p_date: today,
-                p_session_type: sessionTypeForDb
-            });
-            if (sessionError) throw sessionError;
-
-            const { error: upsertError } = await supabase
-                .from('attendance_records')
-                .upsert({
-                    session_id: sessionId,
-                    student_id: user.id,
-                    status: 'Present'
-                }, { onConflict: 'session_id, student_id' });
-            
-            if (upsertError) throw upsertError;
+    // Stable, so the scanner does not restart the camera whenever this card re-renders.
+    const closeScanner = useCallback(() => setIsScannerOpen(false), []);
 
-            toast.success(`Attendance marked for ${sessionType} session.`);
-            setAttendance(prev => ({ ...prev, [sessionType]: 'Present' }));
-
-        } catch (error) {
-            toast.error(`Failed to mark attendance: ${error.message}`);
-        } finally {
-            setLoading(prev => ({ ...prev, [sessionType]: false }));
-        }
-    };
-    
     return (
         <div className="bg-base-200/50 dark:bg-dark-base-300/30 p-6 rounded-2xl shadow-lg">
             <h2 className="text-xl font-bold mb-4">Today's Attendance</h2>
@@ -124,22 +124,27 @@ const AttendanceMarker = () => {
                         <SessionCard
                             sessionType="morning"
                             status={attendance.morning}
-                            loading={loading.morning}
-                            onMarkPresent={() => handleMarkPresent('morning')}
+                            sessionWindow={sessionWindows.morning}
+                            onScan={() => setIsScannerOpen(true)}
                         />
                         <SessionCard
                             sessionType="evening"
                             status={attendance.evening}
-                            loading={loading.evening}
-                            onMarkPresent={() => handleMarkPresent('evening')}
+                            sessionWindow={sessionWindows.evening}
+                            onScan={() => setIsScannerOpen(true)}
                         />
                     </>
                 )}
             </div>
             <div className="mt-4 p-3 bg-blue-500/10 text-blue-700 dark:text-blue-300 rounded-lg flex items-start text-sm">
                 <Info className="w-5 h-5 mr-3 mt-0.5 flex-shrink-0" />
-                <p>You can mark your attendance once per session. If marked incorrectly, please contact the hostel administration.</p>
+                <p>Scan the check-in QR code displayed by the warden during the session to mark yourself present. If marked incorrectly, please contact the hostel administration.</p>
             </div>
+            <QrCheckinScanner
+                isOpen={isScannerOpen}
+                onClose={closeScanner}
+                onCheckedIn={fetchAttendanceStatus}
+            />
         </div>
     );
 };
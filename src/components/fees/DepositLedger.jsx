@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import { supabase } from '../../lib/supabase';
+import { formatMoney, formatDate } from '../../lib/format';
+import toast from 'react-hot-toast';
+import { Loader, ShieldCheck } from 'lucide-react';
+
+const statusStyles = {
+    Pending: 'bg-yellow-500/10 text-yellow-600 dark:bg-yellow-500/20 dark:text-yellow-400',
+    Held: 'bg-green-500/10 text-green-600 dark:bg-green-500/20 dark:text-green-400',
+    Settled: 'bg-base-200 text-base-content-secondary dark:bg-dark-base-300',
+};
+
+// Money in (payments towards the deposit) and out (deductions and the refund), oldest first.
+function buildLedger(deposit) {
+    const entries = [];
+    (deposit.fees?.payments || []).forEach(payment => {
+        entries.push({
+            date: payment.paid_on,
+            description: `Collected${payment.receipt_number ? ` (${payment.receipt_number})` : ''}`,
+            credit: parseFloat(payment.amount) - parseFloat(payment.refunded_amount || 0),
+            debit: 0,
+        });
+    });
+    (deposit.deposit_deductions || []).forEach(deduction => {
+        entries.push({ date: deduction.created_at, description: `Deduction: ${deduction.description}`, credit: 0, debit: parseFloat(deduction.amount) });
+    });
+    if (deposit.status === 'Settled' && parseFloat(deposit.refund_amount) > 0) {
+        entries.push({
+            date: deposit.settled_at,
+            description: `Refunded (${deposit.refund_method}${deposit.refund_reference ? ` ${deposit.refund_reference}` : ''})`,
+            credit: 0,
+            debit: parseFloat(deposit.refund_amount),
+        });
+    }
+
+    let held = 0;
+    return entries
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .map(entry => {
+            // Damage beyond what is held is billed to the student as a separate fee.
+            const debit = Math.min(entry.debit, held + entry.credit);
+            const description = debit < entry.debit ? `${entry.description} (rest billed as a fee)` : entry.description;
+            held += entry.credit - debit;
+            return { ...entry, description, debit, held };
+        });
+}
+
+const DepositLedger = ({ studentId }) => {
+    const [deposits, setDeposits] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        const fetchDeposits = async () => {
+            setLoading(true);
+            const { data, error } = await supabase
+                .from('security_deposits')
+                .select('*, room_allocations(rooms(room_number)), fees!security_deposits_fee_id_fkey(amount_paid, balance, payments(amount, refunded_amount, paid_on, receipt_number)), deposit_deductions(*), profiles(full_name)')
+                .eq('student_id', studentId)
+                .order('created_at', { ascending: false });
+            if (error) {
+                toast.error(`Failed to fetch deposits: ${error.message}`);
+            } else {
+                setDeposits(data || []);
+            }
+            setLoading(false);
+        };
+        fetchDeposits();
+    }, [studentId]);
+
+    if (loading) {
+        return <div className="flex justify-center py-6"><Loader className="animate-spin h-6 w-6 text-primary" /></div>;
+    }
+
+    if (deposits.length === 0) {
+        return <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary">No security deposit has been raised for this student.</p>;
+    }
+
+    return (
+        <div className="space-y-6">
+            {deposits.map(deposit => {
+                const ledger = buildLedger(deposit);
+                return (
+                    <div key={deposit.id}>
+                        <div className="flex flex-wrap items-center gap-3 mb-3">
+                            <ShieldCheck className="w-5 h-5 text-primary" />
+                            <span className="font-semibold">{formatMoney(deposit.amount)} deposit</span>
+                            {deposit.room_allocations?.rooms?.room_number && (
+                                <span className="text-sm text-base-content-secondary">Room {deposit.room_allocations.rooms.room_number}</span>
+                            )}
+                            <span className="text-sm text-base-content-secondary">raised {formatDate(deposit.created_at)}</span>
+                            <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${statusStyles[deposit.status]}`}>{deposit.status}</span>
+                            {deposit.status === 'Pending' && parseFloat(deposit.fees?.balance) > 0 && (
+                                <span className="text-sm text-yellow-600">{formatMoney(deposit.fees.balance)} still to be paid</span>
+                            )}
+                        </div>
+                        {ledger.length > 0 ? (
+                            <table className="min-w-full">
+                                <thead className="border-b-2 border-base-200 dark:border-dark-base-300">
+                                    <tr>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Date</th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Entry</th>
+                                        <th className="px-4 py-3 text-right text-xs font-medium text-base-content-secondary uppercase">In</th>
+                                        <th className="px-4 py-3 text-right text-xs font-medium text-base-content-secondary uppercase">Out</th>
+                                        <th className="px-4 py-3 text-right text-xs font-medium text-base-content-secondary uppercase">Held</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {ledger.map((entry, index) => (
+                                        <tr key={index} className="border-b border-base-200 dark:border-dark-base-300 last:border-0">
+                                            <td className="px-4 py-3 text-sm">{formatDate(entry.date)}</td>
+                                            <td className="px-4 py-3 text-sm">{entry.description}</td>
+                                            <td className="px-4 py-3 text-sm text-right text-green-600">{entry.credit > 0 ? formatMoney(entry.credit) : ''}</td>
+                                            <td className="px-4 py-3 text-sm text-right text-red-500">{entry.debit > 0 ? formatMoney(entry.debit) : ''}</td>
+                                            <td className="px-4 py-3 text-sm text-right font-semibold">{formatMoney(entry.held)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        ) : (
+                            <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary">Nothing has been paid towards this deposit yet.</p>
+                        )}
+                        {deposit.status === 'Settled' && (
+                            <p className="mt-2 text-xs text-base-content-secondary dark:text-dark-base-content-secondary">
+                                Settled {formatDate(deposit.settled_at)} by {deposit.profiles?.full_name || 'N/A'}
+                                {parseFloat(deposit.damage_charges) > 0 && ` · damage charges ${formatMoney(deposit.damage_charges)}`}
+                                {deposit.settlement_notes && ` · ${deposit.settlement_notes}`}
+                            </p>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default DepositLedger;
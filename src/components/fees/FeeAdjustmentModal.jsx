@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import { supabase } from '../../lib/supabase';
+import { getFeeBalance } from '../../lib/fees';
+import { formatMoney, getCurrencySymbol } from '../../lib/format';
+import Modal from '../ui/Modal';
+import toast from 'react-hot-toast';
+import { Loader } from 'lucide-react';
+
+const adjustmentTypes = {
+    Waiver: 'Forgives part or all of the fee, e.g. a late fee or a hardship case.',
+    Concession: 'A standing discount such as a scholarship or staff-ward concession.',
+};
+
+const inputClassName = "mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm";
+
+// Reduces what a student owes on a fee without touching its payments.
+const FeeAdjustmentModal = ({ isOpen, onClose, fee, onSaved }) => {
+    const [adjustmentType, setAdjustmentType] = useState('Waiver');
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        if (isOpen) setAdjustmentType('Waiver');
+    }, [isOpen]);
+
+    if (!fee) return null;
+
+    const balance = getFeeBalance(fee);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        const formData = Object.fromEntries(new FormData(e.target).entries());
+
+        const { error } = await supabase.rpc('apply_fee_adjustment', {
+            p_fee_id: fee.id,
+            p_type: adjustmentType,
+            p_amount: parseFloat(formData.amount),
+            p_reason: formData.reason,
+        });
+
+        if (error) {
+            toast.error(error.message);
+        } else {
+            toast.success(`${adjustmentType} applied.`);
+            onSaved();
+            onClose();
+        }
+        setSaving(false);
+    };
+
+    return (
+        <Modal title="Waiver or Concession" isOpen={isOpen} onClose={onClose}>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="bg-base-200 dark:bg-dark-base-300 p-4 rounded-lg space-y-1 text-sm">
+                    <div className="flex justify-between"><span className="font-semibold">Student:</span> <span>{fee.students?.full_name || 'N/A'}</span></div>
+                    {fee.description && <div className="flex justify-between"><span className="font-semibold">Fee:</span> <span>{fee.description}</span></div>}
+                    <div className="flex justify-between"><span className="font-semibold">Outstanding Balance:</span> <span className="font-bold">{formatMoney(balance)}</span></div>
+                </div>
+                <div>
+                    <span className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Type</span>
+                    <div className="mt-1 grid grid-cols-2 gap-3">
+                        {Object.entries(adjustmentTypes).map(([type, hint]) => (
+                            <label key={type} className={`p-3 rounded-lg border cursor-pointer text-sm ${adjustmentType === type ? 'border-primary bg-primary/10' : 'border-base-300 dark:border-dark-base-300'}`}>
+                                <input type="radio" name="adjustment_type" value={type} checked={adjustmentType === type} onChange={() => setAdjustmentType(type)} className="sr-only" />
+                                <span className="font-semibold">{type}</span>
+                                <span className="block text-xs text-base-content-secondary dark:text-dark-base-content-secondary mt-1">{hint}</span>
+                            </label>
+                        ))}
+                    </div>
+                </div>
+                <div>
+                    <label htmlFor="amount" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Amount ({getCurrencySymbol()})</label>
+                    <input type="number" name="amount" id="amount" step="0.01" min="0.01" max={balance.toFixed(2)} defaultValue={balance.toFixed(2)} required className={inputClassName} />
+                </div>
+                <div>
+                    <label htmlFor="reason" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Reason</label>
+                    <input type="text" name="reason" id="reason" required placeholder={adjustmentType === 'Waiver' ? 'e.g. Late fee waived, medical leave' : 'e.g. Merit scholarship 2025-26'} className={inputClassName} />
+                </div>
+                <div className="flex justify-end pt-4 space-x-3">
+                    <button type="button" onClick={onClose} className="inline-flex justify-center py-2 px-4 border border-base-300 dark:border-dark-base-300 shadow-sm text-sm font-medium rounded-lg text-base-content dark:text-dark-base-content bg-base-100 dark:bg-dark-base-200 hover:bg-base-200 dark:hover:bg-dark-base-300">Cancel</button>
+                    <button type="submit" disabled={saving || balance <= 0} className="inline-flex justify-center items-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
+                        {saving && <Loader className="animate-spin h-4 w-4 mr-2" />}
+                        Apply {adjustmentType}
+                    </button>
+                </div>
+            </form>
+        </Modal>
+    );
+};
+
+export default FeeAdjustmentModal;
@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import { supabase } from '../../lib/supabase';
+import { formatMoney } from '../../lib/format';
+import Modal from '../ui/Modal';
+import toast from 'react-hot-toast';
+import { Loader, Plus, Trash2 } from 'lucide-react';
+
+const inputClassName = "block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm";
+
+const addMonths = (dateString, months) => {
+    const date = new Date(`${dateString}T00:00:00`);
+    date.setMonth(date.getMonth() + months);
+    return date.toISOString().split('T')[0];
+};
+
+// Splits `amount` into `count` parts, putting any rounding remainder on the last one.
+const splitEvenly = (amount, count, firstDueDate) => {
+    const cents = Math.round(amount * 100);
+    const share = Math.floor(cents / count);
+    return Array.from({ length: count }, (_, index) => ({
+        amount: ((index === count - 1 ? cents - share * (count - 1) : share) / 100).toFixed(2),
+        due_date: addMonths(firstDueDate, index),
+    }));
+};
+
+const InstallmentPlanModal = ({ isOpen, onClose, fee, installments, onSaved }) => {
+    const [rows, setRows] = useState([]);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        if (!isOpen || !fee) return;
+        if (installments.length > 0) {
+            setRows([...installments]
+                .sort((a, b) => a.installment_number - b.installment_number)
+                .map(i => ({ amount: parseFloat(i.amount).toFixed(2), due_date: i.due_date })));
+        } else {
+            setRows(splitEvenly(parseFloat(fee.amount), 2, fee.due_date));
+        }
+    }, [isOpen, fee, installments]);
+
+    if (!fee) return null;
+
+    const feeAmount = parseFloat(fee.amount);
+    const total = rows.reduce((sum, row) => sum + (parseFloat(row.amount) || 0), 0);
+    const matchesFee = Math.round(total * 100) === Math.round(feeAmount * 100);
+
+    const updateRow = (index, field, value) => {
+        setRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+    };
+
+    const save = async (installmentRows) => {
+        setSaving(true);
+        const { error } = await supabase.rpc('set_fee_installments', {
+            p_fee_id: fee.id,
+            p_installments: installmentRows.map(row => ({ amount: parseFloat(row.amount), due_date: row.due_date })),
+        });
+        if (error) {
+            toast.error(error.message);
+        } else {
+            toast.success(installmentRows.length > 0 ? 'Installment plan saved.' : 'Installment plan removed.');
+            onSaved();
+            onClose();
+        }
+        setSaving(false);
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        save(rows);
+    };
+
+    return (
+        <Modal title="Installment Plan" isOpen={isOpen} onClose={onClose}>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="flex items-center justify-between text-sm">
+                    <span className="text-base-content-secondary dark:text-dark-base-content-secondary">Split evenly into</span>
+                    <div className="flex gap-2">
+                        {[2, 3, 4, 6].map(count => (
+                            <button
+                                key={count}
+                                type="button"
+                                onClick={() => setRows(splitEvenly(feeAmount, count, rows[0]?.due_date || fee.due_date))}
+                                className="px-3 py-1 rounded-lg border border-base-300 dark:border-dark-base-300 hover:bg-base-200 dark:hover:bg-dark-base-300"
+                            >
+                                {count}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                <div className="space-y-2 max-h-72 overflow-y-auto">
+                    {rows.map((row, index) => (
+                        <div key={index} className="flex items-center gap-3">
+                            <span className="w-6 text-sm text-base-content-secondary">{index + 1}.</span>
+                            <input type="number" step="0.01" min="0.01" value={row.amount} onChange={(e) => updateRow(index, 'amount', e.target.value)} required className={inputClassName} aria-label={`Installment ${index + 1} amount`} />
+                            <input type="date" value={row.due_date} onChange={(e) => updateRow(index, 'due_date', e.target.value)} required className={inputClassName} aria-label={`Installment ${index + 1} due date`} />
+                            <button type="button" onClick={() => setRows(prev => prev.filter((_, i) => i !== index))} disabled={rows.length <= 1} className="p-2 text-red-500/70 hover:text-red-500 disabled:opacity-30">
+                                <Trash2 className="w-4 h-4" />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+
+                <button
+                    type="button"
+                    onClick={() => setRows(prev => [...prev, { amount: '', due_date: addMonths(prev[prev.length - 1]?.due_date || fee.due_date, 1) }])}
+                    className="inline-flex items-center text-sm font-medium text-primary hover:text-primary-focus"
+                >
+                    <Plus className="w-4 h-4 mr-1" /> Add installment
+                </button>
+
+                <div className={`text-sm font-medium ${matchesFee ? 'text-green-600' : 'text-red-500'}`}>
+                    Total {formatMoney(total)} of {formatMoney(feeAmount)}
+                    {!matchesFee && ' — installments must add up to the fee amount.'}
+                </div>
+
+                <div className="flex justify-between pt-4">
+                    {installments.length > 0 ? (
+                        <button type="button" onClick={() => save([])} disabled={saving} className="text-sm font-medium text-red-500 hover:text-red-600 disabled:opacity-50">Remove plan</button>
+                    ) : <span />}
+                    <div className="flex space-x-3">
+                        <button type="button" onClick={onClose} className="inline-flex justify-center py-2 px-4 border border-base-300 dark:border-dark-base-300 shadow-sm text-sm font-medium rounded-lg text-base-content dark:text-dark-base-content bg-base-100 dark:bg-dark-base-200 hover:bg-base-200 dark:hover:bg-dark-base-300">Cancel</button>
+                        <button type="submit" disabled={saving || !matchesFee} className="inline-flex justify-center items-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
+                            {saving && <Loader className="animate-spin h-4 w-4 mr-2" />}
+                            Save Plan
+                        </button>
+                    </div>
+                </div>
+            </form>
+        </Modal>
+    );
+};
+
+export default InstallmentPlanModal;
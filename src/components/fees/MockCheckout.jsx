@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { simulatePayment, fetchPaymentOrder } from '../../lib/payments';
+import { formatMoney } from '../../lib/format';
+import toast from 'react-hot-toast';
+import { Loader, CheckCircle, XCircle, Clock } from 'lucide-react';
+
+const outcomes = [
+    { value: 'success', label: 'Pay successfully', icon: CheckCircle, className: 'text-primary-content bg-primary hover:bg-primary-focus' },
+    { value: 'failure', label: 'Decline payment', icon: XCircle, className: 'text-white bg-red-500 hover:bg-red-600' },
+    { value: 'pending', label: 'Leave pending', icon: Clock, className: 'text-base-content dark:text-dark-base-content bg-base-200 dark:bg-dark-base-300 hover:bg-base-300' },
+];
+
+// Stands in for a real gateway's checkout page when the mock provider is configured.
+const MockCheckout = ({ order, onComplete }) => {
+    const [submitting, setSubmitting] = useState(null);
+
+    const handleOutcome = async (outcome) => {
+        setSubmitting(outcome);
+        try {
+            await simulatePayment(order.order_id, outcome);
+            onComplete(await fetchPaymentOrder(order.order_id));
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setSubmitting(null);
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="border-2 border-dashed border-base-300 dark:border-dark-base-300 rounded-lg p-4 text-center">
+                <p className="text-xs uppercase tracking-wider text-base-content-secondary">Mock payment gateway</p>
+                <p className="text-3xl font-heading font-bold mt-2">{formatMoney(order.amount, { currency: order.currency })}</p>
+                <p className="text-xs font-mono text-base-content-secondary mt-1">Order {order.order_id.substring(0, 8)}</p>
+            </div>
+            <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary">
+                Choose how the gateway should respond. The result is delivered to the app through a signed callback, just as a real provider would send it.
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                {outcomes.map(({ value, label, icon: Icon, className }) => (
+                    <button
+                        key={value}
+                        type="button"
+                        onClick={() => handleOutcome(value)}
+                        disabled={submitting !== null}
+                        className={`inline-flex justify-center items-center py-2 px-3 text-sm font-medium rounded-lg disabled:opacity-50 ${className}`}
+                    >
+                        {submitting === value ? <Loader className="animate-spin h-4 w-4 mr-2" /> : <Icon className="h-4 w-4 mr-2" />}
+                        {label}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default MockCheckout;
@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import { supabase } from '../../lib/supabase';
+import { getFeeBalance } from '../../lib/fees';
+import { formatMoney, getCurrencySymbol } from '../../lib/format';
+import Modal from '../ui/Modal';
+import toast from 'react-hot-toast';
+import { Loader } from 'lucide-react';
+
+const methods = ['Cash', 'Cheque', 'Bank Transfer'];
+
+const referenceLabels = {
+    Cheque: 'Cheque Number',
+    'Bank Transfer': 'Transaction / UTR Number',
+};
+
+const inputClassName = "mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm";
+
+// Records a payment taken at the hostel office against a single fee.
+const RecordPaymentModal = ({ isOpen, onClose, fee, onRecorded }) => {
+    const today = new Date().toISOString().split('T')[0];
+    const [method, setMethod] = useState('Cash');
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        if (isOpen) setMethod('Cash');
+    }, [isOpen]);
+
+    if (!fee) return null;
+
+    const balance = getFeeBalance(fee);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        const formData = Object.fromEntries(new FormData(e.target).entries());
+
+        const { data, error } = await supabase.rpc('record_manual_payment', {
+            p_fee_id: fee.id,
+            p_amount: parseFloat(formData.amount),
+            p_method: method,
+            p_reference_number: formData.reference_number || null,
+            p_paid_on: formData.paid_on,
+            p_notes: formData.notes || null,
+        });
+
+        if (error) {
+            toast.error(error.message);
+        } else {
+            toast.success(`Payment recorded. Receipt ${data.receipt_number}.`);
+            onRecorded(data);
+            onClose();
+        }
+        setSaving(false);
+    };
+
+    return (
+        <Modal title="Record Payment" isOpen={isOpen} onClose={onClose}>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="bg-base-200 dark:bg-dark-base-300 p-4 rounded-lg space-y-1 text-sm">
+                    <div className="flex justify-between"><span className="font-semibold">Student:</span> <span>{fee.students?.full_name || 'N/A'}</span></div>
+                    {fee.description && <div className="flex justify-between"><span className="font-semibold">Fee:</span> <span>{fee.description}</span></div>}
+                    <div className="flex justify-between"><span className="font-semibold">Outstanding Balance:</span> <span className="font-bold">{formatMoney(balance)}</span></div>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                    <div>
+                        <label htmlFor="amount" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Amount ({getCurrencySymbol()})</label>
+                        <input type="number" name="amount" id="amount" step="0.01" min="0.01" max={balance.toFixed(2)} defaultValue={balance.toFixed(2)} required className={inputClassName} />
+                    </div>
+                    <div>
+                        <label htmlFor="paid_on" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Payment Date</label>
+                        <input type="date" name="paid_on" id="paid_on" max={today} defaultValue={today} required className={inputClassName} />
+                    </div>
+                </div>
+                <div>
+                    <label htmlFor="method" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Method</label>
+                    <select id="method" value={method} onChange={(e) => setMethod(e.target.value)} className={inputClassName}>
+                        {methods.map(m => <option key={m}>{m}</option>)}
+                    </select>
+                </div>
+                {method !== 'Cash' && (
+                    <div>
+                        <label htmlFor="reference_number" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">{referenceLabels[method]}</label>
+                        <input type="text" name="reference_number" id="reference_number" required className={inputClassName} />
+                    </div>
+                )}
+                <div>
+                    <label htmlFor="notes" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Notes</label>
+                    <input type="text" name="notes" id="notes" placeholder="e.g. Paid by father at the office" className={inputClassName} />
+                </div>
+                <div className="flex justify-end pt-4 space-x-3">
+                    <button type="button" onClick={onClose} className="inline-flex justify-center py-2 px-4 border border-base-300 dark:border-dark-base-300 shadow-sm text-sm font-medium rounded-lg text-base-content dark:text-dark-base-content bg-base-100 dark:bg-dark-base-200 hover:bg-base-200 dark:hover:bg-dark-base-300">Cancel</button>
+                    <button type="submit" disabled={saving} className="inline-flex justify-center items-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
+                        {saving && <Loader className="animate-spin h-4 w-4 mr-2" />}
+                        Record Payment
+                    </button>
+                </div>
+            </form>
+        </Modal>
+    );
+};
+
+export default RecordPaymentModal;
@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from 'react';
+import { supabase } from '../../lib/supabase';
+import { refundPayment } from '../../lib/payments';
+import { formatMoney, getCurrencySymbol } from '../../lib/format';
+import Modal from '../ui/Modal';
+import toast from 'react-hot-toast';
+import { Loader } from 'lucide-react';
+
+const officeMethods = ['Cash', 'Cheque', 'Bank Transfer'];
+
+const inputClassName = "mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm";
+
+// Refunds all or part of a payment. Online payments go back through the payment gateway;
+// office payments are paid out by hand and only recorded here.
+const RefundModal = ({ isOpen, onClose, payment, onRefunded }) => {
+    const [method, setMethod] = useState('Cash');
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        if (isOpen) setMethod('Cash');
+    }, [isOpen]);
+
+    if (!payment) return null;
+
+    const isGatewayPayment = Boolean(payment.transaction_ref);
+    const refundable = parseFloat(payment.amount) - parseFloat(payment.refunded_amount || 0);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        const formData = Object.fromEntries(new FormData(e.target).entries());
+        const amount = parseFloat(formData.amount);
+
+        try {
+            if (isGatewayPayment) {
+                await refundPayment(payment.id, amount, formData.reason);
+            } else {
+                const { error } = await supabase.rpc('record_refund', {
+                    p_payment_id: payment.id,
+                    p_amount: amount,
+                    p_reason: formData.reason,
+                    p_method: method,
+                });
+                if (error) throw error;
+            }
+            toast.success(`Refund of ${formatMoney(amount)} recorded.`);
+            onRefunded();
+            onClose();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Modal title="Refund Payment" isOpen={isOpen} onClose={onClose}>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="bg-base-200 dark:bg-dark-base-300 p-4 rounded-lg space-y-1 text-sm">
+                    <div className="flex justify-between"><span className="font-semibold">Receipt No.:</span> <span className="font-mono">{payment.receipt_number || payment.id.substring(0, 8)}</span></div>
+                    <div className="flex justify-between"><span className="font-semibold">Paid:</span> <span>{formatMoney(payment.amount)} by {payment.payment_method || 'N/A'}</span></div>
+                    <div className="flex justify-between"><span className="font-semibold">Refundable:</span> <span className="font-bold">{formatMoney(refundable)}</span></div>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                    <div>
+                        <label htmlFor="amount" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Amount ({getCurrencySymbol()})</label>
+                        <input type="number" name="amount" id="amount" step="0.01" min="0.01" max={refundable.toFixed(2)} defaultValue={refundable.toFixed(2)} required className={inputClassName} />
+                    </div>
+                    <div>
+                        <label htmlFor="refund_method" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Refund Via</label>
+                        {isGatewayPayment ? (
+                            <input type="text" id="refund_method" value="Payment gateway" disabled className={`${inputClassName} opacity-70`} />
+                        ) : (
+                            <select id="refund_method" value={method} onChange={(e) => setMethod(e.target.value)} className={inputClassName}>
+                                {officeMethods.map(m => <option key={m}>{m}</option>)}
+                            </select>
+                        )}
+                    </div>
+                </div>
+                <div>
+                    <label htmlFor="reason" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Reason</label>
+                    <input type="text" name="reason" id="reason" required placeholder="e.g. Student withdrew before the term started" className={inputClassName} />
+                </div>
+                <p className="text-xs text-base-content-secondary dark:text-dark-base-content-secondary">The refund is recorded with you as the approving admin and re-opens the fee balance by the same amount.</p>
+                <div className="flex justify-end pt-4 space-x-3">
+                    <button type="button" onClick={onClose} className="inline-flex justify-center py-2 px-4 border border-base-300 dark:border-dark-base-300 shadow-sm text-sm font-medium rounded-lg text-base-content dark:text-dark-base-content bg-base-100 dark:bg-dark-base-200 hover:bg-base-200 dark:hover:bg-dark-base-300">Cancel</button>
+                    <button type="submit" disabled={saving} className="inline-flex justify-center items-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-lg text-white bg-red-600 hover:bg-red-700 disabled:opacity-50">
+                        {saving && <Loader className="animate-spin h-4 w-4 mr-2" />}
+                        Issue Refund
+                    </button>
+                </div>
+            </form>
+        </Modal>
+    );
+};
+
+export default RefundModal;
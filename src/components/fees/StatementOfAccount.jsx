@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+import { supabase } from '../../lib/supabase';
+import { fetchBranding, downloadStatementPDF } from '../../lib/feeDocuments';
+import toast from 'react-hot-toast';
+import { Loader, FileDown } from 'lucide-react';
+
+const inputClassName = "mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm";
+
+const startOfYear = () => `${new Date().getFullYear()}-01-01`;
+
+const StatementOfAccount = ({ studentId, studentName }) => {
+    const [from, setFrom] = useState(startOfYear);
+    const [to, setTo] = useState(() => new Date().toISOString().split('T')[0]);
+    const [downloading, setDownloading] = useState(false);
+
+    const handleDownload = async () => {
+        setDownloading(true);
+        try {
+            const [{ data: statement, error }, branding] = await Promise.all([
+                supabase.rpc('issue_statement', { p_student_id: studentId, p_from: from, p_to: to }),
+                fetchBranding(),
+            ]);
+            if (error) throw error;
+            downloadStatementPDF({ statement, studentName, branding });
+        } catch (error) {
+            toast.error(`Failed to generate statement: ${error.message}`);
+        } finally {
+            setDownloading(false);
+        }
+    };
+
+    return (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+            <div>
+                <label htmlFor="statement_from" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">From</label>
+                <input type="date" id="statement_from" value={from} max={to} onChange={(e) => setFrom(e.target.value)} className={inputClassName} />
+            </div>
+            <div>
+                <label htmlFor="statement_to" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">To</label>
+                <input type="date" id="statement_to" value={to} min={from} onChange={(e) => setTo(e.target.value)} className={inputClassName} />
+            </div>
+            <button onClick={handleDownload} disabled={downloading || !from || !to} className="inline-flex justify-center items-center py-2 px-4 text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
+                {downloading ? <Loader className="animate-spin h-4 w-4 mr-2" /> : <FileDown className="h-4 w-4 mr-2" />}
+                Download Statement
+            </button>
+        </div>
+    );
+};
+
+export default StatementOfAccount;
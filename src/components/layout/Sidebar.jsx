@@ -1,7 +1,7 @@
 import React from 'react';
 import { NavLink } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
-import { LayoutDashboard, Users, BedDouble, CircleDollarSign, UserCheck, Wrench, FileText, X, Megaphone, UsersRound, ClipboardCheck, User } from 'lucide-react';
+import { LayoutDashboard, Users, BedDouble, CircleDollarSign, UserCheck, Wrench, FileText, X, Megaphone, UsersRound, ClipboardCheck, User, CalendarOff, TreePalm, ChartColumn, Bell, Receipt, BellRing, ChartPie, Building2, ArrowLeftRight, WandSparkles } from 'lucide-react';
 import Logo from '../ui/Logo';
 
 const adminNavLinks = [
@@ -9,19 +9,30 @@ const adminNavLinks = [
     { icon: <User />, text: 'My Profile', path: '/profile' },
     { icon: <Users />, text: 'Students', path: '/students' },
     { icon: <BedDouble />, text: 'Rooms', path: '/rooms' },
+    { icon: <Building2 />, text: 'Buildings', path: '/buildings' },
     { icon: <UsersRound />, text: 'Allocation', path: '/allocation' },
+    { icon: <ArrowLeftRight />, text: 'Room Changes', path: '/room-changes' },
+    { icon: <WandSparkles />, text: 'Auto Allocation', path: '/auto-allocation' },
     { icon: <ClipboardCheck />, text: 'Attendance', path: '/attendance' },
+    { icon: <ChartColumn />, text: 'Attendance Analytics', path: '/attendance-analytics' },
+    { icon: <CalendarOff />, text: 'Leaves', path: '/leaves' },
+    { icon: <TreePalm />, text: 'Holidays', path: '/holidays' },
     { icon: <CircleDollarSign />, text: 'Fees', path: '/fees' },
+    { icon: <Receipt />, text: 'Fee Plans', path: '/fee-plans' },
+    { icon: <BellRing />, text: 'Fee Reminders', path: '/fee-reminders' },
     { icon: <UserCheck />, text: 'Visitors', path: '/visitors' },
     { icon: <Wrench />, text: 'Maintenance', path: '/maintenance' },
     { icon: <Megaphone />, text: 'Notices', path: '/notices' },
+    { icon: <Bell />, text: 'Notifications', path: '/notifications' },
     { icon: <FileText />, text: 'Reports', path: '/reports' },
+    { icon: <ChartPie />, text: 'Financial Reports', path: '/financial-reports' },
 ];
 
 const studentNavLinks = [
     { icon: <LayoutDashboard />, text: 'Dashboard', path: '/' },
     { icon: <User />, text: 'My Profile', path: '/profile' },
     { icon: <ClipboardCheck />, text: 'My Attendance', path: '/my-attendance' },
+    { icon: <CalendarOff />, text: 'My Leaves', path: '/leaves' },
     { icon: <BedDouble />, text: 'My Room', path: '/rooms' },
     { icon: <CircleDollarSign />, text: 'My Fees', path: '/fees' },
     { icon: <UserCheck />, text: 'My Visitors', path: '/visitors' },
@@ -33,7 +44,10 @@ const staffNavLinks = [
     { icon: <LayoutDashboard />, text: 'Dashboard', path: '/' },
     { icon: <User />, text: 'My Profile', path: '/profile' },
     { icon: <UsersRound />, text: 'Allocation', path: '/allocation' },
+    { icon: <ArrowLeftRight />, text: 'Room Changes', path: '/room-changes' },
     { icon: <ClipboardCheck />, text: 'Attendance', path: '/attendance' },
+    { icon: <ChartColumn />, text: 'Attendance Analytics', path: '/attendance-analytics' },
+    { icon: <CalendarOff />, text: 'Leaves', path: '/leaves' },
     { icon: <UserCheck />, text: 'Visitors', path: '/visitors' },
     { icon: <Wrench />, text: 'Maintenance', path: '/maintenance' },
     { icon: <Megaphone />, text: 'Notices', path: '/notices' },
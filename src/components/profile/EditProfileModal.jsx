@@ -8,7 +8,10 @@ const EditProfileModal = ({ isOpen, onClose, profile, onProfileUpdate }) => {
     const [formData, setFormData] = useState({
         full_name: '',
         contact: '',
-        course: ''
+        course: '',
+        guardian_name: '',
+        guardian_phone: '',
+        guardian_email: ''
     });
     const [loading, setLoading] = useState(false);
 
@@ -17,7 +20,10 @@ const EditProfileModal = ({ isOpen, onClose, profile, onProfileUpdate }) => {
             setFormData({
                 full_name: profile.full_name || '',
                 contact: profile.contact || '',
-                course: profile.course || ''
+                course: profile.course || '',
+                guardian_name: profile.guardian_name || '',
+                guardian_phone: profile.guardian_phone || '',
+                guardian_email: profile.guardian_email || ''
             });
         }
     }, [profile]);
@@ -36,7 +42,12 @@ const EditProfileModal = ({ isOpen, onClose, profile, onProfileUpdate }) => {
             .update({
                 full_name: formData.full_name,
                 contact: formData.contact,
-                course: formData.course
+                course: formData.course,
+                ...(profile.role === 'Student' && {
+                    guardian_name: formData.guardian_name || null,
+                    guardian_phone: formData.guardian_phone || null,
+                    guardian_email: formData.guardian_email || null
+                })
             })
             .eq('id', profile.id);
 
@@ -67,6 +78,26 @@ const EditProfileModal = ({ isOpen, onClose, profile, onProfileUpdate }) => {
                         <input type="text" name="course" id="course" value={formData.course} onChange={handleChange} required className="mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm" />
                     </div>
                 )}
+                {profile?.role === 'Student' && (
+                    <div className="pt-2 space-y-4">
+                        <h4 className="text-sm font-semibold text-base-content dark:text-dark-base-content">Parent / Guardian</h4>
+                        <div>
+                            <label htmlFor="guardian_name" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Name</label>
+                            <input type="text" name="guardian_name" id="guardian_name" value={formData.guardian_name} onChange={handleChange} className="mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm" />
+                        </div>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            <div>
+                                <label htmlFor="guardian_phone" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Phone</label>
+                                <input type="tel" name="guardian_phone" id="guardian_phone" value={formData.guardian_phone} onChange={handleChange} className="mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm" />
+                            </div>
+                            <div>
+                                <label htmlFor="guardian_email" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Email</label>
+                                <input type="email" name="guardian_email" id="guardian_email" value={formData.guardian_email} onChange={handleChange} className="mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm" />
+                            </div>
+                        </div>
+                        <p className="text-xs text-base-content-secondary">Your guardian is notified if you miss consecutive roll calls or your attendance drops too low.</p>
+                    </div>
+                )}
                 <div className="flex justify-end pt-4 space-x-3">
                     <button type="button" onClick={onClose} className="inline-flex justify-center py-2 px-4 border border-base-300 dark:border-dark-base-300 shadow-sm text-sm font-medium rounded-lg text-base-content dark:text-dark-base-content bg-base-100 dark:bg-dark-base-200 hover:bg-base-200 dark:hover:bg-dark-base-300">Cancel</button>
                     <button type="submit" disabled={loading} className="inline-flex justify-center items-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
@@ -0,0 +1,48 @@
+import React from 'react';
+import { getFloorLabel } from '../../lib/rooms';
+
+const selectClassName = "rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary text-sm";
+
+// Building, block and floor pickers; choosing a level clears the ones below it.
+const LocationFilter = ({ buildings, value, onChange, className = '' }) => {
+    const building = buildings.find(b => b.id === value.buildingId);
+    const block = building?.blocks.find(b => b.id === value.blockId);
+
+    if (buildings.length === 0) return null;
+
+    return (
+        <div className={`flex flex-wrap items-center gap-2 ${className}`}>
+            <select
+                aria-label="Building"
+                value={value.buildingId}
+                onChange={(e) => onChange({ buildingId: e.target.value, blockId: '', floorId: '' })}
+                className={selectClassName}
+            >
+                <option value="">All buildings</option>
+                {buildings.map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
+            </select>
+            <select
+                aria-label="Block"
+                value={value.blockId}
+                onChange={(e) => onChange({ ...value, blockId: e.target.value, floorId: '' })}
+                disabled={!building}
+                className={`${selectClassName} disabled:opacity-50`}
+            >
+                <option value="">All blocks</option>
+                {building?.blocks.map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
+            </select>
+            <select
+                aria-label="Floor"
+                value={value.floorId}
+                onChange={(e) => onChange({ ...value, floorId: e.target.value })}
+                disabled={!block}
+                className={`${selectClassName} disabled:opacity-50`}
+            >
+                <option value="">All floors</option>
+                {block?.floors.map(f => <option key={f.id} value={f.id}>{getFloorLabel(f)}</option>)}
+            </select>
+        </div>
+    );
+};
+
+export default LocationFilter;
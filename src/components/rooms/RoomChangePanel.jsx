@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { supabase } from '../../lib/supabase';
+import { formatDate } from '../../lib/format';
+import { useAuth } from '../../context/AuthContext';
+import RoomChangeRequestModal from './RoomChangeRequestModal';
+import { Loader, ArrowLeftRight, BedDouble, Check, X, Trash2 } from 'lucide-react';
+
+const statusStyles = {
+    Pending: 'bg-yellow-500/10 text-yellow-600 dark:bg-yellow-500/20 dark:text-yellow-400',
+    Approved: 'bg-green-500/10 text-green-600 dark:bg-green-500/20 dark:text-green-400',
+    Rejected: 'bg-red-500/10 text-red-500 dark:bg-red-500/20 dark:text-red-400',
+};
+
+const describeRequest = (request) => {
+    if (request.is_incoming) return `${request.other_student_name} wants to swap their Room ${request.from_room_number || '?'} for your room`;
+    if (request.other_student_name) return `Swap with ${request.other_student_name}${request.other_room_number ? ` (Room ${request.other_room_number})` : ''}`;
+    const preferences = [
+        request.preferred_room_number && `Room ${request.preferred_room_number}`,
+        request.preferred_block_name,
+    ].filter(Boolean);
+    return preferences.length > 0 ? `Move to ${preferences.join(', ')}` : 'Move to another room';
+};
+
+// A student's room, their room change requests and the swaps other students have asked them to join.
+const RoomChangePanel = ({ className = '' }) => {
+    const { user } = useAuth();
+    const [allocation, setAllocation] = useState(null);
+    const [requests, setRequests] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [respondingId, setRespondingId] = useState(null);
+
+    const fetchData = useCallback(async () => {
+        if (!user) return;
+        setLoading(true);
+        try {
+            const [allocationRes, requestsRes] = await Promise.all([
+                supabase
+                    .from('room_allocations')
+                    .select('id, room_id, rooms(room_number), beds(label)')
+                    .eq('student_id', user.id)
+                    .eq('is_active', true)
+                    .maybeSingle(),
+                supabase.rpc('get_my_room_change_requests'),
+            ]);
+            if (allocationRes.error) throw allocationRes.error;
+            if (requestsRes.error) throw requestsRes.error;
+            setAllocation(allocationRes.data);
+            setRequests(requestsRes.data || []);
+        } catch (error) {
+            toast.error(`Failed to fetch room change requests: ${error.message}`);
+        } finally {
+            setLoading(false);
+        }
+    }, [user]);
+
+    useEffect(() => {
+        fetchData();
+    }, [fetchData]);
+
+    const handleRespond = async (request, accept) => {
+        setRespondingId(request.id);
+        const { error } = await supabase.rpc('respond_to_room_swap', { p_request_id: request.id, p_accept: accept });
+        if (error) {
+            toast.error(error.message);
+        } else {
+            toast.success(accept ? 'You agreed to the swap. Staff will review it.' : 'Swap declined.');
+            fetchData();
+        }
+        setRespondingId(null);
+    };
+
+    const handleWithdraw = async (requestId) => {
+        if (!window.confirm('Are you sure you want to withdraw this room change request?')) return;
+        const { error } = await supabase.from('room_change_requests').delete().eq('id', requestId);
+        if (error) {
+            toast.error(error.message);
+        } else {
+            toast.success('Room change request withdrawn.');
+            fetchData();
+        }
+    };
+
+    const hasPendingRequest = requests.some(request => !request.is_incoming && request.status === 'Pending');
+
+    return (
+        <div className={`bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors ${className}`}>
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                <div className="flex items-center">
+                    <div className="p-2 bg-primary/10 text-primary rounded-full mr-4">
+                        <BedDouble size={20} />
+                    </div>
+                    <div>
+                        <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary">My Room</p>
+                        <p className="font-semibold">
+                            {loading ? '…' : allocation ? `Room ${allocation.rooms?.room_number}${allocation.beds ? ` · Bed ${allocation.beds.label}` : ''}` : 'No room allocated'}
+                        </p>
+                    </div>
+                </div>
+                <button
+                    onClick={() => setIsModalOpen(true)}
+                    disabled={loading || !allocation || hasPendingRequest}
+                    title={hasPendingRequest ? 'You already have a pending request.' : undefined}
+                    className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-lg shadow-sm text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50"
+                >
+                    <ArrowLeftRight className="w-4 h-4 mr-2" /> Request Room Change
+                </button>
+            </div>
+
+            {loading ? (
+                <div className="flex justify-center py-4"><Loader className="animate-spin" /></div>
+            ) : requests.length > 0 && (
+                <ul className="divide-y divide-base-200 dark:divide-dark-base-300">
+                    {requests.map(request => (
+                        <li key={request.id} className="py-3 flex flex-wrap items-start justify-between gap-3">
+                            <div className="min-w-0">
+                                <p className="font-medium">{describeRequest(request)}</p>
+                                <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary whitespace-pre-wrap">{request.reason}</p>
+                                <p className="text-xs text-base-content-secondary mt-1">
+                                    {formatDate(request.created_at)}
+                                    {request.status === 'Pending' && request.other_student_name && !request.is_incoming && (
+                                        request.swap_accepted_at ? ' · They agreed; waiting for staff' : ' · Waiting for them to agree'
+                                    )}
+                                </p>
+                                {request.review_note && <p className="mt-1 text-xs italic">Note: {request.review_note}</p>}
+                            </div>
+                            <div className="flex items-center gap-2">
+                                <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${statusStyles[request.status]}`}>
+                                    {request.status}
+                                </span>
+                                {request.is_incoming && request.status === 'Pending' && !request.swap_accepted_at && (
+                                    <>
+                                        <button onClick={() => handleRespond(request, true)} disabled={respondingId === request.id} className="p-2 text-green-600/70 hover:text-green-600 dark:text-green-400/70 dark:hover:text-green-400 transition-colors disabled:opacity-50" title="Agree to swap">
+                                            <Check className="w-5 h-5" />
+                                        </button>
+                                        <button onClick={() => handleRespond(request, false)} disabled={respondingId === request.id} className="p-2 text-red-500/70 hover:text-red-500 transition-colors disabled:opacity-50" title="Decline swap">
+                                            <X className="w-5 h-5" />
+                                        </button>
+                                    </>
+                                )}
+                                {!request.is_incoming && request.status === 'Pending' && (
+                                    <button onClick={() => handleWithdraw(request.id)} className="p-2 text-red-500/70 hover:text-red-500 transition-colors" title="Withdraw">
+                                        <Trash2 className="w-5 h-5" />
+                                    </button>
+                                )}
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <RoomChangeRequestModal
+                isOpen={isModalOpen}
+                onClose={() => setIsModalOpen(false)}
+                currentRoomId={allocation?.room_id}
+                onSubmitted={() => { setIsModalOpen(false); fetchData(); }}
+            />
+        </div>
+    );
+};
+
+export default RoomChangePanel;
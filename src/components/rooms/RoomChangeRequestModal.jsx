@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { supabase } from '../../lib/supabase';
+import { ROOM_LOCATION_SELECT, formatRoomLocation } from '../../lib/rooms';
+import { useRoomHierarchy } from '../../hooks/useRoomHierarchy';
+import Modal from '../ui/Modal';
+import SegmentedControl from '../ui/SegmentedControl';
+import { Loader } from 'lucide-react';
+
+const inputClassName = "mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm";
+const labelClassName = "block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary";
+
+const kindOptions = [
+    { label: 'Move to another room', value: 'move' },
+    { label: 'Swap with a student', value: 'swap' },
+];
+
+const RoomChangeRequestModal = ({ isOpen, onClose, currentRoomId, onSubmitted }) => {
+    const { buildings } = useRoomHierarchy();
+    const [rooms, setRooms] = useState([]);
+    const [kind, setKind] = useState('move');
+    const [blockId, setBlockId] = useState('');
+    const [formLoading, setFormLoading] = useState(false);
+
+    useEffect(() => {
+        if (!isOpen) return;
+        const fetchRooms = async () => {
+            const { data, error } = await supabase
+                .from('rooms')
+                .select(`id, room_number, status, ${ROOM_LOCATION_SELECT}`)
+                .neq('status', 'Maintenance')
+                .order('room_number');
+            if (error) {
+                toast.error(`Failed to fetch rooms: ${error.message}`);
+            } else {
+                setRooms((data || []).filter(room => room.id !== currentRoomId));
+            }
+        };
+        fetchRooms();
+    }, [isOpen, currentRoomId]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const formData = new FormData(e.target);
+        setFormLoading(true);
+        const { error } = await supabase.rpc('request_room_change', {
+            p_preferred_room_id: kind === 'move' ? formData.get('preferred_room_id') || null : null,
+            p_preferred_block_id: kind === 'move' ? blockId || null : null,
+            p_swap_with_email: kind === 'swap' ? formData.get('swap_with_email') : null,
+            p_reason: formData.get('reason'),
+        });
+        if (error) {
+            toast.error(error.message);
+        } else {
+            toast.success(kind === 'swap' ? 'Swap request sent. The other student has to agree before staff can approve it.' : 'Room change request submitted.');
+            setBlockId('');
+            onSubmitted();
+        }
+        setFormLoading(false);
+    };
+
+    const blockRooms = blockId ? rooms.filter(room => room.floor?.block.id === blockId) : rooms;
+
+    return (
+        <Modal title="Request a Room Change" isOpen={isOpen} onClose={onClose}>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <SegmentedControl options={kindOptions} value={kind} onChange={setKind} size="md" />
+                {kind === 'move' ? (
+                    <>
+                        {buildings.length > 0 && (
+                            <div>
+                                <label htmlFor="preferred_block_id" className={labelClassName}>Preferred Block (optional)</label>
+                                <select id="preferred_block_id" value={blockId} onChange={(e) => setBlockId(e.target.value)} className={inputClassName}>
+                                    <option value="">Any block</option>
+                                    {buildings.map(building => (
+                                        <optgroup key={building.id} label={building.name}>
+                                            {building.blocks.map(block => <option key={block.id} value={block.id}>{block.name}</option>)}
+                                        </optgroup>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+                        <div>
+                            <label htmlFor="preferred_room_id" className={labelClassName}>Preferred Room (optional)</label>
+                            <select id="preferred_room_id" name="preferred_room_id" key={blockId} defaultValue="" className={inputClassName}>
+                                <option value="">Any room</option>
+                                {blockRooms.map(room => (
+                                    <option key={room.id} value={room.id}>Room {room.room_number}{room.floor ? ` — ${formatRoomLocation(room)}` : ''}</option>
+                                ))}
+                            </select>
+                        </div>
+                    </>
+                ) : (
+                    <div>
+                        <label htmlFor="swap_with_email" className={labelClassName}>Their Email</label>
+                        <input type="email" name="swap_with_email" id="swap_with_email" required placeholder="The email they use for the hostel" className={inputClassName} />
+                        <p className="mt-1 text-xs text-base-content-secondary">You take their room and bed and they take yours, once they agree and staff approve.</p>
+                    </div>
+                )}
+                <div>
+                    <label htmlFor="reason" className={labelClassName}>Reason</label>
+                    <textarea name="reason" id="reason" rows="4" required className={inputClassName}></textarea>
+                </div>
+                <div className="flex justify-end pt-4 space-x-3">
+                    <button type="button" onClick={onClose} className="inline-flex justify-center py-2 px-4 border border-base-300 dark:border-dark-base-300 shadow-sm text-sm font-medium rounded-lg text-base-content dark:text-dark-base-content bg-base-100 dark:bg-dark-base-200 hover:bg-base-200 dark:hover:bg-dark-base-300">Cancel</button>
+                    <button type="submit" disabled={formLoading} className="inline-flex justify-center items-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
+                        {formLoading && <Loader className="animate-spin h-4 w-4 mr-2" />}
+                        Submit Request
+                    </button>
+                </div>
+            </form>
+        </Modal>
+    );
+};
+
+export default RoomChangeRequestModal;
@@ -0,0 +1,70 @@
+import React, { useState, useEffect } from 'react';
+import { supabase } from '../../lib/supabase';
+import { formatDate } from '../../lib/format';
+import toast from 'react-hot-toast';
+import { Loader } from 'lucide-react';
+
+// Every allocation the student has had, newest first. Moves and swaps close the old allocation
+// instead of deleting it.
+const RoomHistory = ({ studentId }) => {
+    const [allocations, setAllocations] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        const fetchAllocations = async () => {
+            setLoading(true);
+            const { data, error } = await supabase
+                .from('room_allocations')
+                .select('id, start_date, end_date, is_active, rooms(room_number), beds(label)')
+                .eq('student_id', studentId)
+                .order('start_date', { ascending: false });
+            if (error) {
+                toast.error(`Failed to fetch room history: ${error.message}`);
+                setAllocations([]);
+            } else {
+                setAllocations(data || []);
+            }
+            setLoading(false);
+        };
+        fetchAllocations();
+    }, [studentId]);
+
+    if (loading) {
+        return <div className="flex justify-center py-6"><Loader className="animate-spin" /></div>;
+    }
+
+    if (allocations.length === 0) {
+        return <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary">No rooms allocated yet.</p>;
+    }
+
+    return (
+        <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+                <thead>
+                    <tr className="text-left text-xs uppercase tracking-wider text-base-content-secondary dark:text-dark-base-content-secondary">
+                        <th className="py-2 pr-4">Room</th>
+                        <th className="py-2 pr-4">Bed</th>
+                        <th className="py-2 pr-4">From</th>
+                        <th className="py-2">To</th>
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-base-200 dark:divide-dark-base-300">
+                    {allocations.map(allocation => (
+                        <tr key={allocation.id}>
+                            <td className="py-2 pr-4 font-medium">Room {allocation.rooms?.room_number || '—'}</td>
+                            <td className="py-2 pr-4">{allocation.beds?.label || '—'}</td>
+                            <td className="py-2 pr-4">{formatDate(allocation.start_date)}</td>
+                            <td className="py-2">
+                                {allocation.is_active
+                                    ? <span className="text-green-600 dark:text-green-400 font-medium">Current</span>
+                                    : formatDate(allocation.end_date)}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default RoomHistory;
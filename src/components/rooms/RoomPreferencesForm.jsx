@@ -0,0 +1,128 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { supabase } from '../../lib/supabase';
+import { formatDate } from '../../lib/format';
+import { useRoomHierarchy } from '../../hooks/useRoomHierarchy';
+import { Loader, Save, WandSparkles } from 'lucide-react';
+
+const inputClassName = "mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm";
+const labelClassName = "block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary";
+
+const roomTypes = ['Single', 'Double', 'Triple'];
+
+const emptyPreferences = { preferred_room_type: '', preferred_block_id: '', roommate_email: '', notes: '' };
+
+// What a student would like from their next allocation. Staff use it when they generate an allocation plan.
+const RoomPreferencesForm = ({ className = '' }) => {
+    const { buildings } = useRoomHierarchy();
+    const [preferences, setPreferences] = useState(emptyPreferences);
+    const [updatedAt, setUpdatedAt] = useState(null);
+    const [roommateName, setRoommateName] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [formLoading, setFormLoading] = useState(false);
+
+    const fetchPreferences = useCallback(async () => {
+        setLoading(true);
+        const { data, error } = await supabase.rpc('get_my_allocation_preferences');
+        if (error) {
+            toast.error(`Failed to fetch room preferences: ${error.message}`);
+        } else {
+            const row = data?.[0];
+            setPreferences(row ? {
+                preferred_room_type: row.preferred_room_type || '',
+                preferred_block_id: row.preferred_block_id || '',
+                roommate_email: row.roommate_email || '',
+                notes: row.notes || '',
+            } : emptyPreferences);
+            setRoommateName(row?.roommate_name || null);
+            setUpdatedAt(row?.updated_at || null);
+        }
+        setLoading(false);
+    }, []);
+
+    useEffect(() => {
+        fetchPreferences();
+    }, [fetchPreferences]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setPreferences(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setFormLoading(true);
+        const { error } = await supabase.rpc('set_allocation_preferences', {
+            p_room_type: preferences.preferred_room_type || null,
+            p_block_id: preferences.preferred_block_id || null,
+            p_roommate_email: preferences.roommate_email || null,
+            p_notes: preferences.notes || null,
+        });
+        if (error) {
+            toast.error(error.message);
+        } else {
+            toast.success('Room preferences saved.');
+            fetchPreferences();
+        }
+        setFormLoading(false);
+    };
+
+    return (
+        <div className={`bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors ${className}`}>
+            <div className="flex items-center mb-4">
+                <div className="p-2 bg-primary/10 text-primary rounded-full mr-4">
+                    <WandSparkles size={20} />
+                </div>
+                <div>
+                    <h2 className="text-xl font-bold">Room Preferences</h2>
+                    <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary">
+                        Staff try to meet these when rooms are allocated. They are not guaranteed.
+                        {updatedAt && ` Last saved ${formatDate(updatedAt)}.`}
+                    </p>
+                </div>
+            </div>
+
+            {loading ? (
+                <div className="flex justify-center py-4"><Loader className="animate-spin" /></div>
+            ) : (
+                <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                        <label htmlFor="preferred_room_type" className={labelClassName}>Room Type</label>
+                        <select id="preferred_room_type" name="preferred_room_type" value={preferences.preferred_room_type} onChange={handleChange} className={inputClassName}>
+                            <option value="">No preference</option>
+                            {roomTypes.map(type => <option key={type} value={type}>{type}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="preferred_block_id" className={labelClassName}>Block</label>
+                        <select id="preferred_block_id" name="preferred_block_id" value={preferences.preferred_block_id} onChange={handleChange} className={inputClassName}>
+                            <option value="">No preference</option>
+                            {buildings.map(building => (
+                                <optgroup key={building.id} label={building.name}>
+                                    {building.blocks.map(block => <option key={block.id} value={block.id}>{block.name}</option>)}
+                                </optgroup>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="roommate_email" className={labelClassName}>Roommate&apos;s Email</label>
+                        <input type="email" id="roommate_email" name="roommate_email" value={preferences.roommate_email} onChange={handleChange} placeholder="Leave empty for no request" className={inputClassName} />
+                        {roommateName && <p className="mt-1 text-xs text-base-content-secondary">Requested: {roommateName}. You are most likely to share if they request you too.</p>}
+                    </div>
+                    <div>
+                        <label htmlFor="notes" className={labelClassName}>Notes</label>
+                        <input type="text" id="notes" name="notes" value={preferences.notes} onChange={handleChange} placeholder="e.g. ground floor, quiet room" className={inputClassName} />
+                    </div>
+                    <div className="md:col-span-2 flex justify-end">
+                        <button type="submit" disabled={formLoading} className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-lg shadow-sm text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
+                            {formLoading ? <Loader className="animate-spin h-4 w-4 mr-2" /> : <Save className="w-4 h-4 mr-2" />}
+                            Save Preferences
+                        </button>
+                    </div>
+                </form>
+            )}
+        </div>
+    );
+};
+
+export default RoomPreferencesForm;
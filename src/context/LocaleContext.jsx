@@ -0,0 +1,50 @@
+import React, { createContext, useState, useEffect, useContext, useCallback } from 'react';
+import { supabase } from '../lib/supabase';
+import { useAuth } from './AuthContext';
+import { configureFormatting, getCurrency, getLocale } from '../lib/format';
+
+const LocaleContext = createContext(null);
+
+export const LocaleProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [settings, setSettings] = useState({ currency: getCurrency(), locale: getLocale() });
+  const [loadedFor, setLoadedFor] = useState(null);
+  const userId = user?.id ?? null;
+
+  const refreshLocale = useCallback(async () => {
+    const { data, error } = await supabase
+      .from('finance_settings')
+      .select('currency, locale')
+      .maybeSingle();
+    if (error) {
+      console.error('Error loading currency settings:', error);
+    } else if (data) {
+      configureFormatting(data);
+      setSettings({ currency: getCurrency(), locale: getLocale() });
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!userId) return;
+    refreshLocale().finally(() => setLoadedFor(userId));
+  }, [userId, refreshLocale]);
+
+  // The formatters in lib/format read the settings directly, so signed-in screens wait for the
+  // first load instead of rendering with the defaults. Later changes reach each screen on its
+  // next render; nothing is remounted.
+  const ready = !userId || loadedFor === userId;
+
+  return (
+    <LocaleContext.Provider value={{ ...settings, refreshLocale }}>
+      {ready && children}
+    </LocaleContext.Provider>
+  );
+};
+
+export const useLocale = () => {
+  const context = useContext(LocaleContext);
+  if (!context) {
+    throw new Error('useLocale must be used within a LocaleProvider');
+  }
+  return context;
+};
@@ -0,0 +1,45 @@
+import { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { getQueuedSubmissions, getSyncConflicts, syncAttendanceQueue } from '../lib/attendanceQueue';
+
+export function useAttendanceSync() {
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [pending, setPending] = useState(getQueuedSubmissions);
+  const [conflicts, setConflicts] = useState(getSyncConflicts);
+  const [syncing, setSyncing] = useState(false);
+
+  const syncNow = useCallback(async () => {
+    if (!navigator.onLine || getQueuedSubmissions().length === 0) return;
+    setSyncing(true);
+    const result = await syncAttendanceQueue();
+    setSyncing(false);
+
+    if (result.synced > 0) toast.success(`Synced ${result.synced} offline attendance record(s).`);
+    if (result.conflicts > 0) toast.error(`${result.conflicts} record(s) were changed by someone else. Please review them.`);
+  }, []);
+
+  useEffect(() => {
+    const refresh = () => {
+      setPending(getQueuedSubmissions());
+      setConflicts(getSyncConflicts());
+    };
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncNow();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('attendance-queue-changed', refresh);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    syncNow();
+
+    return () => {
+      window.removeEventListener('attendance-queue-changed', refresh);
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [syncNow]);
+
+  return { isOnline, pending, conflicts, syncing, syncNow };
+}
@@ -0,0 +1,36 @@
+import { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { supabase } from '../lib/supabase';
+
+// Buildings with their blocks and floors, sorted for menus and filters.
+export function useRoomHierarchy() {
+  const [buildings, setBuildings] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    const { data, error } = await supabase
+      .from('buildings')
+      .select('id, name, address, blocks(id, name, gender_restriction, min_year, max_year, floors(id, level, name, plan_columns, plan_rows))')
+      .order('name');
+
+    if (error) {
+      toast.error(`Failed to fetch buildings: ${error.message}`);
+      setBuildings([]);
+    } else {
+      setBuildings((data || []).map((building) => ({
+        ...building,
+        blocks: [...building.blocks]
+          .sort((a, b) => a.name.localeCompare(b.name))
+          .map((block) => ({ ...block, floors: [...block.floors].sort((a, b) => a.level - b.level) })),
+      })));
+    }
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { buildings, loading, refresh };
+}
@@ -0,0 +1,170 @@
+import { getFreeBeds, getBlockRestrictionError } from './rooms';
+
+// Batch allocation planning for the Auto Allocation screen. Everything here runs in the browser
+// on data the page has already loaded; nothing is saved until the plan is committed through
+// `commit_allocation_plan`, which re-checks every allocation.
+//
+// - `students` come from get_unallocated_students (id, full_name, gender, year_of_study, course).
+// - `preferences` maps a student id to their allocation_preferences row.
+// - `rooms` are fetched with `beds(id, label)` and ROOM_LOCATION_SELECT.
+// - `occupants` maps a room id to its active allocations, each with
+//   `students(id, gender, course, year_of_study)`.
+// A plan is a list of { studentId, roomId } entries; beds are handed out by assignBeds().
+
+const SCORES = {
+  roomType: 5,
+  block: 3,
+  roommate: 6,
+  sameCourse: 2,
+  sameYear: 1,
+  fillsRoom: 1,
+};
+
+const hasGenderClash = (people, student) => Boolean(student.gender)
+  && people.some((person) => person.gender && person.gender !== student.gender);
+
+function scoreRoom(slot, unit, preferences) {
+  let score = slot.members.length > 0 ? SCORES.fillsRoom : 0;
+  unit.forEach((student) => {
+    const preference = preferences[student.id] || {};
+    if (preference.preferred_room_type && preference.preferred_room_type === slot.room.type) score += SCORES.roomType;
+    if (preference.preferred_block_id && preference.preferred_block_id === slot.room.floor?.block.id) score += SCORES.block;
+    slot.members.forEach((member) => {
+      if (preference.roommate_student_id === member.id || preferences[member.id]?.roommate_student_id === student.id) {
+        score += SCORES.roommate;
+      }
+      if (student.course && member.course === student.course) score += SCORES.sameCourse;
+      if (student.year_of_study && member.year_of_study === student.year_of_study) score += SCORES.sameYear;
+    });
+  });
+  return score;
+}
+
+function canHost(slot, unit, singleGenderRooms) {
+  if (slot.free < unit.length) return false;
+  const people = [...slot.members];
+  return unit.every((student) => {
+    if (getBlockRestrictionError(slot.room.floor?.block, student)) return false;
+    if (singleGenderRooms && hasGenderClash(people, student)) return false;
+    people.push(student);
+    return true;
+  });
+}
+
+// Students who asked for each other are placed together when a room has space for both.
+function buildUnits(students, preferences) {
+  const byId = new Map(students.map((student) => [student.id, student]));
+  const grouped = new Set();
+  const units = [];
+  students.forEach((student) => {
+    if (grouped.has(student.id)) return;
+    const mate = byId.get(preferences[student.id]?.roommate_student_id);
+    if (mate && !grouped.has(mate.id) && preferences[mate.id]?.roommate_student_id === student.id) {
+      units.push([student, mate]);
+      grouped.add(mate.id);
+    } else {
+      units.push([student]);
+    }
+    grouped.add(student.id);
+  });
+  return units;
+}
+
+// Greedy plan: pairs first, then the students with the fewest eligible rooms, each into the
+// eligible room that best meets their preferences. Returns { entries, unplaced } where unplaced
+// is a list of { studentId, reason }.
+export function proposeAllocationPlan({ students, preferences = {}, rooms, occupants = {}, singleGenderRooms = true }) {
+  const slots = rooms
+    .filter((room) => room.status !== 'Maintenance')
+    .map((room) => ({
+      room,
+      free: getFreeBeds(room, occupants[room.id]).length,
+      members: (occupants[room.id] || []).map((allocation) => allocation.students).filter(Boolean),
+    }));
+
+  const optionCount = (unit) => slots.filter((slot) => canHost(slot, unit, singleGenderRooms)).length;
+  const queue = buildUnits(students, preferences)
+    .map((unit) => ({ unit, options: optionCount(unit) }))
+    .sort((a, b) => b.unit.length - a.unit.length || a.options - b.options)
+    .map(({ unit }) => unit);
+
+  const entries = [];
+  const unplaced = [];
+
+  while (queue.length > 0) {
+    const unit = queue.shift();
+    let best = null;
+    let bestScore = -1;
+    slots.forEach((slot) => {
+      if (!canHost(slot, unit, singleGenderRooms)) return;
+      const score = scoreRoom(slot, unit, preferences);
+      if (score > bestScore) {
+        best = slot;
+        bestScore = score;
+      }
+    });
+
+    if (best) {
+      best.free -= unit.length;
+      best.members.push(...unit);
+      unit.forEach((student) => entries.push({ studentId: student.id, roomId: best.room.id }));
+    } else if (unit.length > 1) {
+      // No room has space for the pair; try them one at a time.
+      queue.unshift(...unit.map((student) => [student]));
+    } else {
+      const [student] = unit;
+      const eligible = slots.some((slot) => !getBlockRestrictionError(slot.room.floor?.block, student));
+      unplaced.push({
+        studentId: student.id,
+        reason: eligible ? 'Every room they can live in is full.' : 'No room in scope fits their gender or year of study.',
+      });
+    }
+  }
+
+  return { entries, unplaced };
+}
+
+// Beds for each entry: the room's free beds in label order, in plan order. Entries past the
+// room's free beds get none (checkPlan reports them).
+export function assignBeds(entries, roomsById, occupants = {}) {
+  const remaining = {};
+  return Object.fromEntries(entries.map(({ studentId, roomId }) => {
+    if (!remaining[roomId]) remaining[roomId] = getFreeBeds(roomsById.get(roomId), occupants[roomId]);
+    return [studentId, remaining[roomId].shift() || null];
+  }));
+}
+
+// Problems that would stop the plan from committing (or, for mixed genders, that the planner
+// avoids), keyed by student id.
+export function checkPlan({ entries, studentsById, roomsById, occupants = {}, singleGenderRooms = true }) {
+  const problems = {};
+  const beds = assignBeds(entries, roomsById, occupants);
+  const people = {};
+  entries.forEach(({ studentId, roomId }) => {
+    const room = roomsById.get(roomId);
+    const student = studentsById.get(studentId);
+    if (!people[roomId]) people[roomId] = (occupants[roomId] || []).map((allocation) => allocation.students).filter(Boolean);
+
+    if (room.status === 'Maintenance') {
+      problems[studentId] = `Room ${room.room_number} is under maintenance.`;
+    } else if (!beds[studentId]) {
+      problems[studentId] = `Room ${room.room_number} has no free bed left for them.`;
+    } else if (getBlockRestrictionError(room.floor?.block, student)) {
+      problems[studentId] = getBlockRestrictionError(room.floor?.block, student);
+    } else if (singleGenderRooms && hasGenderClash(people[roomId], student)) {
+      problems[studentId] = `Room ${room.room_number} would mix genders.`;
+    }
+    people[roomId].push(student);
+  });
+  return problems;
+}
+
+// Which of the student's preferences their planned room meets, e.g. ['Double', 'Block A'].
+export function getMetPreferences(preference, room, roommateRoomId) {
+  if (!preference || !room) return [];
+  return [
+    preference.preferred_room_type && preference.preferred_room_type === room.type && room.type,
+    preference.preferred_block_id && preference.preferred_block_id === room.floor?.block.id && room.floor.block.name,
+    preference.roommate_student_id && roommateRoomId === room.id && 'Roommate',
+  ].filter(Boolean);
+}
@@ -0,0 +1,87 @@
+import { supabase } from './supabase';
+
+// Statuses that count towards a student's attendance percentage.
+// Holidays are excluded so that a hostel-wide break never lowers anyone's percentage.
+export const COUNTED_STATUSES = ['Present', 'Late', 'Absent', 'Leave'];
+
+// Late arrivals were still in the hostel, so they count as attended.
+const ATTENDED_STATUSES = ['Present', 'Late'];
+
+export function summarizeAttendance(statuses) {
+  const counts = { Present: 0, Late: 0, Absent: 0, Leave: 0, Holiday: 0 };
+  statuses.forEach((status) => {
+    counts[status] = (counts[status] || 0) + 1;
+  });
+
+  const counted = COUNTED_STATUSES.reduce((total, status) => total + counts[status], 0);
+  const attended = ATTENDED_STATUSES.reduce((total, status) => total + counts[status], 0);
+
+  return {
+    ...counts,
+    counted,
+    percentage: counted > 0 ? Math.round((attended / counted) * 100) : null,
+  };
+}
+
+const PAGE_SIZE = 1000;
+
+// PostgREST caps each response, so page through the records for larger date ranges.
+export async function fetchAttendanceRecords(sessionIds, columns = 'session_id, student_id, status') {
+  if (sessionIds.length === 0) return [];
+
+  const records = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('attendance_records')
+      .select(columns)
+      .in('session_id', sessionIds)
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    records.push(...data);
+    if (data.length < PAGE_SIZE) break;
+  }
+  return records;
+}
+
+// QR check-in codes carry this prefix so that scanning an unrelated QR code gives a clear error.
+export const CHECKIN_QR_PREFIX = 'SMARTHOSTEL-CHECKIN:';
+
+export function parseCheckinToken(value) {
+  const text = (value || '').trim();
+  const token = text.startsWith(CHECKIN_QR_PREFIX) ? text.slice(CHECKIN_QR_PREFIX.length) : text;
+  return /^[0-9a-f]{8}$/i.test(token) ? token.toUpperCase() : null;
+}
+
+// Minutes since midnight in `timeZone`, so the app agrees with the server whatever the device's zone.
+function minutesInTimeZone(date, timeZone) {
+  try {
+    const parts = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).formatToParts(date);
+    const part = (type) => Number(parts.find((p) => p.type === type).value);
+    return part('hour') * 60 + part('minute');
+  } catch {
+    return date.getHours() * 60 + date.getMinutes();
+  }
+}
+
+// Session windows store times as 'HH:MM:SS' local to the window's `timezone` (see
+// attendance_checkin_status() in the database, which has the final say).
+export function getCheckinState(sessionWindow, now = new Date()) {
+  if (!sessionWindow) return 'open';
+
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  const current = sessionWindow.timezone ? minutesInTimeZone(now, sessionWindow.timezone) : now.getHours() * 60 + now.getMinutes();
+  const opens = toMinutes(sessionWindow.opens_at);
+  const closes = toMinutes(sessionWindow.closes_at);
+
+  if (current < opens) return 'not_open';
+  if (current <= closes) return 'open';
+  if (current <= closes + sessionWindow.grace_minutes) return 'late';
+  return 'closed';
+}
+
+export const formatSessionTime = (time) => time.slice(0, 5);
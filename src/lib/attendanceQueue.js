@@ -0,0 +1,159 @@
+import { supabase } from './supabase';
+
+// Attendance edits made without a connection are kept in localStorage (which the
+// Capacitor WebView persists across app restarts) and replayed once we are back online.
+const QUEUE_KEY = 'attendanceSyncQueue';
+const CONFLICTS_KEY = 'attendanceSyncConflicts';
+const STUDENTS_KEY = 'attendanceStudentsCache';
+
+const read = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const write = (key, value) => {
+  localStorage.setItem(key, JSON.stringify(value));
+  window.dispatchEvent(new Event('attendance-queue-changed'));
+};
+
+export function isNetworkError(error) {
+  if (!navigator.onLine) return true;
+  return /failed to fetch|network|load failed/i.test(error?.message || '');
+}
+
+export function getQueuedSubmissions() {
+  return read(QUEUE_KEY, []);
+}
+
+export function getSyncConflicts() {
+  return read(CONFLICTS_KEY, []);
+}
+
+export function getCachedStudents() {
+  return read(STUDENTS_KEY, []);
+}
+
+export function cacheStudents(students) {
+  localStorage.setItem(STUDENTS_KEY, JSON.stringify(students));
+}
+
+// `baseline` holds the statuses the marker was looking at when they started editing
+// (null when the session could not be loaded). It is what lets us tell our own edits
+// apart from changes another staff member saved while this device was offline.
+export function queueSubmission({ date, sessionType, records, baseline }) {
+  const queue = getQueuedSubmissions();
+  const existing = queue.find(item => item.date === date && item.sessionType === sessionType);
+
+  if (existing) {
+    existing.records = { ...existing.records, ...records };
+    existing.queuedAt = new Date().toISOString();
+  } else {
+    queue.push({
+      id: `${date}-${sessionType}-${Date.now()}`,
+      date,
+      sessionType,
+      records,
+      baseline,
+      queuedAt: new Date().toISOString(),
+    });
+  }
+  write(QUEUE_KEY, queue);
+}
+
+const replaySubmission = async (submission) => {
+  const { data: sessionId, error: sessionError } = await supabase.rpc('get_or_create_session', {
+    p_date: submission.date,
+    p_session_type: submission.sessionType
+  });
+  if (sessionError) throw sessionError;
+
+  const { data: serverRecords, error: fetchError } = await supabase
+    .from('attendance_records')
+    .select('student_id, status')
+    .eq('session_id', sessionId);
+  if (fetchError) throw fetchError;
+
+  const serverStatuses = Object.fromEntries(serverRecords.map(r => [r.student_id, r.status]));
+  const toUpsert = [];
+  const conflicts = [];
+
+  Object.entries(submission.records).forEach(([studentId, status]) => {
+    const serverStatus = serverStatuses[studentId];
+    const baseStatus = submission.baseline ? submission.baseline[studentId] : undefined;
+    const changedRemotely = serverStatus !== undefined && serverStatus !== baseStatus;
+
+    if (changedRemotely && serverStatus !== status) {
+      conflicts.push({
+        id: `${sessionId}-${studentId}`,
+        sessionId,
+        date: submission.date,
+        sessionType: submission.sessionType,
+        studentId,
+        localStatus: status,
+        serverStatus,
+      });
+    } else if (serverStatus !== status) {
+      toUpsert.push({ student_id: studentId, status });
+    }
+  });
+
+  if (toUpsert.length > 0) {
+    const { error: upsertError } = await supabase.rpc('bulk_mark_attendance', {
+      p_session_id: sessionId,
+      p_records: toUpsert
+    });
+    if (upsertError) throw upsertError;
+  }
+
+  return { synced: toUpsert.length, conflicts };
+};
+
+let syncInFlight = null;
+
+// Replays queued submissions oldest first. A submission that fails stays queued; a network
+// failure stops the run so the remaining submissions keep their order for the next attempt.
+export function syncAttendanceQueue() {
+  if (syncInFlight) return syncInFlight;
+
+  syncInFlight = (async () => {
+    let synced = 0;
+    let newConflicts = 0;
+    let remaining = getQueuedSubmissions();
+
+    for (const submission of [...remaining]) {
+      try {
+        const result = await replaySubmission(submission);
+        synced += result.synced;
+        newConflicts += result.conflicts.length;
+
+        const conflicts = getSyncConflicts().filter(c => !result.conflicts.some(n => n.id === c.id));
+        write(CONFLICTS_KEY, [...conflicts, ...result.conflicts]);
+        remaining = remaining.filter(item => item.id !== submission.id);
+        write(QUEUE_KEY, remaining);
+      } catch (error) {
+        console.error('Failed to sync queued attendance', error);
+        if (isNetworkError(error)) break;
+      }
+    }
+
+    return { synced, conflicts: newConflicts, pending: remaining.length };
+  })().finally(() => {
+    syncInFlight = null;
+  });
+
+  return syncInFlight;
+}
+
+export async function resolveSyncConflict(conflict, keepLocal) {
+  if (keepLocal) {
+    const { error } = await supabase.rpc('bulk_mark_attendance', {
+      p_session_id: conflict.sessionId,
+      p_records: [{ student_id: conflict.studentId, status: conflict.localStatus }]
+    });
+    if (error) throw error;
+  }
+  write(CONFLICTS_KEY, getSyncConflicts().filter(c => c.id !== conflict.id));
+}
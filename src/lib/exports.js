@@ -0,0 +1,60 @@
+import Papa from 'papaparse';
+import jsPDF from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import writeXlsxFile from 'write-excel-file/browser';
+
+function triggerDownload(blob, filename) {
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+export function downloadCSV(rows, filename) {
+  const csv = Papa.unparse(rows);
+  triggerDownload(new Blob([csv], { type: 'text/csv;charset=utf-8;' }), filename);
+}
+
+export function downloadTablePDF({ title, subtitle, columns, rows, filename }) {
+  const doc = new jsPDF();
+
+  doc.setFontSize(18);
+  doc.text(title, 14, 22);
+
+  let startY = 30;
+  if (subtitle) {
+    doc.setFontSize(11);
+    doc.text(subtitle, 14, 30);
+    startY = 36;
+  }
+
+  autoTable(doc, {
+    head: [columns],
+    body: rows,
+    startY,
+    theme: 'grid',
+    headStyles: { fillColor: '#4f46e5' },
+  });
+
+  doc.save(filename);
+}
+
+// `rows` are arrays of cell values; numbers stay numeric so the sheet can be summed and filtered.
+// Columns listed in `moneyColumns` (by index) are shown with two decimals.
+export async function downloadXLSX({ sheet, columns, rows, moneyColumns = [], filename }) {
+  const data = [
+    columns.map((column) => ({ value: column, fontWeight: 'bold' })),
+    ...rows.map((row) => row.map((value, index) => {
+      if (typeof value === 'number') {
+        return moneyColumns.includes(index) ? { value, type: Number, format: '#,##0.00' } : { value, type: Number };
+      }
+      return value ?? null;
+    })),
+  ];
+  await writeXlsxFile(data, { sheet, stickyRowsCount: 1 }).toFile(filename);
+}
@@ -0,0 +1,124 @@
+import jsPDF from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import { supabase } from './supabase';
+import { formatMoneyForPrint as money, formatDate, formatDateTime } from './format';
+
+const BRAND_COLOR = '#4f46e5';
+
+export async function fetchBranding() {
+  const { data } = await supabase
+    .from('finance_settings')
+    .select('hostel_name, hostel_address, hostel_phone, hostel_email')
+    .maybeSingle();
+  return data || { hostel_name: 'Smart Hostel' };
+}
+
+// 'A1B2C3D4E5F6' -> 'A1B2-C3D4-E5F6', which is easier to read out over the phone.
+export function formatVerificationCode(code) {
+  return (code || '').match(/.{1,4}/g)?.join('-') || '';
+}
+
+export function getVerificationUrl(code) {
+  return `${window.location.origin}/verify/${code}`;
+}
+
+// Some locales put a narrow no-break space before AM/PM, which the PDF fonts cannot draw.
+const formatPrintDateTime = (value) => formatDateTime(value).replace(/[\u00a0\u202f]/g, ' ');
+
+function drawHeader(doc, branding, title) {
+  const pageWidth = doc.internal.pageSize.getWidth();
+
+  doc.setFillColor(BRAND_COLOR);
+  doc.rect(0, 0, pageWidth, 28, 'F');
+  doc.setTextColor('#ffffff');
+  doc.setFontSize(18);
+  doc.text(branding.hostel_name || 'Smart Hostel', 14, 13);
+  doc.setFontSize(9);
+  const contact = [branding.hostel_address, branding.hostel_phone, branding.hostel_email].filter(Boolean).join('  ·  ');
+  if (contact) doc.text(contact, 14, 21);
+
+  doc.setTextColor('#111827');
+  doc.setFontSize(16);
+  doc.text(title, 14, 42);
+}
+
+function drawVerification(doc, code, y) {
+  doc.setDrawColor('#d1d5db');
+  doc.line(14, y, doc.internal.pageSize.getWidth() - 14, y);
+  doc.setFontSize(9);
+  doc.setTextColor('#6b7280');
+  doc.text(`Verification code: ${formatVerificationCode(code)}`, 14, y + 7);
+  doc.text(`Check this document at ${getVerificationUrl(code)}`, 14, y + 12);
+  doc.text('This is a computer-generated document and does not require a signature.', 14, y + 17);
+  doc.setTextColor('#111827');
+}
+
+export function downloadReceiptPDF({ payment, fee, studentName, branding }) {
+  const doc = new jsPDF();
+  drawHeader(doc, branding, 'Payment Receipt');
+
+  const netAmount = parseFloat(payment.amount) - parseFloat(payment.refunded_amount || 0);
+  const rows = [
+    ['Receipt No.', payment.receipt_number || payment.id.substring(0, 8)],
+    ['Date', formatPrintDateTime(payment.paid_on)],
+    ['Received From', studentName || 'N/A'],
+    ['Towards', fee?.description || (fee?.due_date ? `Fee due ${formatDate(fee.due_date)}` : 'Hostel fee')],
+    ['Payment Method', payment.payment_method || 'N/A'],
+  ];
+  const reference = payment.transaction_ref || payment.reference_number;
+  if (reference) rows.push(['Reference', reference]);
+  rows.push(['Amount Received', money(payment.amount)]);
+  if (parseFloat(payment.refunded_amount) > 0) {
+    rows.push(['Refunded', money(payment.refunded_amount)], ['Net Amount', money(netAmount)]);
+  }
+
+  autoTable(doc, {
+    body: rows,
+    startY: 50,
+    theme: 'plain',
+    styles: { fontSize: 11, cellPadding: 3 },
+    columnStyles: { 0: { fontStyle: 'bold', cellWidth: 55 } },
+  });
+
+  drawVerification(doc, payment.verification_code, doc.lastAutoTable.finalY + 15);
+  doc.save(`receipt-${(payment.receipt_number || payment.id).replaceAll('/', '-')}.pdf`);
+}
+
+export function downloadStatementPDF({ statement, studentName, branding }) {
+  const doc = new jsPDF();
+  drawHeader(doc, branding, 'Statement of Account');
+
+  doc.setFontSize(11);
+  doc.text(`Student: ${studentName || 'N/A'}`, 14, 50);
+  doc.text(`Period: ${formatDate(statement.period_from)} to ${formatDate(statement.period_to)}`, 14, 56);
+  doc.text(`Issued: ${formatPrintDateTime(statement.issued_at)}`, 14, 62);
+
+  // Running balance: charges and refunds increase what is owed; payments, waivers and concessions reduce it.
+  let balance = parseFloat(statement.opening_balance);
+  const body = [[formatDate(statement.period_from), '', 'Opening balance', '', '', money(balance)]];
+  statement.entries.forEach((entry) => {
+    balance += parseFloat(entry.debit) - parseFloat(entry.credit);
+    body.push([
+      formatDate(entry.date),
+      entry.reference,
+      entry.description,
+      parseFloat(entry.debit) > 0 ? money(entry.debit) : '',
+      parseFloat(entry.credit) > 0 ? money(entry.credit) : '',
+      money(balance),
+    ]);
+  });
+
+  autoTable(doc, {
+    head: [['Date', 'Reference', 'Description', 'Debit', 'Credit', 'Balance']],
+    body,
+    foot: [['', '', 'Closing balance', money(statement.total_charges), money(statement.total_payments), money(statement.closing_balance)]],
+    startY: 70,
+    theme: 'grid',
+    headStyles: { fillColor: BRAND_COLOR },
+    footStyles: { fillColor: '#eef2ff', textColor: '#111827', fontStyle: 'bold' },
+    columnStyles: { 3: { halign: 'right' }, 4: { halign: 'right' }, 5: { halign: 'right' } },
+  });
+
+  drawVerification(doc, statement.verification_code, doc.lastAutoTable.finalY + 15);
+  doc.save(`statement-${statement.period_from}-to-${statement.period_to}.pdf`);
+}
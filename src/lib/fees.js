@@ -0,0 +1,35 @@
+// Fees track a running `amount_paid` and `amount_adjusted` (waivers and concessions);
+// `balance` is what is still owed.
+export function getFeeBalance(fee) {
+  const amount = parseFloat(fee.amount) || 0;
+  const paid = parseFloat(fee.amount_paid) || 0;
+  const adjusted = parseFloat(fee.amount_adjusted) || 0;
+  return Math.max(amount - adjusted - paid, 0);
+}
+
+// Payments (and waivers or concessions) settle installments in order, so each installment's
+// share of the amount settled so far is whatever is left after the earlier ones are covered.
+export function summarizeInstallments(fee, installments = []) {
+  const today = new Date().toISOString().split('T')[0];
+  let remainingPaid = (parseFloat(fee.amount_paid) || 0) + (parseFloat(fee.amount_adjusted) || 0);
+
+  return [...installments]
+    .sort((a, b) => a.installment_number - b.installment_number)
+    .map((installment) => {
+      const amount = parseFloat(installment.amount);
+      const paid = Math.min(amount, remainingPaid);
+      remainingPaid -= paid;
+
+      let status = 'Pending';
+      if (paid >= amount) status = 'Paid';
+      else if (installment.due_date < today) status = 'Overdue';
+      else if (paid > 0) status = 'Part paid';
+
+      return { ...installment, amount, paid, remaining: amount - paid, status };
+    });
+}
+
+// The next installment still owing anything, or null when there is no plan or it is settled.
+export function getNextInstallment(fee, installments = []) {
+  return summarizeInstallments(fee, installments).find((installment) => installment.remaining > 0) || null;
+}
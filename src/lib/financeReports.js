@@ -0,0 +1,155 @@
+import { getFeeBalance, summarizeInstallments } from './fees';
+import { downloadCSV, downloadTablePDF, downloadXLSX } from './exports';
+import { formatMoneyForPrint, getCurrency } from './format';
+
+const PAGE_SIZE = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// PostgREST caps each response, so page through larger result sets.
+export async function fetchAllRows(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+// Local calendar date, so a payment at 11pm is counted on the day the office saw it.
+export const toLocalDate = (value) => {
+  const date = new Date(value);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Gateway payments may not report a method; they are still online collections.
+export const getPaymentMethod = (payment) => payment.payment_method || (payment.transaction_ref ? 'Online' : 'Other');
+
+// Collections by payment method for each day or month, keyed on when the money was received
+// (`paid_on`) and net of refunds paid out in the same period (`refunded_on`).
+export function summarizeCollections(payments, refunds, granularity) {
+  const periodOf = (value) => (granularity === 'monthly' ? toLocalDate(value).slice(0, 7) : toLocalDate(value));
+  const periods = {};
+  const methods = new Set();
+
+  const periodRow = (key) => {
+    if (!periods[key]) periods[key] = { period: key, byMethod: {}, total: 0, refunds: 0 };
+    return periods[key];
+  };
+
+  payments.forEach((payment) => {
+    const method = getPaymentMethod(payment);
+    const row = periodRow(periodOf(payment.paid_on));
+    methods.add(method);
+    row.byMethod[method] = (row.byMethod[method] || 0) + parseFloat(payment.amount);
+    row.total += parseFloat(payment.amount);
+  });
+  refunds.forEach((refund) => {
+    periodRow(periodOf(refund.refunded_on)).refunds += parseFloat(refund.amount);
+  });
+
+  return {
+    methods: [...methods].sort(),
+    rows: Object.values(periods)
+      .sort((a, b) => a.period.localeCompare(b.period))
+      .map((row) => ({ ...row, net: row.total - row.refunds })),
+  };
+}
+
+export const AGING_BUCKETS = ['Not due', '0-30', '31-60', '61-90', '90+'];
+
+export function getAgingBucket(daysOverdue) {
+  if (daysOverdue < 0) return 'Not due';
+  if (daysOverdue <= 30) return '0-30';
+  if (daysOverdue <= 60) return '31-60';
+  if (daysOverdue <= 90) return '61-90';
+  return '90+';
+}
+
+// What each fee still owes, split by the due date it fell due on. Installment plans are aged
+// installment by installment; other fees are aged on their own due date.
+function outstandingByDueDate(fee) {
+  if (fee.fee_installments?.length > 0) {
+    return summarizeInstallments(fee, fee.fee_installments)
+      .filter((installment) => installment.remaining > 0)
+      .map((installment) => ({ due_date: installment.due_date, amount: installment.remaining }));
+  }
+  const balance = getFeeBalance(fee);
+  return balance > 0 ? [{ due_date: fee.due_date, amount: balance }] : [];
+}
+
+// Accounts-receivable aging per student as of a date.
+export function buildAgingReport(fees, asOf) {
+  const asOfTime = new Date(`${asOf}T00:00:00`).getTime();
+  const students = {};
+
+  fees.forEach((fee) => {
+    outstandingByDueDate(fee).forEach(({ due_date, amount }) => {
+      const daysOverdue = Math.round((asOfTime - new Date(`${due_date.slice(0, 10)}T00:00:00`).getTime()) / DAY_MS);
+      if (!students[fee.student_id]) {
+        students[fee.student_id] = {
+          student_id: fee.student_id,
+          student_name: fee.students?.full_name || 'N/A',
+          contact: fee.students?.contact || '',
+          buckets: Object.fromEntries(AGING_BUCKETS.map((bucket) => [bucket, 0])),
+          total: 0,
+          overdue: 0,
+          oldest_due_date: null,
+          days_overdue: 0,
+          last_payment: null,
+        };
+      }
+      const row = students[fee.student_id];
+      row.buckets[getAgingBucket(daysOverdue)] += amount;
+      row.total += amount;
+      if (daysOverdue >= 0) {
+        row.overdue += amount;
+        if (!row.oldest_due_date || daysOverdue > row.days_overdue) {
+          row.days_overdue = daysOverdue;
+          row.oldest_due_date = due_date;
+        }
+      }
+    });
+  });
+
+  fees.forEach((fee) => {
+    const row = students[fee.student_id];
+    if (!row) return;
+    (fee.payments || []).forEach((payment) => {
+      if (!row.last_payment || new Date(payment.paid_on) > new Date(row.last_payment)) row.last_payment = payment.paid_on;
+    });
+  });
+
+  return Object.values(students).sort((a, b) => b.total - a.total);
+}
+
+// Students with money overdue for at least `minDaysOverdue` days, worst first.
+export function findDefaulters(agingRows, minDaysOverdue) {
+  return agingRows
+    .filter((row) => row.overdue > 0 && row.days_overdue >= minDaysOverdue)
+    .sort((a, b) => b.overdue - a.overdue);
+}
+
+// Writes a report in the chosen format. `columns` are { header, money } and `rows` are arrays
+// of raw values in column order. Spreadsheets keep money as plain numbers, so their money
+// headers carry the currency code instead.
+export async function exportReport(format, { title, subtitle, columns, rows, filename }) {
+  const headers = columns.map((column) => (column.money && format !== 'pdf' ? `${column.header} (${getCurrency()})` : column.header));
+  const moneyColumns = columns.flatMap((column, index) => (column.money ? [index] : []));
+
+  if (format === 'csv') {
+    downloadCSV({ fields: headers, data: rows.map((row) => row.map((value, index) => (moneyColumns.includes(index) ? value.toFixed(2) : value))) }, `${filename}.csv`);
+  } else if (format === 'pdf') {
+    downloadTablePDF({
+      title,
+      subtitle,
+      columns: headers,
+      rows: rows.map((row) => row.map((value, index) => (moneyColumns.includes(index) ? formatMoneyForPrint(value) : value ?? ''))),
+      filename: `${filename}.pdf`,
+    });
+  } else {
+    await downloadXLSX({ sheet: title.slice(0, 31), columns: headers, rows, moneyColumns, filename: `${filename}.xlsx` });
+  }
+}
@@ -0,0 +1,64 @@
+// Money and date formatting for the whole app. The hostel's currency and locale live in
+// `finance_settings` and are applied once at sign-in (see LocaleContext); every screen and
+// export formats through these helpers instead of hand-building strings.
+
+let settings = { currency: 'INR', locale: 'en-IN' };
+const formatters = new Map();
+
+export function configureFormatting({ currency, locale }) {
+  settings = { currency: currency || settings.currency, locale: locale || settings.locale };
+  formatters.clear();
+}
+
+export const getCurrency = () => settings.currency;
+export const getLocale = () => settings.locale;
+
+function getFormatter(kind, options) {
+  const key = `${kind}:${JSON.stringify(options)}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, kind === 'number'
+      ? new Intl.NumberFormat(settings.locale, options)
+      : new Intl.DateTimeFormat(settings.locale, options));
+  }
+  return formatters.get(key);
+}
+
+// `currency` overrides the configured one (e.g. on the public verification page);
+// `compact` gives short chart labels such as ₹12K.
+export function formatMoney(value, { currency = settings.currency, compact = false } = {}) {
+  return getFormatter('number', {
+    style: 'currency',
+    currency,
+    ...(compact ? { notation: 'compact', maximumFractionDigits: 1 } : {}),
+  }).format(parseFloat(value) || 0);
+}
+
+// For PDFs: the built-in PDF fonts have no glyphs for symbols such as ₹ or for the narrow
+// spaces some locales use, so print the currency code with plain spaces instead.
+export function formatMoneyForPrint(value, { currency = settings.currency } = {}) {
+  return getFormatter('number', { style: 'currency', currency, currencyDisplay: 'code' })
+    .format(parseFloat(value) || 0)
+    .replace(/[\u00a0\u202f]/g, ' ');
+}
+
+export function getCurrencySymbol(currency = settings.currency) {
+  return getFormatter('number', { style: 'currency', currency })
+    .formatToParts(0)
+    .find((part) => part.type === 'currency')?.value || currency;
+}
+
+// Date-only values ('2025-12-01') are calendar days, not UTC midnights, so they must not
+// shift a day in timezones west of UTC.
+const toDate = (value) => (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+  ? new Date(`${value}T00:00:00`)
+  : new Date(value));
+
+export function formatDate(value, options = { dateStyle: 'medium' }) {
+  if (!value) return '';
+  return getFormatter('date', options).format(toDate(value));
+}
+
+export function formatDateTime(value) {
+  if (!value) return '';
+  return getFormatter('date', { dateStyle: 'medium', timeStyle: 'short' }).format(toDate(value));
+}
@@ -0,0 +1,33 @@
+import { supabase } from './supabase';
+
+// Order statuses after which nothing more will happen to a checkout.
+export const FINAL_ORDER_STATUSES = ['Succeeded', 'Failed', 'Refunded'];
+
+async function invokePayments(body) {
+  const { data, error } = await supabase.functions.invoke('payments', { body });
+  if (error) {
+    // Non-2xx responses carry the function's own error message in the response body.
+    const details = await error.context?.json?.().catch(() => null);
+    throw new Error(details?.error || error.message);
+  }
+  return data;
+}
+
+export function createPaymentOrder(feeId, amount) {
+  return invokePayments({ action: 'create-order', fee_id: feeId, amount, return_url: window.location.href });
+}
+
+// Mock provider only: sends a signed success, failure or pending callback for the order.
+export function simulatePayment(orderId, outcome) {
+  return invokePayments({ action: 'simulate', order_id: orderId, outcome });
+}
+
+export function refundPayment(paymentId, amount, reason) {
+  return invokePayments({ action: 'refund', payment_id: paymentId, amount, reason });
+}
+
+export async function fetchPaymentOrder(orderId) {
+  const { data, error } = await supabase.from('payment_orders').select('*').eq('id', orderId).single();
+  if (error) throw error;
+  return data;
+}
@@ -0,0 +1,79 @@
+// Every room has one row per bed in `beds` (see room_type_capacities for how many), and each
+// active allocation holds one bed. Rooms must be fetched with `beds(id, label)`.
+export function getRoomBeds(room, allocations = []) {
+  const allocationByBed = Object.fromEntries(
+    allocations.filter((allocation) => allocation.bed_id).map((allocation) => [allocation.bed_id, allocation])
+  );
+  return [...(room.beds || [])]
+    .sort((a, b) => a.label.localeCompare(b.label))
+    .map((bed) => ({ ...bed, allocation: allocationByBed[bed.id] || null }));
+}
+
+export const getFreeBeds = (room, allocations = []) => getRoomBeds(room, allocations).filter((bed) => !bed.allocation);
+
+// Embeds a room's floor, block and building; use as `select(\`*, ${ROOM_LOCATION_SELECT}\`)`.
+export const ROOM_LOCATION_SELECT = 'floor:floors(id, level, name, block:blocks(id, name, gender_restriction, min_year, max_year, building:buildings(id, name)))';
+
+export const getFloorLabel = (floor) => floor.name || (floor.level === 0 ? 'Ground floor' : `Floor ${floor.level}`);
+
+export function formatRoomLocation(room) {
+  const floor = room.floor;
+  if (!floor) return 'Not placed on a floor';
+  return `${floor.block.building.name} · ${floor.block.name} · ${getFloorLabel(floor)}`;
+}
+
+export const emptyLocationFilter = { buildingId: '', blockId: '', floorId: '' };
+
+// `filter` is { buildingId, blockId, floorId }; empty values match everything.
+export function matchesLocation(room, { buildingId, blockId, floorId }) {
+  const floor = room.floor;
+  if (floorId) return floor?.id === floorId;
+  if (blockId) return floor?.block.id === blockId;
+  if (buildingId) return floor?.block.building.id === buildingId;
+  return true;
+}
+
+// Rooms grouped by building, block and floor, in that order, with unplaced rooms last.
+export function groupRoomsByFloor(rooms) {
+  const groups = new Map();
+  rooms.forEach((room) => {
+    const key = room.floor?.id || 'unplaced';
+    if (!groups.has(key)) groups.set(key, { key, label: formatRoomLocation(room), floor: room.floor, rooms: [] });
+    groups.get(key).rooms.push(room);
+  });
+  return [...groups.values()].sort((a, b) => {
+    if (!a.floor || !b.floor) return (a.floor ? 0 : 1) - (b.floor ? 0 : 1);
+    return a.floor.block.building.name.localeCompare(b.floor.block.building.name)
+      || a.floor.block.name.localeCompare(b.floor.block.name)
+      || a.floor.level - b.floor.level;
+  });
+}
+
+const describeYears = ({ min_year: min, max_year: max }) => {
+  if (min && min === max) return `year ${min}`;
+  if (min && max) return `years ${min}–${max}`;
+  if (min) return `year ${min} and above`;
+  return `year ${max} and below`;
+};
+
+export function describeBlockRestrictions(block) {
+  const parts = [];
+  if (block.gender_restriction) parts.push(`${block.gender_restriction} only`);
+  if (block.min_year || block.max_year) parts.push(describeYears(block).replace(/^./, (c) => c.toUpperCase()));
+  return parts.join(' · ');
+}
+
+// Mirrors room_eligibility_error() in the database, which has the final say.
+export function getBlockRestrictionError(block, student) {
+  if (!block) return null;
+  if (block.gender_restriction && student.gender !== block.gender_restriction) {
+    return `${block.name} is for ${block.gender_restriction.toLowerCase()} students only.`;
+  }
+  if (block.min_year || block.max_year) {
+    if (!student.year_of_study) return `${block.name} is restricted by year of study; record the student's year first.`;
+    if (student.year_of_study < (block.min_year || 1) || student.year_of_study > (block.max_year || 10)) {
+      return `${block.name} is for students in ${describeYears(block)} only.`;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,300 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { Link } from 'react-router-dom';
+import { supabase } from '../lib/supabase';
+import { summarizeAttendance, fetchAttendanceRecords } from '../lib/attendance';
+import { downloadCSV, downloadTablePDF } from '../lib/exports';
+import { formatDate } from '../lib/format';
+import PageHeader from '../components/ui/PageHeader';
+import StatCard from '../components/ui/StatCard';
+import EmptyState from '../components/ui/EmptyState';
+import toast from 'react-hot-toast';
+import { Loader, Users, Percent, AlertTriangle, CalendarDays, FileDown, ClipboardCheck } from 'lucide-react';
+
+const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: { opacity: 1, transition: { staggerChildren: 0.1 } }
+};
+
+const itemVariants = {
+    hidden: { opacity: 0, y: 20 },
+    visible: { opacity: 1, y: 0 }
+};
+
+const THRESHOLD_STORAGE_KEY = 'attendanceDefaulterThreshold';
+
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+
+const defaultRange = () => {
+    const to = new Date();
+    const from = new Date();
+    from.setDate(from.getDate() - 29);
+    return { from: toDateInput(from), to: toDateInput(to) };
+};
+
+const AttendanceAnalyticsPage = () => {
+    const [range, setRange] = useState(defaultRange);
+    const [threshold, setThreshold] = useState(() => Number(localStorage.getItem(THRESHOLD_STORAGE_KEY)) || 75);
+    const [showDefaultersOnly, setShowDefaultersOnly] = useState(true);
+    const [loading, setLoading] = useState(true);
+    const [students, setStudents] = useState([]);
+    const [sessions, setSessions] = useState([]);
+    const [records, setRecords] = useState([]);
+
+    useEffect(() => {
+        localStorage.setItem(THRESHOLD_STORAGE_KEY, String(threshold));
+    }, [threshold]);
+
+    const fetchData = useCallback(async () => {
+        if (!range.from || !range.to || range.to < range.from) return;
+        setLoading(true);
+        try {
+            const [studentsRes, sessionsRes] = await Promise.all([
+                supabase.from('students').select('id, full_name, course').order('full_name'),
+                supabase
+                    .from('attendance_sessions')
+                    .select('id, date, session_type, holiday_id')
+                    .gte('date', range.from)
+                    .lte('date', range.to)
+                    .order('date')
+            ]);
+
+            if (studentsRes.error) throw studentsRes.error;
+            if (sessionsRes.error) throw sessionsRes.error;
+
+            const sessionsData = sessionsRes.data || [];
+            const recordsData = await fetchAttendanceRecords(sessionsData.map(s => s.id));
+
+            setStudents(studentsRes.data || []);
+            setSessions(sessionsData);
+            setRecords(recordsData);
+        } catch (error) {
+            toast.error(`Failed to load attendance analytics: ${error.message}`);
+            setStudents([]);
+            setSessions([]);
+            setRecords([]);
+        } finally {
+            setLoading(false);
+        }
+    }, [range]);
+
+    useEffect(() => {
+        fetchData();
+    }, [fetchData]);
+
+    const sessionsById = useMemo(() => {
+        return sessions.reduce((acc, session) => {
+            acc[session.id] = session;
+            return acc;
+        }, {});
+    }, [sessions]);
+
+    // Records in holiday sessions are treated as 'Holiday' so they never count against a student.
+    const effectiveStatus = useCallback((record) => (
+        sessionsById[record.session_id]?.holiday_id ? 'Holiday' : record.status
+    ), [sessionsById]);
+
+    const studentStats = useMemo(() => {
+        const statusesByStudent = records.reduce((acc, record) => {
+            if (!acc[record.student_id]) acc[record.student_id] = [];
+            acc[record.student_id].push(effectiveStatus(record));
+            return acc;
+        }, {});
+
+        return students.map(student => ({
+            ...student,
+            ...summarizeAttendance(statusesByStudent[student.id] || []),
+        }));
+    }, [students, records, effectiveStatus]);
+
+    const trackedStudents = useMemo(() => studentStats.filter(s => s.percentage !== null), [studentStats]);
+
+    const defaulters = useMemo(() => (
+        trackedStudents
+            .filter(s => s.percentage < threshold)
+            .sort((a, b) => a.percentage - b.percentage)
+    ), [trackedStudents, threshold]);
+
+    const trendData = useMemo(() => {
+        const statusesByDate = records.reduce((acc, record) => {
+            const date = sessionsById[record.session_id]?.date;
+            if (!date) return acc;
+            if (!acc[date]) acc[date] = [];
+            acc[date].push(effectiveStatus(record));
+            return acc;
+        }, {});
+
+        return Object.keys(statusesByDate).sort().map(date => {
+            const summary = summarizeAttendance(statusesByDate[date]);
+            return {
+                name: formatDate(date, { day: 'numeric', month: 'short' }),
+                Attendance: summary.percentage,
+                Absent: summary.Absent,
+            };
+        }).filter(point => point.Attendance !== null);
+    }, [records, sessionsById, effectiveStatus]);
+
+    const averageAttendance = trackedStudents.length > 0
+        ? Math.round(trackedStudents.reduce((acc, s) => acc + s.percentage, 0) / trackedStudents.length)
+        : 0;
+    const sessionsHeld = sessions.filter(s => !s.holiday_id).length;
+
+    const tableRows = showDefaultersOnly ? defaulters : [...trackedStudents].sort((a, b) => a.percentage - b.percentage);
+
+    const defaulterExportRows = () => defaulters.map(s => ({
+        student_name: s.full_name,
+        course: s.course || 'N/A',
+        present: s.Present,
+        late: s.Late,
+        absent: s.Absent,
+        leave: s.Leave,
+        sessions_counted: s.counted,
+        attendance_percentage: s.percentage,
+    }));
+
+    const handleExportCSV = () => {
+        if (defaulters.length === 0) {
+            toast.error('There are no defaulters to export.');
+            return;
+        }
+        downloadCSV(defaulterExportRows(), `attendance_defaulters_${range.from}_${range.to}.csv`);
+        toast.success('Defaulter list downloaded.');
+    };
+
+    const handleExportPDF = () => {
+        if (defaulters.length === 0) {
+            toast.error('There are no defaulters to export.');
+            return;
+        }
+        downloadTablePDF({
+            title: 'Attendance Defaulters',
+            subtitle: `${range.from} to ${range.to} · below ${threshold}% attendance`,
+            columns: ['Student', 'Course', 'Present', 'Late', 'Absent', 'Leave', 'Sessions', 'Attendance'],
+            rows: defaulters.map(s => [s.full_name, s.course || 'N/A', s.Present, s.Late, s.Absent, s.Leave, s.counted, `${s.percentage}%`]),
+            filename: `attendance_defaulters_${range.from}_${range.to}.pdf`,
+        });
+    };
+
+    const renderValue = (value) => (loading ? <span className="text-2xl">...</span> : value);
+    const inputClassName = "mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm";
+
+    return (
+        <motion.div initial="hidden" animate="visible" variants={containerVariants}>
+            <PageHeader title="Attendance Analytics" />
+
+            <motion.div variants={itemVariants} className="bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg mb-8 grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div>
+                    <label htmlFor="from" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">From</label>
+                    <input type="date" id="from" value={range.from} max={range.to} onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))} className={inputClassName} />
+                </div>
+                <div>
+                    <label htmlFor="to" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">To</label>
+                    <input type="date" id="to" value={range.to} min={range.from} onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))} className={inputClassName} />
+                </div>
+                <div>
+                    <label htmlFor="threshold" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Defaulter Threshold (%)</label>
+                    <input type="number" id="threshold" min="1" max="100" value={threshold} onChange={(e) => setThreshold(Math.min(100, Math.max(1, Number(e.target.value) || 1)))} className={inputClassName} />
+                </div>
+            </motion.div>
+
+            <motion.div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6" variants={containerVariants}>
+                <StatCard title="Average Attendance" value={renderValue(`${averageAttendance}%`)} icon={<Percent />} color="bg-blue-500" />
+                <StatCard title="Students Tracked" value={renderValue(trackedStudents.length)} icon={<Users />} color="bg-green-500" />
+                <StatCard title={`Below ${threshold}%`} value={renderValue(defaulters.length)} icon={<AlertTriangle />} color="bg-red-500" />
+                <StatCard title="Sessions Held" value={renderValue(sessionsHeld)} icon={<CalendarDays />} color="bg-yellow-500" />
+            </motion.div>
+
+            <motion.div className="mt-8 bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors" variants={itemVariants}>
+                <h2 className="text-xl font-semibold text-base-content dark:text-dark-base-content mb-4">Daily Attendance Trend</h2>
+                {loading ? <div className="flex items-center justify-center h-80"><Loader className="animate-spin" /></div> :
+                    trendData.length > 0 ? (
+                        <ResponsiveContainer width="100%" height={320}>
+                            <LineChart data={trendData} margin={{ top: 5, right: 20, left: -10, bottom: 5 }}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="currentColor" opacity={0.2} />
+                                <XAxis dataKey="name" tick={{ fill: 'currentColor', fontSize: 12 }} />
+                                <YAxis yAxisId="percentage" domain={[0, 100]} tick={{ fill: 'currentColor', fontSize: 12 }} tickFormatter={(value) => `${value}%`} />
+                                <YAxis yAxisId="count" orientation="right" allowDecimals={false} tick={{ fill: 'currentColor', fontSize: 12 }} />
+                                <Tooltip
+                                    contentStyle={{
+                                        backgroundColor: 'var(--tw-prose-bg, #fff)',
+                                        border: '1px solid var(--tw-prose-invert-bg, #ddd)',
+                                        borderRadius: '0.5rem'
+                                    }}
+                                />
+                                <Legend />
+                                <ReferenceLine yAxisId="percentage" y={threshold} stroke="#ef4444" strokeDasharray="4 4" />
+                                <Line yAxisId="percentage" type="monotone" dataKey="Attendance" stroke="var(--color-primary, #4f46e5)" strokeWidth={2} dot={false} />
+                                <Line yAxisId="count" type="monotone" dataKey="Absent" stroke="#ef4444" strokeWidth={1} dot={false} />
+                            </LineChart>
+                        </ResponsiveContainer>
+                    ) : (
+                        <EmptyState
+                            icon={<ClipboardCheck className="w-full h-full" />}
+                            title="No Attendance Recorded"
+                            message="No attendance has been marked in the selected date range."
+                        />
+                    )
+                }
+            </motion.div>
+
+            <motion.div className="mt-8 bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors" variants={itemVariants}>
+                <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-4">
+                    <h2 className="text-xl font-semibold text-base-content dark:text-dark-base-content">
+                        {showDefaultersOnly ? `Defaulters (below ${threshold}%)` : 'All Students'}
+                    </h2>
+                    <div className="flex flex-wrap items-center gap-3">
+                        <label className="flex items-center gap-2 text-sm text-base-content-secondary dark:text-dark-base-content-secondary">
+                            <input type="checkbox" checked={showDefaultersOnly} onChange={(e) => setShowDefaultersOnly(e.target.checked)} className="rounded border-base-300 text-primary focus:ring-primary" />
+                            Defaulters only
+                        </label>
+                        <button onClick={handleExportCSV} className="inline-flex items-center gap-2 px-3 py-2 text-sm font-medium rounded-lg border border-base-300 dark:border-dark-base-300 hover:bg-base-200 dark:hover:bg-dark-base-300">
+                            <FileDown className="w-4 h-4" /> CSV
+                        </button>
+                        <button onClick={handleExportPDF} className="inline-flex items-center gap-2 px-3 py-2 text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus">
+                            <FileDown className="w-4 h-4" /> PDF
+                        </button>
+                    </div>
+                </div>
+                <div className="overflow-x-auto">
+                    <table className="min-w-full">
+                        <thead className="border-b-2 border-base-200 dark:border-dark-base-300">
+                            <tr>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Student</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Course</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-base-content-secondary uppercase">Present</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-base-content-secondary uppercase">Late</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-base-content-secondary uppercase">Absent</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-base-content-secondary uppercase">Leave</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-base-content-secondary uppercase">Attendance</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {loading ? (
+                                <tr><td colSpan="7" className="text-center py-10"><Loader className="animate-spin mx-auto" /></td></tr>
+                            ) : tableRows.length > 0 ? tableRows.map(student => (
+                                <tr key={student.id} className="border-b border-base-200 dark:border-dark-base-300 last:border-0">
+                                    <td className="px-4 py-3 text-sm font-medium">
+                                        <Link to={`/students/${student.id}`} className="text-primary hover:text-primary-focus dark:text-dark-primary dark:hover:text-dark-primary-focus">{student.full_name}</Link>
+                                    </td>
+                                    <td className="px-4 py-3 text-sm text-base-content-secondary">{student.course || 'N/A'}</td>
+                                    <td className="px-4 py-3 text-sm text-right">{student.Present}</td>
+                                    <td className="px-4 py-3 text-sm text-right">{student.Late}</td>
+                                    <td className="px-4 py-3 text-sm text-right">{student.Absent}</td>
+                                    <td className="px-4 py-3 text-sm text-right">{student.Leave}</td>
+                                    <td className={`px-4 py-3 text-sm text-right font-semibold ${student.percentage < threshold ? 'text-red-500' : 'text-green-600 dark:text-green-400'}`}>{student.percentage}%</td>
+                                </tr>
+                            )) : (
+                                <tr><td colSpan="7" className="text-center py-8 text-base-content-secondary">
+                                    {showDefaultersOnly ? 'No students are below the threshold. Great job!' : 'No attendance data for the selected range.'}
+                                </td></tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </motion.div>
+        </motion.div>
+    );
+};
+
+export default AttendanceAnalyticsPage;
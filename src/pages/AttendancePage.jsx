@@ -1,17 +1,45 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { supabase } from '../lib/supabase';
+import { useAuth } from '../context/AuthContext';
+import { isNetworkError, queueSubmission, getQueuedSubmissions, cacheStudents, getCachedStudents, resolveSyncConflict } from '../lib/attendanceQueue';
+import { formatDate } from '../lib/format';
+import { useAttendanceSync } from '../hooks/useAttendanceSync';
+import QrCheckinModal from '../components/attendance/QrCheckinModal';
+import SessionWindowsModal from '../components/attendance/SessionWindowsModal';
 import PageHeader from '../components/ui/PageHeader';
 import { Alert, AlertDescription, AlertTitle } from "../components/ui/alert";
-import { Check, X, Clock, Calendar as CalendarIcon, Sun, Moon, TreePalm, User, Loader } from 'lucide-react';
+import { Check, X, Clock, Calendar as CalendarIcon, Sun, Moon, TreePalm, User, Loader, WifiOff, RefreshCw, Timer, Keyboard } from 'lucide-react';
+
+// Room numbers follow the usual hostel convention of floor followed by a two-digit room (e.g. 204 is on floor 2).
+const floorOfRoom = (roomNumber) => {
+    const digits = String(roomNumber || '').match(/\d+/)?.[0];
+    if (!digits) return null;
+    return digits.length > 2 ? digits.slice(0, -2) : '0';
+};
+
+const shortcutStatuses = { p: 'Present', a: 'Absent', l: 'Leave', h: 'Holiday' };
 
 const AttendancePage = () => {
+    const { user } = useAuth();
+    const isAdmin = user?.user_metadata?.role === 'Admin';
     const [students, setStudents] = useState([]);
     const [date, setDate] = useState(new Date().toISOString().slice(0, 10));
     const [session, setSession] = useState('morning');
     const [attendance, setAttendance] = useState({});
+    const [studentsOnLeave, setStudentsOnLeave] = useState(new Set());
+    const [holiday, setHoliday] = useState(null);
+    const [baseline, setBaseline] = useState(null);
+    const [isQrModalOpen, setIsQrModalOpen] = useState(false);
+    const [isWindowsModalOpen, setIsWindowsModalOpen] = useState(false);
+    const [lateMinutes, setLateMinutes] = useState({});
+    const [filters, setFilters] = useState({ room: '', floor: '', course: '' });
+    const [selected, setSelected] = useState(new Set());
+    const [focusedIndex, setFocusedIndex] = useState(0);
+    const rowRefs = useRef({});
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
     const [success, setSuccess] = useState('');
+    const { isOnline, pending, conflicts, syncing, syncNow } = useAttendanceSync();
 
     useEffect(() => {
         fetchStudents();
@@ -25,18 +53,39 @@ const AttendancePage = () => {
 
     const fetchStudents = async () => {
         setLoading(true);
-        const { data, error } = await supabase
-            .from('profiles')
-            .select('id, full_name')
-            .eq('role', 'student')
-            .order('full_name');
+        const [
+            { data: profilesData, error: profilesError },
+            { data: allocationsData, error: allocationsError }
+        ] = await Promise.all([
+            supabase
+                .from('profiles')
+                .select('id, full_name, course')
+                .eq('role', 'student')
+                .order('full_name'),
+            supabase
+                .from('room_allocations')
+                .select('student_id, rooms(room_number)')
+                .eq('is_active', true)
+        ]);
+
+        const error = profilesError || allocationsError;
+        const rooms = Object.fromEntries((allocationsData || []).map(a => [a.student_id, a.rooms?.room_number]));
+        const data = (profilesData || []).map(p => ({
+            ...p,
+            room_number: rooms[p.id] || null,
+            floor: floorOfRoom(rooms[p.id]),
+        }));
+
+        // Fall back to the last known student list so attendance can still be marked offline.
+        const studentList = error && isNetworkError(error) ? getCachedStudents() : data;
 
-        if (error) {
+        if (error && studentList.length === 0) {
             setError('Failed to fetch students.');
             console.error(error);
         } else {
-            setStudents(data);
-            const initialAttendance = data.reduce((acc, student) => {
+            if (!error) cacheStudents(data);
+            setStudents(studentList);
+            const initialAttendance = studentList.reduce((acc, student) => {
                 acc[student.id] = 'Present';
                 return acc;
             }, {});
@@ -55,27 +104,65 @@ const AttendancePage = () => {
         });
 
         if (sessionError) {
-            setError('Failed to get or create attendance session.');
-            console.error(sessionError);
+            if (isNetworkError(sessionError)) {
+                // Offline: start from the defaults plus anything already queued for this session.
+                const queued = getQueuedSubmissions().find(item => item.date === date && item.sessionType === sessionTypeForDb);
+                const newAttendance = {};
+                students.forEach(student => {
+                    newAttendance[student.id] = queued?.records[student.id] || 'Present';
+                });
+                setAttendance(newAttendance);
+                setBaseline(queued ? queued.baseline : null);
+                setStudentsOnLeave(new Set());
+                setHoliday(null);
+            } else {
+                setError('Failed to get or create attendance session.');
+                console.error(sessionError);
+            }
             setLoading(false);
             return;
         }
 
-        const { data: attendanceData, error: attendanceError } = await supabase
-            .from('attendance_records')
-            .select('student_id, status')
-            .eq('session_id', sessionData);
+        const [
+            { data: attendanceData, error: attendanceError },
+            { data: leavesData, error: leavesError },
+            { data: holidaysData }
+        ] = await Promise.all([
+            supabase
+                .from('attendance_records')
+                .select('student_id, status, late_minutes')
+                .eq('session_id', sessionData),
+            supabase
+                .from('leaves')
+                .select('student_id')
+                .eq('status', 'Approved')
+                .lte('start_date', date)
+                .gte('end_date', date),
+            supabase
+                .from('holidays')
+                .select('title, session_type')
+                .lte('start_date', date)
+                .gte('end_date', date)
+                .or(`session_type.is.null,session_type.eq.${sessionTypeForDb}`)
+        ]);
 
-        if (attendanceError) {
+        setHoliday(holidaysData?.[0] || null);
+
+        if (attendanceError || leavesError) {
             setError('Failed to fetch attendance records.');
-            console.error(attendanceError);
+            console.error(attendanceError || leavesError);
         } else {
+            // Students with an approved leave covering this date default to 'Leave' until marked otherwise.
+            const onLeave = new Set(leavesData.map(l => l.student_id));
             const newAttendance = {};
             students.forEach(student => {
                 const record = attendanceData.find(a => a.student_id === student.id);
-                newAttendance[student.id] = record ? record.status : 'Present';
+                newAttendance[student.id] = record ? record.status : (onLeave.has(student.id) ? 'Leave' : 'Present');
             });
+            setStudentsOnLeave(onLeave);
             setAttendance(newAttendance);
+            setBaseline(Object.fromEntries(attendanceData.map(a => [a.student_id, a.status])));
+            setLateMinutes(Object.fromEntries(attendanceData.filter(a => a.late_minutes).map(a => [a.student_id, a.late_minutes])));
         }
         setLoading(false);
     };
@@ -85,10 +172,115 @@ const AttendancePage = () => {
     };
     
     const statusIcons = {
+        'Late': <Timer className="h-5 w-5 text-orange-500" />,
         'Leave': <Clock className="h-5 w-5 text-yellow-500" />,
         'Holiday': <TreePalm className="h-5 w-5 text-blue-500" />
     };
 
+    const saveOffline = (sessionTypeForDb) => {
+        queueSubmission({ date, sessionType: sessionTypeForDb, records: attendance, baseline });
+        setSuccess('You are offline. Attendance has been saved on this device and will sync when you reconnect.');
+        setLoading(false);
+        setTimeout(() => setSuccess(''), 5000);
+    };
+
+    const handleResolveConflict = async (conflict, keepLocal) => {
+        try {
+            await resolveSyncConflict(conflict, keepLocal);
+        } catch (err) {
+            setError('Failed to resolve the conflict.');
+            console.error(err);
+        }
+    };
+
+    const lateArrivals = students.filter(student => attendance[student.id] === 'Late');
+
+    const filterOptions = useMemo(() => {
+        const unique = (values) => [...new Set(values.filter(Boolean))].sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }));
+        return {
+            room: unique(students.map(s => s.room_number)),
+            floor: unique(students.map(s => s.floor)),
+            course: unique(students.map(s => s.course)),
+        };
+    }, [students]);
+
+    const filteredStudents = useMemo(() => students.filter(student =>
+        (!filters.room || student.room_number === filters.room) &&
+        (!filters.floor || student.floor === filters.floor) &&
+        (!filters.course || student.course === filters.course)
+    ), [students, filters]);
+
+    const statusCounts = useMemo(() => Object.values(attendance).reduce((acc, status) => {
+        acc[status] = (acc[status] || 0) + 1;
+        return acc;
+    }, {}), [attendance]);
+
+    const allVisibleSelected = filteredStudents.length > 0 && filteredStudents.every(s => selected.has(s.id));
+
+    const toggleSelected = (studentId) => {
+        setSelected(prev => {
+            const next = new Set(prev);
+            if (next.has(studentId)) next.delete(studentId);
+            else next.add(studentId);
+            return next;
+        });
+    };
+
+    const toggleSelectAll = () => {
+        setSelected(allVisibleSelected ? new Set() : new Set(filteredStudents.map(s => s.id)));
+    };
+
+    const markMany = (studentIds, status) => {
+        setAttendance(prev => {
+            const next = { ...prev };
+            studentIds.forEach(id => { next[id] = status; });
+            return next;
+        });
+    };
+
+    const handleMarkSelected = (status) => {
+        markMany([...selected], status);
+        setSelected(new Set());
+    };
+
+    const handleFilterChange = (field, value) => {
+        setFilters(prev => ({ ...prev, [field]: value }));
+        setSelected(new Set());
+        setFocusedIndex(0);
+    };
+
+    // Roll-call shortcuts: arrow keys move between rows, P/A/L/H mark the focused student and move on.
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName) || isQrModalOpen || isWindowsModalOpen) return;
+            if (filteredStudents.length === 0) return;
+
+            const key = e.key.toLowerCase();
+            let nextIndex = focusedIndex;
+            if (key === 'arrowdown') {
+                nextIndex = Math.min(focusedIndex + 1, filteredStudents.length - 1);
+            } else if (key === 'arrowup') {
+                nextIndex = Math.max(focusedIndex - 1, 0);
+            } else if (shortcutStatuses[key]) {
+                const student = filteredStudents[focusedIndex];
+                if (student) handleAttendanceChange(student.id, shortcutStatuses[key]);
+                nextIndex = Math.min(focusedIndex + 1, filteredStudents.length - 1);
+            } else {
+                return;
+            }
+
+            e.preventDefault();
+            setFocusedIndex(nextIndex);
+            rowRefs.current[filteredStudents[nextIndex]?.id]?.scrollIntoView({ block: 'nearest' });
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [filteredStudents, focusedIndex, isQrModalOpen, isWindowsModalOpen]);
+
+    const studentName = (studentId) => students.find(s => s.id === studentId)?.full_name || 'Unknown student';
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setLoading(true);
@@ -96,11 +288,21 @@ const AttendancePage = () => {
         setSuccess('');
 
         const sessionTypeForDb = session === 'morning' ? 'Morning' : 'Evening';
+        if (!navigator.onLine) {
+            saveOffline(sessionTypeForDb);
+            return;
+        }
+
         const { data: sessionData, error: sessionError } = await supabase.rpc('get_or_create_session', {
             p_date: date,
             p_session_type: sessionTypeForDb
         });
 
+        if (sessionError && isNetworkError(sessionError)) {
+            saveOffline(sessionTypeForDb);
+            return;
+        }
+
         if (sessionError) {
             setError('Failed to get or create attendance session.');
             console.error(sessionError);
@@ -109,19 +311,26 @@ const AttendancePage = () => {
         }
 
         const records = Object.entries(attendance).map(([student_id, status]) => ({
-            session_id: sessionData,
             student_id,
             status,
+            late_minutes: status === 'Late' ? (lateMinutes[student_id] ?? null) : null,
         }));
 
-        const { error: upsertError } = await supabase
-            .from('attendance_records')
-            .upsert(records, { onConflict: 'session_id, student_id' });
+        const { error: upsertError } = await supabase.rpc('bulk_mark_attendance', {
+            p_session_id: sessionData,
+            p_records: records
+        });
+
+        if (upsertError && isNetworkError(upsertError)) {
+            saveOffline(sessionTypeForDb);
+            return;
+        }
 
         if (upsertError) {
             setError('Failed to save attendance.');
             console.error(upsertError);
         } else {
+            setBaseline({ ...attendance });
             setSuccess('Attendance saved successfully!');
         }
 
@@ -131,7 +340,11 @@ const AttendancePage = () => {
 
     return (
         <>
-            <PageHeader title="Mark Attendance" />
+            <PageHeader
+                title="Mark Attendance"
+                buttonText={isOnline && !holiday ? 'QR Check-in' : null}
+                onButtonClick={() => setIsQrModalOpen(true)}
+            />
             
             <form onSubmit={handleSubmit} className="bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg border border-base-200 dark:border-dark-base-300">
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
@@ -149,7 +362,12 @@ const AttendancePage = () => {
                         </div>
                     </div>
                     <div>
-                        <label htmlFor="session" className="block text-sm font-medium text-base-content-secondary mb-1">Session</label>
+                        <div className="flex items-center justify-between mb-1">
+                            <label htmlFor="session" className="block text-sm font-medium text-base-content-secondary">Session</label>
+                            {isAdmin && (
+                                <button type="button" onClick={() => setIsWindowsModalOpen(true)} className="text-xs font-semibold text-primary hover:text-primary-focus">Session times</button>
+                            )}
+                        </div>
                         <div className="flex items-center space-x-2 bg-base-200 dark:bg-dark-base-300 border border-base-200 dark:border-dark-base-300 p-1 rounded-lg">
                             <button type="button" onClick={() => setSession('morning')} className={`flex-1 flex items-center justify-center gap-2 px-3 py-1.5 rounded-md text-sm transition-colors ${session === 'morning' ? 'bg-base-100 dark:bg-dark-base-200 shadow-sm text-primary' : 'hover:bg-base-300/50 dark:hover:bg-dark-base-100/50'}`}>
                                 <Sun className="h-4 w-4" /> Morning
@@ -161,13 +379,130 @@ const AttendancePage = () => {
                     </div>
                 </div>
 
+                {(!isOnline || pending.length > 0) && (
+                    <Alert className="mb-4">
+                        <WifiOff className="h-4 w-4 text-yellow-500" />
+                        <AlertTitle>{isOnline ? 'Offline changes waiting to sync' : 'You are offline'}</AlertTitle>
+                        <AlertDescription>
+                            <div className="flex flex-wrap items-center justify-between gap-2">
+                                <span>
+                                    {pending.length > 0
+                                        ? `${pending.length} session(s) saved on this device will be uploaded when the connection returns.`
+                                        : 'Attendance you save now will be kept on this device and synced when you reconnect.'}
+                                </span>
+                                {isOnline && pending.length > 0 && (
+                                    <button type="button" onClick={syncNow} disabled={syncing} className="inline-flex items-center gap-1 text-sm font-semibold text-primary disabled:opacity-50">
+                                        <RefreshCw className={`h-4 w-4 ${syncing ? 'animate-spin' : ''}`} /> Sync now
+                                    </button>
+                                )}
+                            </div>
+                        </AlertDescription>
+                    </Alert>
+                )}
+                {conflicts.length > 0 && (
+                    <Alert variant="destructive" className="mb-4">
+                        <AlertTitle>Sync conflicts</AlertTitle>
+                        <AlertDescription>
+                            <p className="mb-2">These students were marked differently by someone else while you were offline. Choose which status to keep.</p>
+                            <ul className="divide-y divide-red-500/20">
+                                {conflicts.map(conflict => (
+                                    <li key={conflict.id} className="py-2 flex flex-wrap items-center justify-between gap-2">
+                                        <span>
+                                            <span className="font-semibold">{studentName(conflict.studentId)}</span>
+                                            {' '}({formatDate(conflict.date)}, {conflict.sessionType}): yours <b>{conflict.localStatus}</b>, saved <b>{conflict.serverStatus}</b>
+                                        </span>
+                                        <span className="flex gap-2">
+                                            <button type="button" onClick={() => handleResolveConflict(conflict, true)} className="px-3 py-1 text-xs font-semibold rounded-lg bg-primary text-primary-content hover:bg-primary-focus">Keep mine</button>
+                                            <button type="button" onClick={() => handleResolveConflict(conflict, false)} className="px-3 py-1 text-xs font-semibold rounded-lg bg-base-200 dark:bg-dark-base-300 text-base-content dark:text-dark-base-content">Keep saved</button>
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </AlertDescription>
+                    </Alert>
+                )}
+                {holiday && (
+                    <Alert className="mb-4">
+                        <TreePalm className="h-4 w-4 text-blue-500" />
+                        <AlertTitle>Holiday: {holiday.title}</AlertTitle>
+                        <AlertDescription>This session falls on a hostel holiday, so every student has been marked as Holiday.</AlertDescription>
+                    </Alert>
+                )}
                 {error && <Alert variant="destructive" className="mb-4"><AlertTitle>Error</AlertTitle><AlertDescription>{error}</AlertDescription></Alert>}
                 {success && <Alert variant="success" className="mb-4"><AlertTitle>Success</AlertTitle><AlertDescription>{success}</AlertDescription></Alert>}
 
+                {lateArrivals.length > 0 && (
+                    <div className="mb-4 p-4 rounded-lg bg-orange-500/10 border border-orange-500/20">
+                        <h3 className="flex items-center gap-2 text-sm font-semibold text-orange-700 dark:text-orange-300">
+                            <Timer className="h-4 w-4" /> Late arrivals ({lateArrivals.length})
+                        </h3>
+                        <div className="mt-2 flex flex-wrap gap-2">
+                            {lateArrivals.map(student => (
+                                <span key={student.id} className="px-2 py-0.5 text-xs font-semibold rounded-full bg-orange-500/10 text-orange-700 dark:text-orange-300">
+                                    {student.full_name}{lateMinutes[student.id] ? ` · ${lateMinutes[student.id]} min` : ''}
+                                </span>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+                    {[
+                        { field: 'room', label: 'Room', all: 'All rooms' },
+                        { field: 'floor', label: 'Floor', all: 'All floors' },
+                        { field: 'course', label: 'Course', all: 'All courses' },
+                    ].map(({ field, label, all }) => (
+                        <div key={field}>
+                            <label htmlFor={`filter-${field}`} className="block text-sm font-medium text-base-content-secondary">{label}</label>
+                            <select id={`filter-${field}`} value={filters[field]} onChange={(e) => handleFilterChange(field, e.target.value)} className="mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm">
+                                <option value="">{all}</option>
+                                {filterOptions[field].map(option => (
+                                    <option key={option} value={option}>{field === 'floor' ? `Floor ${option}` : option}</option>
+                                ))}
+                            </select>
+                        </div>
+                    ))}
+                </div>
+
+                <div className="flex flex-col lg:flex-row lg:items-center justify-between gap-3 mb-4 p-3 rounded-lg bg-base-200/50 dark:bg-dark-base-300/50">
+                    <div className="flex flex-wrap items-center gap-2">
+                        <button type="button" onClick={() => markMany(filteredStudents.map(s => s.id), 'Present')} className="px-3 py-1.5 text-sm font-semibold rounded-lg bg-green-500 text-white hover:bg-green-600">
+                            Mark all{filteredStudents.length !== students.length ? ' shown' : ''} present
+                        </button>
+                        {selected.size > 0 && (
+                            <>
+                                <span className="text-sm text-base-content-secondary">{selected.size} selected:</span>
+                                {['Present', 'Absent', 'Late', 'Leave'].map(status => (
+                                    <button key={status} type="button" onClick={() => handleMarkSelected(status)} className="px-3 py-1.5 text-sm font-semibold rounded-lg bg-base-100 dark:bg-dark-base-200 border border-base-300 dark:border-dark-base-300 hover:bg-base-200 dark:hover:bg-dark-base-300">
+                                        {status}
+                                    </button>
+                                ))}
+                            </>
+                        )}
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2 text-xs font-semibold">
+                        {[
+                            { status: 'Present', color: 'bg-green-500/10 text-green-700 dark:text-green-300' },
+                            { status: 'Absent', color: 'bg-red-500/10 text-red-700 dark:text-red-300' },
+                            { status: 'Late', color: 'bg-orange-500/10 text-orange-700 dark:text-orange-300' },
+                            { status: 'Leave', color: 'bg-yellow-500/10 text-yellow-700 dark:text-yellow-300' },
+                            { status: 'Holiday', color: 'bg-blue-500/10 text-blue-700 dark:text-blue-300' },
+                        ].map(({ status, color }) => (
+                            <span key={status} className={`px-2 py-1 rounded-full ${color}`}>{status}: {statusCounts[status] || 0}</span>
+                        ))}
+                    </div>
+                </div>
+                <p className="flex items-center gap-2 mb-2 text-xs text-base-content-secondary">
+                    <Keyboard className="h-4 w-4" /> Use ↑/↓ to move between students and P, A, L or H to mark Present, Absent, Leave or Holiday.
+                </p>
+
                 <div className="overflow-x-auto">
                     <table className="min-w-full divide-y divide-base-200 dark:divide-dark-base-300">
                         <thead className="bg-base-200/50 dark:bg-dark-base-300/50">
                             <tr>
+                                <th scope="col" className="pl-6 py-3 w-8">
+                                    <input type="checkbox" checked={allVisibleSelected} onChange={toggleSelectAll} aria-label="Select all students" className="rounded border-base-300 text-primary focus:ring-primary" />
+                                </th>
                                 <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-base-content-secondary uppercase tracking-wider">Student</th>
                                 <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-base-content-secondary uppercase tracking-wider">Status</th>
                             </tr>
@@ -176,6 +511,7 @@ const AttendancePage = () => {
                             {loading && !students.length ? (
                                 [...Array(5)].map((_, i) => (
                                     <tr key={i}>
+                                        <td className="pl-6 py-4"></td>
                                         <td className="px-6 py-4 whitespace-nowrap">
                                             <div className="flex items-center">
                                                 <div className="h-8 w-8 bg-base-200 dark:bg-dark-base-300 rounded-full animate-pulse"></div>
@@ -190,12 +526,30 @@ const AttendancePage = () => {
                                         </td>
                                     </tr>
                                 ))
-                            ) : students.map((student) => (
-                                <tr key={student.id}>
+                            ) : filteredStudents.length === 0 ? (
+                                <tr><td colSpan="3" className="text-center py-8 text-base-content-secondary">No students match these filters.</td></tr>
+                            ) : filteredStudents.map((student, index) => (
+                                <tr
+                                    key={student.id}
+                                    ref={(el) => { rowRefs.current[student.id] = el; }}
+                                    onClick={() => setFocusedIndex(index)}
+                                    className={index === focusedIndex ? 'bg-primary/5 dark:bg-dark-primary/10' : ''}
+                                >
+                                    <td className={`pl-6 py-4 border-l-4 ${index === focusedIndex ? 'border-primary' : 'border-transparent'}`}>
+                                        <input type="checkbox" checked={selected.has(student.id)} onChange={() => toggleSelected(student.id)} aria-label={`Select ${student.full_name}`} className="rounded border-base-300 text-primary focus:ring-primary" />
+                                    </td>
                                     <td className="px-6 py-4 whitespace-nowrap">
                                         <div className="flex items-center">
                                             <User className="h-5 w-5 mr-3 text-base-content-secondary" />
-                                            <span className="font-medium">{student.full_name}</span>
+                                            <div>
+                                                <span className="font-medium">{student.full_name}</span>
+                                                <p className="text-xs text-base-content-secondary">
+                                                    {[student.room_number && `Room ${student.room_number}`, student.course].filter(Boolean).join(' · ') || 'No room assigned'}
+                                                </p>
+                                            </div>
+                                            {studentsOnLeave.has(student.id) && (
+                                                <span className="ml-3 px-2 py-0.5 text-xs font-semibold rounded-full bg-yellow-500/10 text-yellow-600 dark:bg-yellow-500/20 dark:text-yellow-400">On approved leave</span>
+                                            )}
                                         </div>
                                     </td>
                                     <td className="px-6 py-4 whitespace-nowrap">
@@ -248,6 +602,17 @@ const AttendancePage = () => {
                     </button>
                 </div>
             </form>
+
+            <QrCheckinModal
+                isOpen={isQrModalOpen}
+                onClose={() => {
+                    setIsQrModalOpen(false);
+                    fetchAttendance();
+                }}
+                date={date}
+                sessionType={session === 'morning' ? 'Morning' : 'Evening'}
+            />
+            <SessionWindowsModal isOpen={isWindowsModalOpen} onClose={() => setIsWindowsModalOpen(false)} />
         </>
     );
 };
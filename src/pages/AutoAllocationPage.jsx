@@ -0,0 +1,307 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { supabase } from '../lib/supabase';
+import { ROOM_LOCATION_SELECT, emptyLocationFilter, matchesLocation, formatRoomLocation, getFreeBeds } from '../lib/rooms';
+import { proposeAllocationPlan, assignBeds, checkPlan, getMetPreferences } from '../lib/allocationPlan';
+import { useRoomHierarchy } from '../hooks/useRoomHierarchy';
+import PageHeader from '../components/ui/PageHeader';
+import StatCard from '../components/ui/StatCard';
+import EmptyState from '../components/ui/EmptyState';
+import LocationFilter from '../components/rooms/LocationFilter';
+import toast from 'react-hot-toast';
+import { Loader, Users, UserCheck, AlertTriangle, Sparkles, WandSparkles, Check, X } from 'lucide-react';
+
+const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: { opacity: 1, transition: { staggerChildren: 0.1 } }
+};
+
+const itemVariants = {
+    hidden: { opacity: 0, y: 20 },
+    visible: { opacity: 1, y: 0 }
+};
+
+const thClassName = "px-6 py-4 text-left text-xs font-medium text-base-content-secondary dark:text-dark-base-content-secondary uppercase tracking-wider";
+const selectClassName = "rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary text-sm";
+
+const AutoAllocationPage = () => {
+    const { buildings } = useRoomHierarchy();
+    const [students, setStudents] = useState([]);
+    const [preferences, setPreferences] = useState({});
+    const [rooms, setRooms] = useState([]);
+    const [occupants, setOccupants] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [scope, setScope] = useState(emptyLocationFilter);
+    const [singleGenderRooms, setSingleGenderRooms] = useState(true);
+    const [plan, setPlan] = useState(null);
+    const [committing, setCommitting] = useState(false);
+
+    const fetchData = useCallback(async () => {
+        setLoading(true);
+        try {
+            const [studentsRes, preferencesRes, roomsRes, allocationsRes] = await Promise.all([
+                supabase.rpc('get_unallocated_students'),
+                supabase.from('allocation_preferences').select('*'),
+                supabase.from('rooms').select(`*, beds(id, label), ${ROOM_LOCATION_SELECT}`).order('room_number'),
+                supabase.from('room_allocations').select('room_id, bed_id, students(id, gender, course, year_of_study)').eq('is_active', true),
+            ]);
+            if (studentsRes.error) throw studentsRes.error;
+            if (preferencesRes.error) throw preferencesRes.error;
+            if (roomsRes.error) throw roomsRes.error;
+            if (allocationsRes.error) throw allocationsRes.error;
+
+            setStudents(studentsRes.data || []);
+            setPreferences(Object.fromEntries((preferencesRes.data || []).map(row => [row.student_id, row])));
+            setRooms(roomsRes.data || []);
+            setOccupants((allocationsRes.data || []).reduce((acc, allocation) => {
+                (acc[allocation.room_id] = acc[allocation.room_id] || []).push(allocation);
+                return acc;
+            }, {}));
+        } catch (error) {
+            toast.error(`Failed to fetch allocation data: ${error.message}`);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchData();
+    }, [fetchData]);
+
+    const studentsById = useMemo(() => new Map(students.map(student => [student.id, student])), [students]);
+    const roomsById = useMemo(() => new Map(rooms.map(room => [room.id, room])), [rooms]);
+    const roomOptions = useMemo(() => rooms.filter(room => room.status !== 'Maintenance'), [rooms]);
+
+    const handleGenerate = () => {
+        const scopedRooms = rooms.filter(room => matchesLocation(room, scope));
+        const proposal = proposeAllocationPlan({ students, preferences, rooms: scopedRooms, occupants, singleGenderRooms });
+        setPlan(proposal);
+        if (proposal.entries.length === 0) toast.error('No student could be placed in the rooms in scope.');
+    };
+
+    const handleChangeRoom = (studentId, roomId) => {
+        setPlan(prev => ({ ...prev, entries: prev.entries.map(entry => entry.studentId === studentId ? { ...entry, roomId } : entry) }));
+    };
+
+    const handleRemove = (studentId) => {
+        setPlan(prev => ({
+            entries: prev.entries.filter(entry => entry.studentId !== studentId),
+            unplaced: [...prev.unplaced, { studentId, reason: 'Removed from the plan.' }],
+        }));
+    };
+
+    const handlePlace = (studentId, roomId) => {
+        if (!roomId) return;
+        setPlan(prev => ({
+            entries: [...prev.entries, { studentId, roomId }],
+            unplaced: prev.unplaced.filter(item => item.studentId !== studentId),
+        }));
+    };
+
+    const beds = useMemo(() => plan ? assignBeds(plan.entries, roomsById, occupants) : {}, [plan, roomsById, occupants]);
+    const problems = useMemo(
+        () => plan ? checkPlan({ entries: plan.entries, studentsById, roomsById, occupants, singleGenderRooms }) : {},
+        [plan, studentsById, roomsById, occupants, singleGenderRooms]
+    );
+
+    // Where each student will be after the commit: their planned room, or the room they already hold.
+    const roomOfStudent = useMemo(() => {
+        const map = {};
+        Object.entries(occupants).forEach(([roomId, allocations]) => {
+            allocations.forEach(allocation => { if (allocation.students) map[allocation.students.id] = roomId; });
+        });
+        (plan?.entries || []).forEach(entry => { map[entry.studentId] = entry.roomId; });
+        return map;
+    }, [occupants, plan]);
+
+    const plannedByRoom = useMemo(() => (plan?.entries || []).reduce((acc, entry) => {
+        acc[entry.roomId] = (acc[entry.roomId] || 0) + 1;
+        return acc;
+    }, {}), [plan]);
+
+    const bedsLeft = (room) => getFreeBeds(room, occupants[room.id]).length - (plannedByRoom[room.id] || 0);
+
+    const preferenceTotals = (plan?.entries || []).reduce((acc, { studentId, roomId }) => {
+        const preference = preferences[studentId];
+        if (!preference) return acc;
+        const asked = [preference.preferred_room_type, preference.preferred_block_id, preference.roommate_student_id].filter(Boolean).length;
+        const met = getMetPreferences(preference, roomsById.get(roomId), roomOfStudent[preference.roommate_student_id]).length;
+        return { asked: acc.asked + asked, met: acc.met + met };
+    }, { asked: 0, met: 0 });
+
+    const problemCount = Object.keys(problems).length;
+
+    const handleCommit = async () => {
+        if (!window.confirm(`Allocate rooms to ${plan.entries.length} students? The whole plan is saved together, or not at all if any allocation fails.`)) return;
+        setCommitting(true);
+        const { data, error } = await supabase.rpc('commit_allocation_plan', {
+            p_plan: plan.entries.map(({ studentId, roomId }) => ({ student_id: studentId, room_id: roomId, bed_id: beds[studentId]?.id || null })),
+        });
+        if (error) {
+            toast.error(`Nothing was allocated. ${error.message}`);
+        } else {
+            toast.success(`${data} students allocated.`);
+            setPlan(null);
+            fetchData();
+        }
+        setCommitting(false);
+    };
+
+    const renderRoomOption = (room, currentRoomId) => {
+        const left = bedsLeft(room) + (room.id === currentRoomId ? 1 : 0);
+        return (
+            <option key={room.id} value={room.id} disabled={left <= 0 && room.id !== currentRoomId}>
+                Room {room.room_number} ({room.type}){room.floor ? ` — ${formatRoomLocation(room)}` : ''} · {left} left
+            </option>
+        );
+    };
+
+    return (
+        <motion.div initial="hidden" animate="visible" variants={containerVariants}>
+            <PageHeader title="Auto Allocation" />
+
+            <motion.div variants={itemVariants} className="bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg mb-8">
+                <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary mb-4">
+                    Builds a room plan for every student without a room. Block gender and year restrictions and bed counts are always respected; room type, block and roommate preferences, and shared course and year, decide between the rooms that fit. Nothing is saved until you commit the plan.
+                </p>
+                <div className="flex flex-wrap items-center gap-4">
+                    <LocationFilter buildings={buildings} value={scope} onChange={setScope} />
+                    <label className="inline-flex items-center text-sm">
+                        <input type="checkbox" checked={singleGenderRooms} onChange={(e) => setSingleGenderRooms(e.target.checked)} className="rounded border-base-300 text-primary focus:ring-primary mr-2" />
+                        Keep each room to one gender
+                    </label>
+                    <button
+                        onClick={handleGenerate}
+                        disabled={loading || students.length === 0}
+                        className="ml-auto inline-flex items-center px-4 py-2 text-sm font-medium rounded-lg shadow-sm text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50"
+                    >
+                        <WandSparkles className="w-4 h-4 mr-2" /> {plan ? 'Generate Again' : 'Generate Plan'}
+                    </button>
+                </div>
+            </motion.div>
+
+            {loading ? (
+                <div className="flex justify-center py-10"><Loader className="animate-spin h-8 w-8 text-primary" /></div>
+            ) : !plan ? (
+                <motion.div variants={itemVariants} className="bg-base-100 dark:bg-dark-base-200 rounded-2xl shadow-lg">
+                    <EmptyState
+                        icon={<WandSparkles className="w-full h-full" />}
+                        title={students.length > 0 ? `${students.length} Students Without a Room` : 'Every Student Has a Room'}
+                        message={students.length > 0 ? 'Choose the rooms to fill and generate a plan to review.' : 'Students added later will show up here.'}
+                    />
+                </motion.div>
+            ) : (
+                <>
+                    <motion.div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6" variants={containerVariants}>
+                        <StatCard title="Students" value={plan.entries.length + plan.unplaced.length} icon={<Users />} color="bg-blue-500" />
+                        <StatCard title="Placed" value={plan.entries.length} icon={<UserCheck />} color="bg-green-500" />
+                        <StatCard title="Not Placed" value={plan.unplaced.length} icon={<AlertTriangle />} color="bg-red-500" />
+                        <StatCard title="Preferences Met" value={`${preferenceTotals.met}/${preferenceTotals.asked}`} icon={<Sparkles />} color="bg-yellow-500" />
+                    </motion.div>
+
+                    <motion.div variants={itemVariants} className="mt-8 bg-base-100 dark:bg-dark-base-200 rounded-xl shadow-lg overflow-hidden transition-colors">
+                        <div className="flex flex-wrap items-center justify-between gap-4 p-6">
+                            <div>
+                                <h2 className="text-xl font-semibold">Proposed Allocations</h2>
+                                <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary">
+                                    {problemCount > 0 ? `Fix or remove the ${problemCount} flagged ${problemCount === 1 ? 'row' : 'rows'} before committing.` : 'Change any room before committing.'}
+                                </p>
+                            </div>
+                            <button
+                                onClick={handleCommit}
+                                disabled={committing || plan.entries.length === 0 || problemCount > 0}
+                                className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-lg shadow-sm text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50"
+                            >
+                                {committing ? <Loader className="animate-spin h-4 w-4 mr-2" /> : <Check className="h-4 w-4 mr-2" />}
+                                Commit Plan
+                            </button>
+                        </div>
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full">
+                                <thead className="bg-base-200 dark:bg-dark-base-300">
+                                    <tr>
+                                        <th className={thClassName}>Student</th>
+                                        <th className={thClassName}>Room</th>
+                                        <th className={thClassName}>Bed</th>
+                                        <th className={thClassName}>Notes</th>
+                                        <th className={`${thClassName} text-right`}>Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-base-200 dark:divide-dark-base-300">
+                                    {plan.entries.length === 0 && (
+                                        <tr><td colSpan={5} className="px-6 py-6 text-center text-sm text-base-content-secondary">No students are placed in this plan.</td></tr>
+                                    )}
+                                    {plan.entries.map(({ studentId, roomId }) => {
+                                        const student = studentsById.get(studentId);
+                                        const preference = preferences[studentId];
+                                        const met = getMetPreferences(preference, roomsById.get(roomId), roomOfStudent[preference?.roommate_student_id]);
+                                        return (
+                                            <tr key={studentId} className={problems[studentId] ? 'bg-red-500/5' : 'hover:bg-base-200 dark:hover:bg-dark-base-300/50 transition-colors'}>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                                    <div className="font-medium">{student?.full_name}</div>
+                                                    <div className="text-xs text-base-content-secondary dark:text-dark-base-content-secondary">
+                                                        {[student?.gender, student?.year_of_study && `Year ${student.year_of_study}`, student?.course].filter(Boolean).join(' · ') || 'No details'}
+                                                    </div>
+                                                </td>
+                                                <td className="px-6 py-4 text-sm">
+                                                    <select aria-label={`Room for ${student?.full_name}`} value={roomId} onChange={(e) => handleChangeRoom(studentId, e.target.value)} className={`${selectClassName} max-w-xs`}>
+                                                        {roomOptions.map(room => renderRoomOption(room, roomId))}
+                                                    </select>
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-base-content-secondary dark:text-dark-base-content-secondary">
+                                                    {beds[studentId] ? `Bed ${beds[studentId].label}` : '—'}
+                                                </td>
+                                                <td className="px-6 py-4 text-sm max-w-xs">
+                                                    {problems[studentId] ? (
+                                                        <span className="text-red-500">{problems[studentId]}</span>
+                                                    ) : met.length > 0 ? (
+                                                        <span className="text-green-600 dark:text-green-400">Meets: {met.join(', ')}</span>
+                                                    ) : (
+                                                        <span className="text-base-content-secondary">{preference ? 'Preferences not met' : 'No preferences'}</span>
+                                                    )}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                                                    <button onClick={() => handleRemove(studentId)} className="p-2 text-red-500/70 hover:text-red-500 transition-colors" title="Leave out of this plan">
+                                                        <X className="w-5 h-5" />
+                                                    </button>
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    </motion.div>
+
+                    {plan.unplaced.length > 0 && (
+                        <motion.div variants={itemVariants} className="mt-8 bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors">
+                            <h2 className="text-xl font-semibold mb-1">Not Placed</h2>
+                            <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary mb-4">
+                                These students keep no room when the plan is committed. Place them by hand, or widen the scope and generate again.
+                            </p>
+                            <ul className="divide-y divide-base-200 dark:divide-dark-base-300">
+                                {plan.unplaced.map(({ studentId, reason }) => {
+                                    const student = studentsById.get(studentId);
+                                    return (
+                                        <li key={studentId} className="py-3 flex flex-wrap items-center justify-between gap-3">
+                                            <div className="min-w-0">
+                                                <p className="font-medium">{student?.full_name}</p>
+                                                <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary">{reason}</p>
+                                            </div>
+                                            <select aria-label={`Place ${student?.full_name}`} value="" onChange={(e) => handlePlace(studentId, e.target.value)} className={`${selectClassName} max-w-xs`}>
+                                                <option value="">Place in…</option>
+                                                {roomOptions.map(room => renderRoomOption(room))}
+                                            </select>
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+                        </motion.div>
+                    )}
+                </>
+            )}
+        </motion.div>
+    );
+};
+
+export default AutoAllocationPage;
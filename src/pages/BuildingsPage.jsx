@@ -0,0 +1,256 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { supabase } from '../lib/supabase';
+import { getFloorLabel, describeBlockRestrictions } from '../lib/rooms';
+import { useRoomHierarchy } from '../hooks/useRoomHierarchy';
+import PageHeader from '../components/ui/PageHeader';
+import Modal from '../components/ui/Modal';
+import EmptyState from '../components/ui/EmptyState';
+import toast from 'react-hot-toast';
+import { Loader, Edit, Trash2, Plus, Building2, X } from 'lucide-react';
+
+const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: { opacity: 1, transition: { staggerChildren: 0.05 } }
+};
+
+const itemVariants = {
+    hidden: { opacity: 0, y: 10 },
+    visible: { opacity: 1, y: 0 }
+};
+
+const inputClassName = "mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm";
+const labelClassName = "block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary";
+const thClassName = "px-4 py-3 text-left text-xs font-medium text-base-content-secondary dark:text-dark-base-content-secondary uppercase tracking-wider";
+
+const tables = { building: 'buildings', block: 'blocks', floor: 'floors' };
+const nouns = { building: 'Building', block: 'Block', floor: 'Floor' };
+
+const BuildingsPage = () => {
+    const { buildings, loading, refresh } = useRoomHierarchy();
+    const [roomCounts, setRoomCounts] = useState({});
+    // { kind: 'building' | 'block' | 'floor', record, parentId } while the modal is open.
+    const [editing, setEditing] = useState(null);
+    const [formLoading, setFormLoading] = useState(false);
+
+    const fetchRoomCounts = async () => {
+        const { data, error } = await supabase.from('rooms').select('floor_id').not('floor_id', 'is', null);
+        if (error) {
+            toast.error(`Failed to fetch rooms: ${error.message}`);
+            return;
+        }
+        setRoomCounts((data || []).reduce((acc, room) => {
+            acc[room.floor_id] = (acc[room.floor_id] || 0) + 1;
+            return acc;
+        }, {}));
+    };
+
+    useEffect(() => {
+        fetchRoomCounts();
+    }, []);
+
+    const handleDelete = async (kind, record) => {
+        const name = kind === 'floor' ? getFloorLabel(record) : record.name;
+        const warning = kind === 'floor' ? '' : ` Everything inside it is deleted too.`;
+        if (!window.confirm(`Delete ${nouns[kind].toLowerCase()} "${name}"?${warning}`)) return;
+
+        const { error } = await supabase.from(tables[kind]).delete().eq('id', record.id);
+        if (error) {
+            // rooms.floor_id is ON DELETE RESTRICT.
+            toast.error(error.code === '23503' ? `${name} still has rooms. Move them to another floor first.` : error.message);
+        } else {
+            toast.success(`${nouns[kind]} deleted.`);
+            refresh();
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setFormLoading(true);
+        const formData = Object.fromEntries(new FormData(e.target).entries());
+        const { kind, record, parentId } = editing;
+
+        let dataToSubmit;
+        if (kind === 'building') {
+            dataToSubmit = { name: formData.name.trim(), address: formData.address.trim() || null };
+        } else if (kind === 'block') {
+            dataToSubmit = {
+                name: formData.name.trim(),
+                gender_restriction: formData.gender_restriction || null,
+                min_year: formData.min_year ? Number(formData.min_year) : null,
+                max_year: formData.max_year ? Number(formData.max_year) : null,
+                ...(record ? {} : { building_id: parentId }),
+            };
+        } else {
+            dataToSubmit = {
+                level: Number(formData.level),
+                name: formData.name.trim() || null,
+                ...(record ? {} : { block_id: parentId }),
+            };
+        }
+
+        const { error } = record
+            ? await supabase.from(tables[kind]).update(dataToSubmit).eq('id', record.id)
+            : await supabase.from(tables[kind]).insert([dataToSubmit]);
+
+        if (error) {
+            toast.error(error.code === '23505' ? `That ${nouns[kind].toLowerCase()} already exists.` : error.message);
+        } else {
+            toast.success(`${nouns[kind]} ${record ? 'updated' : 'added'} successfully!`);
+            setEditing(null);
+            refresh();
+        }
+        setFormLoading(false);
+    };
+
+    const record = editing?.record;
+
+    return (
+        <>
+            <PageHeader
+                title="Buildings & Blocks"
+                buttonText="Add Building"
+                onButtonClick={() => setEditing({ kind: 'building', record: null })}
+            />
+            {loading ? (
+                <div className="flex justify-center items-center h-64">
+                    <Loader className="animate-spin h-8 w-8 text-primary" />
+                </div>
+            ) : buildings.length > 0 ? (
+                <motion.div className="space-y-6" variants={containerVariants} initial="hidden" animate="visible">
+                    {buildings.map(building => (
+                        <motion.div key={building.id} variants={itemVariants} className="bg-base-100 dark:bg-dark-base-200 rounded-2xl shadow-lg overflow-hidden transition-colors">
+                            <div className="flex flex-wrap items-center justify-between gap-4 p-6 border-b border-base-200 dark:border-dark-base-300">
+                                <div>
+                                    <h2 className="text-xl font-semibold text-base-content dark:text-dark-base-content">{building.name}</h2>
+                                    {building.address && <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary">{building.address}</p>}
+                                </div>
+                                <div className="flex items-center space-x-2">
+                                    <button onClick={() => setEditing({ kind: 'block', record: null, parentId: building.id })} className="inline-flex items-center py-2 px-3 text-sm font-medium rounded-lg text-primary bg-primary/10 hover:bg-primary/20 dark:text-dark-primary dark:bg-dark-primary/10">
+                                        <Plus className="w-4 h-4 mr-1" /> Add Block
+                                    </button>
+                                    <button onClick={() => setEditing({ kind: 'building', record: building })} className="p-2 text-primary hover:text-primary-focus dark:text-dark-primary dark:hover:text-dark-primary-focus" aria-label="Edit building"><Edit className="w-5 h-5" /></button>
+                                    <button onClick={() => handleDelete('building', building)} className="p-2 text-red-500 hover:text-red-700" aria-label="Delete building"><Trash2 className="w-5 h-5" /></button>
+                                </div>
+                            </div>
+                            {building.blocks.length > 0 ? (
+                                <div className="overflow-x-auto">
+                                    <table className="min-w-full divide-y divide-base-200 dark:divide-dark-base-300">
+                                        <thead className="bg-base-200/50 dark:bg-dark-base-300/50">
+                                            <tr>
+                                                <th className={thClassName}>Block</th>
+                                                <th className={thClassName}>Restrictions</th>
+                                                <th className={thClassName}>Floors</th>
+                                                <th className={`${thClassName} text-right`}>Actions</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="divide-y divide-base-200 dark:divide-dark-base-300">
+                                            {building.blocks.map(block => (
+                                                <tr key={block.id}>
+                                                    <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-base-content dark:text-dark-base-content">{block.name}</td>
+                                                    <td className="px-4 py-3 whitespace-nowrap text-sm text-base-content-secondary dark:text-dark-base-content-secondary">{describeBlockRestrictions(block) || 'None'}</td>
+                                                    <td className="px-4 py-3 text-sm">
+                                                        <div className="flex flex-wrap gap-2">
+                                                            {block.floors.map(floor => (
+                                                                <span key={floor.id} className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-base-200 dark:bg-dark-base-300">
+                                                                    <button onClick={() => setEditing({ kind: 'floor', record: floor })} className="hover:underline">
+                                                                        {getFloorLabel(floor)} ({roomCounts[floor.id] || 0} rooms)
+                                                                    </button>
+                                                                    <button onClick={() => handleDelete('floor', floor)} className="ml-1 text-red-500/70 hover:text-red-500" aria-label={`Delete ${getFloorLabel(floor)}`}><X className="w-3 h-3" /></button>
+                                                                </span>
+                                                            ))}
+                                                            <button onClick={() => setEditing({ kind: 'floor', record: null, parentId: block.id })} className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium text-primary bg-primary/10 hover:bg-primary/20 dark:text-dark-primary">
+                                                                <Plus className="w-3 h-3 mr-1" /> Floor
+                                                            </button>
+                                                        </div>
+                                                    </td>
+                                                    <td className="px-4 py-3 whitespace-nowrap text-right text-sm font-medium">
+                                                        <button onClick={() => setEditing({ kind: 'block', record: block })} className="text-primary hover:text-primary-focus dark:text-dark-primary dark:hover:text-dark-primary-focus mr-4" aria-label="Edit block"><Edit className="w-5 h-5" /></button>
+                                                        <button onClick={() => handleDelete('block', block)} className="text-red-500 hover:text-red-700" aria-label="Delete block"><Trash2 className="w-5 h-5" /></button>
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            ) : (
+                                <p className="p-6 text-sm text-base-content-secondary dark:text-dark-base-content-secondary">No blocks yet.</p>
+                            )}
+                        </motion.div>
+                    ))}
+                </motion.div>
+            ) : (
+                <div className="bg-base-100 dark:bg-dark-base-200 rounded-2xl shadow-lg">
+                    <EmptyState
+                        icon={<Building2 className="w-full h-full" />}
+                        title="No Buildings Yet"
+                        message="Add a building, then its blocks and floors, and place rooms on the floors from Room Management."
+                    />
+                </div>
+            )}
+
+            <Modal title={editing ? `${record ? 'Edit' : 'Add'} ${nouns[editing.kind]}` : ''} isOpen={Boolean(editing)} onClose={() => setEditing(null)}>
+                {editing && (
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        {editing.kind === 'floor' ? (
+                            <>
+                                <div>
+                                    <label htmlFor="level" className={labelClassName}>Level</label>
+                                    <input type="number" min="-5" max="200" name="level" id="level" defaultValue={record?.level ?? ''} required className={inputClassName} />
+                                    <p className="mt-1 text-xs text-base-content-secondary">0 is the ground floor; negative levels are basements.</p>
+                                </div>
+                                <div>
+                                    <label htmlFor="name" className={labelClassName}>Name (optional)</label>
+                                    <input type="text" name="name" id="name" defaultValue={record?.name || ''} placeholder="e.g. Mezzanine" className={inputClassName} />
+                                </div>
+                            </>
+                        ) : (
+                            <div>
+                                <label htmlFor="name" className={labelClassName}>Name</label>
+                                <input type="text" name="name" id="name" defaultValue={record?.name || ''} placeholder={editing.kind === 'building' ? 'e.g. North Campus Hostel' : 'e.g. Block A'} required className={inputClassName} />
+                            </div>
+                        )}
+                        {editing.kind === 'building' && (
+                            <div>
+                                <label htmlFor="address" className={labelClassName}>Address (optional)</label>
+                                <input type="text" name="address" id="address" defaultValue={record?.address || ''} className={inputClassName} />
+                            </div>
+                        )}
+                        {editing.kind === 'block' && (
+                            <>
+                                <div>
+                                    <label htmlFor="gender_restriction" className={labelClassName}>Gender</label>
+                                    <select name="gender_restriction" id="gender_restriction" defaultValue={record?.gender_restriction || ''} className={inputClassName}>
+                                        <option value="">Any</option>
+                                        <option value="Male">Male only</option>
+                                        <option value="Female">Female only</option>
+                                    </select>
+                                </div>
+                                <div className="grid grid-cols-2 gap-4">
+                                    <div>
+                                        <label htmlFor="min_year" className={labelClassName}>From Year (optional)</label>
+                                        <input type="number" min="1" max="10" name="min_year" id="min_year" defaultValue={record?.min_year ?? ''} className={inputClassName} />
+                                    </div>
+                                    <div>
+                                        <label htmlFor="max_year" className={labelClassName}>To Year (optional)</label>
+                                        <input type="number" min="1" max="10" name="max_year" id="max_year" defaultValue={record?.max_year ?? ''} className={inputClassName} />
+                                    </div>
+                                </div>
+                                <p className="text-xs text-base-content-secondary">Only students who meet these can be allocated rooms in this block. Students need their gender and year of study recorded for a restricted block.</p>
+                            </>
+                        )}
+                        <div className="flex justify-end pt-4 space-x-3">
+                            <button type="button" onClick={() => setEditing(null)} className="inline-flex justify-center py-2 px-4 border border-base-300 dark:border-dark-base-300 shadow-sm text-sm font-medium rounded-lg text-base-content dark:text-dark-base-content bg-base-100 dark:bg-dark-base-200 hover:bg-base-200 dark:hover:bg-dark-base-300">Cancel</button>
+                            <button type="submit" disabled={formLoading} className="inline-flex justify-center items-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
+                                {formLoading && <Loader className="animate-spin h-4 w-4 mr-2" />}
+                                {record ? 'Save Changes' : `Add ${nouns[editing.kind]}`}
+                            </button>
+                        </div>
+                    </form>
+                )}
+            </Modal>
+        </>
+    );
+};
+
+export default BuildingsPage;
@@ -0,0 +1,569 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { supabase } from '../lib/supabase';
+import { useLocale } from '../context/LocaleContext';
+import { formatMoney, formatDate, getCurrencySymbol } from '../lib/format';
+import PageHeader from '../components/ui/PageHeader';
+import Modal from '../components/ui/Modal';
+import EmptyState from '../components/ui/EmptyState';
+import toast from 'react-hot-toast';
+import { Loader, Edit, Trash2, Receipt, Eye, CheckCircle } from 'lucide-react';
+
+const frequencies = ['Monthly', 'Semester', 'Yearly', 'One-time'];
+const roomTypes = ['Single', 'Double', 'Triple'];
+
+const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: { opacity: 1, transition: { staggerChildren: 0.05 } }
+};
+
+const itemVariants = {
+    hidden: { opacity: 0, y: 10 },
+    visible: { opacity: 1, y: 0 }
+};
+
+const currencyOptions = ['INR', 'USD', 'EUR', 'GBP', 'AED', 'SGD', 'AUD', 'CAD', 'NPR', 'LKR', 'BDT'];
+
+const localeOptions = [
+    { value: 'en-IN', label: 'English (India)' },
+    { value: 'hi-IN', label: 'Hindi (India)' },
+    { value: 'en-US', label: 'English (United States)' },
+    { value: 'en-GB', label: 'English (United Kingdom)' },
+    { value: 'en-AU', label: 'English (Australia)' },
+    { value: 'en-SG', label: 'English (Singapore)' },
+    { value: 'ar-AE', label: 'Arabic (UAE)' },
+    { value: 'fr-FR', label: 'French (France)' },
+    { value: 'de-DE', label: 'German (Germany)' },
+];
+
+const inputClassName = "mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm";
+const thClassName = "px-6 py-4 text-left text-xs font-medium text-base-content-secondary dark:text-dark-base-content-secondary uppercase tracking-wider";
+
+const FeePlansPage = () => {
+    const [plans, setPlans] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [formLoading, setFormLoading] = useState(false);
+    const [currentPlan, setCurrentPlan] = useState(null);
+
+    const [runDate, setRunDate] = useState(new Date().toISOString().split('T')[0]);
+    const [runPlanId, setRunPlanId] = useState('');
+    const [preview, setPreview] = useState(null);
+    const [previewLoading, setPreviewLoading] = useState(false);
+    const [generating, setGenerating] = useState(false);
+
+    const [penaltySettings, setPenaltySettings] = useState(null);
+    const [savingPenalty, setSavingPenalty] = useState(false);
+    const [depositSettings, setDepositSettings] = useState(null);
+    const [savingDeposit, setSavingDeposit] = useState(false);
+    const { currency, locale, refreshLocale } = useLocale();
+    const [localeSettings, setLocaleSettings] = useState({ currency, locale });
+    const [savingLocale, setSavingLocale] = useState(false);
+
+    const fetchPlans = async () => {
+        try {
+            setLoading(true);
+            const { data, error } = await supabase
+                .from('fee_plans')
+                .select('*')
+                .order('name');
+            if (error) throw error;
+            setPlans(data || []);
+        } catch (error) {
+            toast.error(`Failed to fetch fee plans: ${error.message}`);
+            setPlans([]);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchPlans();
+    }, []);
+
+    useEffect(() => {
+        const fetchPenaltySettings = async () => {
+            const { data, error } = await supabase
+                .from('fee_penalty_settings')
+                .select('*')
+                .maybeSingle();
+            if (error) {
+                toast.error(`Failed to fetch late-fee rule: ${error.message}`);
+            } else {
+                setPenaltySettings(data);
+            }
+        };
+        fetchPenaltySettings();
+    }, []);
+
+    useEffect(() => {
+        const fetchDepositSettings = async () => {
+            const { data, error } = await supabase
+                .from('finance_settings')
+                .select('security_deposit_amount, security_deposit_due_days')
+                .maybeSingle();
+            if (error) {
+                toast.error(`Failed to fetch deposit settings: ${error.message}`);
+            } else {
+                setDepositSettings(data);
+            }
+        };
+        fetchDepositSettings();
+    }, []);
+
+    // A preview is only valid for the inputs it was built from.
+    useEffect(() => {
+        setPreview(null);
+    }, [runDate, runPlanId]);
+
+    const openAddModal = () => {
+        setCurrentPlan(null);
+        setIsModalOpen(true);
+    };
+
+    const openEditModal = (plan) => {
+        setCurrentPlan(plan);
+        setIsModalOpen(true);
+    };
+
+    const handleDelete = async (planId) => {
+        if (window.confirm('Delete this fee plan? Fees it already generated are kept.')) {
+            const { error } = await supabase.from('fee_plans').delete().eq('id', planId);
+            if (error) {
+                toast.error(error.message);
+            } else {
+                toast.success('Fee plan deleted.');
+                fetchPlans();
+            }
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setFormLoading(true);
+        const formData = Object.fromEntries(new FormData(e.target).entries());
+
+        const dataToSubmit = {
+            name: formData.name,
+            description: formData.description || null,
+            frequency: formData.frequency,
+            amount: formData.amount,
+            room_type: formData.room_type || null,
+            due_day: Number(formData.due_day),
+            is_active: formData.is_active === 'on',
+        };
+
+        let error;
+        if (currentPlan) {
+            ({ error } = await supabase.from('fee_plans').update(dataToSubmit).eq('id', currentPlan.id));
+        } else {
+            ({ error } = await supabase.from('fee_plans').insert([dataToSubmit]));
+        }
+
+        if (error) {
+            toast.error(error.message);
+        } else {
+            toast.success(`Fee plan ${currentPlan ? 'updated' : 'added'} successfully!`);
+            fetchPlans();
+            setIsModalOpen(false);
+        }
+        setFormLoading(false);
+    };
+
+    const handlePreview = async () => {
+        setPreviewLoading(true);
+        const { data, error } = await supabase.rpc('preview_fee_generation', {
+            p_run_date: runDate,
+            p_plan_id: runPlanId || null,
+        });
+        if (error) {
+            toast.error(`Failed to preview billing run: ${error.message}`);
+            setPreview(null);
+        } else {
+            setPreview(data || []);
+        }
+        setPreviewLoading(false);
+    };
+
+    const handleGenerate = async () => {
+        setGenerating(true);
+        const { data, error } = await supabase.rpc('generate_fees', {
+            p_run_date: runDate,
+            p_plan_id: runPlanId || null,
+        });
+        if (error) {
+            toast.error(`Billing run failed: ${error.message}`);
+        } else {
+            toast.success(data > 0 ? `Generated ${data} fee record${data === 1 ? '' : 's'}.` : 'Nothing new to bill for this period.');
+            handlePreview();
+        }
+        setGenerating(false);
+    };
+
+    const handlePenaltyChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setPenaltySettings(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    };
+
+    const handleSavePenalty = async (e) => {
+        e.preventDefault();
+        setSavingPenalty(true);
+        const { error } = await supabase
+            .from('fee_penalty_settings')
+            .update({
+                enabled: penaltySettings.enabled,
+                penalty_type: penaltySettings.penalty_type,
+                penalty_value: penaltySettings.penalty_value,
+                grace_days: Number(penaltySettings.grace_days),
+                updated_at: new Date().toISOString(),
+            })
+            .eq('id', true);
+
+        if (error) {
+            toast.error(error.message);
+        } else {
+            toast.success('Late-fee rule saved.');
+        }
+        setSavingPenalty(false);
+    };
+
+    const handleDepositChange = (e) => {
+        const { name, value } = e.target;
+        setDepositSettings(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSaveDeposit = async (e) => {
+        e.preventDefault();
+        setSavingDeposit(true);
+        const { error } = await supabase
+            .from('finance_settings')
+            .update({
+                security_deposit_amount: parseFloat(depositSettings.security_deposit_amount) || 0,
+                security_deposit_due_days: Number(depositSettings.security_deposit_due_days),
+                updated_at: new Date().toISOString(),
+            })
+            .eq('id', true);
+
+        if (error) {
+            toast.error(error.message);
+        } else {
+            toast.success('Deposit settings saved.');
+        }
+        setSavingDeposit(false);
+    };
+
+    const handleLocaleChange = (e) => {
+        const { name, value } = e.target;
+        setLocaleSettings(prev => ({ ...prev, [name]: value }));
+    };
+
+    // Only the display changes; stored amounts are not converted.
+    const handleSaveLocale = async (e) => {
+        e.preventDefault();
+        setSavingLocale(true);
+        const { error } = await supabase
+            .from('finance_settings')
+            .update({ ...localeSettings, updated_at: new Date().toISOString() })
+            .eq('id', true);
+
+        setSavingLocale(false);
+        if (error) {
+            toast.error(error.message);
+        } else {
+            toast.success('Currency and locale saved.');
+            refreshLocale();
+        }
+    };
+
+    const pending = preview?.filter(row => !row.already_billed) || [];
+    const pendingTotal = pending.reduce((sum, row) => sum + parseFloat(row.amount), 0);
+
+    return (
+        <>
+            <PageHeader
+                title="Fee Plans"
+                buttonText="Add Fee Plan"
+                onButtonClick={openAddModal}
+            />
+
+            <div className="mb-8 bg-base-100 dark:bg-dark-base-200 rounded-xl shadow-lg overflow-hidden transition-colors">
+                <div className="overflow-x-auto">
+                    <table className="min-w-full">
+                        <thead className="bg-base-200 dark:bg-dark-base-300">
+                            <tr>
+                                <th className={thClassName}>Plan</th>
+                                <th className={thClassName}>Frequency</th>
+                                <th className={thClassName}>Amount</th>
+                                <th className={thClassName}>Applies To</th>
+                                <th className={thClassName}>Due Day</th>
+                                <th className={thClassName}>Status</th>
+                                <th className="px-6 py-4 text-right text-xs font-medium text-base-content-secondary dark:text-dark-base-content-secondary uppercase tracking-wider">Actions</th>
+                            </tr>
+                        </thead>
+                        {loading ? (
+                            <tbody>
+                                <tr><td colSpan="7" className="text-center py-10"><Loader className="mx-auto animate-spin" /></td></tr>
+                            </tbody>
+                        ) : plans.length > 0 ? (
+                            <motion.tbody
+                                className="divide-y divide-base-200 dark:divide-dark-base-300"
+                                variants={containerVariants}
+                                initial="hidden"
+                                animate="visible"
+                            >
+                                {plans.map((plan) => (
+                                    <motion.tr key={plan.id} className="hover:bg-base-200 dark:hover:bg-dark-base-300/50 transition-colors" variants={itemVariants}>
+                                        <td className="px-6 py-4 text-sm">
+                                            <div className="font-medium">{plan.name}</div>
+                                            {plan.description && <div className="text-xs text-base-content-secondary dark:text-dark-base-content-secondary">{plan.description}</div>}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-base-content-secondary dark:text-dark-base-content-secondary">{plan.frequency}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-base-content-secondary dark:text-dark-base-content-secondary">{formatMoney(plan.amount)}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-base-content-secondary dark:text-dark-base-content-secondary">{plan.room_type ? `${plan.room_type} rooms` : 'All rooms'}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-base-content-secondary dark:text-dark-base-content-secondary">{plan.due_day}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                            <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${plan.is_active ? 'bg-green-500/10 text-green-600 dark:bg-green-500/20 dark:text-green-400' : 'bg-base-200 text-base-content-secondary dark:bg-dark-base-300'}`}>
+                                                {plan.is_active ? 'Active' : 'Paused'}
+                                            </span>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                                            <button onClick={() => openEditModal(plan)} className="p-2 text-primary/70 hover:text-primary dark:text-dark-primary/70 dark:hover:text-dark-primary transition-colors">
+                                                <Edit className="w-5 h-5" />
+                                            </button>
+                                            <button onClick={() => handleDelete(plan.id)} className="p-2 text-red-500/70 hover:text-red-500 dark:text-red-500/70 dark:hover:text-red-500 transition-colors">
+                                                <Trash2 className="w-5 h-5" />
+                                            </button>
+                                        </td>
+                                    </motion.tr>
+                                ))}
+                            </motion.tbody>
+                        ) : (
+                            <tbody>
+                                <tr>
+                                    <td colSpan="7">
+                                        <EmptyState
+                                            icon={<Receipt className="w-full h-full" />}
+                                            title="No Fee Plans"
+                                            message="Add a plan such as monthly rent or a semester mess charge to bill students automatically."
+                                        />
+                                    </td>
+                                </tr>
+                            </tbody>
+                        )}
+                    </table>
+                </div>
+            </div>
+
+            <div className="bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors">
+                <h2 className="text-xl font-semibold text-base-content dark:text-dark-base-content">Billing Run</h2>
+                <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary mt-1">
+                    Bills every allocated student for the period containing the run date. Periods that were already billed are skipped, so a run can safely be repeated.
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-4 items-end">
+                    <div>
+                        <label htmlFor="run_date" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Run Date</label>
+                        <input type="date" id="run_date" value={runDate} onChange={(e) => setRunDate(e.target.value)} className={inputClassName} />
+                    </div>
+                    <div>
+                        <label htmlFor="run_plan" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Plan</label>
+                        <select id="run_plan" value={runPlanId} onChange={(e) => setRunPlanId(e.target.value)} className={inputClassName}>
+                            <option value="">All active plans</option>
+                            {plans.filter(p => p.is_active).map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                        </select>
+                    </div>
+                    <div className="flex gap-3">
+                        <button onClick={handlePreview} disabled={previewLoading || !runDate} className="inline-flex items-center justify-center py-2 px-4 border border-base-300 dark:border-dark-base-300 shadow-sm text-sm font-medium rounded-lg text-base-content dark:text-dark-base-content bg-base-100 dark:bg-dark-base-200 hover:bg-base-200 dark:hover:bg-dark-base-300 disabled:opacity-50">
+                            {previewLoading ? <Loader className="animate-spin h-4 w-4 mr-2" /> : <Eye className="h-4 w-4 mr-2" />}
+                            Preview
+                        </button>
+                        <button onClick={handleGenerate} disabled={generating || !preview || pending.length === 0} className="inline-flex items-center justify-center py-2 px-4 text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
+                            {generating ? <Loader className="animate-spin h-4 w-4 mr-2" /> : <CheckCircle className="h-4 w-4 mr-2" />}
+                            {preview ? `Generate ${pending.length} Fee${pending.length === 1 ? '' : 's'}` : 'Generate Fees'}
+                        </button>
+                    </div>
+                </div>
+
+                {preview && (
+                    <div className="mt-6">
+                        <div className="flex flex-wrap gap-6 mb-4 text-sm">
+                            <span><span className="font-semibold">{pending.length}</span> to bill</span>
+                            <span><span className="font-semibold">{preview.length - pending.length}</span> already billed</span>
+                            <span>Total <span className="font-semibold">{formatMoney(pendingTotal)}</span></span>
+                        </div>
+                        <div className="overflow-x-auto rounded-lg border border-base-200 dark:border-dark-base-300 max-h-96">
+                            <table className="min-w-full">
+                                <thead className="bg-base-200 dark:bg-dark-base-300 sticky top-0">
+                                    <tr>
+                                        <th className={thClassName}>Student</th>
+                                        <th className={thClassName}>Room</th>
+                                        <th className={thClassName}>Plan</th>
+                                        <th className={thClassName}>Period</th>
+                                        <th className={thClassName}>Amount</th>
+                                        <th className={thClassName}>Due Date</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-base-200 dark:divide-dark-base-300">
+                                    {preview.length > 0 ? preview.map((row) => (
+                                        <tr key={`${row.plan_id}-${row.student_id}`} className={row.already_billed ? 'opacity-50' : ''}>
+                                            <td className="px-6 py-3 whitespace-nowrap text-sm font-medium">
+                                                {row.student_name}
+                                                {row.already_billed && <span className="ml-2 text-xs font-normal text-base-content-secondary">(already billed)</span>}
+                                            </td>
+                                            <td className="px-6 py-3 whitespace-nowrap text-sm text-base-content-secondary dark:text-dark-base-content-secondary">{row.room_number} · {row.room_type}</td>
+                                            <td className="px-6 py-3 whitespace-nowrap text-sm text-base-content-secondary dark:text-dark-base-content-secondary">{row.plan_name}</td>
+                                            <td className="px-6 py-3 whitespace-nowrap text-sm text-base-content-secondary dark:text-dark-base-content-secondary">{row.billing_period}</td>
+                                            <td className="px-6 py-3 whitespace-nowrap text-sm text-base-content-secondary dark:text-dark-base-content-secondary">{formatMoney(row.amount)}</td>
+                                            <td className="px-6 py-3 whitespace-nowrap text-sm text-base-content-secondary dark:text-dark-base-content-secondary">{formatDate(row.due_date)}</td>
+                                        </tr>
+                                    )) : (
+                                        <tr><td colSpan="6" className="text-center py-8 text-sm text-base-content-secondary">No allocated students match the selected plans.</td></tr>
+                                    )}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            {penaltySettings && (
+                <form onSubmit={handleSavePenalty} className="mt-8 bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors">
+                    <div className="flex items-center justify-between mb-1">
+                        <h2 className="text-xl font-semibold text-base-content dark:text-dark-base-content">Late Fees</h2>
+                        <label className="flex items-center gap-2 text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">
+                            <input type="checkbox" name="enabled" checked={penaltySettings.enabled} onChange={handlePenaltyChange} className="rounded border-base-300 text-primary focus:ring-primary" />
+                            Charge late fees
+                        </label>
+                    </div>
+                    <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary mb-4">
+                        Unpaid fees become Overdue the day after their due date. Once the grace period has passed, a late fee is added as a separate line, once per fee.
+                    </p>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                        <div>
+                            <label htmlFor="penalty_type" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Penalty Type</label>
+                            <select id="penalty_type" name="penalty_type" value={penaltySettings.penalty_type} onChange={handlePenaltyChange} className={inputClassName}>
+                                <option value="flat">Flat amount ({getCurrencySymbol()})</option>
+                                <option value="percent">Percentage of fee (%)</option>
+                            </select>
+                        </div>
+                        <div>
+                            <label htmlFor="penalty_value" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">{penaltySettings.penalty_type === 'percent' ? 'Percentage' : 'Amount'}</label>
+                            <input type="number" step="0.01" min="0" name="penalty_value" id="penalty_value" value={penaltySettings.penalty_value} onChange={handlePenaltyChange} required className={inputClassName} />
+                        </div>
+                        <div>
+                            <label htmlFor="grace_days" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Grace Period (days)</label>
+                            <input type="number" min="0" max="90" name="grace_days" id="grace_days" value={penaltySettings.grace_days} onChange={handlePenaltyChange} required className={inputClassName} />
+                        </div>
+                    </div>
+                    <div className="flex justify-end mt-6">
+                        <button type="submit" disabled={savingPenalty} className="inline-flex items-center py-2 px-4 text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
+                            {savingPenalty && <Loader className="animate-spin h-4 w-4 mr-2" />}
+                            Save Rule
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            {depositSettings && (
+                <form onSubmit={handleSaveDeposit} className="mt-8 bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors">
+                    <h2 className="text-xl font-semibold text-base-content dark:text-dark-base-content mb-1">Security Deposit</h2>
+                    <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary mb-4">
+                        Raised as a fee when a student is first allocated a room, and settled when they check out. Set the amount to 0 to stop collecting deposits.
+                    </p>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                        <div>
+                            <label htmlFor="security_deposit_amount" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Amount ({getCurrencySymbol()})</label>
+                            <input type="number" step="0.01" min="0" name="security_deposit_amount" id="security_deposit_amount" value={depositSettings.security_deposit_amount} onChange={handleDepositChange} required className={inputClassName} />
+                        </div>
+                        <div>
+                            <label htmlFor="security_deposit_due_days" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Due Within (days)</label>
+                            <input type="number" min="0" max="90" name="security_deposit_due_days" id="security_deposit_due_days" value={depositSettings.security_deposit_due_days} onChange={handleDepositChange} required className={inputClassName} />
+                        </div>
+                    </div>
+                    <div className="flex justify-end mt-6">
+                        <button type="submit" disabled={savingDeposit} className="inline-flex items-center py-2 px-4 text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
+                            {savingDeposit && <Loader className="animate-spin h-4 w-4 mr-2" />}
+                            Save Deposit Settings
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            <form onSubmit={handleSaveLocale} className="mt-8 bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors">
+                <h2 className="text-xl font-semibold text-base-content dark:text-dark-base-content mb-1">Currency &amp; Locale</h2>
+                <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary mb-4">
+                    How amounts and dates are shown on every fee, payment and report screen, and in receipts, statements and exports. Existing amounts are not converted.
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                    <div>
+                        <label htmlFor="currency" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Currency</label>
+                        <select name="currency" id="currency" value={localeSettings.currency} onChange={handleLocaleChange} className={inputClassName}>
+                            {[...new Set([localeSettings.currency, ...currencyOptions])].map(code => <option key={code} value={code}>{code}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="locale" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Number &amp; Date Format</label>
+                        <select name="locale" id="locale" value={localeSettings.locale} onChange={handleLocaleChange} className={inputClassName}>
+                            {!localeOptions.some(option => option.value === localeSettings.locale) && <option value={localeSettings.locale}>{localeSettings.locale}</option>}
+                            {localeOptions.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                        </select>
+                    </div>
+                </div>
+                <div className="flex justify-end mt-6">
+                    <button type="submit" disabled={savingLocale} className="inline-flex items-center py-2 px-4 text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
+                        {savingLocale && <Loader className="animate-spin h-4 w-4 mr-2" />}
+                        Save Currency &amp; Locale
+                    </button>
+                </div>
+            </form>
+
+            <Modal title={currentPlan ? 'Edit Fee Plan' : 'Add Fee Plan'} isOpen={isModalOpen} onClose={() => setIsModalOpen(false)}>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label htmlFor="name" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Name</label>
+                        <input type="text" name="name" id="name" defaultValue={currentPlan?.name || ''} placeholder="e.g. Monthly Rent" required className={inputClassName} />
+                    </div>
+                    <div>
+                        <label htmlFor="description" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Description</label>
+                        <input type="text" name="description" id="description" defaultValue={currentPlan?.description || ''} className={inputClassName} />
+                    </div>
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label htmlFor="frequency" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Frequency</label>
+                            <select id="frequency" name="frequency" defaultValue={currentPlan?.frequency || 'Monthly'} required className={inputClassName}>
+                                {frequencies.map(f => <option key={f}>{f}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label htmlFor="amount" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Amount ({getCurrencySymbol()})</label>
+                            <input type="number" name="amount" id="amount" step="0.01" min="0.01" defaultValue={currentPlan?.amount || ''} required className={inputClassName} />
+                        </div>
+                        <div>
+                            <label htmlFor="room_type" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Room Type</label>
+                            <select id="room_type" name="room_type" defaultValue={currentPlan?.room_type || ''} className={inputClassName}>
+                                <option value="">All rooms</option>
+                                {roomTypes.map(t => <option key={t}>{t}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label htmlFor="due_day" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Due Day of Period</label>
+                            <input type="number" name="due_day" id="due_day" min="1" max="28" defaultValue={currentPlan?.due_day || 10} required className={inputClassName} />
+                        </div>
+                    </div>
+                    <label className="flex items-center gap-2 text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">
+                        <input type="checkbox" name="is_active" defaultChecked={currentPlan ? currentPlan.is_active : true} className="rounded border-base-300 text-primary focus:ring-primary" />
+                        Active (included in billing runs)
+                    </label>
+                    <div className="flex justify-end pt-4 space-x-3">
+                        <button type="button" onClick={() => setIsModalOpen(false)} className="inline-flex justify-center py-2 px-4 border border-base-300 dark:border-dark-base-300 shadow-sm text-sm font-medium rounded-lg text-base-content dark:text-dark-base-content bg-base-100 dark:bg-dark-base-200 hover:bg-base-200 dark:hover:bg-dark-base-300">Cancel</button>
+                        <button type="submit" disabled={formLoading} className="inline-flex justify-center items-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
+                            {formLoading && <Loader className="animate-spin h-4 w-4 mr-2" />}
+                            {currentPlan ? 'Save Changes' : 'Add Plan'}
+                        </button>
+                    </div>
+                </form>
+            </Modal>
+        </>
+    );
+};
+
+export default FeePlansPage;
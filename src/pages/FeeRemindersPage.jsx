@@ -0,0 +1,365 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { supabase } from '../lib/supabase';
+import { formatDateTime } from '../lib/format';
+import PageHeader from '../components/ui/PageHeader';
+import Modal from '../components/ui/Modal';
+import SegmentedControl from '../components/ui/SegmentedControl';
+import EmptyState from '../components/ui/EmptyState';
+import toast from 'react-hot-toast';
+import { Loader, Edit, Trash2, Send, RotateCcw, BellRing } from 'lucide-react';
+
+const statusStyles = {
+    Pending: 'bg-yellow-500/10 text-yellow-600 dark:bg-yellow-500/20 dark:text-yellow-400',
+    Sent: 'bg-green-500/10 text-green-600 dark:bg-green-500/20 dark:text-green-400',
+    Failed: 'bg-red-500/10 text-red-500 dark:bg-red-500/20 dark:text-red-400',
+};
+
+const filterOptions = [
+    { value: 'all', label: 'All' },
+    { value: 'Pending', label: 'Pending' },
+    { value: 'Sent', label: 'Sent' },
+    { value: 'Failed', label: 'Failed' },
+];
+
+const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: { opacity: 1, transition: { staggerChildren: 0.05 } }
+};
+
+const itemVariants = {
+    hidden: { opacity: 0, y: 10 },
+    visible: { opacity: 1, y: 0 }
+};
+
+const inputClassName = "mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm";
+const thClassName = "px-6 py-4 text-left text-xs font-medium text-base-content-secondary dark:text-dark-base-content-secondary uppercase tracking-wider";
+
+const plural = (n) => `${n} day${n === 1 ? '' : 's'}`;
+
+// offset_days is relative to the due date: negative before it, positive after it.
+const describeRule = (rule) => {
+    const when = rule.offset_days < 0
+        ? `${plural(-rule.offset_days)} before the due date`
+        : rule.offset_days === 0 ? 'On the due date' : `${plural(rule.offset_days)} after the due date`;
+    return rule.repeat_every_days ? `${when}, then every ${plural(rule.repeat_every_days)} until paid` : when;
+};
+
+const FeeRemindersPage = () => {
+    const [rules, setRules] = useState([]);
+    const [reminders, setReminders] = useState([]);
+    const [filter, setFilter] = useState('all');
+    const [loadingRules, setLoadingRules] = useState(true);
+    const [loading, setLoading] = useState(true);
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [currentRule, setCurrentRule] = useState(null);
+    const [timing, setTiming] = useState('before');
+    const [formLoading, setFormLoading] = useState(false);
+    const [dispatching, setDispatching] = useState(false);
+
+    const fetchRules = async () => {
+        setLoadingRules(true);
+        const { data, error } = await supabase
+            .from('fee_reminder_rules')
+            .select('*')
+            .order('offset_days');
+        if (error) {
+            toast.error(`Failed to fetch reminder rules: ${error.message}`);
+        } else {
+            setRules(data || []);
+        }
+        setLoadingRules(false);
+    };
+
+    const fetchReminders = useCallback(async () => {
+        setLoading(true);
+        try {
+            let query = supabase
+                .from('fee_reminders')
+                .select('*, students(full_name), fee_reminder_rules(name)')
+                .order('created_at', { ascending: false })
+                .limit(200);
+
+            if (filter !== 'all') {
+                query = query.eq('status', filter);
+            }
+
+            const { data, error } = await query;
+            if (error) throw error;
+            setReminders(data || []);
+        } catch (error) {
+            toast.error(`Failed to fetch reminders: ${error.message}`);
+            setReminders([]);
+        } finally {
+            setLoading(false);
+        }
+    }, [filter]);
+
+    useEffect(() => {
+        fetchRules();
+    }, []);
+
+    useEffect(() => {
+        fetchReminders();
+    }, [fetchReminders]);
+
+    const openModal = (rule) => {
+        setCurrentRule(rule);
+        setTiming(!rule || rule.offset_days < 0 ? 'before' : rule.offset_days === 0 ? 'on' : 'after');
+        setIsModalOpen(true);
+    };
+
+    const handleDelete = async (ruleId) => {
+        if (window.confirm('Delete this reminder rule? Reminders it already sent stay in the log.')) {
+            const { error } = await supabase.from('fee_reminder_rules').delete().eq('id', ruleId);
+            if (error) {
+                toast.error(error.message);
+            } else {
+                toast.success('Reminder rule deleted.');
+                fetchRules();
+            }
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setFormLoading(true);
+        const formData = Object.fromEntries(new FormData(e.target).entries());
+        const days = timing === 'on' ? 0 : Number(formData.days);
+
+        const dataToSubmit = {
+            name: formData.name,
+            offset_days: timing === 'before' ? -days : days,
+            repeat_every_days: formData.repeat_every_days ? Number(formData.repeat_every_days) : null,
+            send_message: formData.send_message === 'on',
+            is_active: formData.is_active === 'on',
+        };
+
+        let error;
+        if (currentRule) {
+            ({ error } = await supabase.from('fee_reminder_rules').update(dataToSubmit).eq('id', currentRule.id));
+        } else {
+            ({ error } = await supabase.from('fee_reminder_rules').insert([dataToSubmit]));
+        }
+
+        if (error) {
+            toast.error(error.message);
+        } else {
+            toast.success(`Reminder rule ${currentRule ? 'updated' : 'added'} successfully!`);
+            fetchRules();
+            setIsModalOpen(false);
+        }
+        setFormLoading(false);
+    };
+
+    const handleDispatch = async () => {
+        setDispatching(true);
+        const { data, error } = await supabase.functions.invoke('send-fee-reminders');
+        if (error) {
+            toast.error(`Failed to send reminders: ${error.message}`);
+        } else {
+            toast.success(`Created ${data.queued} reminder${data.queued === 1 ? '' : 's'}; sent ${data.sent}, failed ${data.failed} (via ${data.transport}).`);
+            fetchReminders();
+        }
+        setDispatching(false);
+    };
+
+    const handleRetry = async (reminderId) => {
+        const { error } = await supabase
+            .from('fee_reminders')
+            .update({ status: 'Pending', attempts: 0, last_error: null })
+            .eq('id', reminderId);
+        if (error) {
+            toast.error(error.message);
+        } else {
+            toast.success('Reminder queued again.');
+            fetchReminders();
+        }
+    };
+
+    return (
+        <>
+            <PageHeader title="Fee Reminders" buttonText="Add Rule" onButtonClick={() => openModal(null)} />
+
+            <div className="mb-8 bg-base-100 dark:bg-dark-base-200 rounded-xl shadow-lg overflow-hidden transition-colors">
+                <div className="overflow-x-auto">
+                    <table className="min-w-full">
+                        <thead className="bg-base-200 dark:bg-dark-base-300">
+                            <tr>
+                                <th className={thClassName}>Rule</th>
+                                <th className={thClassName}>When</th>
+                                <th className={thClassName}>Delivery</th>
+                                <th className={thClassName}>Status</th>
+                                <th className="px-6 py-4 text-right text-xs font-medium text-base-content-secondary dark:text-dark-base-content-secondary uppercase tracking-wider">Actions</th>
+                            </tr>
+                        </thead>
+                        {loadingRules ? (
+                            <tbody>
+                                <tr><td colSpan="5" className="text-center py-10"><Loader className="mx-auto animate-spin" /></td></tr>
+                            </tbody>
+                        ) : rules.length > 0 ? (
+                            <tbody className="divide-y divide-base-200 dark:divide-dark-base-300">
+                                {rules.map((rule) => (
+                                    <tr key={rule.id} className="hover:bg-base-200 dark:hover:bg-dark-base-300/50 transition-colors">
+                                        <td className="px-6 py-4 text-sm font-medium">{rule.name}</td>
+                                        <td className="px-6 py-4 text-sm text-base-content-secondary dark:text-dark-base-content-secondary">{describeRule(rule)}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-base-content-secondary dark:text-dark-base-content-secondary">{rule.send_message ? 'In-app and message' : 'In-app only'}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                            <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${rule.is_active ? 'bg-green-500/10 text-green-600 dark:bg-green-500/20 dark:text-green-400' : 'bg-base-200 text-base-content-secondary dark:bg-dark-base-300'}`}>
+                                                {rule.is_active ? 'Active' : 'Paused'}
+                                            </span>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                                            <button onClick={() => openModal(rule)} className="p-2 text-primary/70 hover:text-primary dark:text-dark-primary/70 dark:hover:text-dark-primary transition-colors">
+                                                <Edit className="w-5 h-5" />
+                                            </button>
+                                            <button onClick={() => handleDelete(rule.id)} className="p-2 text-red-500/70 hover:text-red-500 dark:text-red-500/70 dark:hover:text-red-500 transition-colors">
+                                                <Trash2 className="w-5 h-5" />
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        ) : (
+                            <tbody>
+                                <tr>
+                                    <td colSpan="5">
+                                        <EmptyState
+                                            icon={<BellRing className="w-full h-full" />}
+                                            title="No Reminder Rules"
+                                            message="Add a rule such as 7 days before the due date to remind students about their fees."
+                                        />
+                                    </td>
+                                </tr>
+                            </tbody>
+                        )}
+                    </table>
+                </div>
+            </div>
+
+            <div className="mb-6 flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+                <div className="max-w-md w-full">
+                    <SegmentedControl options={filterOptions} value={filter} onChange={setFilter} size="md" />
+                </div>
+                <button onClick={handleDispatch} disabled={dispatching} className="inline-flex items-center justify-center py-2 px-4 text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
+                    {dispatching ? <Loader className="animate-spin h-4 w-4 mr-2" /> : <Send className="h-4 w-4 mr-2" />}
+                    Run Reminders Now
+                </button>
+            </div>
+
+            <div className="bg-base-100 dark:bg-dark-base-200 rounded-xl shadow-lg overflow-hidden transition-colors">
+                <div className="overflow-x-auto">
+                    <table className="min-w-full">
+                        <thead className="bg-base-200 dark:bg-dark-base-300">
+                            <tr>
+                                <th className={thClassName}>Student</th>
+                                <th className={thClassName}>Reminder</th>
+                                <th className={thClassName}>Recipient</th>
+                                <th className={thClassName}>Message</th>
+                                <th className={thClassName}>Reminded</th>
+                                <th className="px-6 py-4 text-right text-xs font-medium text-base-content-secondary dark:text-dark-base-content-secondary uppercase tracking-wider">Actions</th>
+                            </tr>
+                        </thead>
+                        {loading ? (
+                            <tbody>
+                                <tr><td colSpan="6" className="text-center py-10"><Loader className="mx-auto animate-spin" /></td></tr>
+                            </tbody>
+                        ) : reminders.length > 0 ? (
+                            <motion.tbody
+                                className="divide-y divide-base-200 dark:divide-dark-base-300"
+                                variants={containerVariants}
+                                initial="hidden"
+                                animate="visible"
+                            >
+                                {reminders.map((reminder) => (
+                                    <motion.tr key={reminder.id} className="hover:bg-base-200 dark:hover:bg-dark-base-300/50 transition-colors" variants={itemVariants}>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">{reminder.students?.full_name || 'N/A'}</td>
+                                        <td className="px-6 py-4 text-sm text-base-content-secondary dark:text-dark-base-content-secondary max-w-sm">
+                                            <div className="font-semibold text-base-content dark:text-dark-base-content">{reminder.fee_reminder_rules?.name || 'Deleted rule'}</div>
+                                            <div className="text-xs">{reminder.message}</div>
+                                            <div className="text-xs mt-1">{reminder.read_at ? `Seen ${formatDateTime(reminder.read_at)}` : 'Not seen in the app yet'}</div>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-base-content-secondary dark:text-dark-base-content-secondary">
+                                            {[reminder.recipient_phone, reminder.recipient_email].filter(Boolean).join(' · ') || '—'}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            {reminder.status ? (
+                                                <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${statusStyles[reminder.status]}`}>
+                                                    {reminder.status}
+                                                </span>
+                                            ) : (
+                                                <span className="text-xs text-base-content-secondary">In-app only</span>
+                                            )}
+                                            {reminder.transport && <div className="text-xs text-base-content-secondary mt-1">via {reminder.transport}</div>}
+                                            {reminder.last_error && <div className="text-xs text-red-500 mt-1 max-w-xs truncate" title={reminder.last_error}>{reminder.last_error}</div>}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-base-content-secondary dark:text-dark-base-content-secondary">
+                                            {formatDateTime(reminder.created_at)}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-right">
+                                            {reminder.status === 'Failed' && (
+                                                <button onClick={() => handleRetry(reminder.id)} className="p-2 text-primary hover:bg-primary/10 rounded-full transition-colors" title="Retry">
+                                                    <RotateCcw className="w-4 h-4" />
+                                                </button>
+                                            )}
+                                        </td>
+                                    </motion.tr>
+                                ))}
+                            </motion.tbody>
+                        ) : (
+                            <tbody>
+                                <tr><td colSpan="6" className="text-center py-10 text-base-content-secondary">No reminders found.</td></tr>
+                            </tbody>
+                        )}
+                    </table>
+                </div>
+            </div>
+
+            <Modal title={currentRule ? 'Edit Reminder Rule' : 'Add Reminder Rule'} isOpen={isModalOpen} onClose={() => setIsModalOpen(false)}>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label htmlFor="name" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Name</label>
+                        <input type="text" name="name" id="name" defaultValue={currentRule?.name || ''} placeholder="e.g. A week before the due date" required className={inputClassName} />
+                    </div>
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label htmlFor="timing" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Send</label>
+                            <select id="timing" value={timing} onChange={(e) => setTiming(e.target.value)} className={inputClassName}>
+                                <option value="before">Before the due date</option>
+                                <option value="on">On the due date</option>
+                                <option value="after">After the due date</option>
+                            </select>
+                        </div>
+                        {timing !== 'on' && (
+                            <div>
+                                <label htmlFor="days" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Days</label>
+                                <input type="number" name="days" id="days" min="1" max="60" defaultValue={currentRule?.offset_days ? Math.abs(currentRule.offset_days) : 7} required className={inputClassName} />
+                            </div>
+                        )}
+                        <div>
+                            <label htmlFor="repeat_every_days" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Then Repeat Every (days)</label>
+                            <input type="number" name="repeat_every_days" id="repeat_every_days" min="1" max="60" defaultValue={currentRule?.repeat_every_days || ''} placeholder="Don't repeat" className={inputClassName} />
+                        </div>
+                    </div>
+                    <label className="flex items-center gap-2 text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">
+                        <input type="checkbox" name="send_message" defaultChecked={currentRule ? currentRule.send_message : true} className="rounded border-base-300 text-primary focus:ring-primary" />
+                        Also send a message (email, SMS or webhook) besides the in-app reminder
+                    </label>
+                    <label className="flex items-center gap-2 text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">
+                        <input type="checkbox" name="is_active" defaultChecked={currentRule ? currentRule.is_active : true} className="rounded border-base-300 text-primary focus:ring-primary" />
+                        Active
+                    </label>
+                    <div className="flex justify-end pt-4 space-x-3">
+                        <button type="button" onClick={() => setIsModalOpen(false)} className="inline-flex justify-center py-2 px-4 border border-base-300 dark:border-dark-base-300 shadow-sm text-sm font-medium rounded-lg text-base-content dark:text-dark-base-content bg-base-100 dark:bg-dark-base-200 hover:bg-base-200 dark:hover:bg-dark-base-300">Cancel</button>
+                        <button type="submit" disabled={formLoading} className="inline-flex justify-center items-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
+                            {formLoading && <Loader className="animate-spin h-4 w-4 mr-2" />}
+                            {currentRule ? 'Save Changes' : 'Add Rule'}
+                        </button>
+                    </div>
+                </form>
+            </Modal>
+        </>
+    );
+};
+
+export default FeeRemindersPage;
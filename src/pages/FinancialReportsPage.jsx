@@ -0,0 +1,454 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Link } from 'react-router-dom';
+import { supabase } from '../lib/supabase';
+import { formatMoney, formatDate } from '../lib/format';
+import { fetchAllRows, summarizeCollections, buildAgingReport, findDefaulters, exportReport, toLocalDate, AGING_BUCKETS } from '../lib/financeReports';
+import PageHeader from '../components/ui/PageHeader';
+import StatCard from '../components/ui/StatCard';
+import SegmentedControl from '../components/ui/SegmentedControl';
+import EmptyState from '../components/ui/EmptyState';
+import toast from 'react-hot-toast';
+import { Loader, FileDown, CircleDollarSign, Undo2, Wallet, Receipt, Hourglass, AlertTriangle, Users } from 'lucide-react';
+
+const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: { opacity: 1, transition: { staggerChildren: 0.1 } }
+};
+
+const itemVariants = {
+    hidden: { opacity: 0, y: 20 },
+    visible: { opacity: 1, y: 0 }
+};
+
+const reportOptions = [
+    { value: 'collections', label: 'Collections' },
+    { value: 'aging', label: 'Aging' },
+    { value: 'defaulters', label: 'Defaulters' },
+];
+
+const chartColors = ['#4f46e5', '#10b981', '#f59e0b', '#06b6d4', '#8b5cf6', '#ef4444'];
+const agingColors = { 'Not due': '#10b981', '0-30': '#f59e0b', '31-60': '#f97316', '61-90': '#ef4444', '90+': '#991b1b' };
+
+const tooltipStyle = {
+    backgroundColor: 'var(--tw-prose-bg, #fff)',
+    border: '1px solid var(--tw-prose-invert-bg, #ddd)',
+    borderRadius: '0.5rem'
+};
+
+const inputClassName = "mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm";
+const thClassName = "px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase";
+const thRightClassName = "px-4 py-3 text-right text-xs font-medium text-base-content-secondary uppercase";
+
+const defaultRange = () => {
+    const to = new Date();
+    const from = new Date(to.getFullYear(), to.getMonth(), 1);
+    return { from: toLocalDate(from), to: toLocalDate(to) };
+};
+
+const formatPeriod = (period) => (
+    period.length === 7
+        ? formatDate(`${period}-01`, { month: 'short', year: 'numeric' })
+        : formatDate(period, { day: 'numeric', month: 'short' })
+);
+
+const ExportButtons = ({ onExport, disabled }) => (
+    <div className="flex items-center gap-2">
+        {['csv', 'pdf', 'xlsx'].map(format => (
+            <button
+                key={format}
+                onClick={() => onExport(format)}
+                disabled={disabled}
+                className="inline-flex items-center gap-2 px-3 py-2 text-sm font-medium rounded-lg border border-base-300 dark:border-dark-base-300 hover:bg-base-200 dark:hover:bg-dark-base-300 disabled:opacity-50"
+            >
+                <FileDown className="w-4 h-4" /> {format.toUpperCase()}
+            </button>
+        ))}
+    </div>
+);
+
+const FinancialReportsPage = () => {
+    const [report, setReport] = useState('collections');
+    const [range, setRange] = useState(defaultRange);
+    const [granularity, setGranularity] = useState('daily');
+    const [minDaysOverdue, setMinDaysOverdue] = useState(30);
+    const [payments, setPayments] = useState([]);
+    const [refunds, setRefunds] = useState([]);
+    const [fees, setFees] = useState([]);
+    const [loadingCollections, setLoadingCollections] = useState(true);
+    const [loadingFees, setLoadingFees] = useState(true);
+    const today = toLocalDate(new Date());
+
+    // Collections are keyed on when money actually changed hands, not when the fee was raised.
+    const fetchCollections = useCallback(async () => {
+        if (!range.from || !range.to || range.to < range.from) return;
+        setLoadingCollections(true);
+        const start = new Date(`${range.from}T00:00:00`);
+        const end = new Date(`${range.to}T00:00:00`);
+        end.setDate(end.getDate() + 1);
+        try {
+            const [paymentsData, refundsData] = await Promise.all([
+                fetchAllRows(() => supabase
+                    .from('payments')
+                    .select('id, amount, payment_method, transaction_ref, paid_on')
+                    .gte('paid_on', start.toISOString())
+                    .lt('paid_on', end.toISOString())
+                    .order('id')),
+                fetchAllRows(() => supabase
+                    .from('payment_refunds')
+                    .select('id, amount, refunded_on')
+                    .gte('refunded_on', start.toISOString())
+                    .lt('refunded_on', end.toISOString())
+                    .order('id')),
+            ]);
+            setPayments(paymentsData);
+            setRefunds(refundsData);
+        } catch (error) {
+            toast.error(`Failed to load collections: ${error.message}`);
+            setPayments([]);
+            setRefunds([]);
+        } finally {
+            setLoadingCollections(false);
+        }
+    }, [range]);
+
+    const fetchOutstandingFees = useCallback(async () => {
+        setLoadingFees(true);
+        try {
+            const data = await fetchAllRows(() => supabase
+                .from('fees')
+                .select('id, student_id, amount, amount_paid, amount_adjusted, due_date, students(full_name, contact), fee_installments(installment_number, amount, due_date), payments(paid_on)')
+                .in('status', ['Due', 'Overdue'])
+                .gt('balance', 0)
+                .order('id'));
+            setFees(data);
+        } catch (error) {
+            toast.error(`Failed to load outstanding fees: ${error.message}`);
+            setFees([]);
+        } finally {
+            setLoadingFees(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchCollections();
+    }, [fetchCollections]);
+
+    useEffect(() => {
+        fetchOutstandingFees();
+    }, [fetchOutstandingFees]);
+
+    const collections = useMemo(() => summarizeCollections(payments, refunds, granularity), [payments, refunds, granularity]);
+    const collectionTotals = useMemo(() => collections.rows.reduce((acc, row) => {
+        collections.methods.forEach(method => {
+            acc.byMethod[method] = (acc.byMethod[method] || 0) + (row.byMethod[method] || 0);
+        });
+        acc.total += row.total;
+        acc.refunds += row.refunds;
+        acc.net += row.net;
+        return acc;
+    }, { byMethod: {}, total: 0, refunds: 0, net: 0 }), [collections]);
+
+    const collectionsChart = collections.rows.map(row => ({
+        name: formatPeriod(row.period),
+        ...Object.fromEntries(collections.methods.map(method => [method, Number((row.byMethod[method] || 0).toFixed(2))])),
+    }));
+
+    const aging = useMemo(() => buildAgingReport(fees, today), [fees, today]);
+    const agingTotals = useMemo(() => aging.reduce((acc, row) => {
+        AGING_BUCKETS.forEach(bucket => { acc[bucket] += row.buckets[bucket]; });
+        acc.total += row.total;
+        return acc;
+    }, { ...Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket, 0])), total: 0 }), [aging]);
+
+    const agingChart = AGING_BUCKETS.map(bucket => ({ name: bucket, Outstanding: Number(agingTotals[bucket].toFixed(2)) }));
+
+    const defaulters = useMemo(() => findDefaulters(aging, minDaysOverdue), [aging, minDaysOverdue]);
+    const defaultersChart = defaulters.slice(0, 10).map(row => ({ name: row.student_name, Overdue: Number(row.overdue.toFixed(2)) }));
+
+    const buildExport = () => {
+        if (report === 'collections') {
+            return {
+                title: 'Fee Collections',
+                subtitle: `${formatDate(range.from)} to ${formatDate(range.to)} · ${granularity === 'monthly' ? 'monthly' : 'daily'} by payment method`,
+                columns: [{ header: 'Period' }, ...collections.methods.map(method => ({ header: method, money: true })), { header: 'Collected', money: true }, { header: 'Refunds', money: true }, { header: 'Net', money: true }],
+                rows: collections.rows.map(row => [row.period, ...collections.methods.map(method => row.byMethod[method] || 0), row.total, row.refunds, row.net]),
+                filename: `collections_${granularity}_${range.from}_${range.to}`,
+            };
+        }
+        if (report === 'aging') {
+            return {
+                title: 'Receivables Aging',
+                subtitle: `Outstanding balances as of ${formatDate(today)}, by days past due`,
+                columns: [{ header: 'Student' }, { header: 'Contact' }, ...AGING_BUCKETS.map(bucket => ({ header: bucket === 'Not due' ? bucket : `${bucket} days`, money: true })), { header: 'Total', money: true }],
+                rows: aging.map(row => [row.student_name, row.contact, ...AGING_BUCKETS.map(bucket => row.buckets[bucket]), row.total]),
+                filename: `receivables_aging_${today}`,
+            };
+        }
+        return {
+            title: 'Fee Defaulters',
+            subtitle: `As of ${formatDate(today)} · overdue for ${minDaysOverdue} days or more`,
+            columns: [{ header: 'Student' }, { header: 'Contact' }, { header: 'Overdue', money: true }, { header: 'Oldest Due Date' }, { header: 'Days Overdue' }, { header: 'Last Payment' }, { header: 'Total Outstanding', money: true }],
+            rows: defaulters.map(row => [row.student_name, row.contact, row.overdue, row.oldest_due_date, row.days_overdue, row.last_payment ? toLocalDate(row.last_payment) : 'Never', row.total]),
+            filename: `fee_defaulters_${today}`,
+        };
+    };
+
+    const handleExport = async (format) => {
+        const reportExport = buildExport();
+        if (reportExport.rows.length === 0) {
+            toast.error('No data available to export.');
+            return;
+        }
+        try {
+            await exportReport(format, reportExport);
+            toast.success(`${reportExport.title} downloaded.`);
+        } catch (error) {
+            toast.error(`Failed to export report: ${error.message}`);
+        }
+    };
+
+    const loading = report === 'collections' ? loadingCollections : loadingFees;
+    const renderValue = (value) => (loading ? <span className="text-2xl">...</span> : value);
+
+    return (
+        <motion.div initial="hidden" animate="visible" variants={containerVariants}>
+            <PageHeader title="Financial Reports" />
+
+            <motion.div variants={itemVariants} className="bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg mb-8 space-y-6">
+                <div className="flex flex-col lg:flex-row lg:items-center justify-between gap-4">
+                    <div className="max-w-md w-full">
+                        <SegmentedControl options={reportOptions} value={report} onChange={setReport} size="md" />
+                    </div>
+                    <ExportButtons onExport={handleExport} disabled={loading} />
+                </div>
+                {report === 'collections' && (
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                        <div>
+                            <label htmlFor="from" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">From</label>
+                            <input type="date" id="from" value={range.from} max={range.to} onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))} className={inputClassName} />
+                        </div>
+                        <div>
+                            <label htmlFor="to" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">To</label>
+                            <input type="date" id="to" value={range.to} min={range.from} onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))} className={inputClassName} />
+                        </div>
+                        <div>
+                            <label htmlFor="granularity" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Group By</label>
+                            <select id="granularity" value={granularity} onChange={(e) => setGranularity(e.target.value)} className={inputClassName}>
+                                <option value="daily">Day</option>
+                                <option value="monthly">Month</option>
+                            </select>
+                        </div>
+                    </div>
+                )}
+                {report === 'defaulters' && (
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                        <div>
+                            <label htmlFor="min_days_overdue" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Overdue For At Least (days)</label>
+                            <input type="number" id="min_days_overdue" min="0" max="365" value={minDaysOverdue} onChange={(e) => setMinDaysOverdue(Math.min(365, Math.max(0, Number(e.target.value) || 0)))} className={inputClassName} />
+                        </div>
+                    </div>
+                )}
+                {report !== 'collections' && (
+                    <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary">
+                        Outstanding balances as of today. Installment plans are aged by each installment&apos;s own due date.
+                    </p>
+                )}
+            </motion.div>
+
+            {report === 'collections' && (
+                <>
+                    <motion.div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6" variants={containerVariants}>
+                        <StatCard title="Collected" value={renderValue(formatMoney(collectionTotals.total))} icon={<CircleDollarSign />} color="bg-green-500" />
+                        <StatCard title="Refunded" value={renderValue(formatMoney(collectionTotals.refunds))} icon={<Undo2 />} color="bg-red-500" />
+                        <StatCard title="Net Collections" value={renderValue(formatMoney(collectionTotals.net))} icon={<Wallet />} color="bg-blue-500" />
+                        <StatCard title="Payments" value={renderValue(payments.length)} icon={<Receipt />} color="bg-yellow-500" />
+                    </motion.div>
+
+                    <motion.div className="mt-8 bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors" variants={itemVariants}>
+                        <h2 className="text-xl font-semibold text-base-content dark:text-dark-base-content mb-4">Collections by Payment Method</h2>
+                        {loadingCollections ? <div className="flex items-center justify-center h-80"><Loader className="animate-spin" /></div> :
+                            collectionsChart.length > 0 ? (
+                                <ResponsiveContainer width="100%" height={320}>
+                                    <BarChart data={collectionsChart} margin={{ top: 5, right: 20, left: -10, bottom: 5 }}>
+                                        <CartesianGrid strokeDasharray="3 3" stroke="currentColor" opacity={0.2} />
+                                        <XAxis dataKey="name" tick={{ fill: 'currentColor', fontSize: 12 }} />
+                                        <YAxis tick={{ fill: 'currentColor', fontSize: 12 }} tickFormatter={(value) => formatMoney(value, { compact: true })} />
+                                        <Tooltip cursor={{ fill: 'rgba(128,128,128,0.1)' }} contentStyle={tooltipStyle} formatter={(value) => formatMoney(value)} />
+                                        <Legend />
+                                        {collections.methods.map((method, index) => (
+                                            <Bar key={method} dataKey={method} stackId="collections" fill={chartColors[index % chartColors.length]} />
+                                        ))}
+                                    </BarChart>
+                                </ResponsiveContainer>
+                            ) : (
+                                <EmptyState
+                                    icon={<CircleDollarSign className="w-full h-full" />}
+                                    title="No Payments"
+                                    message="No payments were received in the selected date range."
+                                />
+                            )
+                        }
+                    </motion.div>
+
+                    {!loadingCollections && collections.rows.length > 0 && (
+                        <motion.div className="mt-8 bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors overflow-x-auto" variants={itemVariants}>
+                            <table className="min-w-full">
+                                <thead className="border-b-2 border-base-200 dark:border-dark-base-300">
+                                    <tr>
+                                        <th className={thClassName}>{granularity === 'monthly' ? 'Month' : 'Date'}</th>
+                                        {collections.methods.map(method => <th key={method} className={thRightClassName}>{method}</th>)}
+                                        <th className={thRightClassName}>Collected</th>
+                                        <th className={thRightClassName}>Refunds</th>
+                                        <th className={thRightClassName}>Net</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {collections.rows.map(row => (
+                                        <tr key={row.period} className="border-b border-base-200 dark:border-dark-base-300">
+                                            <td className="px-4 py-3 text-sm">{formatPeriod(row.period)}</td>
+                                            {collections.methods.map(method => <td key={method} className="px-4 py-3 text-sm text-right">{formatMoney(row.byMethod[method] || 0)}</td>)}
+                                            <td className="px-4 py-3 text-sm text-right">{formatMoney(row.total)}</td>
+                                            <td className="px-4 py-3 text-sm text-right text-red-500">{row.refunds > 0 ? formatMoney(row.refunds) : ''}</td>
+                                            <td className="px-4 py-3 text-sm text-right font-semibold">{formatMoney(row.net)}</td>
+                                        </tr>
+                                    ))}
+                                    <tr className="font-bold">
+                                        <td className="px-4 py-3 text-sm">Total</td>
+                                        {collections.methods.map(method => <td key={method} className="px-4 py-3 text-sm text-right">{formatMoney(collectionTotals.byMethod[method] || 0)}</td>)}
+                                        <td className="px-4 py-3 text-sm text-right">{formatMoney(collectionTotals.total)}</td>
+                                        <td className="px-4 py-3 text-sm text-right text-red-500">{formatMoney(collectionTotals.refunds)}</td>
+                                        <td className="px-4 py-3 text-sm text-right">{formatMoney(collectionTotals.net)}</td>
+                                    </tr>
+                                </tbody>
+                            </table>
+                        </motion.div>
+                    )}
+                </>
+            )}
+
+            {report === 'aging' && (
+                <>
+                    <motion.div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6" variants={containerVariants}>
+                        <StatCard title="Total Outstanding" value={renderValue(formatMoney(agingTotals.total))} icon={<CircleDollarSign />} color="bg-blue-500" />
+                        <StatCard title="Not Yet Due" value={renderValue(formatMoney(agingTotals['Not due']))} icon={<Hourglass />} color="bg-green-500" />
+                        <StatCard title="Overdue" value={renderValue(formatMoney(agingTotals.total - agingTotals['Not due']))} icon={<AlertTriangle />} color="bg-yellow-500" />
+                        <StatCard title="Over 90 Days" value={renderValue(formatMoney(agingTotals['90+']))} icon={<AlertTriangle />} color="bg-red-500" />
+                    </motion.div>
+
+                    <motion.div className="mt-8 bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors" variants={itemVariants}>
+                        <h2 className="text-xl font-semibold text-base-content dark:text-dark-base-content mb-4">Outstanding by Days Past Due</h2>
+                        {loadingFees ? <div className="flex items-center justify-center h-80"><Loader className="animate-spin" /></div> : (
+                            <ResponsiveContainer width="100%" height={320}>
+                                <BarChart data={agingChart} margin={{ top: 5, right: 20, left: -10, bottom: 5 }}>
+                                    <CartesianGrid strokeDasharray="3 3" stroke="currentColor" opacity={0.2} />
+                                    <XAxis dataKey="name" tick={{ fill: 'currentColor', fontSize: 12 }} />
+                                    <YAxis tick={{ fill: 'currentColor', fontSize: 12 }} tickFormatter={(value) => formatMoney(value, { compact: true })} />
+                                    <Tooltip cursor={{ fill: 'rgba(128,128,128,0.1)' }} contentStyle={tooltipStyle} formatter={(value) => formatMoney(value)} />
+                                    <Bar dataKey="Outstanding">
+                                        {agingChart.map(entry => <Cell key={entry.name} fill={agingColors[entry.name]} />)}
+                                    </Bar>
+                                </BarChart>
+                            </ResponsiveContainer>
+                        )}
+                    </motion.div>
+
+                    {!loadingFees && (
+                        <motion.div className="mt-8 bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors overflow-x-auto" variants={itemVariants}>
+                            <table className="min-w-full">
+                                <thead className="border-b-2 border-base-200 dark:border-dark-base-300">
+                                    <tr>
+                                        <th className={thClassName}>Student</th>
+                                        {AGING_BUCKETS.map(bucket => <th key={bucket} className={thRightClassName}>{bucket === 'Not due' ? bucket : `${bucket} days`}</th>)}
+                                        <th className={thRightClassName}>Total</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {aging.length > 0 ? aging.map(row => (
+                                        <tr key={row.student_id} className="border-b border-base-200 dark:border-dark-base-300">
+                                            <td className="px-4 py-3 text-sm font-medium">
+                                                <Link to={`/students/${row.student_id}`} className="text-primary hover:text-primary-focus dark:text-dark-primary dark:hover:text-dark-primary-focus">{row.student_name}</Link>
+                                            </td>
+                                            {AGING_BUCKETS.map(bucket => <td key={bucket} className="px-4 py-3 text-sm text-right">{row.buckets[bucket] > 0 ? formatMoney(row.buckets[bucket]) : ''}</td>)}
+                                            <td className="px-4 py-3 text-sm text-right font-semibold">{formatMoney(row.total)}</td>
+                                        </tr>
+                                    )) : (
+                                        <tr><td colSpan={AGING_BUCKETS.length + 2} className="text-center py-8 text-base-content-secondary">Nothing is outstanding. Great job!</td></tr>
+                                    )}
+                                </tbody>
+                            </table>
+                        </motion.div>
+                    )}
+                </>
+            )}
+
+            {report === 'defaulters' && (
+                <>
+                    <motion.div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6" variants={containerVariants}>
+                        <StatCard title="Defaulters" value={renderValue(defaulters.length)} icon={<Users />} color="bg-red-500" />
+                        <StatCard title="Overdue Amount" value={renderValue(formatMoney(defaulters.reduce((sum, row) => sum + row.overdue, 0)))} icon={<AlertTriangle />} color="bg-yellow-500" />
+                    </motion.div>
+
+                    <motion.div className="mt-8 bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors" variants={itemVariants}>
+                        <h2 className="text-xl font-semibold text-base-content dark:text-dark-base-content mb-4">Largest Overdue Balances</h2>
+                        {loadingFees ? <div className="flex items-center justify-center h-80"><Loader className="animate-spin" /></div> :
+                            defaultersChart.length > 0 ? (
+                                <ResponsiveContainer width="100%" height={Math.max(160, defaultersChart.length * 36)}>
+                                    <BarChart data={defaultersChart} layout="vertical" margin={{ top: 5, right: 20, left: 20, bottom: 5 }}>
+                                        <CartesianGrid strokeDasharray="3 3" stroke="currentColor" opacity={0.2} />
+                                        <XAxis type="number" tick={{ fill: 'currentColor', fontSize: 12 }} tickFormatter={(value) => formatMoney(value, { compact: true })} />
+                                        <YAxis type="category" dataKey="name" width={140} tick={{ fill: 'currentColor', fontSize: 12 }} />
+                                        <Tooltip cursor={{ fill: 'rgba(128,128,128,0.1)' }} contentStyle={tooltipStyle} formatter={(value) => formatMoney(value)} />
+                                        <Bar dataKey="Overdue" fill="#ef4444" />
+                                    </BarChart>
+                                </ResponsiveContainer>
+                            ) : (
+                                <EmptyState
+                                    icon={<Users className="w-full h-full" />}
+                                    title="No Defaulters"
+                                    message={`No student has fees overdue for ${minDaysOverdue} days or more.`}
+                                />
+                            )
+                        }
+                    </motion.div>
+
+                    {!loadingFees && defaulters.length > 0 && (
+                        <motion.div className="mt-8 bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors overflow-x-auto" variants={itemVariants}>
+                            <table className="min-w-full">
+                                <thead className="border-b-2 border-base-200 dark:border-dark-base-300">
+                                    <tr>
+                                        <th className={thClassName}>Student</th>
+                                        <th className={thClassName}>Contact</th>
+                                        <th className={thRightClassName}>Overdue</th>
+                                        <th className={thClassName}>Oldest Due</th>
+                                        <th className={thRightClassName}>Days Overdue</th>
+                                        <th className={thClassName}>Last Payment</th>
+                                        <th className={thRightClassName}>Total Outstanding</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {defaulters.map(row => (
+                                        <tr key={row.student_id} className="border-b border-base-200 dark:border-dark-base-300 last:border-0">
+                                            <td className="px-4 py-3 text-sm font-medium">
+                                                <Link to={`/students/${row.student_id}`} className="text-primary hover:text-primary-focus dark:text-dark-primary dark:hover:text-dark-primary-focus">{row.student_name}</Link>
+                                            </td>
+                                            <td className="px-4 py-3 text-sm text-base-content-secondary">{row.contact || 'N/A'}</td>
+                                            <td className="px-4 py-3 text-sm text-right font-semibold text-red-500">{formatMoney(row.overdue)}</td>
+                                            <td className="px-4 py-3 text-sm">{formatDate(row.oldest_due_date.slice(0, 10))}</td>
+                                            <td className="px-4 py-3 text-sm text-right">{row.days_overdue}</td>
+                                            <td className="px-4 py-3 text-sm text-base-content-secondary">{row.last_payment ? formatDate(row.last_payment) : 'Never'}</td>
+                                            <td className="px-4 py-3 text-sm text-right">{formatMoney(row.total)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </motion.div>
+                    )}
+                </>
+            )}
+        </motion.div>
+    );
+};
+
+export default FinancialReportsPage;
@@ -0,0 +1,199 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { supabase } from '../lib/supabase';
+import { formatDate } from '../lib/format';
+import { useAuth } from '../context/AuthContext';
+import PageHeader from '../components/ui/PageHeader';
+import Modal from '../components/ui/Modal';
+import EmptyState from '../components/ui/EmptyState';
+import toast from 'react-hot-toast';
+import { Loader, Trash2, TreePalm, Sun, Moon } from 'lucide-react';
+
+const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: { opacity: 1, transition: { staggerChildren: 0.05 } }
+};
+
+const itemVariants = {
+    hidden: { opacity: 0, y: 10 },
+    visible: { opacity: 1, y: 0 }
+};
+
+const sessionLabels = {
+    Morning: { label: 'Morning only', icon: <Sun className="w-4 h-4" /> },
+    Evening: { label: 'Evening only', icon: <Moon className="w-4 h-4" /> },
+};
+
+// Holiday dates are plain dates; parse them as local dates so they don't shift by a day.
+
+const HolidaysPage = () => {
+    const { user } = useAuth();
+    const isAdmin = user?.user_metadata?.role === 'Admin';
+
+    const [holidays, setHolidays] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [formLoading, setFormLoading] = useState(false);
+
+    const fetchHolidays = async () => {
+        setLoading(true);
+        try {
+            const { data, error } = await supabase
+                .from('holidays')
+                .select('*')
+                .order('start_date', { ascending: false });
+
+            if (error) throw error;
+            setHolidays(data || []);
+        } catch (error) {
+            toast.error(`Failed to fetch holidays: ${error.message}`);
+            setHolidays([]);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchHolidays();
+    }, []);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const formData = new FormData(e.target);
+        const startDate = formData.get('start_date');
+        const endDate = formData.get('end_date') || startDate;
+
+        if (endDate < startDate) {
+            toast.error('The end date cannot be before the start date.');
+            return;
+        }
+
+        setFormLoading(true);
+        const { error } = await supabase.from('holidays').insert([{
+            title: formData.get('title'),
+            start_date: startDate,
+            end_date: endDate,
+            session_type: formData.get('session_type') || null,
+            created_by: user.id,
+        }]);
+
+        if (error) {
+            toast.error(error.message);
+        } else {
+            toast.success('Holiday added to the calendar.');
+            setIsModalOpen(false);
+            fetchHolidays();
+        }
+        setFormLoading(false);
+    };
+
+    const handleDelete = async (holidayId) => {
+        if (!window.confirm('Remove this holiday? Attendance already marked as Holiday will not be changed.')) return;
+        const { error } = await supabase.from('holidays').delete().eq('id', holidayId);
+        if (error) {
+            toast.error(error.message);
+        } else {
+            toast.success('Holiday removed.');
+            fetchHolidays();
+        }
+    };
+
+    return (
+        <>
+            <PageHeader
+                title="Holiday Calendar"
+                buttonText={isAdmin ? 'Add Holiday' : null}
+                onButtonClick={() => setIsModalOpen(true)}
+            />
+            {loading ? (
+                <div className="flex justify-center items-center h-64">
+                    <Loader className="animate-spin h-8 w-8 text-primary" />
+                </div>
+            ) : holidays.length > 0 ? (
+                <motion.div
+                    className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6"
+                    variants={containerVariants}
+                    initial="hidden"
+                    animate="visible"
+                >
+                    {holidays.map((holiday) => {
+                        const session = sessionLabels[holiday.session_type];
+                        return (
+                            <motion.div
+                                key={holiday.id}
+                                variants={itemVariants}
+                                className="relative bg-base-100 dark:bg-dark-base-200 rounded-2xl shadow-lg p-6 transition-colors"
+                            >
+                                {isAdmin && (
+                                    <button
+                                        onClick={() => handleDelete(holiday.id)}
+                                        className="absolute top-4 right-4 p-2 text-red-500/60 hover:text-red-500 hover:bg-red-500/10 rounded-full transition-colors"
+                                        aria-label="Delete holiday"
+                                    >
+                                        <Trash2 className="w-5 h-5" />
+                                    </button>
+                                )}
+                                <div className="flex items-center gap-3 pr-10">
+                                    <div className="p-2 bg-blue-500/10 text-blue-500 rounded-full"><TreePalm className="w-5 h-5" /></div>
+                                    <h3 className="text-lg font-bold font-heading text-base-content dark:text-dark-base-content">{holiday.title}</h3>
+                                </div>
+                                <p className="mt-4 text-sm text-base-content-secondary dark:text-dark-base-content-secondary">
+                                    {holiday.start_date === holiday.end_date
+                                        ? formatDate(holiday.start_date)
+                                        : `${formatDate(holiday.start_date)} – ${formatDate(holiday.end_date)}`}
+                                </p>
+                                <p className="mt-1 flex items-center gap-1.5 text-xs font-semibold text-base-content-secondary dark:text-dark-base-content-secondary">
+                                    {session ? <>{session.icon} {session.label}</> : 'Full day'}
+                                </p>
+                            </motion.div>
+                        );
+                    })}
+                </motion.div>
+            ) : (
+                <div className="bg-base-100 dark:bg-dark-base-200 rounded-2xl shadow-lg">
+                    <EmptyState
+                        icon={<TreePalm className="w-full h-full" />}
+                        title="No Holidays Scheduled"
+                        message="Holidays added here are applied to attendance sessions automatically."
+                    />
+                </div>
+            )}
+
+            <Modal title="Add Holiday" isOpen={isModalOpen} onClose={() => setIsModalOpen(false)}>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label htmlFor="title" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Title</label>
+                        <input type="text" name="title" id="title" placeholder="e.g. Diwali break" required className="mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm" />
+                    </div>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                        <div>
+                            <label htmlFor="start_date" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">From</label>
+                            <input type="date" name="start_date" id="start_date" required className="mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm" />
+                        </div>
+                        <div>
+                            <label htmlFor="end_date" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">To (optional)</label>
+                            <input type="date" name="end_date" id="end_date" className="mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm" />
+                        </div>
+                    </div>
+                    <div>
+                        <label htmlFor="session_type" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Applies To</label>
+                        <select id="session_type" name="session_type" defaultValue="" className="mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm">
+                            <option value="">Full day</option>
+                            <option value="Morning">Morning session only</option>
+                            <option value="Evening">Evening session only</option>
+                        </select>
+                    </div>
+                    <div className="flex justify-end pt-4 space-x-3">
+                        <button type="button" onClick={() => setIsModalOpen(false)} className="inline-flex justify-center py-2 px-4 border border-base-300 dark:border-dark-base-300 shadow-sm text-sm font-medium rounded-lg text-base-content dark:text-dark-base-content bg-base-100 dark:bg-dark-base-200 hover:bg-base-200 dark:hover:bg-dark-base-300">Cancel</button>
+                        <button type="submit" disabled={formLoading} className="inline-flex justify-center items-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
+                            {formLoading && <Loader className="animate-spin h-4 w-4 mr-2" />}
+                            Add Holiday
+                        </button>
+                    </div>
+                </form>
+            </Modal>
+        </>
+    );
+};
+
+export default HolidaysPage;
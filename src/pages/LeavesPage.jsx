@@ -0,0 +1,277 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { supabase } from '../lib/supabase';
+import { formatDate } from '../lib/format';
+import { toLocalDate } from '../lib/financeReports';
+import { useAuth } from '../context/AuthContext';
+import PageHeader from '../components/ui/PageHeader';
+import Modal from '../components/ui/Modal';
+import EmptyState from '../components/ui/EmptyState';
+import SegmentedControl from '../components/ui/SegmentedControl';
+import toast from 'react-hot-toast';
+import { Loader, Check, X, Trash2, CalendarOff } from 'lucide-react';
+
+const statusStyles = {
+    Pending: 'bg-yellow-500/10 text-yellow-600 dark:bg-yellow-500/20 dark:text-yellow-400',
+    Approved: 'bg-green-500/10 text-green-600 dark:bg-green-500/20 dark:text-green-400',
+    Rejected: 'bg-red-500/10 text-red-500 dark:bg-red-500/20 dark:text-red-400',
+};
+
+const filterOptions = [
+    { value: 'Pending', label: 'Pending' },
+    { value: 'Approved', label: 'Approved' },
+    { value: 'Rejected', label: 'Rejected' },
+    { value: 'all', label: 'All' },
+];
+
+const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: { opacity: 1, transition: { staggerChildren: 0.05 } }
+};
+
+const itemVariants = {
+    hidden: { opacity: 0, y: 10 },
+    visible: { opacity: 1, y: 0 }
+};
+
+const countDays = (start, end) => Math.round((new Date(end) - new Date(start)) / 86400000) + 1;
+
+const LeavesPage = () => {
+    const { user } = useAuth();
+    const userRole = user?.user_metadata?.role;
+    const canManage = userRole === 'Admin' || userRole === 'Staff';
+
+    const [leaves, setLeaves] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [filter, setFilter] = useState(canManage ? 'Pending' : 'all');
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [formLoading, setFormLoading] = useState(false);
+    const [reviewing, setReviewing] = useState(null);
+
+    const fetchLeaves = useCallback(async () => {
+        if (!user) return;
+        setLoading(true);
+        try {
+            let query = supabase
+                .from('leaves')
+                .select('*, students(full_name), reviewer:reviewed_by(full_name)')
+                .order('start_date', { ascending: false });
+
+            if (!canManage) {
+                query = query.eq('student_id', user.id);
+            }
+            if (filter !== 'all') {
+                query = query.eq('status', filter);
+            }
+
+            const { data, error } = await query;
+            if (error) throw error;
+            setLeaves(data || []);
+        } catch (error) {
+            toast.error(`Failed to fetch leave requests: ${error.message}`);
+            setLeaves([]);
+        } finally {
+            setLoading(false);
+        }
+    }, [user, canManage, filter]);
+
+    useEffect(() => {
+        fetchLeaves();
+    }, [fetchLeaves]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const formData = new FormData(e.target);
+        const startDate = formData.get('start_date');
+        const endDate = formData.get('end_date');
+
+        if (endDate < startDate) {
+            toast.error('The end date cannot be before the start date.');
+            return;
+        }
+
+        setFormLoading(true);
+        const { error } = await supabase.from('leaves').insert([{
+            student_id: user.id,
+            start_date: startDate,
+            end_date: endDate,
+            reason: formData.get('reason'),
+            status: 'Pending',
+        }]);
+
+        if (error) {
+            toast.error(error.message);
+        } else {
+            toast.success('Leave request submitted.');
+            setIsModalOpen(false);
+            fetchLeaves();
+        }
+        setFormLoading(false);
+    };
+
+    const handleReview = async (leave, status) => {
+        let reviewNote = null;
+        if (status === 'Rejected') {
+            reviewNote = window.prompt('Reason for rejecting this request (optional):');
+            if (reviewNote === null) return;
+        }
+
+        setReviewing(leave.id);
+        const { error } = await supabase
+            .from('leaves')
+            .update({
+                status,
+                review_note: reviewNote || null,
+                reviewed_by: user.id,
+                reviewed_at: new Date().toISOString(),
+                approved_by: status === 'Approved' ? user.id : null,
+            })
+            .eq('id', leave.id);
+
+        if (error) {
+            toast.error(error.message);
+        } else {
+            toast.success(`Leave request ${status.toLowerCase()}.`);
+            fetchLeaves();
+        }
+        setReviewing(null);
+    };
+
+    const handleWithdraw = async (leaveId) => {
+        if (!window.confirm('Are you sure you want to withdraw this leave request?')) return;
+        const { error } = await supabase.from('leaves').delete().eq('id', leaveId);
+        if (error) {
+            toast.error(error.message);
+        } else {
+            toast.success('Leave request withdrawn.');
+            fetchLeaves();
+        }
+    };
+
+    const today = toLocalDate(new Date());
+    const colSpan = canManage ? 6 : 5;
+
+    return (
+        <>
+            <PageHeader
+                title={canManage ? 'Leave Requests' : 'My Leaves'}
+                buttonText={canManage ? null : 'Apply for Leave'}
+                onButtonClick={() => setIsModalOpen(true)}
+            />
+
+            <div className="mb-6 max-w-md">
+                <SegmentedControl options={filterOptions} value={filter} onChange={setFilter} size="md" />
+            </div>
+
+            <div className="bg-base-100 dark:bg-dark-base-200 rounded-xl shadow-lg overflow-hidden transition-colors">
+                <div className="overflow-x-auto">
+                    <table className="min-w-full">
+                        <thead className="bg-base-200 dark:bg-dark-base-300">
+                            <tr>
+                                {canManage && <th className="px-6 py-4 text-left text-xs font-medium text-base-content-secondary dark:text-dark-base-content-secondary uppercase tracking-wider">Student</th>}
+                                <th className="px-6 py-4 text-left text-xs font-medium text-base-content-secondary dark:text-dark-base-content-secondary uppercase tracking-wider">Dates</th>
+                                <th className="px-6 py-4 text-left text-xs font-medium text-base-content-secondary dark:text-dark-base-content-secondary uppercase tracking-wider">Reason</th>
+                                <th className="px-6 py-4 text-left text-xs font-medium text-base-content-secondary dark:text-dark-base-content-secondary uppercase tracking-wider">Status</th>
+                                <th className="px-6 py-4 text-left text-xs font-medium text-base-content-secondary dark:text-dark-base-content-secondary uppercase tracking-wider">Reviewed By</th>
+                                <th className="px-6 py-4 text-right text-xs font-medium text-base-content-secondary dark:text-dark-base-content-secondary uppercase tracking-wider">Actions</th>
+                            </tr>
+                        </thead>
+                        {loading ? (
+                            <tbody>
+                                <tr><td colSpan={colSpan} className="text-center py-10"><Loader className="mx-auto animate-spin" /></td></tr>
+                            </tbody>
+                        ) : leaves.length > 0 ? (
+                            <motion.tbody
+                                className="divide-y divide-base-200 dark:divide-dark-base-300"
+                                variants={containerVariants}
+                                initial="hidden"
+                                animate="visible"
+                            >
+                                {leaves.map((leave) => (
+                                    <motion.tr key={leave.id} className="hover:bg-base-200 dark:hover:bg-dark-base-300/50 transition-colors" variants={itemVariants}>
+                                        {canManage && (
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">{leave.students?.full_name || 'N/A'}</td>
+                                        )}
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-base-content-secondary dark:text-dark-base-content-secondary">
+                                            <div>{formatDate(leave.start_date)} – {formatDate(leave.end_date)}</div>
+                                            <div className="text-xs">{countDays(leave.start_date, leave.end_date)} day(s)</div>
+                                        </td>
+                                        <td className="px-6 py-4 text-sm text-base-content-secondary dark:text-dark-base-content-secondary max-w-xs">
+                                            <p className="whitespace-pre-wrap">{leave.reason || '—'}</p>
+                                            {leave.review_note && <p className="mt-1 text-xs italic">Note: {leave.review_note}</p>}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                            <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${statusStyles[leave.status]}`}>
+                                                {leave.status}
+                                            </span>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-base-content-secondary dark:text-dark-base-content-secondary">
+                                            {leave.reviewer?.full_name || '—'}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                                            {canManage && leave.status === 'Pending' && (
+                                                <>
+                                                    <button onClick={() => handleReview(leave, 'Approved')} disabled={reviewing === leave.id} className="p-2 text-green-600/70 hover:text-green-600 dark:text-green-400/70 dark:hover:text-green-400 transition-colors disabled:opacity-50" title="Approve">
+                                                        <Check className="w-5 h-5" />
+                                                    </button>
+                                                    <button onClick={() => handleReview(leave, 'Rejected')} disabled={reviewing === leave.id} className="p-2 text-red-500/70 hover:text-red-500 transition-colors disabled:opacity-50" title="Reject">
+                                                        <X className="w-5 h-5" />
+                                                    </button>
+                                                </>
+                                            )}
+                                            {!canManage && leave.status === 'Pending' && leave.end_date >= today && (
+                                                <button onClick={() => handleWithdraw(leave.id)} className="p-2 text-red-500/70 hover:text-red-500 transition-colors" title="Withdraw">
+                                                    <Trash2 className="w-5 h-5" />
+                                                </button>
+                                            )}
+                                        </td>
+                                    </motion.tr>
+                                ))}
+                            </motion.tbody>
+                        ) : (
+                            <tbody>
+                                <tr>
+                                    <td colSpan={colSpan}>
+                                        <EmptyState
+                                            icon={<CalendarOff className="w-full h-full" />}
+                                            title="No Leave Requests Found"
+                                            message={canManage ? 'Leave requests submitted by students will appear here.' : 'Apply for leave when you plan to be away from the hostel.'}
+                                        />
+                                    </td>
+                                </tr>
+                            </tbody>
+                        )}
+                    </table>
+                </div>
+            </div>
+
+            <Modal title="Apply for Leave" isOpen={isModalOpen} onClose={() => setIsModalOpen(false)}>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                        <div>
+                            <label htmlFor="start_date" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">From</label>
+                            <input type="date" name="start_date" id="start_date" min={today} defaultValue={today} required className="mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm" />
+                        </div>
+                        <div>
+                            <label htmlFor="end_date" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">To</label>
+                            <input type="date" name="end_date" id="end_date" min={today} defaultValue={today} required className="mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm" />
+                        </div>
+                    </div>
+                    <div>
+                        <label htmlFor="reason" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Reason</label>
+                        <textarea name="reason" id="reason" rows="4" required className="mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm"></textarea>
+                    </div>
+                    <div className="flex justify-end pt-4 space-x-3">
+                        <button type="button" onClick={() => setIsModalOpen(false)} className="inline-flex justify-center py-2 px-4 border border-base-300 dark:border-dark-base-300 shadow-sm text-sm font-medium rounded-lg text-base-content dark:text-dark-base-content bg-base-100 dark:bg-dark-base-200 hover:bg-base-200 dark:hover:bg-dark-base-300">Cancel</button>
+                        <button type="submit" disabled={formLoading} className="inline-flex justify-center items-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
+                            {formLoading && <Loader className="animate-spin h-4 w-4 mr-2" />}
+                            Submit Request
+                        </button>
+                    </div>
+                </form>
+            </Modal>
+        </>
+    );
+};
+
+export default LeavesPage;
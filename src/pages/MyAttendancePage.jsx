@@ -3,8 +3,12 @@ import { useLocation } from 'react-router-dom';
 import { supabase } from '../lib/supabase';
 import { useAuth } from '../context/AuthContext';
 import PageHeader from '../components/ui/PageHeader';
-import { Check, X, Clock, TreePalm, ChevronLeft, ChevronRight, Download, Loader } from 'lucide-react';
+import { Check, X, Clock, Timer, TreePalm, ChevronLeft, ChevronRight, Download, Loader, History } from 'lucide-react';
 import { Alert, AlertDescription, AlertTitle } from '../components/ui/alert';
+import { summarizeAttendance } from '../lib/attendance';
+import { formatDate } from '../lib/format';
+import Modal from '../components/ui/Modal';
+import AttendanceHistory from '../components/attendance/AttendanceHistory';
 import jsPDF from 'jspdf';
 import 'jspdf-autotable';
 
@@ -16,11 +20,15 @@ const MyAttendancePage = () => {
     const viewAsAdmin = location.state?.studentId;
     const studentId = viewAsAdmin || user?.id;
     const studentName = location.state?.studentName || user?.user_metadata?.full_name;
+    const canViewHistory = viewAsAdmin && ['Admin', 'Staff'].includes(user?.user_metadata?.role);
 
     const [currentDate, setCurrentDate] = useState(new Date());
     const [attendanceData, setAttendanceData] = useState({});
+    const [summary, setSummary] = useState(null);
+    const [lateArrivals, setLateArrivals] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
+    const [isHistoryOpen, setIsHistoryOpen] = useState(false);
 
     const currentMonth = currentDate.getMonth();
     const currentYear = currentDate.getFullYear();
@@ -37,29 +45,51 @@ const MyAttendancePage = () => {
             const firstDayOfMonth = new Date(Date.UTC(currentYear, currentMonth, 1));
             const lastDayOfMonth = new Date(Date.UTC(currentYear, currentMonth + 1, 1));
 
-            const { data: sessions, error: sessionsError } = await supabase
-                .from('attendance_sessions')
-                .select('id, date')
-                .gte('date', firstDayOfMonth.toISOString())
-                .lt('date', lastDayOfMonth.toISOString());
+            const monthStart = firstDayOfMonth.toISOString().slice(0, 10);
+            const monthEnd = new Date(Date.UTC(currentYear, currentMonth + 1, 0)).toISOString().slice(0, 10);
 
-            if (sessionsError) throw sessionsError;
+            const [
+                { data: sessions, error: sessionsError },
+                { data: leaves, error: leavesError },
+                { data: holidays, error: holidaysError }
+            ] = await Promise.all([
+                supabase
+                    .from('attendance_sessions')
+                    .select('id, date, session_type, holiday_id')
+                    .gte('date', firstDayOfMonth.toISOString())
+                    .lt('date', lastDayOfMonth.toISOString()),
+                supabase
+                    .from('leaves')
+                    .select('start_date, end_date')
+                    .eq('student_id', studentId)
+                    .eq('status', 'Approved')
+                    .lte('start_date', monthEnd)
+                    .gte('end_date', monthStart),
+                supabase
+                    .from('holidays')
+                    .select('start_date, end_date')
+                    .is('session_type', null)
+                    .lte('start_date', monthEnd)
+                    .gte('end_date', monthStart)
+            ]);
 
-            if (!sessions || sessions.length === 0) {
-                setAttendanceData({});
-                setLoading(false);
-                return;
-            }
+            if (sessionsError) throw sessionsError;
+            if (leavesError) throw leavesError;
+            if (holidaysError) throw holidaysError;
 
-            const sessionIds = sessions.map(s => s.id);
+            let records = [];
+            if (sessions && sessions.length > 0) {
+                const sessionIds = sessions.map(s => s.id);
 
-            const { data: records, error: recordsError } = await supabase
-                .from('attendance_records')
-                .select('status, session_id')
-                .eq('student_id', studentId)
-                .in('session_id', sessionIds);
+                const { data: recordsData, error: recordsError } = await supabase
+                    .from('attendance_records')
+                    .select('status, session_id, late_minutes')
+                    .eq('student_id', studentId)
+                    .in('session_id', sessionIds);
 
-            if (recordsError) throw recordsError;
+                if (recordsError) throw recordsError;
+                records = recordsData;
+            }
 
             const dailyRecords = {};
             records.forEach(record => {
@@ -73,7 +103,7 @@ const MyAttendancePage = () => {
                 }
             });
 
-            const statusPriority = { 'Holiday': 4, 'Absent': 3, 'Leave': 2, 'Present': 1 };
+            const statusPriority = { 'Holiday': 5, 'Absent': 4, 'Late': 3, 'Leave': 2, 'Present': 1 };
             const finalAttendance = {};
             for (const day in dailyRecords) {
                 const statuses = dailyRecords[day];
@@ -84,12 +114,40 @@ const MyAttendancePage = () => {
                     finalAttendance[day] = highestPriorityStatus;
                 }
             }
+
+            // Full-day holidays and approved leaves show on days that have no attendance record yet (e.g. upcoming days).
+            const fillRange = ({ start_date, end_date }, status) => {
+                const from = start_date < monthStart ? monthStart : start_date;
+                const to = end_date > monthEnd ? monthEnd : end_date;
+                for (let day = Number(from.slice(8, 10)); day <= Number(to.slice(8, 10)); day++) {
+                    if (!finalAttendance[day]) {
+                        finalAttendance[day] = status;
+                    }
+                }
+            };
+            (holidays || []).forEach(holiday => fillRange(holiday, 'Holiday'));
+            (leaves || []).forEach(leave => fillRange(leave, 'Leave'));
+
+            // Holiday sessions don't count towards the attendance percentage.
+            const holidaySessionIds = new Set((sessions || []).filter(s => s.holiday_id).map(s => s.id));
+            setSummary(summarizeAttendance(records.map(record =>
+                holidaySessionIds.has(record.session_id) ? 'Holiday' : record.status
+            )));
             
+            setLateArrivals(records
+                .filter(record => record.status === 'Late')
+                .map(record => {
+                    const session = sessions.find(s => s.id === record.session_id);
+                    return { date: session.date, sessionType: session.session_type, minutes: record.late_minutes };
+                })
+                .sort((a, b) => a.date.localeCompare(b.date)));
             setAttendanceData(finalAttendance);
         } catch (e) {
             setError('Failed to fetch attendance data. This may be due to row-level security policies. Please contact an administrator.');
             console.error(e);
             setAttendanceData({});
+            setSummary(null);
+            setLateArrivals([]);
         } finally {
             setLoading(false);
         }
@@ -118,7 +176,7 @@ const MyAttendancePage = () => {
 
     const downloadReport = () => {
         const doc = new jsPDF();
-        const monthName = currentDate.toLocaleString('default', { month: 'long' });
+        const monthName = formatDate(currentDate, { month: 'long' });
         const title = `Attendance for ${studentName} - ${monthName} ${currentYear}`;
 
         doc.setFontSize(18);
@@ -143,12 +201,30 @@ const MyAttendancePage = () => {
             headStyles: { fillColor: '#4f46e5' },
         });
 
+        if (lateArrivals.length > 0) {
+            const startY = doc.lastAutoTable.finalY + 12;
+            doc.setFontSize(14);
+            doc.text(`Late Arrivals (${lateArrivals.length})`, 14, startY);
+            doc.autoTable({
+                head: [['Date', 'Session', 'Minutes Late']],
+                body: lateArrivals.map(late => [
+                    formatDate(late.date, { day: 'numeric', month: 'long', year: 'numeric' }),
+                    late.sessionType,
+                    late.minutes ?? '—',
+                ]),
+                startY: startY + 4,
+                theme: 'grid',
+                headStyles: { fillColor: '#f97316' },
+            });
+        }
+
         doc.save(`attendance_${studentName}_${monthName}_${currentYear}.pdf`);
     };
     
     const statusConfig = {
         'Present': { icon: <Check className="h-5 w-5" />, color: 'bg-green-100 text-green-800 dark:bg-green-900/50 dark:text-green-300', ring: 'ring-green-500' },
         'Absent': { icon: <X className="h-5 w-5" />, color: 'bg-red-100 text-red-800 dark:bg-red-900/50 dark:text-red-300', ring: 'ring-red-500' },
+        'Late': { icon: <Timer className="h-5 w-5" />, color: 'bg-orange-100 text-orange-800 dark:bg-orange-900/50 dark:text-orange-300', ring: 'ring-orange-500' },
         'Leave': { icon: <Clock className="h-5 w-5" />, color: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/50 dark:text-yellow-300', ring: 'ring-yellow-500' },
         'Holiday': { icon: <TreePalm className="h-5 w-5" />, color: 'bg-blue-100 text-blue-800 dark:bg-blue-900/50 dark:text-blue-300', ring: 'ring-blue-500' },
     };
@@ -164,17 +240,40 @@ const MyAttendancePage = () => {
                 <div className="flex flex-col sm:flex-row justify-between items-center mb-6">
                     <div className="flex items-center gap-2 sm:gap-4">
                         <button onClick={handlePrevMonth} className="p-2 rounded-full hover:bg-base-200 dark:hover:bg-dark-base-300 transition-colors"><ChevronLeft /></button>
-                        <h2 className="text-xl font-bold text-center w-48">{currentDate.toLocaleString('default', { month: 'long' })} {currentYear}</h2>
+                        <h2 className="text-xl font-bold text-center w-48">{formatDate(currentDate, { month: 'long' })} {currentYear}</h2>
                         <button onClick={handleNextMonth} className="p-2 rounded-full hover:bg-base-200 dark:hover:bg-dark-base-300 transition-colors"><ChevronRight /></button>
                     </div>
-                    <button onClick={downloadReport} className="mt-4 sm:mt-0 inline-flex items-center justify-center gap-2 px-4 py-2 border border-transparent text-sm font-medium rounded-lg shadow-sm text-primary-content bg-primary hover:bg-primary-focus focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary">
-                        <Download className="h-4 w-4" />
-                        Download Report
-                    </button>
+                    <div className="mt-4 sm:mt-0 flex items-center gap-2">
+                        {canViewHistory && (
+                            <button onClick={() => setIsHistoryOpen(true)} className="inline-flex items-center justify-center gap-2 px-4 py-2 border border-base-300 dark:border-dark-base-300 text-sm font-medium rounded-lg hover:bg-base-200 dark:hover:bg-dark-base-300">
+                                <History className="h-4 w-4" />
+                                Change History
+                            </button>
+                        )}
+                        <button onClick={downloadReport} className="inline-flex items-center justify-center gap-2 px-4 py-2 border border-transparent text-sm font-medium rounded-lg shadow-sm text-primary-content bg-primary hover:bg-primary-focus focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary">
+                            <Download className="h-4 w-4" />
+                            Download Report
+                        </button>
+                    </div>
                 </div>
 
                 {error && <Alert variant="destructive" className="mb-4"><AlertTitle>Error</AlertTitle><AlertDescription>{error}</AlertDescription></Alert>}
 
+                {!loading && summary && (
+                    <div className="grid grid-cols-2 sm:grid-cols-6 gap-2 sm:gap-4 mb-6 text-center">
+                        <div className="p-3 rounded-lg bg-primary/10 text-primary dark:bg-dark-primary/20 dark:text-dark-primary">
+                            <p className="text-xs font-medium uppercase">Attendance</p>
+                            <p className="text-2xl font-bold">{summary.percentage === null ? '—' : `${summary.percentage}%`}</p>
+                        </div>
+                        {['Present', 'Late', 'Absent', 'Leave', 'Holiday'].map(status => (
+                            <div key={status} className={`p-3 rounded-lg ${statusConfig[status].color}`}>
+                                <p className="text-xs font-medium uppercase">{status === 'Holiday' ? 'Holidays (excluded)' : status}</p>
+                                <p className="text-2xl font-bold">{summary[status]}</p>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
                 <div className="grid grid-cols-7 gap-1 sm:gap-2 text-center font-semibold text-base-content-secondary dark:text-dark-base-content-secondary mb-2">
                     {weekDays.map(day => <div key={day} className="py-2">{day}</div>)}
                 </div>
@@ -211,6 +310,16 @@ const MyAttendancePage = () => {
                     ))}
                 </div>
             </div>
+
+            {canViewHistory && (
+                <Modal isOpen={isHistoryOpen} onClose={() => setIsHistoryOpen(false)} title={`Change History · ${formatDate(currentDate, { month: 'long' })} ${currentYear}`}>
+                    <AttendanceHistory
+                        studentId={studentId}
+                        from={new Date(Date.UTC(currentYear, currentMonth, 1)).toISOString().slice(0, 10)}
+                        to={new Date(Date.UTC(currentYear, currentMonth + 1, 0)).toISOString().slice(0, 10)}
+                    />
+                </Modal>
+            )}
         </>
     );
 };
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { supabase } from '../lib/supabase';
+import { formatDate } from '../lib/format';
 import { useAuth } from '../context/AuthContext';
 import PageHeader from '../components/ui/PageHeader';
 import Modal from '../components/ui/Modal';
@@ -119,7 +120,7 @@ const NoticesPage = () => {
                             )}
                             <h3 className="text-xl font-bold font-heading text-base-content dark:text-dark-base-content pr-12">{notice.title}</h3>
                             <div className="text-xs text-base-content-secondary dark:text-dark-base-content-secondary mt-1 mb-4">
-                                <span>Published by {notice.profiles?.full_name || 'Admin'} on {new Date(notice.created_at).toLocaleDateString()}</span>
+                                <span>Published by {notice.profiles?.full_name || 'Admin'} on {formatDate(notice.created_at)}</span>
                                 <span className="mx-2">|</span>
                                 <span>Audience: <span className="font-semibold capitalize">{notice.audience}</span></span>
                             </div>
@@ -0,0 +1,256 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { supabase } from '../lib/supabase';
+import { formatDateTime } from '../lib/format';
+import PageHeader from '../components/ui/PageHeader';
+import SegmentedControl from '../components/ui/SegmentedControl';
+import toast from 'react-hot-toast';
+import { Loader, Send, RotateCcw } from 'lucide-react';
+
+const statusStyles = {
+    Pending: 'bg-yellow-500/10 text-yellow-600 dark:bg-yellow-500/20 dark:text-yellow-400',
+    Sent: 'bg-green-500/10 text-green-600 dark:bg-green-500/20 dark:text-green-400',
+    Failed: 'bg-red-500/10 text-red-500 dark:bg-red-500/20 dark:text-red-400',
+};
+
+const reasonLabels = {
+    consecutive_absence: 'Consecutive absences',
+    low_attendance: 'Low attendance',
+};
+
+const filterOptions = [
+    { value: 'all', label: 'All' },
+    { value: 'Pending', label: 'Pending' },
+    { value: 'Sent', label: 'Sent' },
+    { value: 'Failed', label: 'Failed' },
+];
+
+const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: { opacity: 1, transition: { staggerChildren: 0.05 } }
+};
+
+const itemVariants = {
+    hidden: { opacity: 0, y: 10 },
+    visible: { opacity: 1, y: 0 }
+};
+
+const inputClassName = "mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm";
+
+const NotificationsPage = () => {
+    const [notifications, setNotifications] = useState([]);
+    const [settings, setSettings] = useState(null);
+    const [filter, setFilter] = useState('all');
+    const [loading, setLoading] = useState(true);
+    const [savingSettings, setSavingSettings] = useState(false);
+    const [dispatching, setDispatching] = useState(false);
+
+    const fetchNotifications = useCallback(async () => {
+        setLoading(true);
+        try {
+            let query = supabase
+                .from('guardian_notifications')
+                .select('*, profiles(full_name)')
+                .order('created_at', { ascending: false })
+                .limit(200);
+
+            if (filter !== 'all') {
+                query = query.eq('status', filter);
+            }
+
+            const { data, error } = await query;
+            if (error) throw error;
+            setNotifications(data || []);
+        } catch (error) {
+            toast.error(`Failed to fetch notifications: ${error.message}`);
+            setNotifications([]);
+        } finally {
+            setLoading(false);
+        }
+    }, [filter]);
+
+    useEffect(() => {
+        fetchNotifications();
+    }, [fetchNotifications]);
+
+    useEffect(() => {
+        const fetchSettings = async () => {
+            const { data, error } = await supabase
+                .from('guardian_notification_settings')
+                .select('*')
+                .maybeSingle();
+            if (error) {
+                toast.error(`Failed to fetch notification rules: ${error.message}`);
+            } else {
+                setSettings(data);
+            }
+        };
+        fetchSettings();
+    }, []);
+
+    const handleSettingsChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setSettings(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : Number(value) }));
+    };
+
+    const handleSaveSettings = async (e) => {
+        e.preventDefault();
+        setSavingSettings(true);
+        const { error } = await supabase
+            .from('guardian_notification_settings')
+            .update({
+                enabled: settings.enabled,
+                consecutive_absences: settings.consecutive_absences,
+                attendance_threshold: settings.attendance_threshold,
+                lookback_days: settings.lookback_days,
+                updated_at: new Date().toISOString(),
+            })
+            .eq('id', true);
+
+        if (error) {
+            toast.error(error.message);
+        } else {
+            toast.success('Notification rules saved.');
+        }
+        setSavingSettings(false);
+    };
+
+    const handleDispatch = async () => {
+        setDispatching(true);
+        const { data, error } = await supabase.functions.invoke('notify-guardians');
+        if (error) {
+            toast.error(`Failed to send notifications: ${error.message}`);
+        } else {
+            toast.success(`Sent ${data.sent}, failed ${data.failed} (via ${data.transport}).`);
+            fetchNotifications();
+        }
+        setDispatching(false);
+    };
+
+    const handleRetry = async (notificationId) => {
+        const { error } = await supabase
+            .from('guardian_notifications')
+            .update({ status: 'Pending', attempts: 0, last_error: null })
+            .eq('id', notificationId);
+        if (error) {
+            toast.error(error.message);
+        } else {
+            toast.success('Notification queued again.');
+            fetchNotifications();
+        }
+    };
+
+    return (
+        <>
+            <PageHeader title="Guardian Notifications" />
+
+            {settings && (
+                <form onSubmit={handleSaveSettings} className="mb-8 bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors">
+                    <div className="flex items-center justify-between mb-4">
+                        <h2 className="text-xl font-semibold text-base-content dark:text-dark-base-content">Rules</h2>
+                        <label className="flex items-center gap-2 text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">
+                            <input type="checkbox" name="enabled" checked={settings.enabled} onChange={handleSettingsChange} className="rounded border-base-300 text-primary focus:ring-primary" />
+                            Notifications enabled
+                        </label>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                        <div>
+                            <label htmlFor="consecutive_absences" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Notify after consecutive absences</label>
+                            <input type="number" min="1" max="20" name="consecutive_absences" id="consecutive_absences" value={settings.consecutive_absences} onChange={handleSettingsChange} required className={inputClassName} />
+                        </div>
+                        <div>
+                            <label htmlFor="attendance_threshold" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Notify below attendance (%)</label>
+                            <input type="number" min="1" max="100" name="attendance_threshold" id="attendance_threshold" value={settings.attendance_threshold} onChange={handleSettingsChange} required className={inputClassName} />
+                        </div>
+                        <div>
+                            <label htmlFor="lookback_days" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Attendance measured over (days)</label>
+                            <input type="number" min="7" max="365" name="lookback_days" id="lookback_days" value={settings.lookback_days} onChange={handleSettingsChange} required className={inputClassName} />
+                        </div>
+                    </div>
+                    <div className="flex justify-end mt-6">
+                        <button type="submit" disabled={savingSettings} className="inline-flex items-center py-2 px-4 text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
+                            {savingSettings && <Loader className="animate-spin h-4 w-4 mr-2" />}
+                            Save Rules
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            <div className="mb-6 flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+                <div className="max-w-md w-full">
+                    <SegmentedControl options={filterOptions} value={filter} onChange={setFilter} size="md" />
+                </div>
+                <button onClick={handleDispatch} disabled={dispatching} className="inline-flex items-center justify-center py-2 px-4 text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
+                    {dispatching ? <Loader className="animate-spin h-4 w-4 mr-2" /> : <Send className="h-4 w-4 mr-2" />}
+                    Send Pending Now
+                </button>
+            </div>
+
+            <div className="bg-base-100 dark:bg-dark-base-200 rounded-xl shadow-lg overflow-hidden transition-colors">
+                <div className="overflow-x-auto">
+                    <table className="min-w-full">
+                        <thead className="bg-base-200 dark:bg-dark-base-300">
+                            <tr>
+                                <th className="px-6 py-4 text-left text-xs font-medium text-base-content-secondary dark:text-dark-base-content-secondary uppercase tracking-wider">Student</th>
+                                <th className="px-6 py-4 text-left text-xs font-medium text-base-content-secondary dark:text-dark-base-content-secondary uppercase tracking-wider">Reason</th>
+                                <th className="px-6 py-4 text-left text-xs font-medium text-base-content-secondary dark:text-dark-base-content-secondary uppercase tracking-wider">Recipient</th>
+                                <th className="px-6 py-4 text-left text-xs font-medium text-base-content-secondary dark:text-dark-base-content-secondary uppercase tracking-wider">Status</th>
+                                <th className="px-6 py-4 text-left text-xs font-medium text-base-content-secondary dark:text-dark-base-content-secondary uppercase tracking-wider">Queued</th>
+                                <th className="px-6 py-4 text-right text-xs font-medium text-base-content-secondary dark:text-dark-base-content-secondary uppercase tracking-wider">Actions</th>
+                            </tr>
+                        </thead>
+                        {loading ? (
+                            <tbody>
+                                <tr><td colSpan="6" className="text-center py-10"><Loader className="mx-auto animate-spin" /></td></tr>
+                            </tbody>
+                        ) : notifications.length > 0 ? (
+                            <motion.tbody
+                                className="divide-y divide-base-200 dark:divide-dark-base-300"
+                                variants={containerVariants}
+                                initial="hidden"
+                                animate="visible"
+                            >
+                                {notifications.map((notification) => (
+                                    <motion.tr key={notification.id} className="hover:bg-base-200 dark:hover:bg-dark-base-300/50 transition-colors" variants={itemVariants}>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">{notification.profiles?.full_name || 'N/A'}</td>
+                                        <td className="px-6 py-4 text-sm text-base-content-secondary dark:text-dark-base-content-secondary max-w-sm">
+                                            <div className="font-semibold text-base-content dark:text-dark-base-content">{reasonLabels[notification.reason]}</div>
+                                            <div className="text-xs">{notification.message}</div>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-base-content-secondary dark:text-dark-base-content-secondary">
+                                            <div>{notification.recipient_name || 'Guardian'}</div>
+                                            <div className="text-xs">{[notification.recipient_phone, notification.recipient_email].filter(Boolean).join(' · ')}</div>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${statusStyles[notification.status]}`}>
+                                                {notification.status}
+                                            </span>
+                                            {notification.transport && <div className="text-xs text-base-content-secondary mt-1">via {notification.transport}</div>}
+                                            {notification.last_error && <div className="text-xs text-red-500 mt-1 max-w-xs truncate" title={notification.last_error}>{notification.last_error}</div>}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-base-content-secondary dark:text-dark-base-content-secondary">
+                                            {formatDateTime(notification.created_at)}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-right">
+                                            {notification.status === 'Failed' && (
+                                                <button onClick={() => handleRetry(notification.id)} className="p-2 text-primary hover:bg-primary/10 rounded-full transition-colors" title="Retry">
+                                                    <RotateCcw className="w-4 h-4" />
+                                                </button>
+                                            )}
+                                        </td>
+                                    </motion.tr>
+                                ))}
+                            </motion.tbody>
+                        ) : (
+                            <tbody>
+                                <tr><td colSpan="6" className="text-center py-10 text-base-content-secondary">No notifications found.</td></tr>
+                            </tbody>
+                        )}
+                    </table>
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default NotificationsPage;
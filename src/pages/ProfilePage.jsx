@@ -1,10 +1,13 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { supabase } from '../lib/supabase';
+import { formatDate } from '../lib/format';
 import toast from 'react-hot-toast';
-import { User, Mail, Phone, BookOpen, BedDouble, Calendar, Edit, KeyRound, Loader } from 'lucide-react';
+import { User, Mail, Phone, BookOpen, BedDouble, Calendar, Edit, KeyRound, Loader, UsersRound } from 'lucide-react';
 import EditProfileModal from '../components/profile/EditProfileModal';
 import ChangePasswordModal from '../components/profile/ChangePasswordModal';
+import RoomChangePanel from '../components/rooms/RoomChangePanel';
+import RoomPreferencesForm from '../components/rooms/RoomPreferencesForm';
 
 const ProfileInfoItem = ({ icon, label, value }) => (
     <div className="flex items-start py-4">
@@ -127,6 +130,20 @@ const ProfilePage = () => {
                             </div>
                         </div>
                     </div>
+                    {profile.role === 'Student' && (
+                        <div className="mt-8">
+                            <h2 className="text-xl font-bold mb-4">Parent / Guardian</h2>
+                            <div className="grid grid-cols-1 md:grid-cols-2 divide-y md:divide-y-0 md:divide-x divide-base-200 dark:divide-dark-base-300">
+                                <div className="md:pr-6">
+                                    <ProfileInfoItem icon={<UsersRound size={20} />} label="Name" value={profile.guardian_name} />
+                                    <ProfileInfoItem icon={<Phone size={20} />} label="Phone" value={profile.guardian_phone} />
+                                </div>
+                                <div className="md:pl-6">
+                                    <ProfileInfoItem icon={<Mail size={20} />} label="Email" value={profile.guardian_email} />
+                                </div>
+                            </div>
+                        </div>
+                    )}
                     <div className="mt-8">
                         <h2 className="text-xl font-bold mb-4">Hostel Details</h2>
                         <div className="grid grid-cols-1 md:grid-cols-2 divide-y md:divide-y-0 md:divide-x divide-base-200 dark:divide-dark-base-300">
@@ -134,13 +151,20 @@ const ProfilePage = () => {
                                 {profile.role === 'Student' && <ProfileInfoItem icon={<BedDouble size={20} />} label="Room Number" value={profile.room_number} />}
                             </div>
                             <div className="md:pl-6">
-                                <ProfileInfoItem icon={<Calendar size={20} />} label="Joined On" value={joiningDate.toLocaleDateString()} />
+                                <ProfileInfoItem icon={<Calendar size={20} />} label="Joined On" value={formatDate(joiningDate)} />
                             </div>
                         </div>
                     </div>
                 </div>
             </div>
 
+            {profile.role === 'Student' && (
+                <>
+                    <RoomChangePanel className="mt-8" />
+                    <RoomPreferencesForm className="mt-8" />
+                </>
+            )}
+
             <EditProfileModal
                 isOpen={isEditModalOpen}
                 onClose={() => setIsEditModalOpen(false)}
@@ -1,8 +1,13 @@
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { FileDown, Loader } from 'lucide-react';
 import { supabase } from '../lib/supabase';
 import toast from 'react-hot-toast';
-import Papa from 'papaparse';
+import { downloadCSV as saveCSV } from '../lib/exports';
+import { formatDate, formatDateTime } from '../lib/format';
+import { ROOM_LOCATION_SELECT, emptyLocationFilter, matchesLocation, groupRoomsByFloor, getFloorLabel } from '../lib/rooms';
+import { useRoomHierarchy } from '../hooks/useRoomHierarchy';
+import LocationFilter from '../components/rooms/LocationFilter';
 
 const ReportButton = ({ onClick, isLoading, children }) => (
     <button
@@ -23,8 +28,11 @@ const ReportsPage = () => {
     const [loading, setLoading] = useState({
         occupancy: false,
         fees: false,
+        adjustments: false,
         visitors: false,
     });
+    const [occupancyFilter, setOccupancyFilter] = useState(emptyLocationFilter);
+    const { buildings } = useRoomHierarchy();
 
     const downloadCSV = (data, filename) => {
         if (!data || data.length === 0) {
@@ -32,16 +40,7 @@ const ReportsPage = () => {
             return;
         }
         try {
-            const csv = Papa.unparse(data);
-            const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-            const link = document.createElement('a');
-            const url = URL.createObjectURL(blob);
-            link.setAttribute('href', url);
-            link.setAttribute('download', filename);
-            link.style.visibility = 'hidden';
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
+            saveCSV(data, filename);
             toast.success(`${filename} downloaded successfully!`);
         } catch (error) {
             toast.error('Failed to create CSV file.');
@@ -54,11 +53,20 @@ const ReportsPage = () => {
         try {
             const { data, error } = await supabase
                 .from('rooms')
-                .select('room_number, type, status, occupants')
+                .select(`room_number, type, status, occupants, beds(id), ${ROOM_LOCATION_SELECT}`)
                 .order('room_number');
 
             if (error) throw error;
-            downloadCSV(data, 'occupancy_report.csv');
+            const rooms = data.filter(room => matchesLocation(room, occupancyFilter));
+            const formattedData = groupRoomsByFloor(rooms).flatMap(group => group.rooms.map(({ beds, floor, ...room }) => ({
+                building: floor?.block.building.name || '',
+                block: floor?.block.name || '',
+                floor: floor ? getFloorLabel(floor) : '',
+                ...room,
+                beds: beds.length,
+                free_beds: Math.max(beds.length - room.occupants, 0),
+            })));
+            downloadCSV(formattedData, 'occupancy_report.csv');
         } catch (error) {
             toast.error(`Failed to generate report: ${error.message}`);
         } finally {
@@ -71,17 +79,23 @@ const ReportsPage = () => {
         try {
             const { data, error } = await supabase
                 .from('fees')
-                .select('amount, due_date, status, payment_date, students(full_name)')
+                .select('description, amount, amount_adjusted, amount_paid, balance, due_date, status, payment_date, students(full_name), payments(refunded_amount)')
                 .order('due_date');
 
             if (error) throw error;
             
+            // amount_paid is already net of refunds; refunded is listed so the two reconcile.
             const formattedData = data.map(fee => ({
                 student_name: fee.students?.full_name || 'N/A',
+                description: fee.description || '',
                 amount: fee.amount,
-                due_date: new Date(fee.due_date).toLocaleDateString(),
+                waived: fee.amount_adjusted,
+                collected: fee.amount_paid,
+                refunded: (fee.payments || []).reduce((sum, payment) => sum + parseFloat(payment.refunded_amount || 0), 0).toFixed(2),
+                balance: fee.balance,
+                due_date: formatDate(fee.due_date),
                 status: fee.status,
-                payment_date: fee.payment_date ? new Date(fee.payment_date).toLocaleDateString() : 'N/A',
+                payment_date: fee.payment_date ? formatDate(fee.payment_date) : 'N/A',
             }));
 
             downloadCSV(formattedData, 'fee_collection_report.csv');
@@ -92,6 +106,54 @@ const ReportsPage = () => {
         }
     };
 
+    const handleAdjustmentsReport = async () => {
+        setLoading(prev => ({ ...prev, adjustments: true }));
+        try {
+            const [refundsRes, adjustmentsRes] = await Promise.all([
+                supabase
+                    .from('payment_refunds')
+                    .select('amount, refund_method, reason, refunded_on, profiles(full_name), payments(receipt_number, fees(students(full_name)))'),
+                supabase
+                    .from('fee_adjustments')
+                    .select('adjustment_type, amount, reason, created_at, profiles(full_name), fees(description, students(full_name))'),
+            ]);
+
+            if (refundsRes.error) throw refundsRes.error;
+            if (adjustmentsRes.error) throw adjustmentsRes.error;
+
+            const formattedData = [
+                ...refundsRes.data.map(refund => ({
+                    date: refund.refunded_on,
+                    type: 'Refund',
+                    student_name: refund.payments?.fees?.students?.full_name || 'N/A',
+                    reference: refund.payments?.receipt_number || '',
+                    method: refund.refund_method,
+                    amount: refund.amount,
+                    reason: refund.reason,
+                    approved_by: refund.profiles?.full_name || 'N/A',
+                })),
+                ...adjustmentsRes.data.map(adjustment => ({
+                    date: adjustment.created_at,
+                    type: adjustment.adjustment_type,
+                    student_name: adjustment.fees?.students?.full_name || 'N/A',
+                    reference: adjustment.fees?.description || '',
+                    method: '',
+                    amount: adjustment.amount,
+                    reason: adjustment.reason,
+                    approved_by: adjustment.profiles?.full_name || 'N/A',
+                })),
+            ]
+                .sort((a, b) => new Date(a.date) - new Date(b.date))
+                .map(row => ({ ...row, date: formatDate(row.date) }));
+
+            downloadCSV(formattedData, 'refunds_and_concessions_report.csv');
+        } catch (error) {
+            toast.error(`Failed to generate report: ${error.message}`);
+        } finally {
+            setLoading(prev => ({ ...prev, adjustments: false }));
+        }
+    };
+
     const handleVisitorReport = async () => {
         setLoading(prev => ({ ...prev, visitors: true }));
         try {
@@ -105,8 +167,8 @@ const ReportsPage = () => {
             const formattedData = data.map(visitor => ({
                 visitor_name: visitor.visitor_name,
                 visiting_student: visitor.students?.full_name || 'N/A',
-                check_in_time: new Date(visitor.check_in_time).toLocaleString(),
-                check_out_time: visitor.check_out_time ? new Date(visitor.check_out_time).toLocaleString() : 'N/A',
+                check_in_time: formatDateTime(visitor.check_in_time),
+                check_out_time: visitor.check_out_time ? formatDateTime(visitor.check_out_time) : 'N/A',
                 status: visitor.status,
             }));
 
@@ -122,7 +184,16 @@ const ReportsPage = () => {
         <>
             <h1 className="text-3xl font-bold text-base-content dark:text-dark-base-content mb-6">Generate Reports</h1>
             <div className="bg-base-100 dark:bg-dark-base-200 p-8 rounded-xl shadow-lg transition-colors">
-                <p className="text-base-content-secondary dark:text-dark-base-content-secondary mb-6">Select a report to download as a CSV file.</p>
+                <p className="text-base-content-secondary dark:text-dark-base-content-secondary mb-6">
+                    Select a report to download as a CSV file. Collections, receivables aging and defaulters are in{' '}
+                    <Link to="/financial-reports" className="text-primary hover:text-primary-focus dark:text-dark-primary dark:hover:text-dark-primary-focus font-medium">Financial Reports</Link>.
+                </p>
+                {buildings.length > 0 && (
+                    <div className="mb-6">
+                        <p className="text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary mb-2">Occupancy report covers</p>
+                        <LocationFilter buildings={buildings} value={occupancyFilter} onChange={setOccupancyFilter} />
+                    </div>
+                )}
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
                     <ReportButton onClick={handleOccupancyReport} isLoading={loading.occupancy}>
                         Occupancy Report
@@ -130,6 +201,9 @@ const ReportsPage = () => {
                     <ReportButton onClick={handleFeeReport} isLoading={loading.fees}>
                         Fee Collection Report
                     </ReportButton>
+                    <ReportButton onClick={handleAdjustmentsReport} isLoading={loading.adjustments}>
+                        Refunds & Concessions Report
+                    </ReportButton>
                     <ReportButton onClick={handleVisitorReport} isLoading={loading.visitors}>
                         Visitor Log Report
                     </ReportButton>
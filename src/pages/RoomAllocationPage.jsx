@@ -1,12 +1,26 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { supabase } from '../lib/supabase';
+import { formatMoney } from '../lib/format';
+import { getFreeBeds, ROOM_LOCATION_SELECT, emptyLocationFilter, matchesLocation, groupRoomsByFloor, describeBlockRestrictions } from '../lib/rooms';
 import toast from 'react-hot-toast';
-import { BedDouble, Loader, Users, Search } from 'lucide-react';
+import { BedDouble, BedSingle, Loader, Search, Building2 } from 'lucide-react';
 import PageHeader from '../components/ui/PageHeader';
+import SegmentedControl from '../components/ui/SegmentedControl';
+import EmptyState from '../components/ui/EmptyState';
 import AllocateModal from '../components/allocation/AllocateModal';
 import RoomAllocationDetail from '../components/allocation/RoomAllocationDetail';
+import CheckoutModal from '../components/allocation/CheckoutModal';
+import FloorPlanView from '../components/allocation/FloorPlanView';
+import LocationFilter from '../components/rooms/LocationFilter';
 import { useDebounce } from '../hooks/useDebounce';
+import { useRoomHierarchy } from '../hooks/useRoomHierarchy';
+import { useAuth } from '../context/AuthContext';
+
+const viewOptions = [
+    { label: 'List', value: 'list' },
+    { label: 'Floor Plan', value: 'plan' },
+];
 
 const RoomAllocationPage = () => {
     const [rooms, setRooms] = useState([]);
@@ -15,15 +29,21 @@ const RoomAllocationPage = () => {
     const [selectedRoom, setSelectedRoom] = useState(null);
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [modalRoom, setModalRoom] = useState(null);
+    const [checkoutAllocation, setCheckoutAllocation] = useState(null);
     const [searchTerm, setSearchTerm] = useState('');
     const debouncedSearchTerm = useDebounce(searchTerm, 300);
+    const [locationFilter, setLocationFilter] = useState(emptyLocationFilter);
+    const { buildings, refresh: refreshHierarchy } = useRoomHierarchy();
+    const [view, setView] = useState('list');
+    const { user } = useAuth();
+    const isAdmin = user?.user_metadata?.role === 'Admin';
 
     const fetchData = useCallback(async () => {
         setLoading(true);
         try {
             const [roomsRes, allocationsRes] = await Promise.all([
-                supabase.from('rooms').select('*').order('room_number'),
-                supabase.from('room_allocations').select('*, students(id, full_name, course, contact)').eq('is_active', true)
+                supabase.from('rooms').select(`*, beds(id, label), ${ROOM_LOCATION_SELECT}`).order('room_number'),
+                supabase.from('room_allocations').select('*, students(id, full_name, course, contact), beds(label)').eq('is_active', true)
             ]);
 
             if (roomsRes.error) throw roomsRes.error;
@@ -78,127 +98,181 @@ const RoomAllocationPage = () => {
         fetchData();
     };
 
-    const handleDeallocate = async (allocationId, studentName) => {
-        if (!window.confirm(`Are you sure you want to deallocate ${studentName}?`)) return;
-        
-        const toastId = toast.loading('Deallocating student...');
-        try {
-            // This should ideally be a single RPC call to ensure atomicity
-            const { error: updateAllocError } = await supabase
-                .from('room_allocations')
-                .update({ end_date: new Date().toISOString() })
-                .eq('id', allocationId);
-            
-            if (updateAllocError) throw updateAllocError;
+    const handleCheckedOut = (studentName, refund) => {
+        toast.success(refund > 0 ? `${studentName} checked out. Refund ${formatMoney(refund)} of their deposit.` : `${studentName} checked out.`);
+        fetchData();
+    };
 
-            // Manually trigger room occupancy update
-            await supabase.rpc('update_room_occupancy', { p_room_id: selectedRoom.id });
+    const roomGroups = groupRoomsByFloor(rooms.filter(room =>
+        room.room_number.toLowerCase().includes(debouncedSearchTerm.toLowerCase())
+        && matchesLocation(room, locationFilter)
+    ));
 
-            toast.success(`${studentName} deallocated successfully.`, { id: toastId });
-            fetchData();
-        } catch (error) {
-            toast.error(`Deallocation failed: ${error.message}`, { id: toastId });
-        }
+    // The floor plan shows the chosen floor, or the first one within the chosen building or block.
+    const planFloor = buildings
+        .flatMap(building => building.blocks.map(block => ({ ...block, building })))
+        .flatMap(block => block.floors.map(floor => ({ floor, block })))
+        .find(({ floor, block }) => (!locationFilter.floorId || floor.id === locationFilter.floorId)
+            && (!locationFilter.blockId || block.id === locationFilter.blockId)
+            && (!locationFilter.buildingId || block.building.id === locationFilter.buildingId));
+
+    const handleLayoutSaved = () => {
+        refreshHierarchy();
+        fetchData();
     };
 
-    const filteredRooms = rooms.filter(room =>
-        room.room_number.toLowerCase().includes(debouncedSearchTerm.toLowerCase())
+    const roomDetail = selectedRoom ? (
+        <RoomAllocationDetail
+            room={selectedRoom}
+            allocations={allocations[selectedRoom.id] || []}
+            onCheckout={setCheckoutAllocation}
+        />
+    ) : (
+        <div className="flex flex-col justify-center items-center h-full text-center text-base-content-secondary">
+            <BedDouble className="w-16 h-16 mb-4" />
+            <h3 className="text-lg font-semibold">Select a room</h3>
+            <p>Choose a room from the list to see its details and manage occupants.</p>
+        </div>
     );
 
     return (
         <>
             <PageHeader title="Room Allocation" />
-            <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 h-[calc(100vh-200px)]">
-                {/* Left Column: Room List */}
-                <div className="lg:col-span-1 bg-base-100 dark:bg-dark-base-200 rounded-2xl shadow-lg flex flex-col overflow-hidden transition-colors">
-                    <div className="p-4 border-b border-base-200 dark:border-dark-base-300">
-                        <div className="relative">
-                            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-base-content-secondary" />
-                            <input
-                                type="text"
-                                placeholder="Search rooms..."
-                                value={searchTerm}
-                                onChange={(e) => setSearchTerm(e.target.value)}
-                                className="w-full pl-10 pr-4 py-2 rounded-lg bg-base-200 dark:bg-dark-base-300 focus:ring-2 focus:ring-primary focus:border-primary transition"
-                            />
-                        </div>
-                    </div>
-                    <div className="overflow-y-auto flex-grow p-4">
-                        {loading ? (
-                            <div className="flex justify-center items-center h-full">
-                                <Loader className="animate-spin" />
-                            </div>
-                        ) : (
-                            <div className="space-y-3">
-                                {filteredRooms.map(room => {
-                                    const roomAllocations = allocations[room.id] || [];
-                                    const isFull = roomAllocations.length >= room.occupants;
-                                    return (
-                                        <motion.div
-                                            key={room.id}
-                                            layout
-                                            onClick={() => setSelectedRoom(room)}
-                                            className={`p-4 rounded-xl cursor-pointer border-2 transition-all ${selectedRoom?.id === room.id ? 'bg-primary/10 border-primary dark:bg-dark-primary/20 dark:border-dark-primary' : 'bg-base-100 dark:bg-dark-base-200 hover:bg-base-200/60 dark:hover:bg-dark-base-300/60 border-transparent'}`}
-                                        >
-                                            <div className="flex justify-between items-start">
-                                                <h3 className="font-bold text-lg">Room {room.room_number}</h3>
-                                                <span className="text-sm text-base-content-secondary">{room.type}</span>
-                                            </div>
-                                            <div className="flex items-center text-sm text-base-content-secondary mt-2">
-                                                <Users className="w-4 h-4 mr-2" />
-                                                <span>{roomAllocations.length} / {room.occupants} Occupants</span>
-                                            </div>
-                                            <div className="mt-2">
-                                                {roomAllocations.length > 0 ? (
-                                                    <div className="text-xs text-base-content-secondary space-y-1">
-                                                        {roomAllocations.map(a => <p key={a.id}>- {a.students.full_name}</p>)}
-                                                    </div>
-                                                ) : (
-                                                    <p className="text-xs text-green-600 dark:text-green-400">Vacant</p>
-                                                )}
-                                            </div>
-                                            <button
-                                                onClick={(e) => { e.stopPropagation(); handleAllocateClick(room); }}
-                                                disabled={isFull}
-                                                className="w-full mt-4 py-2 px-4 text-sm font-semibold rounded-lg bg-primary text-primary-content hover:bg-primary-focus disabled:bg-base-300 disabled:cursor-not-allowed dark:disabled:bg-dark-base-300"
-                                            >
-                                                {isFull ? 'Room Full' : 'Allocate'}
-                                            </button>
-                                        </motion.div>
-                                    );
-                                })}
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+                <LocationFilter buildings={buildings} value={locationFilter} onChange={setLocationFilter} />
+                <div className="w-56 ml-auto">
+                    <SegmentedControl options={viewOptions} value={view} onChange={setView} size="md" />
+                </div>
+            </div>
+            {view === 'plan' ? (
+                planFloor ? (
+                    <>
+                        <FloorPlanView
+                            floor={planFloor.floor}
+                            block={planFloor.block}
+                            rooms={rooms.filter(room => room.floor?.id === planFloor.floor.id)}
+                            allocations={allocations}
+                            selectedRoomId={selectedRoom?.id}
+                            onSelectRoom={setSelectedRoom}
+                            onAllocated={fetchData}
+                            onLayoutSaved={handleLayoutSaved}
+                            isAdmin={isAdmin}
+                        />
+                        {selectedRoom?.floor?.id === planFloor.floor.id && (
+                            <div className="mt-8 bg-base-100 dark:bg-dark-base-200 rounded-2xl shadow-lg p-6 transition-colors">
+                                {roomDetail}
                             </div>
                         )}
+                    </>
+                ) : (
+                    <div className="bg-base-100 dark:bg-dark-base-200 rounded-2xl shadow-lg">
+                        <EmptyState
+                            icon={<Building2 className="w-full h-full" />}
+                            title="No Floors to Show"
+                            message="Floor plans need buildings, blocks and floors. Add them under Buildings, then place rooms on the floors."
+                        />
                     </div>
-                </div>
-
-                {/* Right Column: Details */}
-                <div className="lg:col-span-2 bg-base-100 dark:bg-dark-base-200 rounded-2xl shadow-lg overflow-y-auto p-6 transition-colors">
-                    <AnimatePresence mode="wait">
-                        <motion.div
-                            key={selectedRoom?.id || 'empty'}
-                            initial={{ opacity: 0, y: 20 }}
-                            animate={{ opacity: 1, y: 0 }}
-                            exit={{ opacity: 0, y: -20 }}
-                            transition={{ duration: 0.2 }}
-                        >
-                            {selectedRoom ? (
-                                <RoomAllocationDetail
-                                    room={selectedRoom}
-                                    allocations={allocations[selectedRoom.id] || []}
-                                    onDeallocate={handleDeallocate}
+                )
+            ) : (
+                <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 h-[calc(100vh-200px)]">
+                    {/* Left Column: Room List */}
+                    <div className="lg:col-span-1 bg-base-100 dark:bg-dark-base-200 rounded-2xl shadow-lg flex flex-col overflow-hidden transition-colors">
+                        <div className="p-4 border-b border-base-200 dark:border-dark-base-300">
+                            <div className="relative">
+                                <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-base-content-secondary" />
+                                <input
+                                    type="text"
+                                    placeholder="Search rooms..."
+                                    value={searchTerm}
+                                    onChange={(e) => setSearchTerm(e.target.value)}
+                                    className="w-full pl-10 pr-4 py-2 rounded-lg bg-base-200 dark:bg-dark-base-300 focus:ring-2 focus:ring-primary focus:border-primary transition"
                                 />
+                            </div>
+                        </div>
+                        <div className="overflow-y-auto flex-grow p-4">
+                            {loading ? (
+                                <div className="flex justify-center items-center h-full">
+                                    <Loader className="animate-spin" />
+                                </div>
                             ) : (
-                                <div className="flex flex-col justify-center items-center h-full text-center text-base-content-secondary">
-                                    <BedDouble className="w-16 h-16 mb-4" />
-                                    <h3 className="text-lg font-semibold">Select a room</h3>
-                                    <p>Choose a room from the list to see its details and manage occupants.</p>
+                                <div className="space-y-6">
+                                    {roomGroups.map(group => (
+                                        <div key={group.key}>
+                                            <h4 className="text-xs font-semibold uppercase tracking-wider text-base-content-secondary mb-2">{group.label}</h4>
+                                            {group.floor && describeBlockRestrictions(group.floor.block) && (
+                                                <p className="text-xs text-base-content-secondary -mt-1 mb-2">{describeBlockRestrictions(group.floor.block)}</p>
+                                            )}
+                                            <div className="space-y-3">
+                                                {group.rooms.map(room => {
+                                                    const roomAllocations = allocations[room.id] || [];
+                                                    const freeBeds = getFreeBeds(room, roomAllocations);
+                                                    const isUnavailable = room.status === 'Maintenance' || freeBeds.length === 0;
+                                                    return (
+                                                        <motion.div
+                                                            key={room.id}
+                                                            layout
+                                                            onClick={() => setSelectedRoom(room)}
+                                                            className={`p-4 rounded-xl cursor-pointer border-2 transition-all ${selectedRoom?.id === room.id ? 'bg-primary/10 border-primary dark:bg-dark-primary/20 dark:border-dark-primary' : 'bg-base-100 dark:bg-dark-base-200 hover:bg-base-200/60 dark:hover:bg-dark-base-300/60 border-transparent'}`}
+                                                        >
+                                                            <div className="flex justify-between items-start">
+                                                                <h3 className="font-bold text-lg">Room {room.room_number}</h3>
+                                                                <span className="text-sm text-base-content-secondary">{room.type}</span>
+                                                            </div>
+                                                            <div className="flex items-center text-sm text-base-content-secondary mt-2">
+                                                                <BedSingle className="w-4 h-4 mr-2" />
+                                                                <span className={freeBeds.length > 0 ? 'text-green-600 dark:text-green-400' : ''}>
+                                                                    {freeBeds.length} of {room.beds.length} beds free
+                                                                </span>
+                                                                {freeBeds.length > 0 && freeBeds.length < room.beds.length && (
+                                                                    <span className="ml-2 text-xs">({freeBeds.map(bed => bed.label).join(', ')})</span>
+                                                                )}
+                                                            </div>
+                                                            <div className="mt-2">
+                                                                {roomAllocations.length > 0 ? (
+                                                                    <div className="text-xs text-base-content-secondary space-y-1">
+                                                                        {roomAllocations.map(a => <p key={a.id}>- {a.students.full_name}{a.beds ? ` (Bed ${a.beds.label})` : ''}</p>)}
+                                                                    </div>
+                                                                ) : (
+                                                                    <p className="text-xs text-green-600 dark:text-green-400">Vacant</p>
+                                                                )}
+                                                            </div>
+                                                            <button
+                                                                onClick={(e) => { e.stopPropagation(); handleAllocateClick(room); }}
+                                                                disabled={isUnavailable}
+                                                                className="w-full mt-4 py-2 px-4 text-sm font-semibold rounded-lg bg-primary text-primary-content hover:bg-primary-focus disabled:bg-base-300 disabled:cursor-not-allowed dark:disabled:bg-dark-base-300"
+                                                            >
+                                                                {room.status === 'Maintenance' ? 'Under Maintenance' : freeBeds.length === 0 ? 'Room Full' : 'Allocate'}
+                                                            </button>
+                                                        </motion.div>
+                                                    );
+                                                })}
+                                            </div>
+                                        </div>
+                                    ))}
+                                    {roomGroups.length === 0 && (
+                                        <p className="text-sm text-center text-base-content-secondary py-8">No rooms match the search or location.</p>
+                                    )}
                                 </div>
                             )}
-                        </motion.div>
-                    </AnimatePresence>
+                        </div>
+                    </div>
+
+                    {/* Right Column: Details */}
+                    <div className="lg:col-span-2 bg-base-100 dark:bg-dark-base-200 rounded-2xl shadow-lg overflow-y-auto p-6 transition-colors">
+                        <AnimatePresence mode="wait">
+                            <motion.div
+                                key={selectedRoom?.id || 'empty'}
+                                initial={{ opacity: 0, y: 20 }}
+                                animate={{ opacity: 1, y: 0 }}
+                                exit={{ opacity: 0, y: -20 }}
+                                transition={{ duration: 0.2 }}
+                            >
+                                {roomDetail}
+                            </motion.div>
+                        </AnimatePresence>
+                    </div>
                 </div>
-            </div>
+            )}
 
             <AnimatePresence>
                 {isModalOpen && modalRoom && (
@@ -206,10 +280,18 @@ const RoomAllocationPage = () => {
                         isOpen={isModalOpen}
                         onClose={() => setIsModalOpen(false)}
                         room={modalRoom}
+                        freeBeds={getFreeBeds(modalRoom, allocations[modalRoom.id])}
                         onAllocationSuccess={handleAllocationSuccess}
                     />
                 )}
             </AnimatePresence>
+
+            <CheckoutModal
+                isOpen={Boolean(checkoutAllocation)}
+                onClose={() => setCheckoutAllocation(null)}
+                allocation={checkoutAllocation}
+                onCheckedOut={handleCheckedOut}
+            />
         </>
     );
 };
@@ -0,0 +1,221 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { supabase } from '../lib/supabase';
+import { formatDate } from '../lib/format';
+import PageHeader from '../components/ui/PageHeader';
+import EmptyState from '../components/ui/EmptyState';
+import SegmentedControl from '../components/ui/SegmentedControl';
+import ApproveRoomChangeModal from '../components/allocation/ApproveRoomChangeModal';
+import toast from 'react-hot-toast';
+import { Loader, Check, X, ArrowLeftRight } from 'lucide-react';
+
+const statusStyles = {
+    Pending: 'bg-yellow-500/10 text-yellow-600 dark:bg-yellow-500/20 dark:text-yellow-400',
+    Approved: 'bg-green-500/10 text-green-600 dark:bg-green-500/20 dark:text-green-400',
+    Rejected: 'bg-red-500/10 text-red-500 dark:bg-red-500/20 dark:text-red-400',
+};
+
+const filterOptions = [
+    { value: 'Pending', label: 'Pending' },
+    { value: 'Approved', label: 'Approved' },
+    { value: 'Rejected', label: 'Rejected' },
+    { value: 'all', label: 'All' },
+];
+
+const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: { opacity: 1, transition: { staggerChildren: 0.05 } }
+};
+
+const itemVariants = {
+    hidden: { opacity: 0, y: 10 },
+    visible: { opacity: 1, y: 0 }
+};
+
+const thClassName = "px-6 py-4 text-left text-xs font-medium text-base-content-secondary dark:text-dark-base-content-secondary uppercase tracking-wider";
+
+const currentRoomOf = (student) => (student?.room_allocations || []).find(allocation => allocation.is_active)?.rooms?.room_number;
+
+const RoomChangeRequestsPage = () => {
+    const [requests, setRequests] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [filter, setFilter] = useState('Pending');
+    const [reviewing, setReviewing] = useState(null);
+    const [approving, setApproving] = useState(null);
+
+    const fetchRequests = useCallback(async () => {
+        setLoading(true);
+        try {
+            let query = supabase
+                .from('room_change_requests')
+                .select(`*,
+                    student:students!room_change_requests_student_id_fkey(full_name, gender, year_of_study, room_allocations(is_active, rooms(room_number))),
+                    partner:students!room_change_requests_swap_with_student_id_fkey(full_name, room_allocations(is_active, rooms(room_number))),
+                    preferred_room:rooms(room_number),
+                    preferred_block:blocks(name),
+                    reviewer:reviewed_by(full_name)`)
+                .order('created_at', { ascending: false });
+
+            if (filter !== 'all') {
+                query = query.eq('status', filter);
+            }
+
+            const { data, error } = await query;
+            if (error) throw error;
+            setRequests((data || []).map(request => ({
+                ...request,
+                currentRoom: currentRoomOf(request.student),
+                partnerRoom: currentRoomOf(request.partner),
+            })));
+        } catch (error) {
+            toast.error(`Failed to fetch room change requests: ${error.message}`);
+            setRequests([]);
+        } finally {
+            setLoading(false);
+        }
+    }, [filter]);
+
+    useEffect(() => {
+        fetchRequests();
+    }, [fetchRequests]);
+
+    const handleReject = async (request) => {
+        const reviewNote = window.prompt('Reason for rejecting this request (optional):');
+        if (reviewNote === null) return;
+
+        setReviewing(request.id);
+        const { error } = await supabase.rpc('reject_room_change', {
+            p_request_id: request.id,
+            p_note: reviewNote || null,
+        });
+
+        if (error) {
+            toast.error(error.message);
+        } else {
+            toast.success('Room change request rejected.');
+            fetchRequests();
+        }
+        setReviewing(null);
+    };
+
+    const handleApproved = () => {
+        toast.success(approving.swap_with_student_id ? 'Rooms swapped.' : 'Student moved.');
+        setApproving(null);
+        fetchRequests();
+    };
+
+    const describeRequest = (request) => {
+        if (request.swap_with_student_id) {
+            return `Swap with ${request.partner?.full_name || 'N/A'}${request.partnerRoom ? ` (Room ${request.partnerRoom})` : ''}`;
+        }
+        const preferences = [
+            request.preferred_room && `Room ${request.preferred_room.room_number}`,
+            request.preferred_block?.name,
+        ].filter(Boolean);
+        return preferences.length > 0 ? `Move to ${preferences.join(', ')}` : 'Move to any room';
+    };
+
+    return (
+        <>
+            <PageHeader title="Room Change Requests" />
+
+            <div className="mb-6 max-w-md">
+                <SegmentedControl options={filterOptions} value={filter} onChange={setFilter} size="md" />
+            </div>
+
+            <div className="bg-base-100 dark:bg-dark-base-200 rounded-xl shadow-lg overflow-hidden transition-colors">
+                <div className="overflow-x-auto">
+                    <table className="min-w-full">
+                        <thead className="bg-base-200 dark:bg-dark-base-300">
+                            <tr>
+                                <th className={thClassName}>Student</th>
+                                <th className={thClassName}>Request</th>
+                                <th className={thClassName}>Reason</th>
+                                <th className={thClassName}>Status</th>
+                                <th className={thClassName}>Reviewed By</th>
+                                <th className={`${thClassName} text-right`}>Actions</th>
+                            </tr>
+                        </thead>
+                        {loading ? (
+                            <tbody>
+                                <tr><td colSpan={6} className="text-center py-10"><Loader className="mx-auto animate-spin" /></td></tr>
+                            </tbody>
+                        ) : requests.length > 0 ? (
+                            <motion.tbody
+                                className="divide-y divide-base-200 dark:divide-dark-base-300"
+                                variants={containerVariants}
+                                initial="hidden"
+                                animate="visible"
+                            >
+                                {requests.map((request) => {
+                                    const awaitingPartner = request.swap_with_student_id && !request.swap_accepted_at;
+                                    return (
+                                        <motion.tr key={request.id} className="hover:bg-base-200 dark:hover:bg-dark-base-300/50 transition-colors" variants={itemVariants}>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                                <div className="font-medium">{request.student?.full_name || 'N/A'}</div>
+                                                <div className="text-xs text-base-content-secondary dark:text-dark-base-content-secondary">
+                                                    {request.currentRoom ? `Room ${request.currentRoom}` : 'No room'} · {formatDate(request.created_at)}
+                                                </div>
+                                            </td>
+                                            <td className="px-6 py-4 text-sm text-base-content-secondary dark:text-dark-base-content-secondary">
+                                                <div>{describeRequest(request)}</div>
+                                                {request.swap_with_student_id && request.status === 'Pending' && (
+                                                    <div className="text-xs">{awaitingPartner ? 'Waiting for them to agree' : 'Both students agree'}</div>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-4 text-sm text-base-content-secondary dark:text-dark-base-content-secondary max-w-xs">
+                                                <p className="whitespace-pre-wrap">{request.reason}</p>
+                                                {request.review_note && <p className="mt-1 text-xs italic">Note: {request.review_note}</p>}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                                <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${statusStyles[request.status]}`}>
+                                                    {request.status}
+                                                </span>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-base-content-secondary dark:text-dark-base-content-secondary">
+                                                {request.reviewer?.full_name || '—'}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                                                {request.status === 'Pending' && (
+                                                    <>
+                                                        <button onClick={() => setApproving(request)} disabled={reviewing === request.id || awaitingPartner} className="p-2 text-green-600/70 hover:text-green-600 dark:text-green-400/70 dark:hover:text-green-400 transition-colors disabled:opacity-50" title={awaitingPartner ? 'The other student has not agreed yet' : 'Approve'}>
+                                                            <Check className="w-5 h-5" />
+                                                        </button>
+                                                        <button onClick={() => handleReject(request)} disabled={reviewing === request.id} className="p-2 text-red-500/70 hover:text-red-500 transition-colors disabled:opacity-50" title="Reject">
+                                                            <X className="w-5 h-5" />
+                                                        </button>
+                                                    </>
+                                                )}
+                                            </td>
+                                        </motion.tr>
+                                    );
+                                })}
+                            </motion.tbody>
+                        ) : (
+                            <tbody>
+                                <tr>
+                                    <td colSpan={6}>
+                                        <EmptyState
+                                            icon={<ArrowLeftRight className="w-full h-full" />}
+                                            title="No Room Change Requests Found"
+                                            message="Requests students raise from My Room or their profile will appear here."
+                                        />
+                                    </td>
+                                </tr>
+                            </tbody>
+                        )}
+                    </table>
+                </div>
+            </div>
+
+            <ApproveRoomChangeModal
+                isOpen={Boolean(approving)}
+                onClose={() => setApproving(null)}
+                request={approving}
+                onApproved={handleApproved}
+            />
+        </>
+    );
+};
+
+export default RoomChangeRequestsPage;
@@ -2,10 +2,15 @@ import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { Link } from 'react-router-dom';
 import { supabase } from '../lib/supabase';
-import { BedDouble, Users, Loader, Edit, Trash2 } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { ROOM_LOCATION_SELECT, emptyLocationFilter, matchesLocation, groupRoomsByFloor, getFloorLabel } from '../lib/rooms';
+import { useRoomHierarchy } from '../hooks/useRoomHierarchy';
+import { BedDouble, BedSingle, Loader, Edit, Trash2 } from 'lucide-react';
 import PageHeader from '../components/ui/PageHeader';
 import Modal from '../components/ui/Modal';
 import EmptyState from '../components/ui/EmptyState';
+import LocationFilter from '../components/rooms/LocationFilter';
+import RoomChangePanel from '../components/rooms/RoomChangePanel';
 import toast from 'react-hot-toast';
 
 const statusStyles = {
@@ -24,6 +29,10 @@ const itemVariants = {
     visible: { opacity: 1, scale: 1, y: 0 }
 };
 
+const roomTypes = ['Single', 'Double', 'Triple'];
+
+const inputClassName = "mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm";
+
 const RoomsPage = () => {
     const [rooms, setRooms] = useState([]);
     const [allocations, setAllocations] = useState({});
@@ -31,17 +40,26 @@ const RoomsPage = () => {
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [formLoading, setFormLoading] = useState(false);
     const [currentRoom, setCurrentRoom] = useState(null);
+    const [capacities, setCapacities] = useState({});
+    const [savingCapacities, setSavingCapacities] = useState(false);
+    const [locationFilter, setLocationFilter] = useState(emptyLocationFilter);
+    const { buildings } = useRoomHierarchy();
+    const { user } = useAuth();
+    const isAdmin = user?.user_metadata?.role === 'Admin';
+    const isStudent = user?.user_metadata?.role === 'Student';
 
     const fetchData = async () => {
         try {
             setLoading(true);
-            const [roomsRes, allocationsRes] = await Promise.all([
-                supabase.from('rooms').select('*').order('room_number'),
-                supabase.from('room_allocations').select('room_id').eq('is_active', true)
+            const [roomsRes, allocationsRes, capacitiesRes] = await Promise.all([
+                supabase.from('rooms').select(`*, beds(id), ${ROOM_LOCATION_SELECT}`).order('room_number'),
+                supabase.from('room_allocations').select('room_id').eq('is_active', true),
+                supabase.from('room_type_capacities').select('room_type, capacity')
             ]);
             
             if (roomsRes.error) throw roomsRes.error;
             if (allocationsRes.error) throw allocationsRes.error;
+            if (capacitiesRes.error) throw capacitiesRes.error;
 
             const allocationsByRoom = (allocationsRes.data || []).reduce((acc, alloc) => {
                 acc[alloc.room_id] = (acc[alloc.room_id] || 0) + 1;
@@ -50,6 +68,7 @@ const RoomsPage = () => {
 
             setRooms(roomsRes.data || []);
             setAllocations(allocationsByRoom);
+            setCapacities(Object.fromEntries((capacitiesRes.data || []).map(row => [row.room_type, row.capacity])));
         } catch (error) {
             toast.error(`Failed to fetch data: ${error.message}`);
             console.error("Error fetching data:", error);
@@ -100,24 +119,20 @@ const RoomsPage = () => {
         const formData = new FormData(e.target);
         const roomData = Object.fromEntries(formData.entries());
 
-        const getCapacity = (type) => {
-            if (type === 'Triple') return 3;
-            if (type === 'Double') return 2;
-            return 1;
-        };
-
+        // Beds are added or removed by the database to match the type's capacity.
         const dataToSubmit = {
             room_number: roomData.roomNumber,
             type: roomData.type,
             status: roomData.status || 'Vacant',
-            occupants: getCapacity(roomData.type),
+            floor_id: roomData.floorId || null,
         };
 
         let error;
         if (currentRoom) {
             const currentOccupants = allocations[currentRoom.id] || 0;
-            if (currentOccupants > dataToSubmit.occupants) {
-                toast.error(`Cannot change type. Room has ${currentOccupants} occupants, exceeding new capacity of ${dataToSubmit.occupants}.`);
+            const newCapacity = Number(capacities[dataToSubmit.type]);
+            if (currentOccupants > newCapacity) {
+                toast.error(`Cannot change type. Room has ${currentOccupants} occupants, exceeding new capacity of ${newCapacity}.`);
                 setFormLoading(false);
                 return;
             }
@@ -138,6 +153,33 @@ const RoomsPage = () => {
         setFormLoading(false);
     };
 
+    const handleCapacityChange = (e) => {
+        const { name, value } = e.target;
+        setCapacities(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSaveCapacities = async (e) => {
+        e.preventDefault();
+        setSavingCapacities(true);
+        const { error } = await supabase
+            .from('room_type_capacities')
+            .upsert(roomTypes.map(type => ({
+                room_type: type,
+                capacity: Number(capacities[type]),
+                updated_at: new Date().toISOString(),
+            })));
+
+        if (error) {
+            toast.error(error.message);
+        } else {
+            toast.success('Bed capacities saved.');
+            fetchData();
+        }
+        setSavingCapacities(false);
+    };
+
+    const roomGroups = groupRoomsByFloor(rooms.filter(room => matchesLocation(room, locationFilter)));
+
     return (
         <>
             <PageHeader
@@ -145,66 +187,98 @@ const RoomsPage = () => {
                 buttonText="Add Room"
                 onButtonClick={openAddModal}
             />
+            {isStudent && <RoomChangePanel className="mb-8" />}
+            <LocationFilter buildings={buildings} value={locationFilter} onChange={setLocationFilter} className="mb-6" />
             {loading ? (
                 <div className="flex justify-center items-center h-64">
                     <Loader className="animate-spin h-8 w-8 text-primary" />
                 </div>
-            ) : rooms.length > 0 ? (
-                <motion.div
-                    className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-6"
-                    variants={containerVariants}
-                    initial="hidden"
-                    animate="visible"
-                >
-                    {rooms.map(room => {
-                        const currentOccupants = allocations[room.id] || 0;
-                        return (
+            ) : roomGroups.length > 0 ? (
+                <div className="space-y-8">
+                    {roomGroups.map(group => (
+                        <section key={group.key}>
+                            <h2 className="text-sm font-semibold uppercase tracking-wider text-base-content-secondary dark:text-dark-base-content-secondary mb-3">{group.label}</h2>
                             <motion.div
-                                key={room.id}
-                                variants={itemVariants}
-                                whileHover={{ y: -5, scale: 1.03 }}
-                                transition={{ type: 'spring', stiffness: 300 }}
-                                className="relative bg-base-100 dark:bg-dark-base-200 rounded-2xl shadow-lg p-5 flex flex-col justify-between h-full transition-all duration-300"
+                                className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-6"
+                                variants={containerVariants}
+                                initial="hidden"
+                                animate="visible"
                             >
-                                <div className="absolute top-3 right-3 flex space-x-1">
-                                    <button onClick={() => openEditModal(room)} className="p-1.5 rounded-full text-primary/70 hover:text-primary hover:bg-primary/10 dark:text-dark-primary/70 dark:hover:text-dark-primary dark:hover:bg-dark-primary/10 transition-colors" aria-label="Edit Room">
-                                        <Edit className="w-4 h-4" />
-                                    </button>
-                                    <button onClick={() => handleDelete(room.id)} className="p-1.5 rounded-full text-red-500/70 hover:text-red-500 hover:bg-red-500/10 transition-colors" aria-label="Delete Room">
-                                        <Trash2 className="w-4 h-4" />
-                                    </button>
-                                </div>
-                                <div>
-                                    <div className="flex justify-between items-start">
-                                        <Link to={`/rooms/${room.id}`} className="text-primary hover:text-primary-focus dark:text-dark-primary dark:hover:text-dark-primary-focus">
-                                            <h3 className="text-lg font-bold font-heading text-base-content dark:text-dark-base-content pr-16">Room {room.room_number}</h3>
-                                        </Link>
-                                        <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${statusStyles[room.status]}`}>
-                                            {room.status}
-                                        </span>
-                                    </div>
-                                    <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary mt-1">{room.type}</p>
-                                </div>
-                                <div className="mt-4 flex items-center text-sm text-base-content-secondary dark:text-dark-base-content-secondary">
-                                    <Users className="w-4 h-4 mr-2" />
-                                    <span>
-                                        {currentOccupants} / {room.occupants} Occupants
-                                    </span>
-                                </div>
+                                {group.rooms.map(room => {
+                                    const currentOccupants = allocations[room.id] || 0;
+                                    return (
+                                        <motion.div
+                                            key={room.id}
+                                            variants={itemVariants}
+                                            whileHover={{ y: -5, scale: 1.03 }}
+                                            transition={{ type: 'spring', stiffness: 300 }}
+                                            className="relative bg-base-100 dark:bg-dark-base-200 rounded-2xl shadow-lg p-5 flex flex-col justify-between h-full transition-all duration-300"
+                                        >
+                                            <div className="absolute top-3 right-3 flex space-x-1">
+                                                <button onClick={() => openEditModal(room)} className="p-1.5 rounded-full text-primary/70 hover:text-primary hover:bg-primary/10 dark:text-dark-primary/70 dark:hover:text-dark-primary dark:hover:bg-dark-primary/10 transition-colors" aria-label="Edit Room">
+                                                    <Edit className="w-4 h-4" />
+                                                </button>
+                                                <button onClick={() => handleDelete(room.id)} className="p-1.5 rounded-full text-red-500/70 hover:text-red-500 hover:bg-red-500/10 transition-colors" aria-label="Delete Room">
+                                                    <Trash2 className="w-4 h-4" />
+                                                </button>
+                                            </div>
+                                            <div>
+                                                <div className="flex justify-between items-start">
+                                                    <Link to={`/rooms/${room.id}`} className="text-primary hover:text-primary-focus dark:text-dark-primary dark:hover:text-dark-primary-focus">
+                                                        <h3 className="text-lg font-bold font-heading text-base-content dark:text-dark-base-content pr-16">Room {room.room_number}</h3>
+                                                    </Link>
+                                                    <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${statusStyles[room.status]}`}>
+                                                        {room.status}
+                                                    </span>
+                                                </div>
+                                                <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary mt-1">{room.type}</p>
+                                            </div>
+                                            <div className="mt-4 flex items-center text-sm text-base-content-secondary dark:text-dark-base-content-secondary">
+                                                <BedSingle className="w-4 h-4 mr-2" />
+                                                <span>
+                                                    {room.beds.length - currentOccupants} of {room.beds.length} beds free
+                                                </span>
+                                            </div>
+                                        </motion.div>
+                                    )
+                                })}
                             </motion.div>
-                        )
-                    })}
-                </motion.div>
+                        </section>
+                    ))}
+                </div>
             ) : (
                 <div className="bg-base-100 dark:bg-dark-base-200 rounded-2xl shadow-lg">
                     <EmptyState 
                         icon={<BedDouble className="w-full h-full" />}
                         title="No Rooms Found"
-                        message="Add a room to get started or check your database policies."
+                        message={rooms.length > 0 ? 'No rooms in the selected building, block or floor.' : 'Add a room to get started or check your database policies.'}
                     />
                 </div>
             )}
 
+            {isAdmin && !loading && (
+                <form onSubmit={handleSaveCapacities} className="mt-8 bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors">
+                    <h2 className="text-xl font-semibold text-base-content dark:text-dark-base-content mb-1">Beds per Room Type</h2>
+                    <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary mb-4">
+                        Every room gets this many beds. Lowering a capacity is refused while a room of that type has students in the beds that would go.
+                    </p>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                        {roomTypes.map(type => (
+                            <div key={type}>
+                                <label htmlFor={`capacity-${type}`} className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">{type}</label>
+                                <input type="number" min="1" max="26" name={type} id={`capacity-${type}`} value={capacities[type] ?? ''} onChange={handleCapacityChange} required className={inputClassName} />
+                            </div>
+                        ))}
+                    </div>
+                    <div className="flex justify-end mt-6">
+                        <button type="submit" disabled={savingCapacities} className="inline-flex items-center py-2 px-4 text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
+                            {savingCapacities && <Loader className="animate-spin h-4 w-4 mr-2" />}
+                            Save Capacities
+                        </button>
+                    </div>
+                </form>
+            )}
+
             <Modal title={currentRoom ? 'Edit Room' : 'Add New Room'} isOpen={isModalOpen} onClose={() => setIsModalOpen(false)}>
                 <form onSubmit={handleSubmit} className="space-y-4">
                     <div>
@@ -214,9 +288,18 @@ const RoomsPage = () => {
                     <div>
                         <label htmlFor="type" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Room Type</label>
                         <select id="type" name="type" defaultValue={currentRoom?.type || 'Single'} required className="mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm">
-                            <option>Single</option>
-                            <option>Double</option>
-                            <option>Triple</option>
+                            {roomTypes.map(type => <option key={type} value={type}>{type} ({capacities[type] ?? '?'} bed{Number(capacities[type]) === 1 ? '' : 's'})</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="floorId" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Floor</label>
+                        <select id="floorId" name="floorId" defaultValue={currentRoom?.floor_id || locationFilter.floorId} className={inputClassName}>
+                            <option value="">Not placed on a floor</option>
+                            {buildings.flatMap(building => building.blocks.map(block => (
+                                <optgroup key={block.id} label={`${building.name} · ${block.name}`}>
+                                    {block.floors.map(floor => <option key={floor.id} value={floor.id}>{getFloorLabel(floor)}</option>)}
+                                </optgroup>
+                            )))}
                         </select>
                     </div>
                     {currentRoom && (
@@ -37,7 +37,7 @@ const StudentsPage = () => {
             const [studentsResult, allocationsResult] = await Promise.all([
                 supabase
                     .from('students')
-                    .select('id, full_name, email, course, contact, created_at')
+                    .select('id, full_name, email, course, contact, gender, year_of_study, created_at')
                     .order('created_at', { ascending: false }),
                 supabase
                     .from('room_allocations')
@@ -116,6 +116,9 @@ const StudentsPage = () => {
         setFormLoading(true);
         const formData = new FormData(e.target);
         const studentData = Object.fromEntries(formData.entries());
+        // Both are optional, but blocks restricted by gender or year need them to allocate.
+        studentData.gender = studentData.gender || null;
+        studentData.year_of_study = studentData.year_of_study ? Number(studentData.year_of_study) : null;
 
         let error;
         if (currentStudent) {
@@ -259,6 +262,21 @@ const StudentsPage = () => {
                         <label htmlFor="contact" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Contact</label>
                         <input type="tel" name="contact" id="contact" defaultValue={currentStudent?.contact || ''} required className="mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm" />
                     </div>
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label htmlFor="gender" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Gender</label>
+                            <select name="gender" id="gender" defaultValue={currentStudent?.gender || ''} className="mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm">
+                                <option value="">Not recorded</option>
+                                <option>Male</option>
+                                <option>Female</option>
+                                <option>Other</option>
+                            </select>
+                        </div>
+                        <div>
+                            <label htmlFor="year_of_study" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Year of Study</label>
+                            <input type="number" min="1" max="10" name="year_of_study" id="year_of_study" defaultValue={currentStudent?.year_of_study ?? ''} className="mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm" />
+                        </div>
+                    </div>
                     <div className="flex justify-end pt-4 space-x-3">
                         <button type="button" onClick={() => setIsModalOpen(false)} className="inline-flex justify-center py-2 px-4 border border-base-300 dark:border-dark-base-300 shadow-sm text-sm font-medium rounded-lg text-base-content dark:text-dark-base-content bg-base-100 dark:bg-dark-base-200 hover:bg-base-200 dark:hover:bg-dark-base-300">Cancel</button>
                         <button type="submit" disabled={formLoading} className="inline-flex justify-center items-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50">
@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { ShieldCheck, ShieldX, Loader } from 'lucide-react';
+import { supabase } from '../lib/supabase';
+import Logo from '../components/ui/Logo';
+import { formatVerificationCode } from '../lib/feeDocuments';
+import { formatMoney, formatDate } from '../lib/format';
+
+// Public page for checking the verification code printed on receipts and statements.
+function VerifyDocumentPage() {
+    const { code } = useParams();
+    const navigate = useNavigate();
+    const [input, setInput] = useState(code ? formatVerificationCode(code) : '');
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        if (!code) {
+            setResult(null);
+            return;
+        }
+        const verify = async () => {
+            setLoading(true);
+            const { data, error } = await supabase.rpc('verify_fee_document', { p_code: code });
+            setResult(error ? { error: error.message } : { document: data?.[0] || null });
+            setLoading(false);
+        };
+        verify();
+    }, [code]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const cleaned = input.replace(/[^0-9a-z]/gi, '').toUpperCase();
+        if (cleaned) navigate(`/verify/${cleaned}`);
+    };
+
+    return (
+        <div className="min-h-screen bg-base-200 dark:bg-dark-base-100 flex items-center justify-center p-4 transition-colors">
+            <div className="w-full max-w-md bg-base-100 dark:bg-dark-base-200 p-8 rounded-2xl shadow-lg">
+                <Logo className="h-12 text-primary dark:text-dark-primary mb-6" />
+                <h1 className="text-2xl font-bold font-heading text-base-content dark:text-dark-base-content">Verify a Document</h1>
+                <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary mt-1">Enter the verification code printed at the bottom of a fee receipt or statement.</p>
+
+                <form onSubmit={handleSubmit} className="mt-6 flex gap-3">
+                    <input
+                        type="text"
+                        value={input}
+                        onChange={(e) => setInput(e.target.value)}
+                        placeholder="XXXX-XXXX-XXXX"
+                        className="block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm font-mono uppercase"
+                    />
+                    <button type="submit" className="py-2 px-4 text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus">Verify</button>
+                </form>
+
+                {loading && <div className="flex justify-center mt-8"><Loader className="animate-spin h-6 w-6 text-primary" /></div>}
+
+                {!loading && result?.document && (
+                    <div className="mt-8 p-4 rounded-lg bg-green-500/10 text-green-700 dark:text-green-300">
+                        <div className="flex items-center gap-2 font-semibold"><ShieldCheck className="w-5 h-5" /> Genuine {result.document.document_type.toLowerCase()}</div>
+                        <dl className="mt-3 text-sm space-y-1">
+                            <div className="flex justify-between"><dt>{result.document.document_type === 'Receipt' ? 'Receipt No.' : 'Period'}</dt><dd className="font-medium">{result.document.document_number}</dd></div>
+                            <div className="flex justify-between"><dt>Student</dt><dd className="font-medium">{result.document.student_name}</dd></div>
+                            <div className="flex justify-between"><dt>{result.document.document_type === 'Receipt' ? 'Amount' : 'Closing Balance'}</dt><dd className="font-medium">{formatMoney(result.document.amount, { currency: result.document.currency })}</dd></div>
+                            <div className="flex justify-between"><dt>{result.document.document_type === 'Receipt' ? 'Paid On' : 'Issued On'}</dt><dd className="font-medium">{formatDate(result.document.document_date)}</dd></div>
+                        </dl>
+                    </div>
+                )}
+
+                {!loading && result && !result.document && (
+                    <div className="mt-8 p-4 rounded-lg bg-red-500/10 text-red-600 dark:text-red-400 flex items-start gap-2 text-sm">
+                        <ShieldX className="w-5 h-5 flex-shrink-0" />
+                        <span>{result.error || 'No receipt or statement matches this code. The document may have been altered.'}</span>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default VerifyDocumentPage;
@@ -6,7 +6,11 @@ import PageHeader from '../../components/ui/PageHeader';
 import Modal from '../../components/ui/Modal';
 import EmptyState from '../../components/ui/EmptyState';
 import toast from 'react-hot-toast';
-import { Loader, Edit, Trash2, CircleDollarSign } from 'lucide-react';
+import { Loader, Edit, Trash2, CircleDollarSign, AlarmClock, Banknote } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { getFeeBalance } from '../../lib/fees';
+import { formatMoney, formatDate, getCurrencySymbol } from '../../lib/format';
+import RecordPaymentModal from '../../components/fees/RecordPaymentModal';
 
 const statusStyles = {
     Paid: 'bg-green-500/10 text-green-600 dark:bg-green-500/20 dark:text-green-400',
@@ -31,6 +35,10 @@ const AdminFeesPage = () => {
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [formLoading, setFormLoading] = useState(false);
     const [currentFee, setCurrentFee] = useState(null);
+    const [runningOverdue, setRunningOverdue] = useState(false);
+    const [paymentFee, setPaymentFee] = useState(null);
+    const { user } = useAuth();
+    const isAdmin = user?.user_metadata?.role === 'Admin';
 
     const fetchData = async () => {
         try {
@@ -38,7 +46,7 @@ const AdminFeesPage = () => {
             const [feesResult, studentsResult] = await Promise.all([
                 supabase
                     .from('fees')
-                    .select('id, amount, due_date, status, payment_date, student_id, students(id, full_name)')
+                    .select('id, amount, amount_paid, amount_adjusted, due_date, status, payment_date, description, student_id, students(id, full_name)')
                     .order('due_date', { ascending: false }),
                 supabase
                     .from('students')
@@ -88,6 +96,19 @@ const AdminFeesPage = () => {
         }
     };
 
+    const handleRunOverdueCheck = async () => {
+        setRunningOverdue(true);
+        const { data, error } = await supabase.rpc('mark_overdue_fees');
+        if (error) {
+            toast.error(`Overdue check failed: ${error.message}`);
+        } else {
+            const result = data?.[0] || { marked_overdue: 0, penalties_added: 0 };
+            toast.success(`Marked ${result.marked_overdue} overdue, added ${result.penalties_added} late fee${result.penalties_added === 1 ? '' : 's'}.`);
+            fetchData();
+        }
+        setRunningOverdue(false);
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setFormLoading(true);
@@ -125,6 +146,14 @@ const AdminFeesPage = () => {
                 buttonText="Add Fee Record"
                 onButtonClick={openAddModal}
             />
+            {isAdmin && (
+                <div className="flex justify-end mb-4">
+                    <button onClick={handleRunOverdueCheck} disabled={runningOverdue} title="Marks fees past their due date as Overdue and applies late fees. Also runs daily on a schedule." className="inline-flex items-center py-2 px-4 border border-base-300 dark:border-dark-base-300 shadow-sm text-sm font-medium rounded-lg text-base-content dark:text-dark-base-content bg-base-100 dark:bg-dark-base-200 hover:bg-base-200 dark:hover:bg-dark-base-300 disabled:opacity-50">
+                        {runningOverdue ? <Loader className="animate-spin h-4 w-4 mr-2" /> : <AlarmClock className="h-4 w-4 mr-2" />}
+                        Run Overdue Check
+                    </button>
+                </div>
+            )}
             <div className="bg-base-100 dark:bg-dark-base-200 rounded-xl shadow-lg overflow-hidden transition-colors">
                 <div className="overflow-x-auto">
                     <table className="min-w-full">
@@ -154,15 +183,26 @@ const AdminFeesPage = () => {
                                             <Link to={`/fees/${fee.id}`} className="text-primary hover:text-primary-focus dark:text-dark-primary dark:hover:text-dark-primary-focus">
                                                 {fee.students?.full_name || 'N/A'}
                                             </Link>
+                                            {fee.description && <div className="text-xs font-normal text-base-content-secondary dark:text-dark-base-content-secondary">{fee.description}</div>}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-base-content-secondary dark:text-dark-base-content-secondary">
+                                            {formatMoney(fee.amount)}
+                                            {fee.status !== 'Paid' && (parseFloat(fee.amount_paid) > 0 || parseFloat(fee.amount_adjusted) > 0) && (
+                                                <div className="text-xs">{`${formatMoney(getFeeBalance(fee))} left`}</div>
+                                            )}
                                         </td>
-                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-base-content-secondary dark:text-dark-base-content-secondary">{`$${parseFloat(fee.amount).toFixed(2)}`}</td>
-                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-base-content-secondary dark:text-dark-base-content-secondary">{new Date(fee.due_date).toLocaleDateString()}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-base-content-secondary dark:text-dark-base-content-secondary">{formatDate(fee.due_date)}</td>
                                         <td className="px-6 py-4 whitespace-nowrap text-sm">
                                             <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${statusStyles[fee.status]}`}>
                                                 {fee.status}
                                             </span>
                                         </td>
                                         <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                                            {fee.status !== 'Paid' && (
+                                                <button onClick={() => setPaymentFee(fee)} className="p-2 text-green-600/70 hover:text-green-600 dark:text-green-400/70 dark:hover:text-green-400 transition-colors" title="Record payment">
+                                                    <Banknote className="w-5 h-5" />
+                                                </button>
+                                            )}
                                             <button onClick={() => openEditModal(fee)} className="p-2 text-primary/70 hover:text-primary dark:text-dark-primary/70 dark:hover:text-dark-primary transition-colors">
                                                 <Edit className="w-5 h-5" />
                                             </button>
@@ -199,9 +239,13 @@ const AdminFeesPage = () => {
                         </select>
                     </div>
                     <div>
-                        <label htmlFor="amount" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Amount ($)</label>
+                        <label htmlFor="amount" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Amount ({getCurrencySymbol()})</label>
                         <input type="number" name="amount" id="amount" step="0.01" defaultValue={currentFee?.amount || ''} required className="mt-1 block w-full rounded-md border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm" />
                     </div>
+                    <div>
+                        <label htmlFor="description" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Description</label>
+                        <input type="text" name="description" id="description" defaultValue={currentFee?.description || ''} placeholder="e.g. Room rent (November)" className="mt-1 block w-full rounded-md border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm" />
+                    </div>
                     <div>
                         <label htmlFor="due_date" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Due Date</label>
                         <input type="date" name="due_date" id="due_date" defaultValue={currentFee?.due_date ? new Date(currentFee.due_date).toISOString().split('T')[0] : ''} required className="mt-1 block w-full rounded-md border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm" />
@@ -223,6 +267,12 @@ const AdminFeesPage = () => {
                     </div>
                 </form>
             </Modal>
+            <RecordPaymentModal
+                isOpen={!!paymentFee}
+                onClose={() => setPaymentFee(null)}
+                fee={paymentFee}
+                onRecorded={fetchData}
+            />
         </>
     );
 };
@@ -1,9 +1,17 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams } from 'react-router-dom';
 import { supabase } from '../../lib/supabase';
 import DetailPageLayout from '../../components/layout/DetailPageLayout';
 import DetailItem from '../../components/ui/DetailItem';
-import { Loader } from 'lucide-react';
+import InstallmentPlanModal from '../../components/fees/InstallmentPlanModal';
+import { useAuth } from '../../context/AuthContext';
+import { getFeeBalance, summarizeInstallments } from '../../lib/fees';
+import RecordPaymentModal from '../../components/fees/RecordPaymentModal';
+import RefundModal from '../../components/fees/RefundModal';
+import FeeAdjustmentModal from '../../components/fees/FeeAdjustmentModal';
+import { fetchBranding, downloadReceiptPDF } from '../../lib/feeDocuments';
+import { formatMoney, formatDate, formatDateTime } from '../../lib/format';
+import { Loader, CalendarClock, Undo2, Banknote, FileDown, BadgePercent } from 'lucide-react';
 import toast from 'react-hot-toast';
 
 const statusStyles = {
@@ -12,30 +20,59 @@ const statusStyles = {
     Overdue: 'bg-red-500/10 text-red-500 dark:bg-red-500/20 dark:text-red-400',
 };
 
+const installmentStyles = {
+    ...statusStyles,
+    Pending: 'bg-base-200 text-base-content-secondary dark:bg-dark-base-300',
+    'Part paid': 'bg-blue-500/10 text-blue-600 dark:bg-blue-500/20 dark:text-blue-400',
+};
+
 const FeeDetailPage = () => {
     const { id } = useParams();
+    const { user } = useAuth();
     const [fee, setFee] = useState(null);
+    const [installments, setInstallments] = useState([]);
+    const [payments, setPayments] = useState([]);
+    const [adjustments, setAdjustments] = useState([]);
     const [loading, setLoading] = useState(true);
+    const [isPlanModalOpen, setIsPlanModalOpen] = useState(false);
+    const [isPaymentModalOpen, setIsPaymentModalOpen] = useState(false);
+    const [isAdjustmentModalOpen, setIsAdjustmentModalOpen] = useState(false);
+    const [refundingPayment, setRefundingPayment] = useState(null);
+    const isAdmin = user?.user_metadata?.role === 'Admin';
+    const isStaff = isAdmin || user?.user_metadata?.role === 'Staff';
+
+    const fetchFee = useCallback(async () => {
+        if (!id) return;
+        const { data, error } = await supabase
+            .from('fees')
+            .select('*, students(full_name), fee_installments(*), payments(*, payment_refunds(*, profiles(full_name))), fee_adjustments(*, profiles(full_name))')
+            .eq('id', id)
+            .single();
+
+        if (error) {
+            toast.error('Fee record not found.');
+        } else {
+            setFee(data);
+            setInstallments(data.fee_installments || []);
+            setPayments([...(data.payments || [])].sort((a, b) => new Date(b.paid_on) - new Date(a.paid_on)));
+            setAdjustments([...(data.fee_adjustments || [])].sort((a, b) => new Date(b.created_at) - new Date(a.created_at)));
+        }
+        setLoading(false);
+    }, [id]);
 
     useEffect(() => {
-        const fetchFee = async () => {
-            if (!id) return;
-            setLoading(true);
-            const { data, error } = await supabase
-                .from('fees')
-                .select('*, students(full_name)')
-                .eq('id', id)
-                .single();
-
-            if (error) {
-                toast.error('Fee record not found.');
-            } else {
-                setFee(data);
-            }
-            setLoading(false);
-        };
+        setLoading(true);
         fetchFee();
-    }, [id]);
+    }, [fetchFee]);
+
+    const handleDownloadReceipt = async (payment) => {
+        try {
+            const branding = await fetchBranding();
+            downloadReceiptPDF({ payment, fee, studentName: fee.students?.full_name, branding });
+        } catch (error) {
+            toast.error(`Failed to generate receipt: ${error.message}`);
+        }
+    };
 
     if (loading) {
         return <div className="flex justify-center items-center h-64"><Loader className="animate-spin h-8 w-8 text-primary" /></div>;
@@ -45,18 +82,202 @@ const FeeDetailPage = () => {
         return <div className="text-center text-base-content-secondary dark:text-dark-base-content-secondary">Fee record not found</div>;
     }
 
+    const installmentRows = summarizeInstallments(fee, installments);
+
     return (
+        <>
         <DetailPageLayout title={`Fee Record for ${fee.students.full_name}`} backTo="/fees">
             <DetailItem label="Student Name" value={fee.students.full_name} />
-            <DetailItem label="Amount" value={`$${parseFloat(fee.amount).toFixed(2)}`} />
-            <DetailItem label="Due Date" value={new Date(fee.due_date).toLocaleDateString()} />
+            {fee.description && <DetailItem label="Description" value={fee.description} />}
+            <DetailItem label="Amount" value={formatMoney(fee.amount)} />
+            {parseFloat(fee.amount_adjusted) > 0 && (
+                <DetailItem label="Waivers & Concessions" value={formatMoney(fee.amount_adjusted)} />
+            )}
+            <DetailItem label="Paid to Date" value={formatMoney(fee.amount_paid || 0)} />
+            <DetailItem label="Balance">
+                <span className="font-semibold">{formatMoney(getFeeBalance(fee))}</span>
+            </DetailItem>
+            <DetailItem label="Due Date" value={formatDate(fee.due_date)} />
             <DetailItem label="Status">
                 <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${statusStyles[fee.status]}`}>
                     {fee.status}
                 </span>
             </DetailItem>
-            <DetailItem label="Payment Date" value={fee.status === 'Paid' && fee.payment_date ? new Date(fee.payment_date).toLocaleDateString() : 'N/A'} />
+            <DetailItem label="Payment Date" value={fee.status === 'Paid' && fee.payment_date ? formatDate(fee.payment_date) : 'N/A'} />
         </DetailPageLayout>
+
+        <div className="mt-8">
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="text-2xl font-bold">Installments</h2>
+                {isAdmin && fee.status !== 'Paid' && (
+                    <button onClick={() => setIsPlanModalOpen(true)} className="inline-flex items-center py-2 px-4 border border-base-300 dark:border-dark-base-300 shadow-sm text-sm font-medium rounded-lg text-base-content dark:text-dark-base-content bg-base-100 dark:bg-dark-base-200 hover:bg-base-200 dark:hover:bg-dark-base-300">
+                        <CalendarClock className="h-4 w-4 mr-2" />
+                        {installments.length > 0 ? 'Edit Plan' : 'Set Up Installments'}
+                    </button>
+                )}
+            </div>
+            <div className="bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors">
+                {installmentRows.length > 0 ? (
+                    <table className="min-w-full">
+                        <thead className="border-b-2 border-base-200 dark:border-dark-base-300">
+                            <tr>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">#</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Due Date</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Amount</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Paid</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Remaining</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {installmentRows.map(installment => (
+                                <tr key={installment.id} className="border-b border-base-200 dark:border-dark-base-300 last:border-0">
+                                    <td className="px-4 py-3 text-sm">{installment.installment_number}</td>
+                                    <td className="px-4 py-3 text-sm">{formatDate(installment.due_date)}</td>
+                                    <td className="px-4 py-3 text-sm">{formatMoney(installment.amount)}</td>
+                                    <td className="px-4 py-3 text-sm text-green-600">{formatMoney(installment.paid)}</td>
+                                    <td className="px-4 py-3 text-sm font-semibold">{formatMoney(installment.remaining)}</td>
+                                    <td className="px-4 py-3 text-sm"><span className={`px-2 py-1 text-xs font-semibold rounded-full ${installmentStyles[installment.status]}`}>{installment.status}</span></td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                ) : (
+                    <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary">This fee is payable in full by its due date.</p>
+                )}
+            </div>
+        </div>
+
+        <div className="mt-8">
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="text-2xl font-bold">Payments</h2>
+                {isStaff && fee.status !== 'Paid' && (
+                    <button onClick={() => setIsPaymentModalOpen(true)} className="inline-flex items-center py-2 px-4 text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus">
+                        <Banknote className="h-4 w-4 mr-2" />
+                        Record Payment
+                    </button>
+                )}
+            </div>
+            <div className="bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors">
+                {payments.length > 0 ? (
+                    <table className="min-w-full">
+                        <thead className="border-b-2 border-base-200 dark:border-dark-base-300">
+                            <tr>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Receipt No.</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Date</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Method</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Reference</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Amount</th>
+                                <th className="px-4 py-3" />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {payments.map(payment => (
+                                <tr key={payment.id} className="border-b border-base-200 dark:border-dark-base-300 last:border-0">
+                                    <td className="px-4 py-3 text-sm font-mono text-base-content-secondary">{payment.receipt_number || payment.id.substring(0, 8)}</td>
+                                    <td className="px-4 py-3 text-sm">{formatDateTime(payment.paid_on)}</td>
+                                    <td className="px-4 py-3 text-sm">{payment.payment_method || 'N/A'}</td>
+                                    <td className="px-4 py-3 text-sm font-mono text-base-content-secondary">
+                                        {payment.transaction_ref || payment.reference_number || '—'}
+                                        {payment.notes && <div className="font-sans text-xs">{payment.notes}</div>}
+                                    </td>
+                                    <td className="px-4 py-3 text-sm font-semibold text-green-600">
+                                        {formatMoney(payment.amount)}
+                                        {(payment.payment_refunds || []).map(refund => (
+                                            <div key={refund.id} className="text-xs font-normal text-red-500" title={`Approved by ${refund.profiles?.full_name || 'N/A'}`}>
+                                                {formatMoney(refund.amount)} refunded {formatDate(refund.refunded_on)} ({refund.refund_method}): {refund.reason}
+                                            </div>
+                                        ))}
+                                    </td>
+                                    <td className="px-4 py-3 text-right whitespace-nowrap">
+                                        <button onClick={() => handleDownloadReceipt(payment)} className="p-2 text-primary/70 hover:text-primary transition-colors" title="Download receipt">
+                                            <FileDown className="w-4 h-4" />
+                                        </button>
+                                        {isAdmin && parseFloat(payment.refunded_amount) < parseFloat(payment.amount) && (
+                                            <button onClick={() => setRefundingPayment(payment)} className="p-2 text-red-500/70 hover:text-red-500 transition-colors" title="Refund">
+                                                <Undo2 className="w-4 h-4" />
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                ) : (
+                    <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary">No payments recorded yet.</p>
+                )}
+            </div>
+        </div>
+
+        <div className="mt-8">
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="text-2xl font-bold">Waivers & Concessions</h2>
+                {isAdmin && fee.status !== 'Paid' && (
+                    <button onClick={() => setIsAdjustmentModalOpen(true)} className="inline-flex items-center py-2 px-4 border border-base-300 dark:border-dark-base-300 shadow-sm text-sm font-medium rounded-lg text-base-content dark:text-dark-base-content bg-base-100 dark:bg-dark-base-200 hover:bg-base-200 dark:hover:bg-dark-base-300">
+                        <BadgePercent className="h-4 w-4 mr-2" />
+                        Add Waiver / Concession
+                    </button>
+                )}
+            </div>
+            <div className="bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors">
+                {adjustments.length > 0 ? (
+                    <table className="min-w-full">
+                        <thead className="border-b-2 border-base-200 dark:border-dark-base-300">
+                            <tr>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Date</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Type</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Reason</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Approved By</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Amount</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {adjustments.map(adjustment => (
+                                <tr key={adjustment.id} className="border-b border-base-200 dark:border-dark-base-300 last:border-0">
+                                    <td className="px-4 py-3 text-sm">{formatDate(adjustment.created_at)}</td>
+                                    <td className="px-4 py-3 text-sm">{adjustment.adjustment_type}</td>
+                                    <td className="px-4 py-3 text-sm">{adjustment.reason}</td>
+                                    <td className="px-4 py-3 text-sm">{adjustment.profiles?.full_name || 'N/A'}</td>
+                                    <td className="px-4 py-3 text-sm font-semibold">{formatMoney(adjustment.amount)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                ) : (
+                    <p className="text-sm text-base-content-secondary dark:text-dark-base-content-secondary">No waivers or concessions on this fee.</p>
+                )}
+            </div>
+        </div>
+
+        <RecordPaymentModal
+            isOpen={isPaymentModalOpen}
+            onClose={() => setIsPaymentModalOpen(false)}
+            fee={fee}
+            onRecorded={fetchFee}
+        />
+
+        <RefundModal
+            isOpen={Boolean(refundingPayment)}
+            onClose={() => setRefundingPayment(null)}
+            payment={refundingPayment}
+            onRefunded={fetchFee}
+        />
+
+        <FeeAdjustmentModal
+            isOpen={isAdjustmentModalOpen}
+            onClose={() => setIsAdjustmentModalOpen(false)}
+            fee={fee}
+            onSaved={fetchFee}
+        />
+
+        <InstallmentPlanModal
+            isOpen={isPlanModalOpen}
+            onClose={() => setIsPlanModalOpen(false)}
+            fee={fee}
+            installments={installments}
+            onSaved={fetchFee}
+        />
+        </>
     );
 };
 
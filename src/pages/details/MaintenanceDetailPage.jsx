@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useParams } from 'react-router-dom';
 import { supabase } from '../../lib/supabase';
+import { formatDate } from '../../lib/format';
 import DetailPageLayout from '../../components/layout/DetailPageLayout';
 import DetailItem from '../../components/ui/DetailItem';
 import { Loader } from 'lucide-react';
@@ -50,7 +51,7 @@ const MaintenanceDetailPage = () => {
             <DetailItem label="Issue" value={request.issue} />
             <DetailItem label="Room Number" value={request.room_number} />
             <DetailItem label="Reported By" value={request.profiles?.full_name || 'N/A'} />
-            <DetailItem label="Date Reported" value={new Date(request.created_at).toLocaleDateString()} />
+            <DetailItem label="Date Reported" value={formatDate(request.created_at)} />
             <DetailItem label="Status">
                 <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${statusStyles[request.status]}`}>
                     {request.status}
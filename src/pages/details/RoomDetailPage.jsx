@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useParams } from 'react-router-dom';
 import { supabase } from '../../lib/supabase';
+import { getRoomBeds, ROOM_LOCATION_SELECT, formatRoomLocation, describeBlockRestrictions } from '../../lib/rooms';
 import DetailPageLayout from '../../components/layout/DetailPageLayout';
 import DetailItem from '../../components/ui/DetailItem';
 import { Loader } from 'lucide-react';
@@ -23,7 +24,7 @@ const RoomDetailPage = () => {
             setLoading(true);
             const { data, error } = await supabase
                 .from('rooms')
-                .select('*')
+                .select(`*, beds(id, label), room_allocations(bed_id, is_active, students(full_name)), ${ROOM_LOCATION_SELECT}`)
                 .eq('id', id)
                 .single();
 
@@ -51,12 +52,25 @@ const RoomDetailPage = () => {
         <DetailPageLayout title={`Room ${room.room_number}`} backTo="/rooms">
             <DetailItem label="Room Number" value={room.room_number} />
             <DetailItem label="Room Type" value={room.type} />
+            <DetailItem label="Location" value={formatRoomLocation(room)} />
+            {room.floor && describeBlockRestrictions(room.floor.block) && (
+                <DetailItem label="Block Restrictions" value={describeBlockRestrictions(room.floor.block)} />
+            )}
             <DetailItem label="Status">
                 <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${statusStyles[room.status]}`}>
                     {room.status}
                 </span>
             </DetailItem>
-            <DetailItem label="Occupants" value={room.occupants} />
+            <DetailItem label="Occupants" value={`${room.occupants} of ${room.beds.length} beds`} />
+            <DetailItem label="Beds">
+                <div className="flex flex-wrap gap-2">
+                    {getRoomBeds(room, room.room_allocations.filter(allocation => allocation.is_active)).map(bed => (
+                        <span key={bed.id} className={`px-2.5 py-0.5 text-xs font-semibold rounded-full ${bed.allocation ? statusStyles.Occupied : statusStyles.Vacant}`}>
+                            Bed {bed.label}: {bed.allocation ? bed.allocation.students?.full_name : 'Free'}
+                        </span>
+                    ))}
+                </div>
+            </DetailItem>
         </DetailPageLayout>
     );
 };
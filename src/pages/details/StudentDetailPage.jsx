@@ -1,10 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { supabase } from '../../lib/supabase';
+import { formatDate } from '../../lib/format';
 import DetailPageLayout from '../../components/layout/DetailPageLayout';
 import DetailItem from '../../components/ui/DetailItem';
 import { Loader, ClipboardCheck } from 'lucide-react';
 import toast from 'react-hot-toast';
+import AttendanceHistory from '../../components/attendance/AttendanceHistory';
+import StatementOfAccount from '../../components/fees/StatementOfAccount';
+import DepositLedger from '../../components/fees/DepositLedger';
+import RoomHistory from '../../components/rooms/RoomHistory';
 
 const StudentDetailPage = () => {
     const { id } = useParams();
@@ -47,7 +52,9 @@ const StudentDetailPage = () => {
             <DetailItem label="Email" value={student.email} />
             <DetailItem label="Course" value={student.course} />
             <DetailItem label="Contact" value={student.contact} />
-            <DetailItem label="Joined On" value={student.created_at ? new Date(student.created_at).toLocaleDateString() : 'N/A'} />
+            <DetailItem label="Gender" value={student.gender || 'Not recorded'} />
+            <DetailItem label="Year of Study" value={student.year_of_study || 'Not recorded'} />
+            <DetailItem label="Joined On" value={student.created_at ? formatDate(student.created_at) : 'N/A'} />
         </DetailPageLayout>
          <div className="mt-8">
             <h2 className="text-2xl font-bold mb-4">Quick Actions</h2>
@@ -58,6 +65,30 @@ const StudentDetailPage = () => {
                 </Link>
             </div>
         </div>
+        <div className="mt-8">
+            <h2 className="text-2xl font-bold mb-4">Room History</h2>
+            <div className="bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors">
+                <RoomHistory studentId={student.id} />
+            </div>
+        </div>
+        <div className="mt-8">
+            <h2 className="text-2xl font-bold mb-4">Attendance History</h2>
+            <div className="bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors">
+                <AttendanceHistory studentId={student.id} limit={20} />
+            </div>
+        </div>
+        <div className="mt-8">
+            <h2 className="text-2xl font-bold mb-4">Statement of Account</h2>
+            <div className="bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors">
+                <StatementOfAccount studentId={student.id} studentName={student.full_name} />
+            </div>
+        </div>
+        <div className="mt-8">
+            <h2 className="text-2xl font-bold mb-4">Security Deposit</h2>
+            <div className="bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg transition-colors">
+                <DepositLedger studentId={student.id} />
+            </div>
+        </div>
         </>
     );
 };
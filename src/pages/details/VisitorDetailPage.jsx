@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useParams } from 'react-router-dom';
 import { supabase } from '../../lib/supabase';
+import { formatDateTime } from '../../lib/format';
 import DetailPageLayout from '../../components/layout/DetailPageLayout';
 import DetailItem from '../../components/ui/DetailItem';
 import { Loader } from 'lucide-react';
@@ -48,8 +49,8 @@ const VisitorDetailPage = () => {
         <DetailPageLayout title={`Visitor: ${visitor.visitor_name}`} backTo="/visitors">
             <DetailItem label="Visitor Name" value={visitor.visitor_name} />
             <DetailItem label="Visiting Student" value={visitor.students.full_name} />
-            <DetailItem label="Check-in Time" value={new Date(visitor.check_in_time).toLocaleString()} />
-            <DetailItem label="Check-out Time" value={visitor.check_out_time ? new Date(visitor.check_out_time).toLocaleString() : 'N/A'} />
+            <DetailItem label="Check-in Time" value={formatDateTime(visitor.check_in_time)} />
+            <DetailItem label="Check-out Time" value={visitor.check_out_time ? formatDateTime(visitor.check_out_time) : 'N/A'} />
             <DetailItem label="Status">
                 <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${statusStyles[visitor.status]}`}>
                     {visitor.status}
@@ -3,8 +3,14 @@ import { supabase } from '../../lib/supabase';
 import { useAuth } from '../../context/AuthContext';
 import PageHeader from '../../components/ui/PageHeader';
 import Modal from '../../components/ui/Modal';
-import { Loader, User, Mail, BedDouble, Info, CreditCard } from 'lucide-react';
+import { Loader, User, Mail, BedDouble, Info, CreditCard, FileDown, BellRing } from 'lucide-react';
 import toast from 'react-hot-toast';
+import { getFeeBalance, summarizeInstallments, getNextInstallment } from '../../lib/fees';
+import { createPaymentOrder, FINAL_ORDER_STATUSES } from '../../lib/payments';
+import MockCheckout from '../../components/fees/MockCheckout';
+import StatementOfAccount from '../../components/fees/StatementOfAccount';
+import { fetchBranding, downloadReceiptPDF } from '../../lib/feeDocuments';
+import { formatMoney, formatDate, formatDateTime, getCurrencySymbol } from '../../lib/format';
 
 const statusStyles = {
     Paid: 'bg-green-500/10 text-green-600 dark:bg-green-500/20 dark:text-green-400',
@@ -21,17 +27,21 @@ const MyFeesPage = () => {
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [selectedFee, setSelectedFee] = useState(null);
     const [formLoading, setFormLoading] = useState(false);
+    const [paymentAmount, setPaymentAmount] = useState('');
+    const [checkoutOrder, setCheckoutOrder] = useState(null);
+    const [reminders, setReminders] = useState([]);
 
     useEffect(() => {
         const fetchData = async () => {
             if (!user) return;
             setLoading(true);
             try {
-                const [profileRes, roomRes, feesRes, paymentsRes] = await Promise.all([
+                const [profileRes, roomRes, feesRes, paymentsRes, remindersRes] = await Promise.all([
                     supabase.from('profiles').select('full_name, email').eq('id', user.id).single(),
                     supabase.from('room_allocations').select('rooms(room_number)').eq('student_id', user.id).eq('is_active', true).single(),
-                    supabase.from('fees').select('*').eq('student_id', user.id).order('due_date', { ascending: true }),
-                    supabase.from('payments').select('*, fees!inner(student_id)').eq('fees.student_id', user.id).order('paid_on', { ascending: false })
+                    supabase.from('fees').select('*, fee_installments(*)').eq('student_id', user.id).order('due_date', { ascending: true }),
+                    supabase.from('payments').select('*, fees!inner(student_id, description, due_date, amount)').eq('fees.student_id', user.id).order('paid_on', { ascending: false }),
+                    supabase.from('fee_reminders').select('id, message, created_at').eq('student_id', user.id).is('read_at', null).order('created_at', { ascending: false }).limit(5)
                 ]);
 
                 if (profileRes.error) throw profileRes.error;
@@ -43,6 +53,9 @@ const MyFeesPage = () => {
                 if (paymentsRes.error) throw paymentsRes.error;
                 setPaymentHistory(paymentsRes.data);
 
+                if (remindersRes.error) throw remindersRes.error;
+                setReminders(remindersRes.data);
+
             } catch (error) {
                 toast.error(`Failed to load fee details: ${error.message}`);
             } finally {
@@ -53,29 +66,36 @@ const MyFeesPage = () => {
     }, [user]);
 
     const totalDue = useMemo(() => {
-        return pendingFees.reduce((acc, fee) => acc + parseFloat(fee.amount), 0);
+        return pendingFees.reduce((acc, fee) => acc + getFeeBalance(fee), 0);
     }, [pendingFees]);
 
     const handlePayNow = (fee) => {
+        const nextInstallment = getNextInstallment(fee, fee.fee_installments);
         setSelectedFee(fee);
+        setPaymentAmount((nextInstallment ? nextInstallment.remaining : getFeeBalance(fee)).toFixed(2));
+        setCheckoutOrder(null);
         setIsModalOpen(true);
     };
 
+    const refreshFees = async () => {
+        const [feesRes, paymentsRes] = await Promise.all([
+            supabase.from('fees').select('*, fee_installments(*)').eq('student_id', user.id).order('due_date', { ascending: true }),
+            supabase.from('payments').select('*, fees!inner(student_id, description, due_date, amount)').eq('fees.student_id', user.id).order('paid_on', { ascending: false })
+        ]);
+        setPendingFees(feesRes.data.filter(f => f.status === 'Due' || f.status === 'Overdue'));
+        setPaymentHistory(paymentsRes.data);
+    };
+
     const handleConfirmPayment = async () => {
         if (!selectedFee) return;
         setFormLoading(true);
         try {
-            const { error } = await supabase.rpc('process_fee_payment', { p_fee_id: selectedFee.id });
-            if (error) throw error;
-            toast.success('Payment successful!');
-            // Refetch data
-            const [feesRes, paymentsRes] = await Promise.all([
-                supabase.from('fees').select('*').eq('student_id', user.id).order('due_date', { ascending: true }),
-                supabase.from('payments').select('*, fees!inner(student_id)').eq('fees.student_id', user.id).order('paid_on', { ascending: false })
-            ]);
-            setPendingFees(feesRes.data.filter(f => f.status === 'Due' || f.status === 'Overdue'));
-            setPaymentHistory(paymentsRes.data);
-            setIsModalOpen(false);
+            const order = await createPaymentOrder(selectedFee.id, parseFloat(paymentAmount));
+            if (order.redirect_url) {
+                window.location.assign(order.redirect_url);
+                return;
+            }
+            setCheckoutOrder(order);
         } catch (error) {
             toast.error(`Payment failed: ${error.message}`);
         } finally {
@@ -83,6 +103,41 @@ const MyFeesPage = () => {
         }
     };
 
+    // The payment is only recorded once the provider's callback has confirmed it.
+    const handleCheckoutComplete = async (order) => {
+        if (order.status === 'Succeeded') {
+            toast.success(parseFloat(order.amount) < getFeeBalance(selectedFee) ? 'Part payment successful!' : 'Payment successful!');
+        } else if (order.status === 'Failed') {
+            toast.error(`Payment failed: ${order.failure_reason || 'declined by the payment provider'}`);
+        } else {
+            toast('Payment is pending confirmation from the provider.');
+        }
+
+        if (FINAL_ORDER_STATUSES.includes(order.status)) {
+            setCheckoutOrder(null);
+            if (order.status === 'Succeeded') setIsModalOpen(false);
+        }
+        await refreshFees();
+    };
+
+    const handleDismissReminders = async () => {
+        const { error } = await supabase.rpc('mark_fee_reminders_read');
+        if (error) {
+            toast.error(error.message);
+        } else {
+            setReminders([]);
+        }
+    };
+
+    const handleDownloadReceipt = async (payment) => {
+        try {
+            const branding = await fetchBranding();
+            downloadReceiptPDF({ payment, fee: payment.fees, studentName: studentDetails?.full_name, branding });
+        } catch (error) {
+            toast.error(`Failed to generate receipt: ${error.message}`);
+        }
+    };
+
     if (loading) {
         return <div className="flex justify-center items-center h-64"><Loader className="animate-spin h-8 w-8 text-primary" /></div>;
     }
@@ -92,6 +147,19 @@ const MyFeesPage = () => {
             <PageHeader title="Fee Payment" />
             
             <div className="space-y-8">
+                {/* Fee Reminders */}
+                {reminders.length > 0 && (
+                    <div className="p-4 bg-yellow-500/10 text-yellow-700 dark:text-yellow-300 rounded-2xl flex items-start gap-3">
+                        <BellRing className="w-5 h-5 mt-0.5 flex-shrink-0" />
+                        <div className="flex-1 space-y-1 text-sm">
+                            {reminders.map(reminder => (
+                                <p key={reminder.id}>{reminder.message} <span className="text-xs opacity-70">{formatDate(reminder.created_at)}</span></p>
+                            ))}
+                        </div>
+                        <button onClick={handleDismissReminders} className="text-sm font-semibold hover:underline">Dismiss</button>
+                    </div>
+                )}
+
                 {/* Student Details */}
                 <div className="bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg">
                     <h2 className="text-xl font-bold mb-4">Student Details</h2>
@@ -109,26 +177,47 @@ const MyFeesPage = () => {
                         <table className="min-w-full">
                             <thead className="border-b-2 border-base-200 dark:border-dark-base-300">
                                 <tr>
-                                    <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Fee ID</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Fee</th>
                                     <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Due Date</th>
                                     <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Amount</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Paid</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Balance</th>
                                     <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Status</th>
                                     <th className="px-4 py-3 text-center text-xs font-medium text-base-content-secondary uppercase">Action</th>
                                 </tr>
                             </thead>
                             <tbody>
-                                {pendingFees.length > 0 ? pendingFees.map(fee => (
-                                    <tr key={fee.id} className="border-b border-base-200 dark:border-dark-base-300 last:border-0">
-                                        <td className="px-4 py-4 text-sm font-mono text-base-content-secondary">{fee.id.substring(0, 8)}</td>
-                                        <td className="px-4 py-4 text-sm">{new Date(fee.due_date).toLocaleDateString()}</td>
-                                        <td className="px-4 py-4 text-sm font-semibold">${parseFloat(fee.amount).toFixed(2)}</td>
-                                        <td className="px-4 py-4 text-sm"><span className={`px-2 py-1 text-xs font-semibold rounded-full ${statusStyles[fee.status]}`}>{fee.status}</span></td>
-                                        <td className="px-4 py-4 text-center">
-                                            <button onClick={() => handlePayNow(fee)} className="px-4 py-2 text-sm font-semibold text-primary-content bg-primary rounded-lg hover:bg-primary-focus transition">Pay Now</button>
-                                        </td>
-                                    </tr>
-                                )) : (
-                                    <tr><td colSpan="5" className="text-center py-8 text-base-content-secondary">No pending fees. Great job!</td></tr>
+                                {pendingFees.length > 0 ? pendingFees.map(fee => {
+                                    const installments = summarizeInstallments(fee, fee.fee_installments);
+                                    const nextInstallment = installments.find(i => i.remaining > 0);
+                                    const remainingCount = installments.filter(i => i.remaining > 0).length;
+                                    return (
+                                        <tr key={fee.id} className="border-b border-base-200 dark:border-dark-base-300 last:border-0">
+                                            <td className="px-4 py-4 text-sm">
+                                                <div>{fee.description || <span className="font-mono text-base-content-secondary">{fee.id.substring(0, 8)}</span>}</div>
+                                                {nextInstallment && (
+                                                    <div className="text-xs text-base-content-secondary">
+                                                        Installment {nextInstallment.installment_number} of {installments.length} · {remainingCount} remaining
+                                                    </div>
+                                                )}
+                                            </td>
+                                            <td className="px-4 py-4 text-sm">{formatDate(nextInstallment?.due_date || fee.due_date)}</td>
+                                            <td className="px-4 py-4 text-sm">
+                                                {formatMoney(fee.amount)}
+                                                {parseFloat(fee.amount_adjusted) > 0 && (
+                                                    <div className="text-xs text-base-content-secondary">−{formatMoney(fee.amount_adjusted)} waived</div>
+                                                )}
+                                            </td>
+                                            <td className="px-4 py-4 text-sm text-green-600">{formatMoney(fee.amount_paid || 0)}</td>
+                                            <td className="px-4 py-4 text-sm font-semibold">{formatMoney(getFeeBalance(fee))}</td>
+                                            <td className="px-4 py-4 text-sm"><span className={`px-2 py-1 text-xs font-semibold rounded-full ${statusStyles[fee.status]}`}>{fee.status}</span></td>
+                                            <td className="px-4 py-4 text-center">
+                                                <button onClick={() => handlePayNow(fee)} className="px-4 py-2 text-sm font-semibold text-primary-content bg-primary rounded-lg hover:bg-primary-focus transition">Pay Now</button>
+                                            </td>
+                                        </tr>
+                                    );
+                                }) : (
+                                    <tr><td colSpan="7" className="text-center py-8 text-base-content-secondary">No pending fees. Great job!</td></tr>
                                 )}
                             </tbody>
                         </table>
@@ -142,58 +231,91 @@ const MyFeesPage = () => {
                         <table className="min-w-full">
                              <thead className="border-b-2 border-base-200 dark:border-dark-base-300">
                                 <tr>
-                                    <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Payment ID</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Receipt No.</th>
                                     <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Payment Date</th>
                                     <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Amount Paid</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Method</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Reference</th>
                                     <th className="px-4 py-3 text-left text-xs font-medium text-base-content-secondary uppercase">Fee ID</th>
+                                    <th className="px-4 py-3 text-center text-xs font-medium text-base-content-secondary uppercase">Receipt</th>
                                 </tr>
                             </thead>
                             <tbody>
                                 {paymentHistory.length > 0 ? paymentHistory.map(payment => (
                                     <tr key={payment.id} className="border-b border-base-200 dark:border-dark-base-300 last:border-0">
-                                        <td className="px-4 py-4 text-sm font-mono text-base-content-secondary">{payment.id.substring(0, 8)}</td>
-                                        <td className="px-4 py-4 text-sm">{new Date(payment.paid_on).toLocaleString()}</td>
-                                        <td className="px-4 py-4 text-sm font-semibold text-green-600">${parseFloat(payment.amount).toFixed(2)}</td>
+                                        <td className="px-4 py-4 text-sm font-mono text-base-content-secondary">{payment.receipt_number || payment.id.substring(0, 8)}</td>
+                                        <td className="px-4 py-4 text-sm">{formatDateTime(payment.paid_on)}</td>
+                                        <td className="px-4 py-4 text-sm font-semibold text-green-600">{formatMoney(payment.amount)}</td>
+                                        <td className="px-4 py-4 text-sm">{payment.payment_method || 'N/A'}</td>
+                                        <td className="px-4 py-4 text-sm font-mono text-base-content-secondary">{payment.transaction_ref || payment.reference_number || '—'}</td>
                                         <td className="px-4 py-4 text-sm font-mono text-base-content-secondary">{payment.fee_id.substring(0, 8)}</td>
+                                        <td className="px-4 py-4 text-center">
+                                            <button onClick={() => handleDownloadReceipt(payment)} className="p-2 text-primary hover:text-primary-focus" title="Download receipt"><FileDown className="w-4 h-4" /></button>
+                                        </td>
                                     </tr>
                                 )) : (
-                                    <tr><td colSpan="4" className="text-center py-8 text-base-content-secondary">No payment history found.</td></tr>
+                                    <tr><td colSpan="7" className="text-center py-8 text-base-content-secondary">No payment history found.</td></tr>
                                 )}
                             </tbody>
                         </table>
                     </div>
                 </div>
 
+                {/* Statement of Account */}
+                <div className="bg-base-100 dark:bg-dark-base-200 p-6 rounded-2xl shadow-lg">
+                    <h2 className="text-xl font-bold mb-4">Statement of Account</h2>
+                    <StatementOfAccount studentId={user.id} studentName={studentDetails?.full_name} />
+                </div>
+
                 {/* Total Due */}
                 <div className="bg-primary/10 dark:bg-dark-primary/20 border-l-4 border-primary dark:border-dark-primary p-6 rounded-2xl flex justify-between items-center">
                     <h3 className="text-lg font-bold text-primary dark:text-dark-primary">Total Amount Due</h3>
-                    <p className="text-3xl font-heading font-bold text-primary dark:text-dark-primary">${totalDue.toFixed(2)}</p>
+                    <p className="text-3xl font-heading font-bold text-primary dark:text-dark-primary">{formatMoney(totalDue)}</p>
                 </div>
             </div>
 
-            <Modal title="Confirm Payment" isOpen={isModalOpen} onClose={() => setIsModalOpen(false)}>
-                {selectedFee && (
+            <Modal title={checkoutOrder ? 'Complete Payment' : 'Confirm Payment'} isOpen={isModalOpen} onClose={() => setIsModalOpen(false)}>
+                {selectedFee && checkoutOrder && (
+                    <MockCheckout order={checkoutOrder} onComplete={handleCheckoutComplete} />
+                )}
+                {selectedFee && !checkoutOrder && (
                     <div className="space-y-4">
                         <p>You are about to pay the following fee:</p>
                         <div className="bg-base-200 dark:bg-dark-base-300 p-4 rounded-lg space-y-2">
                             <div className="flex justify-between"><span className="font-semibold">Fee ID:</span> <span className="font-mono text-sm">{selectedFee.id.substring(0,8)}</span></div>
-                            <div className="flex justify-between"><span className="font-semibold">Due Date:</span> <span>{new Date(selectedFee.due_date).toLocaleDateString()}</span></div>
-                            <div className="flex justify-between text-lg"><span className="font-bold">Amount:</span> <span className="font-bold">${parseFloat(selectedFee.amount).toFixed(2)}</span></div>
+                            <div className="flex justify-between"><span className="font-semibold">Due Date:</span> <span>{formatDate(selectedFee.due_date)}</span></div>
+                            <div className="flex justify-between"><span className="font-semibold">Fee Amount:</span> <span>{formatMoney(selectedFee.amount)}</span></div>
+                            <div className="flex justify-between"><span className="font-semibold">Paid So Far:</span> <span>{formatMoney(selectedFee.amount_paid || 0)}</span></div>
+                            <div className="flex justify-between text-lg"><span className="font-bold">Balance:</span> <span className="font-bold">{formatMoney(getFeeBalance(selectedFee))}</span></div>
+                        </div>
+                        <div>
+                            <label htmlFor="payment_amount" className="block text-sm font-medium text-base-content-secondary dark:text-dark-base-content-secondary">Amount to Pay ({getCurrencySymbol()})</label>
+                            <input
+                                type="number"
+                                id="payment_amount"
+                                step="0.01"
+                                min="0.01"
+                                max={getFeeBalance(selectedFee).toFixed(2)}
+                                value={paymentAmount}
+                                onChange={(e) => setPaymentAmount(e.target.value)}
+                                className="mt-1 block w-full rounded-lg border-base-300 dark:border-dark-base-300 bg-base-100 dark:bg-dark-base-200 text-base-content dark:text-dark-base-content shadow-sm focus:border-primary focus:ring-primary sm:text-sm"
+                            />
+                            <p className="mt-1 text-xs text-base-content-secondary">You can pay part of the balance now and the rest later.</p>
                         </div>
                          <div className="p-4 bg-yellow-500/10 text-yellow-700 dark:text-yellow-300 rounded-lg flex items-start text-sm">
                             <Info className="w-5 h-5 mr-3 mt-0.5 flex-shrink-0" />
-                            <p>This is a simulated payment. Clicking confirm will mark the fee as paid.</p>
+                            <p>You will complete the payment with our payment provider. The fee is marked as paid once the full balance has been settled.</p>
                         </div>
                         <div className="flex justify-end pt-4 space-x-3">
                             <button type="button" onClick={() => setIsModalOpen(false)} className="inline-flex justify-center py-2 px-4 border border-base-300 dark:border-dark-base-300 shadow-sm text-sm font-medium rounded-lg text-base-content dark:text-dark-base-content bg-base-100 dark:bg-dark-base-200 hover:bg-base-200 dark:hover:bg-dark-base-300">Cancel</button>
                             <button
                                 type="button"
                                 onClick={handleConfirmPayment}
-                                disabled={formLoading}
+                                disabled={formLoading || !(parseFloat(paymentAmount) > 0) || parseFloat(paymentAmount) > getFeeBalance(selectedFee)}
                                 className="inline-flex justify-center items-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-lg text-primary-content bg-primary hover:bg-primary-focus disabled:opacity-50"
                             >
                                 {formLoading ? <Loader className="animate-spin h-4 w-4 mr-2" /> : <CreditCard className="h-4 w-4 mr-2" />}
-                                Confirm Payment
+                                Proceed to Payment
                             </button>
                         </div>
                     </div>
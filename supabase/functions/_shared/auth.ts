@@ -0,0 +1,17 @@
+// Identifies the caller of an edge function. The role comes from public.profiles, the same
+// source is_admin() and is_staff() use in the database. Never trust user_metadata.role: users
+// can change their own metadata with supabase.auth.updateUser().
+
+const bearerToken = (req) => (req.headers.get('Authorization') || '').replace('Bearer ', '');
+
+// Scheduled runs call in with the service role key instead of a user's session.
+export const isServiceRoleCall = (req) => bearerToken(req) === Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
+
+// -> { user, role } for a signed-in caller, or null. `admin` is a service-role client.
+export async function getCaller(admin, req) {
+  const { data: { user } } = await admin.auth.getUser(bearerToken(req));
+  if (!user) return null;
+
+  const { data: profile } = await admin.from('profiles').select('role').eq('id', user.id).maybeSingle();
+  return { user, role: profile?.role || null };
+}
@@ -0,0 +1,104 @@
+// Payment providers for online fee payments. Each provider implements:
+//
+//   createOrder({ orderId, amount, currency, description, returnUrl })
+//     -> { providerOrderId, redirectUrl?, clientSecret? }
+//     Starts a checkout. The app either redirects to `redirectUrl` or hands
+//     `clientSecret` to the provider's browser SDK.
+//
+//   verifyWebhook(req)
+//     -> { providerOrderId, status: 'Succeeded' | 'Failed' | 'Pending', transactionRef?, paymentMethod?, failureReason? }
+//     Checks the callback's signature and normalises its body. Throws when the signature is invalid.
+//
+//   refund({ transactionRef, amount })
+//     -> { refundRef }
+//
+// The provider is chosen with the required PAYMENT_PROVIDER secret. Add a real gateway by adding
+// an entry to `providers` below. The mock provider lets students mark their own fees as paid, so
+// it also needs PAYMENT_ALLOW_MOCK=true and must only be enabled in development.
+
+const requireEnv = (name) => {
+  const value = Deno.env.get(name);
+  if (!value) throw new Error(`${name} is not configured`);
+  return value;
+};
+
+const encoder = new TextEncoder();
+
+async function hmacHex(secret, message) {
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+  return [...new Uint8Array(signature)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Compares in constant time so the signature cannot be guessed byte by byte.
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i += 1) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+// Simulates a gateway locally. Checkout happens inside the app, and `simulate` produces the
+// signed callback a real gateway would send, so the webhook path is exercised end to end.
+const mock = {
+  name: 'mock',
+  signatureHeader: 'x-mock-signature',
+
+  async createOrder({ orderId }) {
+    return { providerOrderId: `mock_order_${orderId.replaceAll('-', '').slice(0, 16)}` };
+  },
+
+  async verifyWebhook(req) {
+    const body = await req.text();
+    const expected = await hmacHex(requireEnv('PAYMENT_WEBHOOK_SECRET'), body);
+    if (!safeEqual(req.headers.get(this.signatureHeader) || '', expected)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    const event = JSON.parse(body);
+    return {
+      providerOrderId: event.order_id,
+      status: event.status,
+      transactionRef: event.transaction_id,
+      paymentMethod: event.method,
+      failureReason: event.error,
+    };
+  },
+
+  async refund({ transactionRef }) {
+    return { refundRef: `mock_refund_${transactionRef.slice(-12)}_${Date.now()}` };
+  },
+
+  // outcome: 'success' | 'failure' | 'pending'
+  async simulate(providerOrderId, outcome) {
+    const statuses = { success: 'Succeeded', failure: 'Failed', pending: 'Pending' };
+    if (!statuses[outcome]) throw new Error(`Unknown outcome "${outcome}"`);
+
+    const body = JSON.stringify({
+      order_id: providerOrderId,
+      status: statuses[outcome],
+      transaction_id: outcome === 'success' ? `mock_txn_${crypto.randomUUID().replaceAll('-', '').slice(0, 20)}` : null,
+      method: outcome === 'success' ? 'Card' : null,
+      error: outcome === 'failure' ? 'Card declined (simulated)' : null,
+    });
+    return {
+      body,
+      headers: {
+        'Content-Type': 'application/json',
+        [this.signatureHeader]: await hmacHex(requireEnv('PAYMENT_WEBHOOK_SECRET'), body),
+      },
+    };
+  },
+};
+
+const providers = { mock };
+
+export function getPaymentProvider() {
+  const name = requireEnv('PAYMENT_PROVIDER');
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown PAYMENT_PROVIDER "${name}"`);
+  if (provider === mock && Deno.env.get('PAYMENT_ALLOW_MOCK') !== 'true') {
+    throw new Error('The mock payment provider is disabled; set PAYMENT_ALLOW_MOCK=true in development only');
+  }
+  return provider;
+}
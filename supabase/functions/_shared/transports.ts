@@ -0,0 +1,92 @@
+// Message transports for outgoing notifications (guardian alerts and fee reminders). Each transport
+// takes a queued message ({ recipient_name, recipient_phone, recipient_email, subject, message }) and
+// either resolves or throws with a reason that is stored on the notification row.
+//
+// The transport is chosen with the required NOTIFY_TRANSPORT secret: 'email', 'sms', 'webhook'
+// or 'stub'. Add a new channel by adding an entry to `transports` below. The stub marks messages
+// Sent without delivering them, so it also needs NOTIFY_ALLOW_STUB=true and is for development only.
+
+const requireEnv = (name) => {
+  const value = Deno.env.get(name);
+  if (!value) throw new Error(`${name} is not configured`);
+  return value;
+};
+
+// Logs instead of sending, so the whole pipeline can be exercised locally.
+const stub = {
+  name: 'stub',
+  async send(notification) {
+    console.log(`[stub] to ${notification.recipient_phone || notification.recipient_email}: ${notification.message}`);
+  },
+};
+
+// Email through the Resend HTTP API.
+const email = {
+  name: 'email',
+  async send(notification) {
+    if (!notification.recipient_email) throw new Error('No email address on file');
+
+    const response = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${requireEnv('RESEND_API_KEY')}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        from: requireEnv('NOTIFY_EMAIL_FROM'),
+        to: notification.recipient_email,
+        subject: notification.subject,
+        text: notification.message,
+      }),
+    });
+    if (!response.ok) throw new Error(`Email provider responded ${response.status}: ${await response.text()}`);
+  },
+};
+
+// SMS through the Twilio Messages API.
+const sms = {
+  name: 'sms',
+  async send(notification) {
+    if (!notification.recipient_phone) throw new Error('No phone number on file');
+
+    const accountSid = requireEnv('TWILIO_ACCOUNT_SID');
+    const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${btoa(`${accountSid}:${requireEnv('TWILIO_AUTH_TOKEN')}`)}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams({
+        From: requireEnv('TWILIO_FROM_NUMBER'),
+        To: notification.recipient_phone,
+        Body: notification.message,
+      }),
+    });
+    if (!response.ok) throw new Error(`SMS provider responded ${response.status}: ${await response.text()}`);
+  },
+};
+
+// Posts the notification as JSON, e.g. to a WhatsApp gateway or an automation tool.
+const webhook = {
+  name: 'webhook',
+  async send(notification) {
+    const response = await fetch(requireEnv('NOTIFY_WEBHOOK_URL'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(notification),
+    });
+    if (!response.ok) throw new Error(`Webhook responded ${response.status}`);
+  },
+};
+
+const transports = { stub, email, sms, webhook };
+
+export function getTransport() {
+  const name = requireEnv('NOTIFY_TRANSPORT');
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown NOTIFY_TRANSPORT "${name}"`);
+  if (transport === stub && Deno.env.get('NOTIFY_ALLOW_STUB') !== 'true') {
+    throw new Error('The stub transport is disabled; set NOTIFY_ALLOW_STUB=true in development only');
+  }
+  return transport;
+}
@@ -0,0 +1,72 @@
+// Delivers queued guardian notifications (see the guardian_notifications table).
+// Run it on a schedule, or call it from the admin Notifications page to send right away.
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { getTransport } from '../_shared/transports.ts';
+import { getCaller, isServiceRoleCall } from '../_shared/auth.ts';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+const MAX_ATTEMPTS = 3;
+const BATCH_SIZE = 50;
+
+const subjects = {
+  consecutive_absence: 'Hostel attendance: missed roll calls',
+  low_attendance: 'Hostel attendance below the required level',
+};
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+});
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') return new Response('ok', { headers: corsHeaders });
+
+  const admin = createClient(Deno.env.get('SUPABASE_URL'), Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'));
+
+  // Scheduled runs use the service role key; calls from the app must come from an Admin.
+  if (!isServiceRoleCall(req)) {
+    const caller = await getCaller(admin, req);
+    if (caller?.role !== 'Admin') return json({ error: 'Only Admins can send notifications.' }, 403);
+  }
+
+  let transport;
+  try {
+    transport = getTransport();
+  } catch (error) {
+    return json({ error: error.message }, 500);
+  }
+
+  const { data: queued, error } = await admin
+    .from('guardian_notifications')
+    .select('*')
+    .in('status', ['Pending', 'Failed'])
+    .lt('attempts', MAX_ATTEMPTS)
+    .order('created_at')
+    .limit(BATCH_SIZE);
+  if (error) return json({ error: error.message }, 500);
+
+  let sent = 0;
+  let failed = 0;
+  for (const notification of queued) {
+    try {
+      await transport.send({ ...notification, subject: subjects[notification.reason] });
+      await admin
+        .from('guardian_notifications')
+        .update({ status: 'Sent', transport: transport.name, attempts: notification.attempts + 1, last_error: null, sent_at: new Date().toISOString() })
+        .eq('id', notification.id);
+      sent += 1;
+    } catch (sendError) {
+      await admin
+        .from('guardian_notifications')
+        .update({ status: 'Failed', transport: transport.name, attempts: notification.attempts + 1, last_error: sendError.message })
+        .eq('id', notification.id);
+      failed += 1;
+    }
+  }
+
+  return json({ transport: transport.name, sent, failed });
+});
@@ -0,0 +1,46 @@
+// Receives payment callbacks from the provider and records the outcome with
+// confirm_payment_order. Providers call this without a Supabase session, so deploy it with
+// `supabase functions deploy payment-webhook --no-verify-jwt`; the provider's signature is
+// what authenticates the request.
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { getPaymentProvider } from '../_shared/paymentProviders.ts';
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+Deno.serve(async (req) => {
+  if (req.method !== 'POST') return json({ error: 'Method not allowed' }, 405);
+
+  let provider;
+  let event;
+  try {
+    provider = getPaymentProvider();
+    event = await provider.verifyWebhook(req);
+  } catch (error) {
+    return json({ error: error.message }, 400);
+  }
+
+  const admin = createClient(Deno.env.get('SUPABASE_URL'), Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'));
+
+  const { data: order } = await admin
+    .from('payment_orders')
+    .select('id')
+    .eq('provider', provider.name)
+    .eq('provider_order_id', event.providerOrderId)
+    .maybeSingle();
+  if (!order) return json({ error: 'Unknown order' }, 404);
+
+  const { data, error } = await admin.rpc('confirm_payment_order', {
+    p_order_id: order.id,
+    p_status: event.status,
+    p_transaction_ref: event.transactionRef || null,
+    p_payment_method: event.paymentMethod || null,
+    p_failure_reason: event.failureReason || null,
+  });
+  // A 5xx makes the provider retry the delivery later.
+  if (error) return json({ error: error.message }, 500);
+
+  return json({ order_id: data.id, status: data.status });
+});
@@ -0,0 +1,163 @@
+// Online fee payments (see the payment_orders table and _shared/paymentProviders.ts).
+//
+//   { action: 'create-order', fee_id, amount? }       Student starts a checkout for one of their fees.
+//   { action: 'simulate', order_id, outcome }          Mock provider (development) only: sends the provider callback.
+//   { action: 'refund', payment_id, reason, amount? }  Admin refunds a gateway payment.
+//
+// Payments are never recorded here; that happens in payment-webhook once the provider confirms.
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { getPaymentProvider } from '../_shared/paymentProviders.ts';
+import { getCaller } from '../_shared/auth.ts';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+});
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+async function createOrder(admin, provider, user, { fee_id, amount, return_url }) {
+  const { data: fee, error } = await admin.from('fees').select('id, student_id, amount, balance, status, description').eq('id', fee_id).maybeSingle();
+  if (error) return json({ error: error.message }, 500);
+  if (!fee || fee.student_id !== user.id) return json({ error: 'Fee record not found.' }, 404);
+
+  const balance = roundMoney(fee.balance);
+  if (fee.status === 'Paid' || balance <= 0) return json({ error: 'This fee is already paid.' }, 400);
+
+  const orderAmount = roundMoney(amount ?? balance);
+  if (!(orderAmount > 0) || orderAmount > balance) {
+    return json({ error: `Amount must be between 0.01 and the outstanding balance of ${balance.toFixed(2)}.` }, 400);
+  }
+
+  // Charge in the hostel's billing currency; PAYMENT_CURRENCY is only the fallback.
+  const { data: settings } = await admin.from('finance_settings').select('currency').maybeSingle();
+  const currency = settings?.currency || Deno.env.get('PAYMENT_CURRENCY') || 'INR';
+  const { data: order, error: insertError } = await admin
+    .from('payment_orders')
+    .insert({ fee_id: fee.id, student_id: user.id, amount: orderAmount, currency, provider: provider.name })
+    .select()
+    .single();
+  if (insertError) return json({ error: insertError.message }, 500);
+
+  try {
+    const checkout = await provider.createOrder({
+      orderId: order.id,
+      amount: orderAmount,
+      currency,
+      description: fee.description || `Hostel fee ${fee.id.slice(0, 8)}`,
+      returnUrl: return_url,
+    });
+    await admin.from('payment_orders').update({ provider_order_id: checkout.providerOrderId, updated_at: new Date().toISOString() }).eq('id', order.id);
+
+    return json({
+      order_id: order.id,
+      provider: provider.name,
+      amount: orderAmount,
+      currency,
+      redirect_url: checkout.redirectUrl || null,
+      client_secret: checkout.clientSecret || null,
+    });
+  } catch (providerError) {
+    await admin.from('payment_orders').update({ status: 'Failed', failure_reason: providerError.message, updated_at: new Date().toISOString() }).eq('id', order.id);
+    return json({ error: `Could not start the payment: ${providerError.message}` }, 502);
+  }
+}
+
+async function simulate(admin, provider, user, { order_id, outcome }) {
+  if (typeof provider.simulate !== 'function') return json({ error: 'Simulated payments are only available with the mock provider.' }, 400);
+
+  const { data: order } = await admin.from('payment_orders').select('*').eq('id', order_id).maybeSingle();
+  if (!order || order.student_id !== user.id) return json({ error: 'Payment order not found.' }, 404);
+  if (!['Created', 'Pending'].includes(order.status)) return json({ error: `This payment is already ${order.status.toLowerCase()}.` }, 400);
+
+  let callback;
+  try {
+    callback = await provider.simulate(order.provider_order_id, outcome);
+  } catch (simulateError) {
+    return json({ error: simulateError.message }, 400);
+  }
+  const response = await fetch(`${Deno.env.get('SUPABASE_URL')}/functions/v1/payment-webhook`, {
+    method: 'POST',
+    headers: callback.headers,
+    body: callback.body,
+  });
+  if (!response.ok) return json({ error: `Webhook rejected the callback: ${await response.text()}` }, 502);
+
+  return json(await response.json());
+}
+
+async function refund(admin, provider, { user, role }, { payment_id, amount, reason }) {
+  if (role !== 'Admin') return json({ error: 'Only Admins can issue refunds.' }, 403);
+  if (!reason?.trim()) return json({ error: 'A reason is required.' }, 400);
+
+  const { data: payment } = await admin.from('payments').select('*').eq('id', payment_id).maybeSingle();
+  if (!payment) return json({ error: 'Payment not found.' }, 404);
+  if (!payment.transaction_ref || payment.provider !== provider.name) {
+    return json({ error: 'Only payments made through the payment gateway can be refunded here.' }, 400);
+  }
+
+  const refundable = roundMoney(payment.amount - payment.refunded_amount);
+  const refundAmount = roundMoney(amount ?? refundable);
+  if (!(refundAmount > 0) || refundAmount > refundable) {
+    return json({ error: `Refund must be between 0.01 and ${refundable.toFixed(2)}.` }, 400);
+  }
+
+  let result;
+  try {
+    result = await provider.refund({ transactionRef: payment.transaction_ref, amount: refundAmount });
+  } catch (providerError) {
+    return json({ error: `Refund failed: ${providerError.message}` }, 502);
+  }
+
+  // The refund row updates payments.refunded_amount (and the fee) through a trigger.
+  const refundedAmount = roundMoney(payment.refunded_amount + refundAmount);
+  const { error } = await admin.from('payment_refunds').insert({
+    payment_id: payment.id,
+    amount: refundAmount,
+    refund_method: 'Gateway',
+    provider_refund_ref: result.refundRef,
+    reason: reason.trim(),
+    approved_by: user.id,
+  });
+  if (error) return json({ error: error.message }, 500);
+
+  if (refundedAmount >= payment.amount) {
+    await admin.from('payment_orders').update({ status: 'Refunded', updated_at: new Date().toISOString() }).eq('payment_id', payment.id);
+  }
+
+  return json({ refund_ref: result.refundRef, refunded_amount: refundedAmount });
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') return new Response('ok', { headers: corsHeaders });
+
+  const admin = createClient(Deno.env.get('SUPABASE_URL'), Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'));
+
+  const caller = await getCaller(admin, req);
+  if (!caller) return json({ error: 'Not signed in.' }, 401);
+  const { user } = caller;
+
+  let provider;
+  try {
+    provider = getPaymentProvider();
+  } catch (error) {
+    return json({ error: error.message }, 500);
+  }
+
+  const body = await req.json().catch(() => ({}));
+  switch (body.action) {
+    case 'create-order':
+      return createOrder(admin, provider, user, body);
+    case 'simulate':
+      return simulate(admin, provider, user, body);
+    case 'refund':
+      return refund(admin, provider, caller, body);
+    default:
+      return json({ error: `Unknown action "${body.action}"` }, 400);
+  }
+});
@@ -0,0 +1,76 @@
+/*
+# [Feature] Leave Application Workflow
+This migration turns the existing `leaves` table into a request/approval workflow. Students submit leave requests for a date range with a reason, and Admin/Staff approve or reject them.
+
+## Query Description:
+1. Creates the `leave_status` ENUM ('Pending', 'Approved', 'Rejected').
+2. Adds `status`, `reviewed_by`, `reviewed_at` and `review_note` columns to `public.leaves`. Existing rows (which were only ever created for approved leaves) are marked as 'Approved'.
+3. Replaces the student RLS policy that allowed students to modify any of their own leave rows (including approving them) with narrower policies: students may view their leaves, submit new 'Pending' requests and withdraw requests that are still pending.
+This operation is non-destructive; no data is removed.
+
+## Metadata:
+- Schema-Category: "Structural"
+- Impact-Level: "Medium"
+- Requires-Backup: false
+- Reversible: true
+
+## Structure Details:
+- Types Created: `public.leave_status`
+- Tables Modified: `public.leaves` (adds `status`, `reviewed_by`, `reviewed_at`, `review_note`)
+- Indexes Added: `idx_leaves_student_id`, `idx_leaves_status_dates`
+
+## Security Implications:
+- RLS Status: Enabled
+- Policy Changes: Yes. "Students can manage their own leaves" is replaced by separate SELECT, INSERT and DELETE policies. The Admin/Staff policy is recreated unchanged.
+- Auth Requirements: Admin/Staff for review, Student for own requests.
+
+## Performance Impact:
+- Indexes: Added
+- Triggers: None
+- Estimated Impact: Low.
+*/
+
+-- Step 1: Create the status type.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'leave_status') THEN
+    CREATE TYPE public.leave_status AS ENUM ('Pending', 'Approved', 'Rejected');
+  END IF;
+END;
+$$;
+
+-- Step 2: Add the workflow columns.
+ALTER TABLE public.leaves
+ADD COLUMN IF NOT EXISTS status public.leave_status NOT NULL DEFAULT 'Pending',
+ADD COLUMN IF NOT EXISTS reviewed_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS reviewed_at timestamptz,
+ADD COLUMN IF NOT EXISTS review_note text;
+
+-- Leaves recorded before this migration were only ever entered once approved.
+UPDATE public.leaves
+SET status = 'Approved', reviewed_by = approved_by
+WHERE approved_by IS NOT NULL AND status = 'Pending';
+
+CREATE INDEX IF NOT EXISTS idx_leaves_student_id ON public.leaves(student_id);
+CREATE INDEX IF NOT EXISTS idx_leaves_status_dates ON public.leaves(status, start_date, end_date);
+
+-- Step 3: Recreate the policies. Students can no longer approve their own leave.
+ALTER TABLE public.leaves ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins and Staff can manage all leaves" ON public.leaves;
+DROP POLICY IF EXISTS "Students can manage their own leaves" ON public.leaves;
+DROP POLICY IF EXISTS "Students can view their own leaves" ON public.leaves;
+DROP POLICY IF EXISTS "Students can request leave" ON public.leaves;
+DROP POLICY IF EXISTS "Students can withdraw pending leaves" ON public.leaves;
+
+CREATE POLICY "Admins and Staff can manage all leaves" ON public.leaves
+  FOR ALL USING (public.is_staff()) WITH CHECK (public.is_staff());
+
+CREATE POLICY "Students can view their own leaves" ON public.leaves
+  FOR SELECT USING (student_id = auth.uid());
+
+CREATE POLICY "Students can request leave" ON public.leaves
+  FOR INSERT WITH CHECK (student_id = auth.uid() AND status = 'Pending' AND reviewed_by IS NULL);
+
+CREATE POLICY "Students can withdraw pending leaves" ON public.leaves
+  FOR DELETE USING (student_id = auth.uid() AND status = 'Pending');
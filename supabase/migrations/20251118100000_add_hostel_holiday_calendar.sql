@@ -0,0 +1,126 @@
+/*
+# [Feature] Hostel-wide Holiday Calendar
+This migration adds an admin-managed holiday calendar and makes `get_or_create_session` consult it, so that sessions falling on a holiday are marked as 'Holiday' for every student at once instead of one student at a time.
+
+## Query Description:
+1. Creates the `public.holidays` table. A holiday covers a single day or a date range and can optionally be limited to the Morning or Evening session (NULL means the whole day).
+2. Adds a `holiday_id` column to `public.attendance_sessions` so a session remembers which holiday it falls on.
+3. Recreates `get_or_create_session` with the same signature. After finding or creating the session it looks up a matching holiday, links it to the session and inserts a 'Holiday' record for every student who has not been marked yet. Records that were already marked are left untouched.
+This operation is non-destructive; no data is removed.
+
+## Metadata:
+- Schema-Category: "Structural"
+- Impact-Level: "Medium"
+- Requires-Backup: false
+- Reversible: true
+
+## Structure Details:
+- Tables Created: `public.holidays`
+- Tables Modified: `public.attendance_sessions` (adds `holiday_id`)
+- Functions Modified: `public.get_or_create_session(date, text, text, uuid, text, text)`
+
+## Security Implications:
+- RLS Status: Enabled on `public.holidays`
+- Policy Changes: Yes. All authenticated users can view holidays; only Admins can manage them.
+- Auth Requirements: The function remains `SECURITY DEFINER` with a fixed `search_path`.
+
+## Performance Impact:
+- Indexes: Added on `holidays(start_date, end_date)`
+- Triggers: None
+- Estimated Impact: Low. The holiday lookup is a single indexed range query per call.
+*/
+
+-- Step 1: Create the holidays table.
+CREATE TABLE IF NOT EXISTS public.holidays (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    title text NOT NULL,
+    start_date date NOT NULL,
+    end_date date NOT NULL,
+    session_type public.attendance_session_type,
+    created_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    CHECK (end_date >= start_date)
+);
+COMMENT ON TABLE public.holidays IS 'Hostel-wide holidays. A NULL session_type means the holiday covers every session of the day.';
+
+CREATE INDEX IF NOT EXISTS idx_holidays_dates ON public.holidays(start_date, end_date);
+
+ALTER TABLE public.holidays ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Authenticated users can view holidays" ON public.holidays;
+DROP POLICY IF EXISTS "Admins can manage holidays" ON public.holidays;
+
+CREATE POLICY "Authenticated users can view holidays" ON public.holidays
+  FOR SELECT USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Admins can manage holidays" ON public.holidays
+  FOR ALL USING (public.is_admin()) WITH CHECK (public.is_admin());
+
+-- Step 2: Link sessions to the holiday they fall on.
+ALTER TABLE public.attendance_sessions
+ADD COLUMN IF NOT EXISTS holiday_id uuid REFERENCES public.holidays(id) ON DELETE SET NULL;
+
+-- Step 3: Recreate get_or_create_session so that it applies the holiday calendar.
+CREATE OR REPLACE FUNCTION public.get_or_create_session(
+  p_date date,
+  p_session_type text,
+  p_block text DEFAULT NULL,
+  p_room_id uuid DEFAULT NULL,
+  p_course text DEFAULT NULL,
+  p_year text DEFAULT NULL
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_session_id uuid;
+  v_session_type_enum public.attendance_session_type;
+  v_holiday_id uuid;
+BEGIN
+  -- Cast the input text to the ENUM type. This will error if the value is invalid.
+  v_session_type_enum := p_session_type::public.attendance_session_type;
+
+  -- Try to find an existing session
+  SELECT id INTO v_session_id
+  FROM public.attendance_sessions
+  WHERE session_date = p_date
+    AND session_type = v_session_type_enum
+    AND coalesce(block, '') = coalesce(p_block, '')
+    AND coalesce(room_id, '00000000-0000-0000-0000-000000000000'::uuid) = coalesce(p_room_id, '00000000-0000-0000-0000-000000000000'::uuid)
+    AND coalesce(course, '') = coalesce(p_course, '')
+    AND coalesce(year, '') = coalesce(p_year, '');
+
+  -- If no session is found, create a new one
+  IF v_session_id IS NULL THEN
+    INSERT INTO public.attendance_sessions (session_date, session_type, block, room_id, course, year, created_by)
+    VALUES (p_date, v_session_type_enum, p_block, p_room_id, p_course, p_year, auth.uid())
+    RETURNING id INTO v_session_id;
+  END IF;
+
+  -- Look up a holiday covering this date and session. Session-specific holidays win over full-day ones.
+  SELECT id INTO v_holiday_id
+  FROM public.holidays
+  WHERE p_date BETWEEN start_date AND end_date
+    AND (session_type IS NULL OR session_type = v_session_type_enum)
+  ORDER BY session_type NULLS LAST
+  LIMIT 1;
+
+  UPDATE public.attendance_sessions
+  SET holiday_id = v_holiday_id
+  WHERE id = v_session_id AND holiday_id IS DISTINCT FROM v_holiday_id;
+
+  -- Mark every student who has not been marked yet as on holiday.
+  IF v_holiday_id IS NOT NULL THEN
+    INSERT INTO public.attendance_records (session_id, student_id, status, marked_by)
+    SELECT v_session_id, s.id, 'Holiday', auth.uid()
+    FROM public.students s
+    ON CONFLICT (session_id, student_id) DO NOTHING;
+  END IF;
+
+  RETURN v_session_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_or_create_session(date, text, text, uuid, text, text) TO authenticated;
@@ -0,0 +1,196 @@
+/*
+# [Feature] QR-code Self Check-in
+Replaces the honor-system "Mark Present" button with verifiable presence. Staff open a check-in window for a session and display a QR code whose token rotates every few seconds. Students scan it in the app and the token is validated server-side before their attendance record is written.
+
+## Query Description:
+1. Creates `public.attendance_checkin_windows`. Each window belongs to an attendance session, has a random secret, a rotation interval and a closing time.
+2. Adds `open_qr_checkin`, `get_qr_checkin_token` and `close_qr_checkin` for Admin/Staff. The token is derived from the window secret and the current time step with HMAC-SHA256, so it cannot be predicted and a screenshot stops working after the next rotation.
+3. Adds `qr_check_in` for students. It accepts the token for the current or the previous time step (to allow for a slow scan), and marks the calling student as 'Present' in the window's session.
+This operation is non-destructive; no data is removed.
+
+## Metadata:
+- Schema-Category: "Structural"
+- Impact-Level: "Low"
+- Requires-Backup: false
+- Reversible: true
+
+## Structure Details:
+- Tables Created: `public.attendance_checkin_windows`
+- Functions Created: `open_qr_checkin(date, text, integer)`, `get_qr_checkin_token(uuid)`, `close_qr_checkin(uuid)`, `qr_check_in(text)`
+
+## Security Implications:
+- RLS Status: Enabled on `public.attendance_checkin_windows`. Only Admin/Staff can read windows; secrets never reach students.
+- Policy Changes: Yes. New Admin/Staff policy on the new table.
+- Auth Requirements: The functions are `SECURITY DEFINER` with a fixed `search_path` and check the caller's role themselves.
+
+## Performance Impact:
+- Indexes: Added on `attendance_checkin_windows(closes_at)`
+- Triggers: None
+- Estimated Impact: Low. Only a handful of windows are open at any time.
+*/
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+-- Step 1: Check-in windows.
+CREATE TABLE IF NOT EXISTS public.attendance_checkin_windows (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id uuid NOT NULL REFERENCES public.attendance_sessions(id) ON DELETE CASCADE,
+    secret text NOT NULL DEFAULT encode(extensions.gen_random_bytes(32), 'hex'),
+    rotation_seconds integer NOT NULL DEFAULT 20 CHECK (rotation_seconds BETWEEN 5 AND 300),
+    opened_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    opened_at timestamptz NOT NULL DEFAULT now(),
+    closes_at timestamptz NOT NULL,
+    CHECK (closes_at > opened_at)
+);
+COMMENT ON TABLE public.attendance_checkin_windows IS 'Time-limited QR check-in windows. Tokens are derived from the secret and are never stored.';
+
+CREATE INDEX IF NOT EXISTS idx_checkin_windows_closes_at ON public.attendance_checkin_windows(closes_at);
+
+ALTER TABLE public.attendance_checkin_windows ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins and Staff can manage check-in windows" ON public.attendance_checkin_windows;
+CREATE POLICY "Admins and Staff can manage check-in windows" ON public.attendance_checkin_windows
+  FOR ALL USING (public.is_staff()) WITH CHECK (public.is_staff());
+
+-- Step 2: Token derivation shared by the staff and student functions.
+CREATE OR REPLACE FUNCTION public.checkin_token_for_step(p_secret text, p_step bigint)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+SET search_path = public, extensions
+AS $$
+  SELECT upper(substr(encode(extensions.hmac(p_step::text, p_secret, 'sha256'), 'hex'), 1, 8));
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.checkin_token_for_step(text, bigint) FROM PUBLIC;
+
+-- Step 3: Staff functions.
+CREATE OR REPLACE FUNCTION public.open_qr_checkin(
+  p_date date,
+  p_session_type text,
+  p_duration_minutes integer DEFAULT 15
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_session_id uuid;
+  v_window_id uuid;
+BEGIN
+  IF NOT public.is_staff() THEN
+    RAISE EXCEPTION 'Only Admin or Staff can open a check-in window.';
+  END IF;
+
+  IF p_duration_minutes IS NULL OR p_duration_minutes < 1 OR p_duration_minutes > 180 THEN
+    RAISE EXCEPTION 'Check-in duration must be between 1 and 180 minutes.';
+  END IF;
+
+  v_session_id := public.get_or_create_session(p_date, p_session_type);
+
+  -- Only one window per session is open at a time.
+  UPDATE public.attendance_checkin_windows
+  SET closes_at = now()
+  WHERE session_id = v_session_id AND closes_at > now();
+
+  INSERT INTO public.attendance_checkin_windows (session_id, opened_by, closes_at)
+  VALUES (v_session_id, auth.uid(), now() + make_interval(mins => p_duration_minutes))
+  RETURNING id INTO v_window_id;
+
+  RETURN v_window_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.get_qr_checkin_token(p_window_id uuid)
+RETURNS TABLE (token text, valid_until timestamptz, closes_at timestamptz)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_window public.attendance_checkin_windows%ROWTYPE;
+  v_step bigint;
+BEGIN
+  IF NOT public.is_staff() THEN
+    RAISE EXCEPTION 'Only Admin or Staff can display check-in codes.';
+  END IF;
+
+  SELECT * INTO v_window FROM public.attendance_checkin_windows w WHERE w.id = p_window_id;
+  IF NOT FOUND OR v_window.closes_at <= now() THEN
+    RAISE EXCEPTION 'This check-in window is closed.';
+  END IF;
+
+  v_step := floor(extract(epoch FROM now()) / v_window.rotation_seconds);
+
+  RETURN QUERY SELECT
+    public.checkin_token_for_step(v_window.secret, v_step),
+    to_timestamp((v_step + 1) * v_window.rotation_seconds),
+    v_window.closes_at;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.close_qr_checkin(p_window_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT public.is_staff() THEN
+    RAISE EXCEPTION 'Only Admin or Staff can close a check-in window.';
+  END IF;
+
+  UPDATE public.attendance_checkin_windows
+  SET closes_at = now()
+  WHERE id = p_window_id AND closes_at > now();
+END;
+$$;
+
+-- Step 4: Student check-in.
+CREATE OR REPLACE FUNCTION public.qr_check_in(p_token text)
+RETURNS TABLE (session_type text, status text)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_token text := upper(trim(p_token));
+  v_window public.attendance_checkin_windows%ROWTYPE;
+  v_session_type text;
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM public.students WHERE id = auth.uid()) THEN
+    RAISE EXCEPTION 'Only students can check in.';
+  END IF;
+
+  -- Accept the current and the previous step so a code that rotates mid-scan still works.
+  SELECT w.* INTO v_window
+  FROM public.attendance_checkin_windows w
+  WHERE now() BETWEEN w.opened_at AND w.closes_at
+    AND v_token IN (
+      public.checkin_token_for_step(w.secret, floor(extract(epoch FROM now()) / w.rotation_seconds)::bigint),
+      public.checkin_token_for_step(w.secret, floor(extract(epoch FROM now()) / w.rotation_seconds)::bigint - 1)
+    )
+  LIMIT 1;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'This check-in code is invalid or has expired. Please scan the current code.';
+  END IF;
+
+  INSERT INTO public.attendance_records (session_id, student_id, status, marked_by, marked_at)
+  VALUES (v_window.session_id, auth.uid(), 'Present', auth.uid(), now())
+  ON CONFLICT (session_id, student_id)
+  DO UPDATE SET status = 'Present', marked_by = auth.uid(), marked_at = now();
+
+  SELECT s.session_type::text INTO v_session_type
+  FROM public.attendance_sessions s
+  WHERE s.id = v_window.session_id;
+
+  RETURN QUERY SELECT v_session_type, 'Present'::text;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.open_qr_checkin(date, text, integer) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_qr_checkin_token(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.close_qr_checkin(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.qr_check_in(text) TO authenticated;
@@ -0,0 +1,170 @@
+/*
+# [Feature] Attendance Session Time Windows and Late Marking
+Sessions used to have only a date and a Morning/Evening type. This migration adds configurable opening and closing times per session type. Self check-in is refused outside the window, and check-ins during a grace period after closing are recorded as 'Late'.
+
+## Query Description:
+1. Adds 'Late' to the `attendance_status` ENUM.
+2. Creates `public.attendance_session_windows` with one row per session type (open time, close time, grace minutes and the hostel time zone, default Asia/Kolkata), seeded with 06:00–09:00 for Morning and 18:00–21:00 for Evening with a 15 minute grace period.
+3. Adds `attendance_checkin_status(session_type, date)`, which returns 'Present' inside the window, 'Late' during the grace period and NULL otherwise.
+4. Recreates `qr_check_in` so that it applies the window: check-ins outside it are rejected, late check-ins are stored as 'Late' with `late_minutes` filled in. A student who already has a record for the session (checked in, or marked by staff) is told so and the record is left alone.
+This operation is non-destructive; no data is removed.
+
+## Metadata:
+- Schema-Category: "Structural"
+- Impact-Level: "Medium"
+- Requires-Backup: false
+- Reversible: true
+
+## Structure Details:
+- Types Modified: `public.attendance_status` (adds 'Late')
+- Tables Created: `public.attendance_session_windows`
+- Tables Modified: `public.attendance_records` (ensures `late_minutes` exists)
+- Functions Created: `public.attendance_checkin_status(text, date)`
+- Functions Modified: `public.qr_check_in(text)`
+
+## Security Implications:
+- RLS Status: Enabled on `public.attendance_session_windows`
+- Policy Changes: Yes. All authenticated users can read the windows; only Admins can change them.
+- Auth Requirements: Functions are `SECURITY DEFINER` with a fixed `search_path`.
+
+## Performance Impact:
+- Indexes: None
+- Triggers: None
+- Estimated Impact: Negligible.
+*/
+
+-- Step 1: Add the 'Late' status.
+ALTER TYPE public.attendance_status ADD VALUE IF NOT EXISTS 'Late';
+
+ALTER TABLE public.attendance_records
+ADD COLUMN IF NOT EXISTS late_minutes integer;
+
+-- Step 2: Session windows.
+CREATE TABLE IF NOT EXISTS public.attendance_session_windows (
+    session_type public.attendance_session_type PRIMARY KEY,
+    opens_at time NOT NULL,
+    closes_at time NOT NULL,
+    grace_minutes integer NOT NULL DEFAULT 15 CHECK (grace_minutes BETWEEN 0 AND 240),
+    timezone text NOT NULL DEFAULT 'Asia/Kolkata',
+    updated_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    updated_at timestamptz NOT NULL DEFAULT now(),
+    CHECK (closes_at > opens_at)
+);
+COMMENT ON TABLE public.attendance_session_windows IS 'When students may check themselves in for each session type. Times are local to the hostel time zone.';
+
+INSERT INTO public.attendance_session_windows (session_type, opens_at, closes_at, grace_minutes)
+VALUES ('Morning', '06:00', '09:00', 15), ('Evening', '18:00', '21:00', 15)
+ON CONFLICT (session_type) DO NOTHING;
+
+ALTER TABLE public.attendance_session_windows ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Authenticated users can view session windows" ON public.attendance_session_windows;
+DROP POLICY IF EXISTS "Admins can manage session windows" ON public.attendance_session_windows;
+
+CREATE POLICY "Authenticated users can view session windows" ON public.attendance_session_windows
+  FOR SELECT USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Admins can manage session windows" ON public.attendance_session_windows
+  FOR ALL USING (public.is_admin()) WITH CHECK (public.is_admin());
+
+-- Step 3: Decide how a check-in made right now would be recorded.
+CREATE OR REPLACE FUNCTION public.attendance_checkin_status(p_session_type text, p_session_date date)
+RETURNS text
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_window public.attendance_session_windows%ROWTYPE;
+  v_local timestamp;
+BEGIN
+  SELECT * INTO v_window
+  FROM public.attendance_session_windows
+  WHERE session_type = p_session_type::public.attendance_session_type;
+
+  -- Without a configured window the session is open all day.
+  IF NOT FOUND THEN
+    RETURN 'Present';
+  END IF;
+
+  v_local := now() AT TIME ZONE v_window.timezone;
+
+  IF v_local < p_session_date + v_window.opens_at THEN
+    RETURN NULL;
+  ELSIF v_local <= p_session_date + v_window.closes_at THEN
+    RETURN 'Present';
+  ELSIF v_local <= p_session_date + v_window.closes_at + make_interval(mins => v_window.grace_minutes) THEN
+    RETURN 'Late';
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.attendance_checkin_status(text, date) TO authenticated;
+
+-- Step 4: Apply the window to QR check-ins.
+CREATE OR REPLACE FUNCTION public.qr_check_in(p_token text)
+RETURNS TABLE (session_type text, status text)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_token text := upper(trim(p_token));
+  v_window public.attendance_checkin_windows%ROWTYPE;
+  v_session public.attendance_sessions%ROWTYPE;
+  v_times public.attendance_session_windows%ROWTYPE;
+  v_status text;
+  v_late_minutes integer;
+  v_existing text;
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM public.students WHERE id = auth.uid()) THEN
+    RAISE EXCEPTION 'Only students can check in.';
+  END IF;
+
+  -- Accept the current and the previous step so a code that rotates mid-scan still works.
+  SELECT w.* INTO v_window
+  FROM public.attendance_checkin_windows w
+  WHERE now() BETWEEN w.opened_at AND w.closes_at
+    AND v_token IN (
+      public.checkin_token_for_step(w.secret, floor(extract(epoch FROM now()) / w.rotation_seconds)::bigint),
+      public.checkin_token_for_step(w.secret, floor(extract(epoch FROM now()) / w.rotation_seconds)::bigint - 1)
+    )
+  LIMIT 1;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'This check-in code is invalid or has expired. Please scan the current code.';
+  END IF;
+
+  SELECT * INTO v_session FROM public.attendance_sessions s WHERE s.id = v_window.session_id;
+
+  v_status := public.attendance_checkin_status(v_session.session_type::text, v_session.session_date);
+  IF v_status IS NULL THEN
+    RAISE EXCEPTION 'Check-in for the % session is closed.', v_session.session_type;
+  END IF;
+
+  IF v_status = 'Late' THEN
+    SELECT * INTO v_times FROM public.attendance_session_windows t WHERE t.session_type = v_session.session_type;
+    v_late_minutes := ceil(extract(epoch FROM (now() AT TIME ZONE v_times.timezone) - (v_session.session_date + v_times.closes_at)) / 60);
+  END IF;
+
+  INSERT INTO public.attendance_records (session_id, student_id, status, late_minutes, marked_by, marked_at)
+  VALUES (v_window.session_id, auth.uid(), v_status::public.attendance_status, v_late_minutes, auth.uid(), now())
+  ON CONFLICT (session_id, student_id) DO NOTHING;
+
+  -- Never overwrite a record: a second scan would turn Present into Late, and staff may have
+  -- marked the student Absent, on Leave or on Holiday.
+  IF NOT FOUND THEN
+    SELECT r.status::text INTO v_existing
+    FROM public.attendance_records r
+    WHERE r.session_id = v_window.session_id AND r.student_id = auth.uid();
+    RAISE EXCEPTION 'You are already marked % for the % session.', v_existing, v_session.session_type;
+  END IF;
+
+  RETURN QUERY SELECT v_session.session_type::text, v_status;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.qr_check_in(text) TO authenticated;
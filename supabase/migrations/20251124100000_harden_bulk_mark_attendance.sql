@@ -0,0 +1,56 @@
+/*
+# [Security] Harden bulk_mark_attendance
+`AttendancePage` now saves a whole roll call through `bulk_mark_attendance`. The function runs as `SECURITY DEFINER` but never checked who was calling it, so any signed-in student could overwrite attendance for everyone.
+
+## Query Description:
+Recreates `bulk_mark_attendance` with the same signature. It now:
+1. Refuses callers who are not Admin or Staff.
+2. Records `marked_by` and `marked_at` for every row it writes.
+3. Keeps an existing note when the payload does not include one, instead of clearing it.
+This operation is non-destructive; no data is removed.
+
+## Metadata:
+- Schema-Category: "Security"
+- Impact-Level: "Low"
+- Requires-Backup: false
+- Reversible: true
+
+## Structure Details:
+- Functions Modified: `public.bulk_mark_attendance(uuid, jsonb)`
+
+## Security Implications:
+- RLS Status: Unchanged
+- Policy Changes: No
+- Auth Requirements: Admin or Staff.
+
+## Performance Impact:
+- Indexes: None
+- Triggers: None
+- Estimated Impact: Low. The per-row loop is replaced by a single INSERT ... SELECT.
+*/
+
+CREATE OR REPLACE FUNCTION public.bulk_mark_attendance(p_session_id uuid, p_records jsonb)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT public.is_staff() THEN
+    RAISE EXCEPTION 'Only Admin or Staff can mark attendance.';
+  END IF;
+
+  INSERT INTO public.attendance_records (session_id, student_id, status, note, late_minutes, marked_by, marked_at)
+  SELECT p_session_id, x.student_id, x.status::public.attendance_status, x.note, x.late_minutes, auth.uid(), now()
+  FROM jsonb_to_recordset(p_records) AS x(student_id uuid, status text, note text, late_minutes integer)
+  ON CONFLICT (session_id, student_id)
+  DO UPDATE SET
+    status = EXCLUDED.status,
+    note = COALESCE(EXCLUDED.note, attendance_records.note),
+    late_minutes = EXCLUDED.late_minutes,
+    marked_by = EXCLUDED.marked_by,
+    marked_at = EXCLUDED.marked_at;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.bulk_mark_attendance(uuid, jsonb) TO authenticated;
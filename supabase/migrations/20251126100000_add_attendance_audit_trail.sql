@@ -0,0 +1,87 @@
+/*
+# [Feature] Attendance Change History
+Attendance writes used to overwrite `attendance_records` in place, so there was no way to tell who changed a student from Absent to Present, or when. This migration keeps an append-only history of every change.
+
+## Query Description:
+1. Creates `public.attendance_record_history`, which stores the previous status, the new status, the acting user and a timestamp for each change.
+2. Adds a trigger on `public.attendance_records` that writes a history row whenever a record is created, its status changes, or it is deleted. Writes that leave the status unchanged are not logged.
+Because the trigger sits on the table, every write path (the roll call, QR check-in, holiday marking, offline sync) is covered without changes to the callers.
+This operation is non-destructive; no data is removed.
+
+## Metadata:
+- Schema-Category: "Structural"
+- Impact-Level: "Low"
+- Requires-Backup: false
+- Reversible: true
+
+## Structure Details:
+- Tables Created: `public.attendance_record_history`
+- Functions Created: `public.log_attendance_change()`
+- Triggers Created: `on_attendance_record_change` on `public.attendance_records`
+
+## Security Implications:
+- RLS Status: Enabled on `public.attendance_record_history`
+- Policy Changes: Yes. Admin and Staff can read the history. Nobody can modify it through the API; only the trigger writes to it.
+- Auth Requirements: The trigger function is `SECURITY DEFINER` with a fixed `search_path`.
+
+## Performance Impact:
+- Indexes: Added on `(student_id, changed_at)` and `session_id`
+- Triggers: Added
+- Estimated Impact: Low. One extra insert per changed record.
+*/
+
+-- Step 1: History table.
+CREATE TABLE IF NOT EXISTS public.attendance_record_history (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    record_id uuid,
+    session_id uuid NOT NULL REFERENCES public.attendance_sessions(id) ON DELETE CASCADE,
+    student_id uuid NOT NULL,
+    previous_status public.attendance_status,
+    new_status public.attendance_status,
+    changed_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    changed_at timestamptz NOT NULL DEFAULT now()
+);
+COMMENT ON TABLE public.attendance_record_history IS 'Append-only log of attendance status changes. previous_status is NULL for new records, new_status is NULL for deleted ones.';
+
+CREATE INDEX IF NOT EXISTS idx_attendance_history_student ON public.attendance_record_history(student_id, changed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_attendance_history_session ON public.attendance_record_history(session_id);
+
+ALTER TABLE public.attendance_record_history ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins and Staff can view attendance history" ON public.attendance_record_history;
+CREATE POLICY "Admins and Staff can view attendance history" ON public.attendance_record_history
+  FOR SELECT USING (public.is_staff());
+
+-- Step 2: Trigger.
+CREATE OR REPLACE FUNCTION public.log_attendance_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO public.attendance_record_history (record_id, session_id, student_id, previous_status, new_status, changed_by)
+    VALUES (NEW.id, NEW.session_id, NEW.student_id, NULL, NEW.status, COALESCE(auth.uid(), NEW.marked_by));
+    RETURN NEW;
+  ELSIF TG_OP = 'UPDATE' THEN
+    IF NEW.status IS DISTINCT FROM OLD.status THEN
+      INSERT INTO public.attendance_record_history (record_id, session_id, student_id, previous_status, new_status, changed_by)
+      VALUES (NEW.id, NEW.session_id, NEW.student_id, OLD.status, NEW.status, COALESCE(auth.uid(), NEW.marked_by));
+    END IF;
+    RETURN NEW;
+  ELSE
+    -- When a whole session is deleted its history goes with it, so only log individual deletions.
+    IF EXISTS (SELECT 1 FROM public.attendance_sessions WHERE id = OLD.session_id) THEN
+      INSERT INTO public.attendance_record_history (record_id, session_id, student_id, previous_status, new_status, changed_by)
+      VALUES (OLD.id, OLD.session_id, OLD.student_id, OLD.status, NULL, auth.uid());
+    END IF;
+    RETURN OLD;
+  END IF;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_attendance_record_change ON public.attendance_records;
+CREATE TRIGGER on_attendance_record_change
+  AFTER INSERT OR UPDATE OR DELETE ON public.attendance_records
+  FOR EACH ROW EXECUTE FUNCTION public.log_attendance_change();
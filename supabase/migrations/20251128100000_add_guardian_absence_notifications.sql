@@ -0,0 +1,191 @@
+/*
+# [Feature] Guardian Notifications for Absences
+Parents currently hear about missed roll calls only when they ask. This migration queues a notification for a student's guardian whenever the student is marked Absent in several consecutive sessions or their attendance drops below a threshold. The `notify-guardians` Edge Function delivers queued messages through a configurable transport (email, SMS, webhook or a local stub).
+
+## Query Description:
+1. Adds `guardian_name`, `guardian_phone` and `guardian_email` to `public.profiles`.
+2. Creates `public.guardian_notification_settings`, a single-row table holding the rules (consecutive absences, attendance threshold and the look-back window in days).
+3. Creates `public.guardian_notifications`, the outgoing message log. Each row has a `dedupe_key`, so a student triggers at most one consecutive-absence message per day and one low-attendance message per week.
+4. Adds a trigger on `public.attendance_records` that evaluates both rules whenever a student is marked Absent and queues messages as needed. Students without a guardian phone or email are skipped.
+This operation is non-destructive; no data is removed.
+
+## Metadata:
+- Schema-Category: "Structural"
+- Impact-Level: "Medium"
+- Requires-Backup: false
+- Reversible: true
+
+## Structure Details:
+- Tables Modified: `public.profiles` (adds guardian contact columns)
+- Tables Created: `public.guardian_notification_settings`, `public.guardian_notifications`
+- Functions Created: `public.queue_guardian_absence_notifications()`
+- Triggers Created: `on_attendance_absence` on `public.attendance_records`
+
+## Security Implications:
+- RLS Status: Enabled on both new tables.
+- Policy Changes: Yes. Only Admins can read the notification log and change the rules. The Edge Function uses the service role and bypasses RLS.
+- Auth Requirements: The trigger function is `SECURITY DEFINER` with a fixed `search_path`.
+
+## Performance Impact:
+- Indexes: Added on `guardian_notifications(status, created_at)` and `(student_id)`
+- Triggers: Added
+- Estimated Impact: Low. The rules only run for rows marked Absent and read a bounded number of recent sessions.
+*/
+
+-- Step 1: Guardian contact details.
+ALTER TABLE public.profiles
+ADD COLUMN IF NOT EXISTS guardian_name text,
+ADD COLUMN IF NOT EXISTS guardian_phone text,
+ADD COLUMN IF NOT EXISTS guardian_email text;
+
+-- Step 2: Notification rules (a single row).
+CREATE TABLE IF NOT EXISTS public.guardian_notification_settings (
+    id boolean PRIMARY KEY DEFAULT true CHECK (id),
+    enabled boolean NOT NULL DEFAULT true,
+    consecutive_absences integer NOT NULL DEFAULT 2 CHECK (consecutive_absences BETWEEN 1 AND 20),
+    attendance_threshold integer NOT NULL DEFAULT 75 CHECK (attendance_threshold BETWEEN 1 AND 100),
+    lookback_days integer NOT NULL DEFAULT 30 CHECK (lookback_days BETWEEN 7 AND 365),
+    updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+INSERT INTO public.guardian_notification_settings (id) VALUES (true) ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE public.guardian_notification_settings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins can manage guardian notification settings" ON public.guardian_notification_settings;
+CREATE POLICY "Admins can manage guardian notification settings" ON public.guardian_notification_settings
+  FOR ALL USING (public.is_admin()) WITH CHECK (public.is_admin());
+
+-- Step 3: Outgoing message log.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'notification_status') THEN
+    CREATE TYPE public.notification_status AS ENUM ('Pending', 'Sent', 'Failed');
+  END IF;
+END;
+$$;
+
+CREATE TABLE IF NOT EXISTS public.guardian_notifications (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    student_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+    reason text NOT NULL CHECK (reason IN ('consecutive_absence', 'low_attendance')),
+    message text NOT NULL,
+    recipient_name text,
+    recipient_phone text,
+    recipient_email text,
+    status public.notification_status NOT NULL DEFAULT 'Pending',
+    transport text,
+    attempts integer NOT NULL DEFAULT 0,
+    last_error text,
+    dedupe_key text NOT NULL UNIQUE,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    sent_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_guardian_notifications_status ON public.guardian_notifications(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_guardian_notifications_student ON public.guardian_notifications(student_id);
+
+ALTER TABLE public.guardian_notifications ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins can manage guardian notifications" ON public.guardian_notifications;
+CREATE POLICY "Admins can manage guardian notifications" ON public.guardian_notifications
+  FOR ALL USING (public.is_admin()) WITH CHECK (public.is_admin());
+
+-- Step 4: Evaluate the rules when a student is marked Absent.
+CREATE OR REPLACE FUNCTION public.queue_guardian_absence_notifications()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_settings public.guardian_notification_settings%ROWTYPE;
+  v_profile public.profiles%ROWTYPE;
+  v_session_date date;
+  v_recent_absences integer;
+  v_recent_sessions integer;
+  v_counted integer;
+  v_attended integer;
+  v_percentage integer;
+BEGIN
+  SELECT * INTO v_settings FROM public.guardian_notification_settings WHERE id;
+  IF NOT FOUND OR NOT v_settings.enabled THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT * INTO v_profile FROM public.profiles WHERE id = NEW.student_id;
+  -- Only guardians are messaged; the student's own number is never used as a fallback.
+  IF NOT FOUND OR (v_profile.guardian_phone IS NULL AND v_profile.guardian_email IS NULL) THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT session_date INTO v_session_date FROM public.attendance_sessions WHERE id = NEW.session_id;
+
+  -- Rule 1: the student's most recent sessions up to this one were all Absent.
+  SELECT count(*) FILTER (WHERE r.status = 'Absent'), count(*)
+  INTO v_recent_absences, v_recent_sessions
+  FROM (
+    SELECT r.status
+    FROM public.attendance_records r
+    JOIN public.attendance_sessions s ON s.id = r.session_id
+    WHERE r.student_id = NEW.student_id
+      AND s.session_date <= v_session_date
+      AND s.holiday_id IS NULL
+    ORDER BY s.session_date DESC, s.session_type DESC
+    LIMIT v_settings.consecutive_absences
+  ) r;
+
+  IF v_recent_sessions = v_settings.consecutive_absences AND v_recent_absences = v_settings.consecutive_absences THEN
+    INSERT INTO public.guardian_notifications (student_id, reason, message, recipient_name, recipient_phone, recipient_email, dedupe_key)
+    VALUES (
+      NEW.student_id,
+      'consecutive_absence',
+      format('%s has been marked absent for %s consecutive roll calls (latest on %s). Please contact the hostel office if this is unexpected.',
+             v_profile.full_name, v_settings.consecutive_absences, to_char(v_session_date, 'DD Mon YYYY')),
+      v_profile.guardian_name,
+      v_profile.guardian_phone,
+      v_profile.guardian_email,
+      format('consecutive_absence:%s:%s', NEW.student_id, v_session_date)
+    )
+    ON CONFLICT (dedupe_key) DO NOTHING;
+  END IF;
+
+  -- Rule 2: attendance over the look-back window fell below the threshold.
+  SELECT count(*) FILTER (WHERE r.status IN ('Present', 'Late', 'Absent', 'Leave')),
+         count(*) FILTER (WHERE r.status IN ('Present', 'Late'))
+  INTO v_counted, v_attended
+  FROM public.attendance_records r
+  JOIN public.attendance_sessions s ON s.id = r.session_id
+  WHERE r.student_id = NEW.student_id
+    AND s.session_date > v_session_date - v_settings.lookback_days
+    AND s.session_date <= v_session_date
+    AND s.holiday_id IS NULL;
+
+  IF v_counted > 0 THEN
+    v_percentage := round(v_attended * 100.0 / v_counted);
+    IF v_percentage < v_settings.attendance_threshold THEN
+      INSERT INTO public.guardian_notifications (student_id, reason, message, recipient_name, recipient_phone, recipient_email, dedupe_key)
+      VALUES (
+        NEW.student_id,
+        'low_attendance',
+        format('%s''s hostel attendance over the last %s days is %s%%, below the required %s%%.',
+               v_profile.full_name, v_settings.lookback_days, v_percentage, v_settings.attendance_threshold),
+        v_profile.guardian_name,
+        v_profile.guardian_phone,
+        v_profile.guardian_email,
+        format('low_attendance:%s:%s', NEW.student_id, to_char(v_session_date, 'IYYY-IW'))
+      )
+      ON CONFLICT (dedupe_key) DO NOTHING;
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_attendance_absence ON public.attendance_records;
+CREATE TRIGGER on_attendance_absence
+  AFTER INSERT OR UPDATE OF status ON public.attendance_records
+  FOR EACH ROW
+  WHEN (NEW.status = 'Absent')
+  EXECUTE FUNCTION public.queue_guardian_absence_notifications();
@@ -0,0 +1,204 @@
+/*
+# [Feature] Recurring Fee Plans and Billing Runs
+Fees could only be created one row at a time. This migration adds fee plans (for example monthly rent by room type, semester mess charges or a one-time security deposit) that generate `fees` rows for every allocated student. Generation is idempotent: each plan bills a student at most once per billing period.
+
+## Query Description:
+1. Creates the `fee_plan_frequency` ENUM and the `public.fee_plans` table.
+2. Adds `description`, `fee_plan_id` and `billing_period` to `public.fees`, with a unique index on `(fee_plan_id, student_id, billing_period)` so a period can never be billed twice.
+3. Adds `preview_fee_generation(run_date, plan_id)`, which lists the fees a billing run would create and flags the ones that already exist.
+4. Adds `generate_fees(run_date, plan_id)`, which inserts the missing fees in one statement and returns how many were created.
+5. If the `pg_cron` extension is enabled, schedules a daily billing run so new periods are billed automatically.
+This operation is non-destructive; existing fees keep NULL plan columns.
+
+## Metadata:
+- Schema-Category: "Structural"
+- Impact-Level: "Medium"
+- Requires-Backup: false
+- Reversible: true
+
+## Structure Details:
+- Types Created: `public.fee_plan_frequency`
+- Tables Created: `public.fee_plans`
+- Tables Modified: `public.fees` (adds `description`, `fee_plan_id`, `billing_period`)
+- Functions Created: `public.fee_billing_period(fee_plan_frequency, date)`, `public.is_admin_or_scheduled_job()`, `public.preview_fee_generation(date, uuid)`, `public.generate_fees(date, uuid)`
+
+## Security Implications:
+- RLS Status: Enabled on `public.fee_plans`
+- Policy Changes: Yes. Admin/Staff can view plans; only Admins can manage them.
+- Auth Requirements: The billing functions are `SECURITY DEFINER` and only run for Admins, the service role or pg_cron. EXECUTE is revoked from `anon`.
+
+## Performance Impact:
+- Indexes: Added a unique index on `fees(fee_plan_id, student_id, billing_period)`
+- Triggers: None
+- Estimated Impact: Low.
+*/
+
+-- Step 1: Fee plans.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'fee_plan_frequency') THEN
+    CREATE TYPE public.fee_plan_frequency AS ENUM ('Monthly', 'Semester', 'Yearly', 'One-time');
+  END IF;
+END;
+$$;
+
+CREATE TABLE IF NOT EXISTS public.fee_plans (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    name text NOT NULL,
+    description text,
+    frequency public.fee_plan_frequency NOT NULL,
+    amount numeric(10, 2) NOT NULL CHECK (amount > 0),
+    room_type text,
+    due_day integer NOT NULL DEFAULT 10 CHECK (due_day BETWEEN 1 AND 28),
+    is_active boolean NOT NULL DEFAULT true,
+    created_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+COMMENT ON COLUMN public.fee_plans.room_type IS 'When set, the plan only bills students allocated to rooms of this type.';
+COMMENT ON COLUMN public.fee_plans.due_day IS 'Fees fall due on this day of the first month of each billing period.';
+
+ALTER TABLE public.fee_plans ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins and Staff can view fee plans" ON public.fee_plans;
+DROP POLICY IF EXISTS "Admins can manage fee plans" ON public.fee_plans;
+
+CREATE POLICY "Admins and Staff can view fee plans" ON public.fee_plans
+  FOR SELECT USING (public.is_staff());
+
+CREATE POLICY "Admins can manage fee plans" ON public.fee_plans
+  FOR ALL USING (public.is_admin()) WITH CHECK (public.is_admin());
+
+-- Step 2: Link fees to the plan and period they were billed for.
+ALTER TABLE public.fees
+ADD COLUMN IF NOT EXISTS description text,
+ADD COLUMN IF NOT EXISTS fee_plan_id uuid REFERENCES public.fee_plans(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS billing_period text;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_fees_plan_student_period
+  ON public.fees(fee_plan_id, student_id, billing_period)
+  WHERE fee_plan_id IS NOT NULL;
+
+-- Step 3: Billing periods. Monthly '2025-11', Semester '2025-S2' (Jul–Dec), Yearly '2025', One-time 'once'.
+CREATE OR REPLACE FUNCTION public.fee_billing_period(p_frequency public.fee_plan_frequency, p_run_date date)
+RETURNS TABLE (billing_period text, period_start date)
+LANGUAGE sql
+IMMUTABLE
+SET search_path = public
+AS $$
+  SELECT
+    CASE p_frequency
+      WHEN 'Monthly' THEN to_char(p_run_date, 'YYYY-MM')
+      WHEN 'Semester' THEN to_char(p_run_date, 'YYYY') || '-S' || CASE WHEN extract(month FROM p_run_date) <= 6 THEN '1' ELSE '2' END
+      WHEN 'Yearly' THEN to_char(p_run_date, 'YYYY')
+      ELSE 'once'
+    END,
+    CASE p_frequency
+      WHEN 'Monthly' THEN date_trunc('month', p_run_date)::date
+      WHEN 'Semester' THEN make_date(extract(year FROM p_run_date)::int, CASE WHEN extract(month FROM p_run_date) <= 6 THEN 1 ELSE 7 END, 1)
+      WHEN 'Yearly' THEN date_trunc('year', p_run_date)::date
+      ELSE date_trunc('month', p_run_date)::date
+    END;
+$$;
+
+-- Step 4: Preview and generate. Billing runs for Admins, the service role and pg_cron jobs, which
+-- connect as the database owner rather than through the API.
+CREATE OR REPLACE FUNCTION public.is_admin_or_scheduled_job()
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.is_admin() OR auth.role() = 'service_role' OR session_user = 'postgres';
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.is_admin_or_scheduled_job() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.is_admin_or_scheduled_job() TO authenticated;
+
+CREATE OR REPLACE FUNCTION public.preview_fee_generation(p_run_date date DEFAULT current_date, p_plan_id uuid DEFAULT NULL)
+RETURNS TABLE (
+  plan_id uuid,
+  plan_name text,
+  student_id uuid,
+  student_name text,
+  room_number text,
+  room_type text,
+  amount numeric,
+  due_date date,
+  billing_period text,
+  already_billed boolean
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT public.is_admin_or_scheduled_job() THEN
+    RAISE EXCEPTION 'Only Admins can run billing.';
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    fp.id,
+    fp.name,
+    s.id,
+    s.full_name,
+    r.room_number::text,
+    r.type::text,
+    fp.amount,
+    (bp.period_start + (fp.due_day - 1))::date,
+    bp.billing_period,
+    EXISTS (
+      SELECT 1 FROM public.fees f
+      WHERE f.fee_plan_id = fp.id AND f.student_id = s.id AND f.billing_period = bp.billing_period
+    )
+  FROM public.fee_plans fp
+  CROSS JOIN LATERAL public.fee_billing_period(fp.frequency, p_run_date) bp
+  JOIN public.room_allocations ra ON ra.is_active
+  JOIN public.rooms r ON r.id = ra.room_id
+  JOIN public.students s ON s.id = ra.student_id
+  WHERE fp.is_active
+    AND (p_plan_id IS NULL OR fp.id = p_plan_id)
+    AND (fp.room_type IS NULL OR r.type::text = fp.room_type)
+  ORDER BY fp.name, s.full_name;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.generate_fees(p_run_date date DEFAULT current_date, p_plan_id uuid DEFAULT NULL)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_created integer;
+BEGIN
+  IF NOT public.is_admin_or_scheduled_job() THEN
+    RAISE EXCEPTION 'Only Admins can run billing.';
+  END IF;
+
+  INSERT INTO public.fees (student_id, amount, due_date, status, description, fee_plan_id, billing_period)
+  SELECT p.student_id, p.amount, p.due_date, 'Due', p.plan_name || ' (' || p.billing_period || ')', p.plan_id, p.billing_period
+  FROM public.preview_fee_generation(p_run_date, p_plan_id) p
+  WHERE NOT p.already_billed
+  ON CONFLICT (fee_plan_id, student_id, billing_period) WHERE fee_plan_id IS NOT NULL DO NOTHING;
+
+  GET DIAGNOSTICS v_created = ROW_COUNT;
+  RETURN v_created;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.preview_fee_generation(date, uuid) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.generate_fees(date, uuid) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.preview_fee_generation(date, uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.generate_fees(date, uuid) TO authenticated;
+
+-- Step 5: Bill new periods automatically where pg_cron is available.
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+    PERFORM cron.schedule('generate-recurring-fees', '15 0 * * *', 'SELECT public.generate_fees(current_date)');
+  END IF;
+END;
+$$;
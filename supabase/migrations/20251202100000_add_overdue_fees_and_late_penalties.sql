@@ -0,0 +1,120 @@
+/*
+# [Feature] Automatic Overdue Fees and Late-Fee Penalties
+Nothing moved a fee from 'Due' to 'Overdue'; admins changed the status by hand. This migration adds a job that marks unpaid fees overdue once their due date has passed and charges a configurable late fee as a separate fee line, so the dashboard's overdue count stays accurate on its own.
+
+## Query Description:
+1. Creates `public.fee_penalty_settings`, a single-row table holding the late-fee rule (flat amount or percentage of the fee, and a grace period in days).
+2. Adds `penalty_for` to `public.fees`, linking a late-fee line to the fee it penalises. A unique index ensures each fee is penalised at most once.
+3. Adds `mark_overdue_fees(run_date)`, which marks 'Due' fees past their due date as 'Overdue' and inserts the late-fee lines. It is safe to run repeatedly and returns how many fees were marked and penalised.
+4. If the `pg_cron` extension is enabled, schedules the job daily. It can also be run from the Fees page or with `SELECT * FROM public.mark_overdue_fees();`.
+This operation is non-destructive.
+
+## Metadata:
+- Schema-Category: "Structural"
+- Impact-Level: "Medium"
+- Requires-Backup: false
+- Reversible: true
+
+## Structure Details:
+- Tables Created: `public.fee_penalty_settings`
+- Tables Modified: `public.fees` (adds `penalty_for`)
+- Functions Created: `public.mark_overdue_fees(date)`
+
+## Security Implications:
+- RLS Status: Enabled on `public.fee_penalty_settings`
+- Policy Changes: Yes. Admin/Staff can view the late-fee rule; only Admins can change it.
+- Auth Requirements: `mark_overdue_fees` is `SECURITY DEFINER` and only runs for Admins, the service role or pg_cron. EXECUTE is revoked from `anon`.
+
+## Performance Impact:
+- Indexes: Added a unique index on `fees(penalty_for)` and an index on `fees(status, due_date)`
+- Triggers: None
+- Estimated Impact: Low.
+*/
+
+-- Step 1: Late-fee rule (a single row).
+CREATE TABLE IF NOT EXISTS public.fee_penalty_settings (
+    id boolean PRIMARY KEY DEFAULT true CHECK (id),
+    enabled boolean NOT NULL DEFAULT false,
+    penalty_type text NOT NULL DEFAULT 'flat' CHECK (penalty_type IN ('flat', 'percent')),
+    penalty_value numeric(10, 2) NOT NULL DEFAULT 0 CHECK (penalty_value >= 0),
+    grace_days integer NOT NULL DEFAULT 0 CHECK (grace_days BETWEEN 0 AND 90),
+    updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+INSERT INTO public.fee_penalty_settings (id) VALUES (true) ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE public.fee_penalty_settings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins and Staff can view fee penalty settings" ON public.fee_penalty_settings;
+DROP POLICY IF EXISTS "Admins can manage fee penalty settings" ON public.fee_penalty_settings;
+
+CREATE POLICY "Admins and Staff can view fee penalty settings" ON public.fee_penalty_settings
+  FOR SELECT USING (public.is_staff());
+
+CREATE POLICY "Admins can manage fee penalty settings" ON public.fee_penalty_settings
+  FOR ALL USING (public.is_admin()) WITH CHECK (public.is_admin());
+
+-- Step 2: Late-fee lines point at the fee they penalise.
+ALTER TABLE public.fees
+ADD COLUMN IF NOT EXISTS penalty_for uuid REFERENCES public.fees(id) ON DELETE CASCADE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_fees_penalty_for ON public.fees(penalty_for) WHERE penalty_for IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_fees_status_due_date ON public.fees(status, due_date);
+
+-- Step 3: The overdue job.
+CREATE OR REPLACE FUNCTION public.mark_overdue_fees(p_run_date date DEFAULT current_date)
+RETURNS TABLE (marked_overdue integer, penalties_added integer)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_settings public.fee_penalty_settings%ROWTYPE;
+  v_marked integer := 0;
+  v_penalties integer := 0;
+BEGIN
+  IF NOT public.is_admin_or_scheduled_job() THEN
+    RAISE EXCEPTION 'Only Admins can run the overdue check.';
+  END IF;
+
+  UPDATE public.fees
+  SET status = 'Overdue'
+  WHERE status = 'Due' AND due_date < p_run_date;
+  GET DIAGNOSTICS v_marked = ROW_COUNT;
+
+  SELECT * INTO v_settings FROM public.fee_penalty_settings WHERE id;
+  IF FOUND AND v_settings.enabled AND v_settings.penalty_value > 0 THEN
+    INSERT INTO public.fees (student_id, amount, due_date, status, description, penalty_for)
+    SELECT
+      f.student_id,
+      CASE v_settings.penalty_type
+        WHEN 'percent' THEN round(f.amount * v_settings.penalty_value / 100, 2)
+        ELSE v_settings.penalty_value
+      END,
+      p_run_date,
+      'Due',
+      'Late fee: ' || COALESCE(f.description, 'fee due ' || to_char(f.due_date, 'DD Mon YYYY')),
+      f.id
+    FROM public.fees f
+    WHERE f.status = 'Overdue'
+      AND f.penalty_for IS NULL
+      AND f.due_date + v_settings.grace_days < p_run_date
+    ON CONFLICT (penalty_for) WHERE penalty_for IS NOT NULL DO NOTHING;
+    GET DIAGNOSTICS v_penalties = ROW_COUNT;
+  END IF;
+
+  RETURN QUERY SELECT v_marked, v_penalties;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.mark_overdue_fees(date) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.mark_overdue_fees(date) TO authenticated;
+
+-- Step 4: Run daily where pg_cron is available, after the billing run.
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+    PERFORM cron.schedule('mark-overdue-fees', '30 0 * * *', 'SELECT public.mark_overdue_fees(current_date)');
+  END IF;
+END;
+$$;
@@ -0,0 +1,279 @@
+/*
+# [Feature] Partial Payments, Installments and Fee Balances
+`process_fee_payment` settled a whole fee at once. This migration lets a fee be paid in several parts: every payment adds to a running total on the fee, and the fee only becomes 'Paid' once the balance reaches zero. Admins can split a fee into an installment plan; the overdue job then looks at the earliest unpaid installment instead of the fee's final due date.
+
+## Query Description:
+1. Adds `amount_paid` and a generated `balance` column to `public.fees`, and backfills `amount_paid` from existing payments. Fees already marked 'Paid' without a payment row are treated as fully paid.
+2. Creates `public.fee_installments` (one row per installment, numbered from 1).
+3. Adds a trigger on `public.payments` that recalculates `amount_paid`, `status` and `payment_date` on the fee whenever a payment is added, changed or removed.
+4. Replaces `process_fee_payment(fee_id)` with `process_fee_payment(fee_id, amount)`. The amount defaults to the full balance and may not exceed it. It returns the new payment's id.
+5. Adds `set_fee_installments(fee_id, installments)` for Admins. The installments must add up to the fee amount.
+6. Adds `fee_next_due_date(fee_id)` and updates `mark_overdue_fees` to use it.
+
+## Metadata:
+- Schema-Category: "Structural"
+- Impact-Level: "Medium"
+- Requires-Backup: true
+- Reversible: false
+
+## Structure Details:
+- Tables Modified: `public.fees` (adds `amount_paid`, `balance`)
+- Tables Created: `public.fee_installments`
+- Functions Created: `public.sync_fee_payment_totals()`, `public.set_fee_installments(uuid, jsonb)`, `public.fee_next_due_date(uuid)`
+- Functions Replaced: `public.process_fee_payment`, `public.mark_overdue_fees(date)`
+- Triggers Created: `on_payment_change` on `public.payments`
+
+## Security Implications:
+- RLS Status: Enabled on `public.fee_installments`
+- Policy Changes: Yes. Students can view installments of their own fees; Admin/Staff can view all; only Admins can change them.
+- Auth Requirements: `process_fee_payment` now checks that the caller owns the fee or is Staff/Admin. `mark_overdue_fees` still only runs for Admins, the service role or pg_cron.
+
+## Performance Impact:
+- Indexes: Added on `payments(fee_id)`
+- Triggers: Added
+- Estimated Impact: Low. The trigger re-sums the payments of a single fee.
+*/
+
+-- Step 1: Running totals on fees.
+ALTER TABLE public.fees
+ADD COLUMN IF NOT EXISTS amount_paid numeric(10, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE public.fees
+ADD COLUMN IF NOT EXISTS balance numeric(10, 2) GENERATED ALWAYS AS (amount - amount_paid) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_payments_fee_id ON public.payments(fee_id);
+
+UPDATE public.fees f
+SET amount_paid = LEAST(f.amount, COALESCE((SELECT sum(p.amount) FROM public.payments p WHERE p.fee_id = f.id), 0));
+
+UPDATE public.fees
+SET amount_paid = amount
+WHERE status = 'Paid' AND amount_paid < amount;
+
+-- Step 2: Installment plans.
+CREATE TABLE IF NOT EXISTS public.fee_installments (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    fee_id uuid NOT NULL REFERENCES public.fees(id) ON DELETE CASCADE,
+    installment_number integer NOT NULL CHECK (installment_number > 0),
+    amount numeric(10, 2) NOT NULL CHECK (amount > 0),
+    due_date date NOT NULL,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    UNIQUE (fee_id, installment_number)
+);
+
+ALTER TABLE public.fee_installments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view relevant fee installments" ON public.fee_installments;
+DROP POLICY IF EXISTS "Admins can manage fee installments" ON public.fee_installments;
+
+CREATE POLICY "Users can view relevant fee installments" ON public.fee_installments
+  FOR SELECT USING (
+    public.is_staff()
+    OR EXISTS (SELECT 1 FROM public.fees f WHERE f.id = fee_id AND f.student_id = auth.uid())
+  );
+
+CREATE POLICY "Admins can manage fee installments" ON public.fee_installments
+  FOR ALL USING (public.is_admin()) WITH CHECK (public.is_admin());
+
+-- Step 3: Keep fee totals in step with its payments.
+CREATE OR REPLACE FUNCTION public.fee_next_due_date(p_fee_id uuid)
+RETURNS date
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  -- The due date of the first installment not covered by payments so far,
+  -- or the fee's own due date when it has no installment plan.
+  SELECT COALESCE(
+    (
+      SELECT i.due_date
+      FROM (
+        SELECT due_date, sum(amount) OVER (ORDER BY installment_number) AS cumulative
+        FROM public.fee_installments
+        WHERE fee_id = p_fee_id
+      ) i
+      WHERE i.cumulative > f.amount_paid
+      ORDER BY i.due_date
+      LIMIT 1
+    ),
+    f.due_date
+  )
+  FROM public.fees f
+  WHERE f.id = p_fee_id;
+$$;
+
+CREATE OR REPLACE FUNCTION public.sync_fee_payment_totals()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_fee_id uuid := COALESCE(NEW.fee_id, OLD.fee_id);
+  v_paid numeric;
+  v_last_paid timestamptz;
+BEGIN
+  SELECT COALESCE(sum(amount), 0), max(paid_on)
+  INTO v_paid, v_last_paid
+  FROM public.payments
+  WHERE fee_id = v_fee_id;
+
+  UPDATE public.fees
+  SET amount_paid = LEAST(v_paid, amount),
+      status = CASE
+        WHEN v_paid >= amount THEN 'Paid'::public.fee_status
+        WHEN status = 'Paid' THEN 'Due'::public.fee_status
+        ELSE status
+      END,
+      payment_date = CASE WHEN v_paid >= amount THEN v_last_paid ELSE NULL END
+  WHERE id = v_fee_id;
+
+  IF TG_OP = 'UPDATE' AND OLD.fee_id IS DISTINCT FROM NEW.fee_id THEN
+    SELECT COALESCE(sum(amount), 0) INTO v_paid FROM public.payments WHERE fee_id = OLD.fee_id;
+    UPDATE public.fees
+    SET amount_paid = LEAST(v_paid, amount),
+        status = CASE WHEN v_paid >= amount THEN status WHEN status = 'Paid' THEN 'Due'::public.fee_status ELSE status END,
+        payment_date = CASE WHEN v_paid >= amount THEN payment_date ELSE NULL END
+    WHERE id = OLD.fee_id;
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_payment_change ON public.payments;
+CREATE TRIGGER on_payment_change
+  AFTER INSERT OR UPDATE OR DELETE ON public.payments
+  FOR EACH ROW
+  EXECUTE FUNCTION public.sync_fee_payment_totals();
+
+-- Step 4: Pay all or part of a fee.
+DROP FUNCTION IF EXISTS public.process_fee_payment(uuid);
+
+CREATE OR REPLACE FUNCTION public.process_fee_payment(p_fee_id uuid, p_amount numeric DEFAULT NULL)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_fee public.fees%ROWTYPE;
+  v_amount numeric;
+  v_payment_id uuid;
+BEGIN
+  SELECT * INTO v_fee FROM public.fees WHERE id = p_fee_id FOR UPDATE;
+
+  IF NOT FOUND OR v_fee.status = 'Paid' OR v_fee.balance <= 0 THEN
+    RAISE EXCEPTION 'Fee record not found, or is already paid.';
+  END IF;
+
+  IF v_fee.student_id <> auth.uid() AND NOT public.is_staff() THEN
+    RAISE EXCEPTION 'You can only pay your own fees.';
+  END IF;
+
+  v_amount := round(COALESCE(p_amount, v_fee.balance), 2);
+  IF v_amount <= 0 THEN
+    RAISE EXCEPTION 'Payment amount must be greater than zero.';
+  END IF;
+  IF v_amount > v_fee.balance THEN
+    RAISE EXCEPTION 'Payment of % exceeds the outstanding balance of %.', v_amount, v_fee.balance;
+  END IF;
+
+  INSERT INTO public.payments (fee_id, amount, paid_on, payment_method)
+  VALUES (p_fee_id, v_amount, now(), 'Card')
+  RETURNING id INTO v_payment_id;
+
+  RETURN v_payment_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.process_fee_payment(uuid, numeric) TO authenticated;
+
+-- Step 5: Define an installment plan for a fee.
+-- p_installments is a JSON array of { "amount": 500, "due_date": "2025-12-10" }, in order.
+CREATE OR REPLACE FUNCTION public.set_fee_installments(p_fee_id uuid, p_installments jsonb)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_fee_amount numeric;
+  v_total numeric;
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Only Admins can set up installment plans.';
+  END IF;
+
+  SELECT amount INTO v_fee_amount FROM public.fees WHERE id = p_fee_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Fee record not found.';
+  END IF;
+
+  DELETE FROM public.fee_installments WHERE fee_id = p_fee_id;
+
+  IF p_installments IS NULL OR jsonb_array_length(p_installments) = 0 THEN
+    RETURN;
+  END IF;
+
+  SELECT sum((elem->>'amount')::numeric) INTO v_total FROM jsonb_array_elements(p_installments) elem;
+  IF v_total <> v_fee_amount THEN
+    RAISE EXCEPTION 'Installments add up to %, but the fee is %.', v_total, v_fee_amount;
+  END IF;
+
+  INSERT INTO public.fee_installments (fee_id, installment_number, amount, due_date)
+  SELECT p_fee_id, ord::integer, (elem->>'amount')::numeric, (elem->>'due_date')::date
+  FROM jsonb_array_elements(p_installments) WITH ORDINALITY AS t(elem, ord);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.set_fee_installments(uuid, jsonb) TO authenticated;
+
+-- Step 6: A fee with installments is overdue once an unpaid installment is late.
+CREATE OR REPLACE FUNCTION public.mark_overdue_fees(p_run_date date DEFAULT current_date)
+RETURNS TABLE (marked_overdue integer, penalties_added integer)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_settings public.fee_penalty_settings%ROWTYPE;
+  v_marked integer := 0;
+  v_penalties integer := 0;
+BEGIN
+  IF NOT public.is_admin_or_scheduled_job() THEN
+    RAISE EXCEPTION 'Only Admins can run the overdue check.';
+  END IF;
+
+  UPDATE public.fees f
+  SET status = 'Overdue'
+  WHERE f.status = 'Due' AND public.fee_next_due_date(f.id) < p_run_date;
+  GET DIAGNOSTICS v_marked = ROW_COUNT;
+
+  SELECT * INTO v_settings FROM public.fee_penalty_settings WHERE id;
+  IF FOUND AND v_settings.enabled AND v_settings.penalty_value > 0 THEN
+    INSERT INTO public.fees (student_id, amount, due_date, status, description, penalty_for)
+    SELECT
+      f.student_id,
+      CASE v_settings.penalty_type
+        WHEN 'percent' THEN round(f.balance * v_settings.penalty_value / 100, 2)
+        ELSE v_settings.penalty_value
+      END,
+      p_run_date,
+      'Due',
+      'Late fee: ' || COALESCE(f.description, 'fee due ' || to_char(f.due_date, 'DD Mon YYYY')),
+      f.id
+    FROM public.fees f
+    WHERE f.status = 'Overdue'
+      AND f.penalty_for IS NULL
+      AND public.fee_next_due_date(f.id) + v_settings.grace_days < p_run_date
+    ON CONFLICT (penalty_for) WHERE penalty_for IS NOT NULL DO NOTHING;
+    GET DIAGNOSTICS v_penalties = ROW_COUNT;
+  END IF;
+
+  RETURN QUERY SELECT v_marked, v_penalties;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.mark_overdue_fees(date) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.mark_overdue_fees(date) TO authenticated;
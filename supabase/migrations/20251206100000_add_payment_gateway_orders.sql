@@ -0,0 +1,226 @@
+/*
+# [Feature] Payment Gateway Orders
+The "Pay Now" button called `process_fee_payment` straight from the browser, so a payment was recorded without any proof that money changed hands. Online payments now go through a payment provider. The `payments` Edge Function creates an order with the provider, and the `payment-webhook` Edge Function records the payment only when the provider's signed callback confirms it. The payment method and transaction reference come from that callback, not from the client.
+
+## Query Description:
+1. Creates the `payment_order_status` ENUM and `public.payment_orders`, one row per checkout attempt.
+2. Adds `provider`, `transaction_ref` and `refunded_amount` to `public.payments`. A unique index on `(provider, transaction_ref)` makes repeated webhook deliveries harmless.
+3. Adds `confirm_payment_order(...)`, called by the webhook with the service role. It moves the order to its final status and, on success, inserts the payment.
+4. Fee totals now subtract `refunded_amount`, so a refunded payment re-opens the balance.
+5. `process_fee_payment` is limited to Admin/Staff (for payments taken at the office). Students pay through the gateway.
+
+## Metadata:
+- Schema-Category: "Structural"
+- Impact-Level: "High"
+- Requires-Backup: false
+- Reversible: true
+
+## Structure Details:
+- Types Created: `public.payment_order_status`
+- Tables Created: `public.payment_orders`
+- Tables Modified: `public.payments` (adds `provider`, `transaction_ref`, `refunded_amount`)
+- Functions Created: `public.confirm_payment_order(uuid, text, text, text, text)`
+- Functions Replaced: `public.sync_fee_payment_totals()`, `public.process_fee_payment(uuid, numeric)`
+
+## Security Implications:
+- RLS Status: Enabled on `public.payment_orders`
+- Policy Changes: Yes. Students can view their own orders; Admin/Staff can view all. Orders are only written by the Edge Functions (service role).
+- Auth Requirements: `confirm_payment_order` is executable by the service role only.
+
+## Performance Impact:
+- Indexes: Added on `payment_orders(fee_id)`, unique on `payment_orders(provider, provider_order_id)` and `payments(provider, transaction_ref)`
+- Triggers: None added
+- Estimated Impact: Low.
+*/
+
+-- Step 1: Checkout attempts.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'payment_order_status') THEN
+    CREATE TYPE public.payment_order_status AS ENUM ('Created', 'Pending', 'Succeeded', 'Failed', 'Refunded');
+  END IF;
+END;
+$$;
+
+CREATE TABLE IF NOT EXISTS public.payment_orders (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    fee_id uuid NOT NULL REFERENCES public.fees(id) ON DELETE CASCADE,
+    student_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+    amount numeric(10, 2) NOT NULL CHECK (amount > 0),
+    currency text NOT NULL DEFAULT 'USD',
+    provider text NOT NULL,
+    provider_order_id text,
+    status public.payment_order_status NOT NULL DEFAULT 'Created',
+    payment_id uuid REFERENCES public.payments(id) ON DELETE SET NULL,
+    failure_reason text,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_payment_orders_provider_order ON public.payment_orders(provider, provider_order_id);
+CREATE INDEX IF NOT EXISTS idx_payment_orders_fee ON public.payment_orders(fee_id);
+
+ALTER TABLE public.payment_orders ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view relevant payment orders" ON public.payment_orders;
+CREATE POLICY "Users can view relevant payment orders" ON public.payment_orders
+  FOR SELECT USING (student_id = auth.uid() OR public.is_staff());
+
+-- Step 2: Provider details on payments.
+ALTER TABLE public.payments
+ADD COLUMN IF NOT EXISTS provider text,
+ADD COLUMN IF NOT EXISTS transaction_ref text,
+ADD COLUMN IF NOT EXISTS refunded_amount numeric(10, 2) NOT NULL DEFAULT 0;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_payments_provider_transaction
+  ON public.payments(provider, transaction_ref)
+  WHERE transaction_ref IS NOT NULL;
+
+-- Step 3: Refunded amounts no longer count towards what has been paid.
+CREATE OR REPLACE FUNCTION public.sync_fee_payment_totals()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_fee_id uuid;
+  v_paid numeric;
+  v_last_paid timestamptz;
+BEGIN
+  FOR v_fee_id IN
+    -- NEW is null for deletes and OLD for inserts; an update may move a payment between fees.
+    SELECT DISTINCT unnest(ARRAY[NEW.fee_id, OLD.fee_id])
+  LOOP
+    CONTINUE WHEN v_fee_id IS NULL;
+
+    SELECT COALESCE(sum(amount - refunded_amount), 0), max(paid_on)
+    INTO v_paid, v_last_paid
+    FROM public.payments
+    WHERE fee_id = v_fee_id;
+
+    UPDATE public.fees
+    SET amount_paid = LEAST(v_paid, amount),
+        status = CASE
+          WHEN v_paid >= amount THEN 'Paid'::public.fee_status
+          WHEN status = 'Paid' THEN 'Due'::public.fee_status
+          ELSE status
+        END,
+        payment_date = CASE WHEN v_paid >= amount THEN v_last_paid ELSE NULL END
+    WHERE id = v_fee_id;
+  END LOOP;
+
+  RETURN NULL;
+END;
+$$;
+
+-- Step 4: Record the outcome of a provider callback. Safe to call more than once per order.
+CREATE OR REPLACE FUNCTION public.confirm_payment_order(
+  p_order_id uuid,
+  p_status text,
+  p_transaction_ref text DEFAULT NULL,
+  p_payment_method text DEFAULT NULL,
+  p_failure_reason text DEFAULT NULL
+)
+RETURNS public.payment_orders
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_order public.payment_orders%ROWTYPE;
+  v_payment_id uuid;
+BEGIN
+  SELECT * INTO v_order FROM public.payment_orders WHERE id = p_order_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Payment order % not found.', p_order_id;
+  END IF;
+
+  -- Final states never change again; duplicate or late callbacks are ignored.
+  IF v_order.status IN ('Succeeded', 'Failed', 'Refunded') THEN
+    RETURN v_order;
+  END IF;
+
+  IF p_status = 'Pending' THEN
+    UPDATE public.payment_orders SET status = 'Pending', updated_at = now()
+    WHERE id = p_order_id RETURNING * INTO v_order;
+    RETURN v_order;
+  END IF;
+
+  IF p_status = 'Failed' THEN
+    UPDATE public.payment_orders SET status = 'Failed', failure_reason = p_failure_reason, updated_at = now()
+    WHERE id = p_order_id RETURNING * INTO v_order;
+    RETURN v_order;
+  END IF;
+
+  IF p_status <> 'Succeeded' THEN
+    RAISE EXCEPTION 'Unknown payment status %.', p_status;
+  END IF;
+
+  IF p_transaction_ref IS NULL THEN
+    RAISE EXCEPTION 'A successful payment needs a transaction reference.';
+  END IF;
+
+  PERFORM 1 FROM public.fees WHERE id = v_order.fee_id FOR UPDATE;
+
+  -- The money has been taken, so the payment is always recorded. If the balance was
+  -- settled some other way in the meantime, the fee simply ends up fully paid.
+  INSERT INTO public.payments (fee_id, amount, paid_on, payment_method, provider, transaction_ref)
+  VALUES (v_order.fee_id, v_order.amount, now(), COALESCE(p_payment_method, 'Online'), v_order.provider, p_transaction_ref)
+  ON CONFLICT (provider, transaction_ref) WHERE transaction_ref IS NOT NULL DO NOTHING
+  RETURNING id INTO v_payment_id;
+
+  IF v_payment_id IS NULL THEN
+    SELECT id INTO v_payment_id FROM public.payments
+    WHERE provider = v_order.provider AND transaction_ref = p_transaction_ref;
+  END IF;
+
+  UPDATE public.payment_orders
+  SET status = 'Succeeded', payment_id = v_payment_id, failure_reason = NULL, updated_at = now()
+  WHERE id = p_order_id
+  RETURNING * INTO v_order;
+
+  RETURN v_order;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.confirm_payment_order(uuid, text, text, text, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.confirm_payment_order(uuid, text, text, text, text) TO service_role;
+
+-- Step 5: Direct payments are for the hostel office only.
+CREATE OR REPLACE FUNCTION public.process_fee_payment(p_fee_id uuid, p_amount numeric DEFAULT NULL)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_fee public.fees%ROWTYPE;
+  v_amount numeric;
+  v_payment_id uuid;
+BEGIN
+  IF NOT public.is_staff() THEN
+    RAISE EXCEPTION 'Online payments must be made through the payment gateway.';
+  END IF;
+
+  SELECT * INTO v_fee FROM public.fees WHERE id = p_fee_id FOR UPDATE;
+
+  IF NOT FOUND OR v_fee.status = 'Paid' OR v_fee.balance <= 0 THEN
+    RAISE EXCEPTION 'Fee record not found, or is already paid.';
+  END IF;
+
+  v_amount := round(COALESCE(p_amount, v_fee.balance), 2);
+  IF v_amount <= 0 THEN
+    RAISE EXCEPTION 'Payment amount must be greater than zero.';
+  END IF;
+  IF v_amount > v_fee.balance THEN
+    RAISE EXCEPTION 'Payment of % exceeds the outstanding balance of %.', v_amount, v_fee.balance;
+  END IF;
+
+  INSERT INTO public.payments (fee_id, amount, paid_on, payment_method)
+  VALUES (p_fee_id, v_amount, now(), 'Cash')
+  RETURNING id INTO v_payment_id;
+
+  RETURN v_payment_id;
+END;
+$$;
@@ -0,0 +1,309 @@
+/*
+# [Feature] Manual Payment Recording and Receipt Numbers
+Many parents pay cash or by bank transfer at the hostel office, but there was no way to record those payments. This migration adds `record_manual_payment` for Admin/Staff and gives every payment a sequential receipt number that restarts each financial year, for example `RCPT/2025-26/00042`.
+
+## Query Description:
+1. Creates `public.finance_settings`, a single-row table holding the first month of the financial year and the receipt number prefix.
+2. Adds `receipt_number`, `reference_number`, `notes` and `recorded_by` to `public.payments`.
+3. Creates `public.receipt_sequences` (last number issued per financial year) and a trigger that numbers each new payment. The number is taken inside the inserting transaction, so a failed insert rolls the counter back and no gaps appear.
+4. Numbers existing payments in the order they were made.
+5. Blocks deleting payments that have a receipt number, which would leave a gap. Refund them instead.
+6. Adds `record_manual_payment(...)` for cash, cheque and bank transfer payments.
+7. Updates `confirm_payment_order` so a repeated gateway callback cannot use up a receipt number.
+
+## Metadata:
+- Schema-Category: "Structural"
+- Impact-Level: "Medium"
+- Requires-Backup: true
+- Reversible: false
+
+## Structure Details:
+- Tables Created: `public.finance_settings`, `public.receipt_sequences`
+- Tables Modified: `public.payments` (adds `receipt_number`, `reference_number`, `notes`, `recorded_by`)
+- Functions Created: `public.financial_year_of(date)`, `public.assign_receipt_number()`, `public.prevent_receipted_payment_delete()`, `public.record_manual_payment(uuid, numeric, text, text, date, text)`
+- Functions Replaced: `public.confirm_payment_order(uuid, text, text, text, text)`
+- Triggers Created: `on_payment_assign_receipt`, `on_payment_delete_keep_receipts` on `public.payments`
+
+## Security Implications:
+- RLS Status: Enabled on both new tables.
+- Policy Changes: Yes. Admin/Staff can view finance settings and only Admins can change them. Receipt counters are only touched by the trigger.
+- Auth Requirements: `record_manual_payment` is `SECURITY DEFINER` and requires Admin/Staff.
+
+## Performance Impact:
+- Indexes: Unique index on `payments(receipt_number)`
+- Triggers: Added
+- Estimated Impact: Low. Payments in the same financial year are numbered one at a time.
+*/
+
+-- Step 1: Finance settings (a single row).
+CREATE TABLE IF NOT EXISTS public.finance_settings (
+    id boolean PRIMARY KEY DEFAULT true CHECK (id),
+    financial_year_start_month integer NOT NULL DEFAULT 4 CHECK (financial_year_start_month BETWEEN 1 AND 12),
+    receipt_prefix text NOT NULL DEFAULT 'RCPT',
+    updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+INSERT INTO public.finance_settings (id) VALUES (true) ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE public.finance_settings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins and Staff can view finance settings" ON public.finance_settings;
+DROP POLICY IF EXISTS "Admins can manage finance settings" ON public.finance_settings;
+
+CREATE POLICY "Admins and Staff can view finance settings" ON public.finance_settings
+  FOR SELECT USING (public.is_staff());
+
+CREATE POLICY "Admins can manage finance settings" ON public.finance_settings
+  FOR ALL USING (public.is_admin()) WITH CHECK (public.is_admin());
+
+-- Step 2: Office payment details.
+ALTER TABLE public.payments
+ADD COLUMN IF NOT EXISTS receipt_number text,
+ADD COLUMN IF NOT EXISTS reference_number text,
+ADD COLUMN IF NOT EXISTS notes text,
+ADD COLUMN IF NOT EXISTS recorded_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_payments_receipt_number ON public.payments(receipt_number);
+
+-- Step 3: Receipt numbering.
+CREATE TABLE IF NOT EXISTS public.receipt_sequences (
+    financial_year text PRIMARY KEY,
+    last_number integer NOT NULL DEFAULT 0
+);
+
+ALTER TABLE public.receipt_sequences ENABLE ROW LEVEL SECURITY;
+
+-- '2025-26' when the year starts in April, or '2025' when it starts in January.
+CREATE OR REPLACE FUNCTION public.financial_year_of(p_date date)
+RETURNS text
+LANGUAGE plpgsql
+STABLE
+SET search_path = public
+AS $$
+DECLARE
+  v_start_month integer;
+  v_start_year integer;
+BEGIN
+  SELECT financial_year_start_month INTO v_start_month FROM public.finance_settings WHERE id;
+  v_start_month := COALESCE(v_start_month, 4);
+
+  IF v_start_month = 1 THEN
+    RETURN to_char(p_date, 'YYYY');
+  END IF;
+
+  v_start_year := extract(year FROM p_date)::int - CASE WHEN extract(month FROM p_date) < v_start_month THEN 1 ELSE 0 END;
+  RETURN v_start_year || '-' || lpad(((v_start_year + 1) % 100)::text, 2, '0');
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.assign_receipt_number()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_year text := public.financial_year_of(NEW.paid_on::date);
+  v_prefix text;
+  v_number integer;
+BEGIN
+  IF NEW.receipt_number IS NOT NULL THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT receipt_prefix INTO v_prefix FROM public.finance_settings WHERE id;
+
+  -- The row lock taken here is held until the payment's transaction ends, which is what keeps the sequence gap-free.
+  INSERT INTO public.receipt_sequences (financial_year, last_number)
+  VALUES (v_year, 1)
+  ON CONFLICT (financial_year) DO UPDATE SET last_number = public.receipt_sequences.last_number + 1
+  RETURNING last_number INTO v_number;
+
+  NEW.receipt_number := format('%s/%s/%s', COALESCE(v_prefix, 'RCPT'), v_year, lpad(v_number::text, 5, '0'));
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_payment_assign_receipt ON public.payments;
+CREATE TRIGGER on_payment_assign_receipt
+  BEFORE INSERT ON public.payments
+  FOR EACH ROW
+  EXECUTE FUNCTION public.assign_receipt_number();
+
+-- Step 4: Number existing payments in the order they were made.
+DO $$
+DECLARE
+  v_payment record;
+  v_year text;
+  v_number integer;
+  v_prefix text;
+BEGIN
+  SELECT receipt_prefix INTO v_prefix FROM public.finance_settings WHERE id;
+  FOR v_payment IN SELECT id, paid_on FROM public.payments WHERE receipt_number IS NULL ORDER BY paid_on, id LOOP
+    v_year := public.financial_year_of(v_payment.paid_on::date);
+    INSERT INTO public.receipt_sequences (financial_year, last_number)
+    VALUES (v_year, 1)
+    ON CONFLICT (financial_year) DO UPDATE SET last_number = public.receipt_sequences.last_number + 1
+    RETURNING last_number INTO v_number;
+    UPDATE public.payments
+    SET receipt_number = format('%s/%s/%s', v_prefix, v_year, lpad(v_number::text, 5, '0'))
+    WHERE id = v_payment.id;
+  END LOOP;
+END;
+$$;
+
+-- Step 5: A receipt, once issued, stays on record.
+CREATE OR REPLACE FUNCTION public.prevent_receipted_payment_delete()
+RETURNS trigger
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+  IF OLD.receipt_number IS NOT NULL THEN
+    RAISE EXCEPTION 'Payment % has been receipted and cannot be deleted. Refund it instead.', OLD.receipt_number;
+  END IF;
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_payment_delete_keep_receipts ON public.payments;
+CREATE TRIGGER on_payment_delete_keep_receipts
+  BEFORE DELETE ON public.payments
+  FOR EACH ROW
+  EXECUTE FUNCTION public.prevent_receipted_payment_delete();
+
+-- Step 6: Payments taken at the hostel office.
+CREATE OR REPLACE FUNCTION public.record_manual_payment(
+  p_fee_id uuid,
+  p_amount numeric,
+  p_method text,
+  p_reference_number text DEFAULT NULL,
+  p_paid_on date DEFAULT current_date,
+  p_notes text DEFAULT NULL
+)
+RETURNS public.payments
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_fee public.fees%ROWTYPE;
+  v_payment public.payments%ROWTYPE;
+BEGIN
+  IF NOT public.is_staff() THEN
+    RAISE EXCEPTION 'Only Admin or Staff can record payments.';
+  END IF;
+
+  IF p_method NOT IN ('Cash', 'Cheque', 'Bank Transfer') THEN
+    RAISE EXCEPTION 'Unsupported payment method %.', p_method;
+  END IF;
+
+  IF p_method <> 'Cash' AND COALESCE(trim(p_reference_number), '') = '' THEN
+    RAISE EXCEPTION 'A reference number is required for % payments.', lower(p_method);
+  END IF;
+
+  IF p_paid_on > current_date THEN
+    RAISE EXCEPTION 'Payment date cannot be in the future.';
+  END IF;
+
+  SELECT * INTO v_fee FROM public.fees WHERE id = p_fee_id FOR UPDATE;
+  IF NOT FOUND OR v_fee.status = 'Paid' OR v_fee.balance <= 0 THEN
+    RAISE EXCEPTION 'Fee record not found, or is already paid.';
+  END IF;
+
+  IF p_amount IS NULL OR round(p_amount, 2) <= 0 THEN
+    RAISE EXCEPTION 'Payment amount must be greater than zero.';
+  END IF;
+  IF round(p_amount, 2) > v_fee.balance THEN
+    RAISE EXCEPTION 'Payment of % exceeds the outstanding balance of %.', round(p_amount, 2), v_fee.balance;
+  END IF;
+
+  INSERT INTO public.payments (fee_id, amount, paid_on, payment_method, reference_number, notes, recorded_by)
+  VALUES (
+    p_fee_id,
+    round(p_amount, 2),
+    -- Keep the time of day for payments recorded on the day they were made.
+    CASE WHEN p_paid_on = current_date THEN now() ELSE p_paid_on::timestamptz END,
+    p_method,
+    NULLIF(trim(p_reference_number), ''),
+    NULLIF(trim(p_notes), ''),
+    auth.uid()
+  )
+  RETURNING * INTO v_payment;
+
+  RETURN v_payment;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.record_manual_payment(uuid, numeric, text, text, date, text) TO authenticated;
+
+-- Step 7: Gateway callbacks must not consume receipt numbers for duplicate deliveries.
+CREATE OR REPLACE FUNCTION public.confirm_payment_order(
+  p_order_id uuid,
+  p_status text,
+  p_transaction_ref text DEFAULT NULL,
+  p_payment_method text DEFAULT NULL,
+  p_failure_reason text DEFAULT NULL
+)
+RETURNS public.payment_orders
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_order public.payment_orders%ROWTYPE;
+  v_payment_id uuid;
+BEGIN
+  SELECT * INTO v_order FROM public.payment_orders WHERE id = p_order_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Payment order % not found.', p_order_id;
+  END IF;
+
+  -- Final states never change again; duplicate or late callbacks are ignored.
+  IF v_order.status IN ('Succeeded', 'Failed', 'Refunded') THEN
+    RETURN v_order;
+  END IF;
+
+  IF p_status = 'Pending' THEN
+    UPDATE public.payment_orders SET status = 'Pending', updated_at = now()
+    WHERE id = p_order_id RETURNING * INTO v_order;
+    RETURN v_order;
+  END IF;
+
+  IF p_status = 'Failed' THEN
+    UPDATE public.payment_orders SET status = 'Failed', failure_reason = p_failure_reason, updated_at = now()
+    WHERE id = p_order_id RETURNING * INTO v_order;
+    RETURN v_order;
+  END IF;
+
+  IF p_status <> 'Succeeded' THEN
+    RAISE EXCEPTION 'Unknown payment status %.', p_status;
+  END IF;
+
+  IF p_transaction_ref IS NULL THEN
+    RAISE EXCEPTION 'A successful payment needs a transaction reference.';
+  END IF;
+
+  PERFORM 1 FROM public.fees WHERE id = v_order.fee_id FOR UPDATE;
+
+  -- Look before inserting rather than using ON CONFLICT: the receipt trigger runs before
+  -- conflict detection, so a skipped insert would still use up a receipt number.
+  SELECT id INTO v_payment_id FROM public.payments
+  WHERE provider = v_order.provider AND transaction_ref = p_transaction_ref;
+
+  -- The money has been taken, so the payment is always recorded. If the balance was
+  -- settled some other way in the meantime, the fee simply ends up fully paid.
+  IF v_payment_id IS NULL THEN
+    INSERT INTO public.payments (fee_id, amount, paid_on, payment_method, provider, transaction_ref)
+    VALUES (v_order.fee_id, v_order.amount, now(), COALESCE(p_payment_method, 'Online'), v_order.provider, p_transaction_ref)
+    RETURNING id INTO v_payment_id;
+  END IF;
+
+  UPDATE public.payment_orders
+  SET status = 'Succeeded', payment_id = v_payment_id, failure_reason = NULL, updated_at = now()
+  WHERE id = p_order_id
+  RETURNING * INTO v_order;
+
+  RETURN v_order;
+END;
+$$;
@@ -0,0 +1,190 @@
+/*
+# [Feature] Fee Receipts and Statements of Account
+Students regularly ask the office for receipts. This migration adds what the app needs to produce PDF receipts for every payment and statements of account for any date range. It also adds a verification code that anyone holding a printed document can check against the database.
+
+## Query Description:
+1. Adds hostel branding (name, address, phone, email) to `public.finance_settings` and lets every signed-in user read it, since students print documents too.
+2. Adds a unique `verification_code` to `public.payments` and backfills existing rows.
+3. Creates `public.issued_statements`, a record of every statement produced, with its totals and verification code.
+4. Adds `issue_statement(student_id, from, to)`, which computes the statement on the server (opening balance, charges, payments, closing balance), records it and returns it as JSON.
+5. Adds `verify_fee_document(code)`, callable without signing in, which confirms whether a receipt or statement is genuine.
+
+## Metadata:
+- Schema-Category: "Structural"
+- Impact-Level: "Low"
+- Requires-Backup: false
+- Reversible: true
+
+## Structure Details:
+- Tables Modified: `public.finance_settings` (branding columns), `public.payments` (adds `verification_code`)
+- Tables Created: `public.issued_statements`
+- Functions Created: `public.new_verification_code()`, `public.issue_statement(uuid, date, date)`, `public.verify_fee_document(text)`
+
+## Security Implications:
+- RLS Status: Enabled on `public.issued_statements`
+- Policy Changes: Yes. All signed-in users can read `finance_settings`. Students can view their own issued statements; Admin/Staff can view all.
+- Auth Requirements: `issue_statement` only lets students request their own statement. `verify_fee_document` is granted to `anon` and returns only the document number, date, amount and the student's name.
+
+## Performance Impact:
+- Indexes: Unique index on `payments(verification_code)` and `issued_statements(verification_code)`
+- Triggers: None
+- Estimated Impact: Low.
+*/
+
+-- Step 1: Branding for printed documents.
+ALTER TABLE public.finance_settings
+ADD COLUMN IF NOT EXISTS hostel_name text NOT NULL DEFAULT 'Smart Hostel',
+ADD COLUMN IF NOT EXISTS hostel_address text,
+ADD COLUMN IF NOT EXISTS hostel_phone text,
+ADD COLUMN IF NOT EXISTS hostel_email text;
+
+DROP POLICY IF EXISTS "Admins and Staff can view finance settings" ON public.finance_settings;
+DROP POLICY IF EXISTS "Authenticated users can view finance settings" ON public.finance_settings;
+CREATE POLICY "Authenticated users can view finance settings" ON public.finance_settings
+  FOR SELECT USING (auth.role() = 'authenticated');
+
+-- Step 2: Verification codes. Twelve hex characters, shown in groups of four on the documents.
+CREATE OR REPLACE FUNCTION public.new_verification_code()
+RETURNS text
+LANGUAGE sql
+VOLATILE
+SET search_path = public
+AS $$
+  SELECT upper(substr(replace(gen_random_uuid()::text, '-', ''), 1, 12));
+$$;
+
+ALTER TABLE public.payments
+ADD COLUMN IF NOT EXISTS verification_code text;
+
+UPDATE public.payments SET verification_code = public.new_verification_code() WHERE verification_code IS NULL;
+
+ALTER TABLE public.payments
+ALTER COLUMN verification_code SET DEFAULT public.new_verification_code(),
+ALTER COLUMN verification_code SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_payments_verification_code ON public.payments(verification_code);
+
+-- Step 3: Issued statements.
+CREATE TABLE IF NOT EXISTS public.issued_statements (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    student_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+    period_from date NOT NULL,
+    period_to date NOT NULL,
+    opening_balance numeric(10, 2) NOT NULL,
+    total_charges numeric(10, 2) NOT NULL,
+    total_payments numeric(10, 2) NOT NULL,
+    closing_balance numeric(10, 2) NOT NULL,
+    verification_code text NOT NULL UNIQUE DEFAULT public.new_verification_code(),
+    issued_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    issued_at timestamptz NOT NULL DEFAULT now(),
+    CHECK (period_from <= period_to)
+);
+
+CREATE INDEX IF NOT EXISTS idx_issued_statements_student ON public.issued_statements(student_id);
+
+ALTER TABLE public.issued_statements ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view relevant issued statements" ON public.issued_statements;
+CREATE POLICY "Users can view relevant issued statements" ON public.issued_statements
+  FOR SELECT USING (student_id = auth.uid() OR public.is_staff());
+
+-- Step 4: Statement of account. Fees count as charges on the day they were raised, payments
+-- (less any refunds) as credits on the day they were made.
+CREATE OR REPLACE FUNCTION public.issue_statement(p_student_id uuid, p_from date, p_to date)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_opening numeric;
+  v_charges numeric;
+  v_payments numeric;
+  v_entries jsonb;
+  v_statement public.issued_statements%ROWTYPE;
+BEGIN
+  IF p_student_id <> auth.uid() AND NOT public.is_staff() THEN
+    RAISE EXCEPTION 'You can only view your own statement.';
+  END IF;
+
+  IF p_from > p_to THEN
+    RAISE EXCEPTION 'The start date must be on or before the end date.';
+  END IF;
+
+  SELECT
+    COALESCE((SELECT sum(f.amount) FROM public.fees f
+              WHERE f.student_id = p_student_id AND f.created_at::date < p_from), 0)
+    - COALESCE((SELECT sum(p.amount - p.refunded_amount) FROM public.payments p JOIN public.fees f ON f.id = p.fee_id
+                WHERE f.student_id = p_student_id AND p.paid_on::date < p_from), 0)
+  INTO v_opening;
+
+  WITH entries AS (
+    SELECT f.created_at::date AS entry_date, f.created_at AS sort_key, 'Charge' AS kind,
+           COALESCE(f.description, 'Fee due ' || to_char(f.due_date, 'DD Mon YYYY')) AS description,
+           upper(substr(f.id::text, 1, 8)) AS reference,
+           f.amount AS debit, 0::numeric AS credit
+    FROM public.fees f
+    WHERE f.student_id = p_student_id AND f.created_at::date BETWEEN p_from AND p_to
+    UNION ALL
+    SELECT p.paid_on::date, p.paid_on, 'Payment',
+           'Payment (' || COALESCE(p.payment_method, 'Online') || ')'
+             || CASE WHEN p.refunded_amount > 0 THEN ', ' || to_char(p.refunded_amount, 'FM999999990.00') || ' refunded' ELSE '' END,
+           COALESCE(p.receipt_number, upper(substr(p.id::text, 1, 8))),
+           0, p.amount - p.refunded_amount
+    FROM public.payments p
+    JOIN public.fees f ON f.id = p.fee_id
+    WHERE f.student_id = p_student_id AND p.paid_on::date BETWEEN p_from AND p_to
+  )
+  SELECT
+    COALESCE(jsonb_agg(jsonb_build_object(
+      'date', entry_date, 'kind', kind, 'description', description,
+      'reference', reference, 'debit', debit, 'credit', credit
+    ) ORDER BY sort_key), '[]'::jsonb),
+    COALESCE(sum(debit), 0),
+    COALESCE(sum(credit), 0)
+  INTO v_entries, v_charges, v_payments
+  FROM entries;
+
+  INSERT INTO public.issued_statements (student_id, period_from, period_to, opening_balance, total_charges, total_payments, closing_balance, issued_by)
+  VALUES (p_student_id, p_from, p_to, v_opening, v_charges, v_payments, v_opening + v_charges - v_payments, auth.uid())
+  RETURNING * INTO v_statement;
+
+  RETURN jsonb_build_object(
+    'student_id', p_student_id,
+    'period_from', p_from,
+    'period_to', p_to,
+    'opening_balance', v_statement.opening_balance,
+    'total_charges', v_statement.total_charges,
+    'total_payments', v_statement.total_payments,
+    'closing_balance', v_statement.closing_balance,
+    'entries', v_entries,
+    'verification_code', v_statement.verification_code,
+    'issued_at', v_statement.issued_at
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.issue_statement(uuid, date, date) TO authenticated;
+
+-- Step 5: Public verification of printed documents.
+CREATE OR REPLACE FUNCTION public.verify_fee_document(p_code text)
+RETURNS TABLE (document_type text, document_number text, student_name text, amount numeric, document_date date)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT 'Receipt', p.receipt_number, pr.full_name, p.amount, p.paid_on::date
+  FROM public.payments p
+  JOIN public.fees f ON f.id = p.fee_id
+  JOIN public.profiles pr ON pr.id = f.student_id
+  WHERE p.verification_code = upper(replace(trim(p_code), '-', ''))
+  UNION ALL
+  SELECT 'Statement', to_char(s.period_from, 'DD Mon YYYY') || ' – ' || to_char(s.period_to, 'DD Mon YYYY'),
+         pr.full_name, s.closing_balance, s.issued_at::date
+  FROM public.issued_statements s
+  JOIN public.profiles pr ON pr.id = s.student_id
+  WHERE s.verification_code = upper(replace(trim(p_code), '-', ''));
+$$;
+
+GRANT EXECUTE ON FUNCTION public.verify_fee_document(text) TO anon, authenticated;
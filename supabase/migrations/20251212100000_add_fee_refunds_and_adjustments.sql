@@ -0,0 +1,452 @@
+/*
+# [Feature] Refunds, Waivers and Concessions
+Until now the only way to undo a payment or reduce what a student owes was to delete the fee, which wiped out its history. This migration keeps a proper record instead:
+- a refund is logged against the payment it reverses;
+- a waiver or concession (for example a scholarship) is logged against the fee it reduces.
+Every record carries a reason and the admin who approved it.
+
+## Query Description:
+1. Creates `public.payment_refunds`. A trigger keeps `payments.refunded_amount` equal to the sum of a payment's refunds, so the existing fee totals keep working. Refunds already made through the gateway are backfilled as refund rows. A refund also waives whatever it would otherwise reopen on the fee, so a refunded fee does not fall Due again (and pick up late penalties and reminders).
+2. Creates `public.fee_adjustments` (type 'Waiver' or 'Concession') and adds `amount_adjusted` to `public.fees`. The generated `balance` column now subtracts adjustments as well as payments.
+3. Replaces the payment trigger with `refresh_fee_totals(fee_id)`, which recalculates a fee from both its payments and its adjustments. A fee is 'Paid' once payments and adjustments together cover it. Adjustments settle installments in order, just like payments.
+4. Adds `apply_fee_adjustment(...)` and `record_refund(...)` for Admins. `record_refund` covers payments taken at the office; gateway payments are refunded through the `payments` Edge Function, which writes to the same table.
+5. Fees that have payments or adjustments can no longer be deleted.
+6. `issue_statement` now lists waivers, concessions and refunds as separate lines, each on the day it happened.
+
+## Metadata:
+- Schema-Category: "Structural"
+- Impact-Level: "Medium"
+- Requires-Backup: true
+- Reversible: false
+
+## Structure Details:
+- Tables Created: `public.payment_refunds`, `public.fee_adjustments`
+- Tables Modified: `public.fees` (adds `amount_adjusted`, redefines `balance`), `public.payments` (check on `refunded_amount`)
+- Types Created: `public.fee_adjustment_type`
+- Functions Created: `public.refresh_fee_totals(uuid)`, `public.sync_fee_totals()`, `public.sync_payment_refunded_amount()`, `public.prevent_fee_with_history_delete()`, `public.apply_fee_adjustment(uuid, fee_adjustment_type, numeric, text)`, `public.record_refund(uuid, numeric, text, text)`
+- Functions Replaced: `public.fee_next_due_date(uuid)`, `public.issue_statement(uuid, date, date)`
+- Functions Dropped: `public.sync_fee_payment_totals()`
+
+## Security Implications:
+- RLS Status: Enabled on both new tables
+- Policy Changes: Yes. Students can view refunds and adjustments on their own fees; Admin/Staff can view all. Rows are only written through the functions above or by the service role.
+- Auth Requirements: `apply_fee_adjustment` and `record_refund` require an Admin.
+
+## Performance Impact:
+- Indexes: Added on `payment_refunds(payment_id)` and `fee_adjustments(fee_id)`
+- Triggers: Added on `payment_refunds`, `fee_adjustments` and `fees` (delete guard); the payments trigger is replaced
+- Estimated Impact: Low.
+*/
+
+-- Step 1: Refund records.
+ALTER TABLE public.payments DROP CONSTRAINT IF EXISTS payments_refunded_amount_check;
+ALTER TABLE public.payments
+ADD CONSTRAINT payments_refunded_amount_check CHECK (refunded_amount >= 0 AND refunded_amount <= amount);
+
+CREATE TABLE IF NOT EXISTS public.payment_refunds (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    payment_id uuid NOT NULL REFERENCES public.payments(id) ON DELETE RESTRICT,
+    amount numeric(10, 2) NOT NULL CHECK (amount > 0),
+    refund_method text NOT NULL CHECK (refund_method IN ('Gateway', 'Cash', 'Cheque', 'Bank Transfer')),
+    provider_refund_ref text,
+    reason text NOT NULL CHECK (btrim(reason) <> ''),
+    approved_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    refunded_on timestamptz NOT NULL DEFAULT now(),
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_refunds_payment ON public.payment_refunds(payment_id);
+
+ALTER TABLE public.payment_refunds ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view relevant payment refunds" ON public.payment_refunds;
+CREATE POLICY "Users can view relevant payment refunds" ON public.payment_refunds
+  FOR SELECT USING (
+    public.is_staff()
+    OR EXISTS (
+      SELECT 1 FROM public.payments p JOIN public.fees f ON f.id = p.fee_id
+      WHERE p.id = payment_id AND f.student_id = auth.uid()
+    )
+  );
+
+-- Gateway refunds made before this migration only updated refunded_amount.
+INSERT INTO public.payment_refunds (payment_id, amount, refund_method, reason, refunded_on)
+SELECT p.id, p.refunded_amount, 'Gateway', 'Refunded before refund records were kept', p.paid_on
+FROM public.payments p
+WHERE p.refunded_amount > 0
+  AND NOT EXISTS (SELECT 1 FROM public.payment_refunds r WHERE r.payment_id = p.id);
+
+CREATE OR REPLACE FUNCTION public.sync_payment_refunded_amount()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_payment_id uuid := COALESCE(NEW.payment_id, OLD.payment_id);
+  v_fee public.fees%ROWTYPE;
+BEGIN
+  -- Updating the payment fires on_payment_change, which refreshes the fee.
+  UPDATE public.payments
+  SET refunded_amount = COALESCE((SELECT sum(amount) FROM public.payment_refunds WHERE payment_id = v_payment_id), 0)
+  WHERE id = v_payment_id;
+
+  -- Money handed back is no longer owed. Waive the part of the refund that reopened the fee;
+  -- a refunded overpayment reopens nothing and is left alone.
+  IF TG_OP = 'INSERT' THEN
+    SELECT f.* INTO v_fee
+    FROM public.fees f JOIN public.payments p ON p.fee_id = f.id
+    WHERE p.id = v_payment_id;
+
+    IF LEAST(NEW.amount, v_fee.balance) > 0 THEN
+      INSERT INTO public.fee_adjustments (fee_id, adjustment_type, amount, reason, approved_by)
+      VALUES (v_fee.id, 'Waiver', LEAST(NEW.amount, v_fee.balance), 'Cancelled by refund: ' || NEW.reason, NEW.approved_by);
+    END IF;
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_payment_refund_change ON public.payment_refunds;
+CREATE TRIGGER on_payment_refund_change
+  AFTER INSERT OR DELETE ON public.payment_refunds
+  FOR EACH ROW
+  EXECUTE FUNCTION public.sync_payment_refunded_amount();
+
+-- Step 2: Waivers and concessions.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'fee_adjustment_type') THEN
+    CREATE TYPE public.fee_adjustment_type AS ENUM ('Waiver', 'Concession');
+  END IF;
+END;
+$$;
+
+CREATE TABLE IF NOT EXISTS public.fee_adjustments (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    fee_id uuid NOT NULL REFERENCES public.fees(id) ON DELETE RESTRICT,
+    adjustment_type public.fee_adjustment_type NOT NULL,
+    amount numeric(10, 2) NOT NULL CHECK (amount > 0),
+    reason text NOT NULL CHECK (btrim(reason) <> ''),
+    approved_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_fee_adjustments_fee ON public.fee_adjustments(fee_id);
+
+ALTER TABLE public.fee_adjustments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view relevant fee adjustments" ON public.fee_adjustments;
+CREATE POLICY "Users can view relevant fee adjustments" ON public.fee_adjustments
+  FOR SELECT USING (
+    public.is_staff()
+    OR EXISTS (SELECT 1 FROM public.fees f WHERE f.id = fee_id AND f.student_id = auth.uid())
+  );
+
+ALTER TABLE public.fees
+ADD COLUMN IF NOT EXISTS amount_adjusted numeric(10, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE public.fees DROP COLUMN IF EXISTS balance;
+ALTER TABLE public.fees
+ADD COLUMN balance numeric(10, 2) GENERATED ALWAYS AS (amount - amount_adjusted - amount_paid) STORED;
+
+-- Step 3: One place that works out a fee's totals.
+CREATE OR REPLACE FUNCTION public.refresh_fee_totals(p_fee_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_paid numeric;
+  v_last_paid timestamptz;
+  v_adjusted numeric;
+BEGIN
+  SELECT COALESCE(sum(amount - refunded_amount), 0), max(paid_on)
+  INTO v_paid, v_last_paid
+  FROM public.payments
+  WHERE fee_id = p_fee_id;
+
+  SELECT COALESCE(sum(amount), 0) INTO v_adjusted
+  FROM public.fee_adjustments
+  WHERE fee_id = p_fee_id;
+
+  UPDATE public.fees
+  SET amount_adjusted = LEAST(v_adjusted, amount),
+      amount_paid = LEAST(v_paid, amount - LEAST(v_adjusted, amount)),
+      status = CASE
+        WHEN v_paid + v_adjusted >= amount THEN 'Paid'::public.fee_status
+        WHEN status = 'Paid' THEN 'Due'::public.fee_status
+        ELSE status
+      END,
+      payment_date = CASE WHEN v_paid + v_adjusted >= amount THEN v_last_paid ELSE NULL END
+  WHERE id = p_fee_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.sync_fee_totals()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_fee_id uuid;
+BEGIN
+  -- Used by both payments and fee_adjustments; an update may move a row between fees.
+  FOR v_fee_id IN SELECT DISTINCT unnest(ARRAY[NEW.fee_id, OLD.fee_id])
+  LOOP
+    CONTINUE WHEN v_fee_id IS NULL;
+    PERFORM public.refresh_fee_totals(v_fee_id);
+  END LOOP;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_payment_change ON public.payments;
+CREATE TRIGGER on_payment_change
+  AFTER INSERT OR UPDATE OR DELETE ON public.payments
+  FOR EACH ROW
+  EXECUTE FUNCTION public.sync_fee_totals();
+
+DROP TRIGGER IF EXISTS on_fee_adjustment_change ON public.fee_adjustments;
+CREATE TRIGGER on_fee_adjustment_change
+  AFTER INSERT OR UPDATE OR DELETE ON public.fee_adjustments
+  FOR EACH ROW
+  EXECUTE FUNCTION public.sync_fee_totals();
+
+DROP FUNCTION IF EXISTS public.sync_fee_payment_totals();
+
+CREATE OR REPLACE FUNCTION public.fee_next_due_date(p_fee_id uuid)
+RETURNS date
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  -- The due date of the first installment not covered by payments and adjustments so far,
+  -- or the fee's own due date when it has no installment plan.
+  SELECT COALESCE(
+    (
+      SELECT i.due_date
+      FROM (
+        SELECT due_date, sum(amount) OVER (ORDER BY installment_number) AS cumulative
+        FROM public.fee_installments
+        WHERE fee_id = p_fee_id
+      ) i
+      WHERE i.cumulative > f.amount_paid + f.amount_adjusted
+      ORDER BY i.due_date
+      LIMIT 1
+    ),
+    f.due_date
+  )
+  FROM public.fees f
+  WHERE f.id = p_fee_id;
+$$;
+
+-- Step 4: Admin actions.
+CREATE OR REPLACE FUNCTION public.apply_fee_adjustment(
+  p_fee_id uuid,
+  p_type public.fee_adjustment_type,
+  p_amount numeric,
+  p_reason text
+)
+RETURNS public.fee_adjustments
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_fee public.fees%ROWTYPE;
+  v_adjustment public.fee_adjustments%ROWTYPE;
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Only Admins can approve waivers and concessions.';
+  END IF;
+
+  IF COALESCE(btrim(p_reason), '') = '' THEN
+    RAISE EXCEPTION 'A reason is required.';
+  END IF;
+
+  SELECT * INTO v_fee FROM public.fees WHERE id = p_fee_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Fee record not found.';
+  END IF;
+
+  IF p_amount IS NULL OR round(p_amount, 2) <= 0 THEN
+    RAISE EXCEPTION 'Amount must be greater than zero.';
+  END IF;
+  IF round(p_amount, 2) > v_fee.balance THEN
+    RAISE EXCEPTION 'Amount of % exceeds the outstanding balance of %.', round(p_amount, 2), v_fee.balance;
+  END IF;
+
+  INSERT INTO public.fee_adjustments (fee_id, adjustment_type, amount, reason, approved_by)
+  VALUES (p_fee_id, p_type, round(p_amount, 2), btrim(p_reason), auth.uid())
+  RETURNING * INTO v_adjustment;
+
+  RETURN v_adjustment;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.apply_fee_adjustment(uuid, public.fee_adjustment_type, numeric, text) TO authenticated;
+
+-- Refunds paid out at the office. Gateway payments go back through the provider instead.
+CREATE OR REPLACE FUNCTION public.record_refund(
+  p_payment_id uuid,
+  p_amount numeric,
+  p_reason text,
+  p_method text DEFAULT 'Cash'
+)
+RETURNS public.payment_refunds
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_payment public.payments%ROWTYPE;
+  v_refund public.payment_refunds%ROWTYPE;
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Only Admins can issue refunds.';
+  END IF;
+
+  IF COALESCE(btrim(p_reason), '') = '' THEN
+    RAISE EXCEPTION 'A reason is required.';
+  END IF;
+
+  IF p_method NOT IN ('Cash', 'Cheque', 'Bank Transfer') THEN
+    RAISE EXCEPTION 'Unsupported refund method: %', p_method;
+  END IF;
+
+  SELECT * INTO v_payment FROM public.payments WHERE id = p_payment_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Payment not found.';
+  END IF;
+
+  IF v_payment.transaction_ref IS NOT NULL THEN
+    RAISE EXCEPTION 'Online payments must be refunded through the payment gateway.';
+  END IF;
+
+  IF p_amount IS NULL OR round(p_amount, 2) <= 0 THEN
+    RAISE EXCEPTION 'Refund amount must be greater than zero.';
+  END IF;
+  IF round(p_amount, 2) > v_payment.amount - v_payment.refunded_amount THEN
+    RAISE EXCEPTION 'Refund of % exceeds the refundable amount of %.', round(p_amount, 2), v_payment.amount - v_payment.refunded_amount;
+  END IF;
+
+  INSERT INTO public.payment_refunds (payment_id, amount, refund_method, reason, approved_by)
+  VALUES (p_payment_id, round(p_amount, 2), p_method, btrim(p_reason), auth.uid())
+  RETURNING * INTO v_refund;
+
+  RETURN v_refund;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.record_refund(uuid, numeric, text, text) TO authenticated;
+
+-- Step 5: Keep the history of settled fees.
+CREATE OR REPLACE FUNCTION public.prevent_fee_with_history_delete()
+RETURNS trigger
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM public.payments WHERE fee_id = OLD.id)
+     OR EXISTS (SELECT 1 FROM public.fee_adjustments WHERE fee_id = OLD.id) THEN
+    RAISE EXCEPTION 'This fee has payments or adjustments and cannot be deleted. Record a waiver or refund instead.';
+  END IF;
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS before_fee_delete ON public.fees;
+CREATE TRIGGER before_fee_delete
+  BEFORE DELETE ON public.fees
+  FOR EACH ROW
+  EXECUTE FUNCTION public.prevent_fee_with_history_delete();
+
+-- Step 6: Statements show each movement on its own date. Debits are charges and refunds,
+-- credits are payments, waivers and concessions.
+CREATE OR REPLACE FUNCTION public.issue_statement(p_student_id uuid, p_from date, p_to date)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_opening numeric;
+  v_charges numeric;
+  v_payments numeric;
+  v_entries jsonb;
+  v_statement public.issued_statements%ROWTYPE;
+BEGIN
+  IF p_student_id <> auth.uid() AND NOT public.is_staff() THEN
+    RAISE EXCEPTION 'You can only view your own statement.';
+  END IF;
+
+  IF p_from > p_to THEN
+    RAISE EXCEPTION 'The start date must be on or before the end date.';
+  END IF;
+
+  WITH entries AS (
+    SELECT f.created_at::date AS entry_date, f.created_at AS sort_key, 'Charge' AS kind,
+           COALESCE(f.description, 'Fee due ' || to_char(f.due_date, 'DD Mon YYYY')) AS description,
+           upper(substr(f.id::text, 1, 8)) AS reference,
+           f.amount AS debit, 0::numeric AS credit
+    FROM public.fees f
+    WHERE f.student_id = p_student_id
+    UNION ALL
+    SELECT a.created_at::date, a.created_at, a.adjustment_type::text,
+           a.adjustment_type::text || ': ' || a.reason,
+           upper(substr(a.fee_id::text, 1, 8)),
+           0, a.amount
+    FROM public.fee_adjustments a
+    JOIN public.fees f ON f.id = a.fee_id
+    WHERE f.student_id = p_student_id
+    UNION ALL
+    SELECT p.paid_on::date, p.paid_on, 'Payment',
+           'Payment (' || COALESCE(p.payment_method, 'Online') || ')',
+           COALESCE(p.receipt_number, upper(substr(p.id::text, 1, 8))),
+           0, p.amount
+    FROM public.payments p
+    JOIN public.fees f ON f.id = p.fee_id
+    WHERE f.student_id = p_student_id
+    UNION ALL
+    SELECT r.refunded_on::date, r.refunded_on, 'Refund',
+           'Refund (' || r.refund_method || '): ' || r.reason,
+           COALESCE(p.receipt_number, upper(substr(p.id::text, 1, 8))),
+           r.amount, 0
+    FROM public.payment_refunds r
+    JOIN public.payments p ON p.id = r.payment_id
+    JOIN public.fees f ON f.id = p.fee_id
+    WHERE f.student_id = p_student_id
+  )
+  SELECT
+    COALESCE(sum(debit - credit) FILTER (WHERE entry_date < p_from), 0),
+    COALESCE(jsonb_agg(jsonb_build_object(
+      'date', entry_date, 'kind', kind, 'description', description,
+      'reference', reference, 'debit', debit, 'credit', credit
+    ) ORDER BY sort_key) FILTER (WHERE entry_date >= p_from), '[]'::jsonb),
+    COALESCE(sum(debit) FILTER (WHERE entry_date >= p_from), 0),
+    COALESCE(sum(credit) FILTER (WHERE entry_date >= p_from), 0)
+  INTO v_opening, v_entries, v_charges, v_payments
+  FROM entries
+  WHERE entry_date <= p_to;
+
+  INSERT INTO public.issued_statements (student_id, period_from, period_to, opening_balance, total_charges, total_payments, closing_balance, issued_by)
+  VALUES (p_student_id, p_from, p_to, v_opening, v_charges, v_payments, v_opening + v_charges - v_payments, auth.uid())
+  RETURNING * INTO v_statement;
+
+  RETURN jsonb_build_object(
+    'student_id', p_student_id,
+    'period_from', p_from,
+    'period_to', p_to,
+    'opening_balance', v_statement.opening_balance,
+    'total_charges', v_statement.total_charges,
+    'total_payments', v_statement.total_payments,
+    'closing_balance', v_statement.closing_balance,
+    'entries', v_entries,
+    'verification_code', v_statement.verification_code,
+    'issued_at', v_statement.issued_at
+  );
+END;
+$$;
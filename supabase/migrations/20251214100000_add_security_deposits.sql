@@ -0,0 +1,289 @@
+/*
+# [Feature] Security Deposits
+Tracks the security deposit of every resident from allocation to checkout. `allocate_room` raises the deposit as an ordinary fee, so it is paid online or at the office like any other. The deposit is held while the student lives in the hostel. At checkout it is settled: damage found at the inspection is deducted, the rest is refunded to the student, and both are recorded.
+
+## Query Description:
+1. Adds `security_deposit_amount` and `security_deposit_due_days` to `public.finance_settings`. A deposit amount of 0 (the default) turns deposits off.
+2. Creates `public.security_deposits` (one per stay, linked to the fee that collects it) and `public.deposit_deductions` (damage charges found at checkout).
+3. A trigger on `public.fees` moves a deposit from 'Pending' to 'Held' once its fee is paid, and back if a payment is refunded.
+4. Replaces `allocate_room(student_id, room_id)`. It now also raises a deposit, unless the student already has one that has not been settled (for example when moving rooms).
+5. Adds `checkout_student(...)`, which ends the student's allocation and settles the deposit in one transaction:
+   - waives any part of the deposit that was never paid (Admins only);
+   - records the deductions, and records the amount refunded in `payment_refunds` against the deposit's payments, so collection reports net it out;
+   - raises a new fee for damage the deposit does not cover.
+
+## Metadata:
+- Schema-Category: "Structural"
+- Impact-Level: "Medium"
+- Requires-Backup: false
+- Reversible: true
+
+## Structure Details:
+- Tables Modified: `public.finance_settings` (deposit settings)
+- Tables Created: `public.security_deposits`, `public.deposit_deductions`
+- Types Created: `public.security_deposit_status`
+- Functions Created: `public.sync_security_deposit_status()`, `public.checkout_student(uuid, jsonb, text, text, text)`
+- Functions Replaced: `public.allocate_room(uuid, uuid)`
+
+## Security Implications:
+- RLS Status: Enabled on both new tables
+- Policy Changes: Yes. Students can view their own deposits and deductions; Admin/Staff can view all. Rows are only written by the functions above.
+- Auth Requirements: `allocate_room` and `checkout_student` require Admin or Staff. Checking out a student whose deposit is not fully paid waives the rest, which requires an Admin.
+
+## Performance Impact:
+- Indexes: Added on `security_deposits(student_id)` and `deposit_deductions(deposit_id)`; partial unique index so a student has at most one unsettled deposit
+- Triggers: Added on `public.fees` (status changes only)
+- Estimated Impact: Low.
+*/
+
+-- Step 1: Settings.
+ALTER TABLE public.finance_settings
+ADD COLUMN IF NOT EXISTS security_deposit_amount numeric(10, 2) NOT NULL DEFAULT 0 CHECK (security_deposit_amount >= 0),
+ADD COLUMN IF NOT EXISTS security_deposit_due_days integer NOT NULL DEFAULT 7 CHECK (security_deposit_due_days BETWEEN 0 AND 90);
+
+-- Step 2: Deposits and deductions.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'security_deposit_status') THEN
+    CREATE TYPE public.security_deposit_status AS ENUM ('Pending', 'Held', 'Settled');
+  END IF;
+END;
+$$;
+
+CREATE TABLE IF NOT EXISTS public.security_deposits (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    student_id uuid NOT NULL REFERENCES public.students(id) ON DELETE CASCADE,
+    allocation_id uuid REFERENCES public.room_allocations(id) ON DELETE SET NULL,
+    fee_id uuid NOT NULL REFERENCES public.fees(id) ON DELETE RESTRICT,
+    amount numeric(10, 2) NOT NULL CHECK (amount > 0),
+    status public.security_deposit_status NOT NULL DEFAULT 'Pending',
+    damage_charges numeric(10, 2) NOT NULL DEFAULT 0,
+    refund_amount numeric(10, 2),
+    refund_method text CHECK (refund_method IN ('Cash', 'Cheque', 'Bank Transfer')),
+    refund_reference text,
+    settlement_notes text,
+    damage_fee_id uuid REFERENCES public.fees(id) ON DELETE SET NULL,
+    settled_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+    settled_at timestamptz,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_security_deposits_student ON public.security_deposits(student_id);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_security_deposits_open ON public.security_deposits(student_id) WHERE status <> 'Settled';
+
+CREATE TABLE IF NOT EXISTS public.deposit_deductions (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    deposit_id uuid NOT NULL REFERENCES public.security_deposits(id) ON DELETE CASCADE,
+    description text NOT NULL CHECK (btrim(description) <> ''),
+    amount numeric(10, 2) NOT NULL CHECK (amount > 0),
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_deposit_deductions_deposit ON public.deposit_deductions(deposit_id);
+
+ALTER TABLE public.security_deposits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.deposit_deductions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view relevant security deposits" ON public.security_deposits;
+CREATE POLICY "Users can view relevant security deposits" ON public.security_deposits
+  FOR SELECT USING (student_id = auth.uid() OR public.is_staff());
+
+DROP POLICY IF EXISTS "Users can view relevant deposit deductions" ON public.deposit_deductions;
+CREATE POLICY "Users can view relevant deposit deductions" ON public.deposit_deductions
+  FOR SELECT USING (
+    public.is_staff()
+    OR EXISTS (SELECT 1 FROM public.security_deposits d WHERE d.id = deposit_id AND d.student_id = auth.uid())
+  );
+
+-- Step 3: A deposit is held once the fee collecting it is paid.
+CREATE OR REPLACE FUNCTION public.sync_security_deposit_status()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE public.security_deposits
+  SET status = CASE WHEN NEW.status = 'Paid' THEN 'Held'::public.security_deposit_status ELSE 'Pending'::public.security_deposit_status END
+  WHERE fee_id = NEW.id AND status <> 'Settled';
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_deposit_fee_status_change ON public.fees;
+CREATE TRIGGER on_deposit_fee_status_change
+  AFTER UPDATE OF status ON public.fees
+  FOR EACH ROW
+  WHEN (OLD.status IS DISTINCT FROM NEW.status)
+  EXECUTE FUNCTION public.sync_security_deposit_status();
+
+-- Step 4: Raise the deposit on allocation.
+CREATE OR REPLACE FUNCTION public.allocate_room(p_student_id uuid, p_room_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_allocation_id uuid;
+  v_settings public.finance_settings%ROWTYPE;
+  v_fee_id uuid;
+BEGIN
+  IF NOT public.is_staff() THEN
+    RAISE EXCEPTION 'Only Admins and Staff can allocate rooms.';
+  END IF;
+
+  -- Deactivate any previous active allocation for the student
+  UPDATE public.room_allocations
+  SET is_active = false, end_date = now()
+  WHERE student_id = p_student_id AND is_active = true;
+
+  -- Create new active allocation
+  INSERT INTO public.room_allocations (student_id, room_id, start_date, is_active)
+  VALUES (p_student_id, p_room_id, now(), true)
+  RETURNING id INTO v_allocation_id;
+
+  -- The trigger on room_allocations will handle updating the room status and occupancy.
+
+  -- A student moving rooms keeps the deposit they already have.
+  SELECT * INTO v_settings FROM public.finance_settings WHERE id;
+  IF COALESCE(v_settings.security_deposit_amount, 0) > 0
+     AND NOT EXISTS (SELECT 1 FROM public.security_deposits WHERE student_id = p_student_id AND status <> 'Settled') THEN
+    INSERT INTO public.fees (student_id, amount, due_date, status, description)
+    VALUES (p_student_id, v_settings.security_deposit_amount, current_date + v_settings.security_deposit_due_days, 'Due', 'Security deposit')
+    RETURNING id INTO v_fee_id;
+
+    INSERT INTO public.security_deposits (student_id, allocation_id, fee_id, amount)
+    VALUES (p_student_id, v_allocation_id, v_fee_id, v_settings.security_deposit_amount);
+  END IF;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.allocate_room(uuid, uuid) TO authenticated;
+
+-- Step 5: Checkout. p_deductions is a JSON array of { "description": "Broken chair", "amount": 40 }.
+CREATE OR REPLACE FUNCTION public.checkout_student(
+  p_student_id uuid,
+  p_deductions jsonb DEFAULT '[]'::jsonb,
+  p_refund_method text DEFAULT 'Cash',
+  p_refund_reference text DEFAULT NULL,
+  p_notes text DEFAULT NULL
+)
+RETURNS public.security_deposits
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_deposit public.security_deposits%ROWTYPE;
+  v_fee public.fees%ROWTYPE;
+  v_damages numeric;
+  v_deducted numeric := 0;
+  v_refund numeric := 0;
+  v_remaining numeric;
+  v_payment public.payments%ROWTYPE;
+  v_damage_fee_id uuid;
+BEGIN
+  IF NOT public.is_staff() THEN
+    RAISE EXCEPTION 'Only Admins and Staff can check students out.';
+  END IF;
+
+  IF jsonb_typeof(COALESCE(p_deductions, '[]'::jsonb)) <> 'array' THEN
+    RAISE EXCEPTION 'Deductions must be a list.';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM jsonb_array_elements(COALESCE(p_deductions, '[]'::jsonb)) d
+    WHERE COALESCE(btrim(d->>'description'), '') = '' OR COALESCE((d->>'amount')::numeric, 0) <= 0
+  ) THEN
+    RAISE EXCEPTION 'Each deduction needs a description and an amount greater than zero.';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM public.room_allocations WHERE student_id = p_student_id AND is_active = true) THEN
+    RAISE EXCEPTION 'This student has no active room allocation.';
+  END IF;
+
+  UPDATE public.room_allocations
+  SET is_active = false, end_date = now()
+  WHERE student_id = p_student_id AND is_active = true;
+
+  SELECT COALESCE(sum(round((d->>'amount')::numeric, 2)), 0) INTO v_damages
+  FROM jsonb_array_elements(COALESCE(p_deductions, '[]'::jsonb)) d;
+
+  SELECT * INTO v_deposit
+  FROM public.security_deposits
+  WHERE student_id = p_student_id AND status <> 'Settled'
+  FOR UPDATE;
+
+  IF FOUND THEN
+    SELECT * INTO v_fee FROM public.fees WHERE id = v_deposit.fee_id FOR UPDATE;
+
+    -- Whatever was never paid towards the deposit is no longer owed.
+    IF v_fee.balance > 0 THEN
+      IF NOT public.is_admin() THEN
+        RAISE EXCEPTION 'The security deposit is not fully paid. Only Admins can waive the rest at checkout.';
+      END IF;
+      INSERT INTO public.fee_adjustments (fee_id, adjustment_type, amount, reason, approved_by)
+      VALUES (v_fee.id, 'Waiver', v_fee.balance, 'Unpaid security deposit cancelled at checkout', auth.uid());
+    END IF;
+
+    -- Damage is taken from the money actually held; the rest goes back to the student.
+    v_deducted := LEAST(v_damages, v_fee.amount_paid);
+    v_refund := v_fee.amount_paid - v_deducted;
+
+    INSERT INTO public.deposit_deductions (deposit_id, description, amount)
+    SELECT v_deposit.id, btrim(d->>'description'), round((d->>'amount')::numeric, 2)
+    FROM jsonb_array_elements(COALESCE(p_deductions, '[]'::jsonb)) d;
+
+    -- Pay the refund back against the deposit's payments, oldest first.
+    v_remaining := v_refund;
+    FOR v_payment IN
+      SELECT * FROM public.payments
+      WHERE fee_id = v_fee.id AND amount > refunded_amount
+      ORDER BY paid_on, id
+    LOOP
+      EXIT WHEN v_remaining <= 0;
+      INSERT INTO public.payment_refunds (payment_id, amount, refund_method, reason, approved_by)
+      VALUES (v_payment.id, LEAST(v_remaining, v_payment.amount - v_payment.refunded_amount), p_refund_method,
+              'Security deposit refunded at checkout', auth.uid());
+      v_remaining := v_remaining - LEAST(v_remaining, v_payment.amount - v_payment.refunded_amount);
+    END LOOP;
+  END IF;
+
+  IF v_damages > v_deducted THEN
+    INSERT INTO public.fees (student_id, amount, due_date, status, description)
+    VALUES (
+      p_student_id,
+      v_damages - v_deducted,
+      current_date + 7,
+      'Due',
+      'Damage charges at checkout: ' || (
+        SELECT string_agg(btrim(d->>'description'), ', ')
+        FROM jsonb_array_elements(p_deductions) d
+      )
+    )
+    RETURNING id INTO v_damage_fee_id;
+  END IF;
+
+  IF v_deposit.id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE public.security_deposits
+  SET status = 'Settled',
+      damage_charges = v_damages,
+      refund_amount = v_refund,
+      refund_method = CASE WHEN v_refund > 0 THEN p_refund_method END,
+      refund_reference = CASE WHEN v_refund > 0 THEN NULLIF(btrim(p_refund_reference), '') END,
+      settlement_notes = NULLIF(btrim(p_notes), ''),
+      damage_fee_id = v_damage_fee_id,
+      settled_by = auth.uid(),
+      settled_at = now()
+  WHERE id = v_deposit.id
+  RETURNING * INTO v_deposit;
+
+  RETURN v_deposit;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.checkout_student(uuid, jsonb, text, text, text) TO authenticated;
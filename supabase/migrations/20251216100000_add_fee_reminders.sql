@@ -0,0 +1,194 @@
+/*
+# [Feature] Fee Reminders for Upcoming and Overdue Dues
+Students only found out about dues when they opened My Fees. This migration adds configurable reminder rules (for example 7 days before the due date, on the due date, and every 3 days while overdue) and a daily job that turns them into reminders. Each reminder is shown to the student in the app and, if the rule says so, queued for the `send-fee-reminders` Edge Function, which delivers it through the same pluggable transports as guardian notifications. Every reminder is kept as a log row.
+
+## Query Description:
+1. Creates `public.fee_reminder_rules`. A rule fires `offset_days` relative to a fee's next due date (negative is before, 0 is on the day, positive is after) and, when `repeat_every_days` is set, keeps firing at that interval while the fee stays unpaid. Three default rules are added if none exist.
+2. Creates `public.fee_reminders`, the reminder log. `read_at` tracks the in-app notice; `status`, `transport`, `attempts` and `last_error` track the outbound message (NULL status when the rule is in-app only). A `dedupe_key` keeps a rule from reminding about the same fee twice on one day.
+3. Adds `queue_fee_reminders(run_date)`, which evaluates the active rules against every unpaid fee (using the next unpaid installment's due date) and returns how many reminders were created. It is safe to run repeatedly.
+4. Adds `mark_fee_reminders_read()` so students can dismiss their in-app reminders.
+5. If the `pg_cron` extension is enabled, schedules the job daily after the overdue check.
+This operation is non-destructive.
+
+## Metadata:
+- Schema-Category: "Structural"
+- Impact-Level: "Low"
+- Requires-Backup: false
+- Reversible: true
+
+## Structure Details:
+- Tables Created: `public.fee_reminder_rules`, `public.fee_reminders`
+- Functions Created: `public.queue_fee_reminders(date)`, `public.mark_fee_reminders_read()`
+
+## Security Implications:
+- RLS Status: Enabled on both new tables
+- Policy Changes: Yes. Admin/Staff can view rules and the log; only Admins can change rules or edit log rows. Students can view their own reminders. The Edge Function uses the service role and bypasses RLS.
+- Auth Requirements: `queue_fee_reminders` only runs for Admins, the service role or pg_cron. EXECUTE is revoked from `anon`.
+
+## Performance Impact:
+- Indexes: Added on `fee_reminders(status, created_at)`, `(student_id, created_at)` and `(fee_id)`
+- Triggers: None
+- Estimated Impact: Low. The job reads unpaid fees once per active rule.
+*/
+
+-- Step 1: Reminder rules.
+CREATE TABLE IF NOT EXISTS public.fee_reminder_rules (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    name text NOT NULL CHECK (btrim(name) <> ''),
+    offset_days integer NOT NULL CHECK (offset_days BETWEEN -60 AND 60),
+    repeat_every_days integer CHECK (repeat_every_days BETWEEN 1 AND 60),
+    send_message boolean NOT NULL DEFAULT true,
+    is_active boolean NOT NULL DEFAULT true,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+INSERT INTO public.fee_reminder_rules (name, offset_days, repeat_every_days)
+SELECT name, offset_days, repeat_every_days
+FROM (VALUES
+  ('A week before the due date', -7, NULL::integer),
+  ('On the due date', 0, NULL::integer),
+  ('Every 3 days while overdue', 1, 3)
+) AS defaults(name, offset_days, repeat_every_days)
+WHERE NOT EXISTS (SELECT 1 FROM public.fee_reminder_rules);
+
+ALTER TABLE public.fee_reminder_rules ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins and Staff can view fee reminder rules" ON public.fee_reminder_rules;
+DROP POLICY IF EXISTS "Admins can manage fee reminder rules" ON public.fee_reminder_rules;
+
+CREATE POLICY "Admins and Staff can view fee reminder rules" ON public.fee_reminder_rules
+  FOR SELECT USING (public.is_staff());
+
+CREATE POLICY "Admins can manage fee reminder rules" ON public.fee_reminder_rules
+  FOR ALL USING (public.is_admin()) WITH CHECK (public.is_admin());
+
+-- Step 2: Reminder log.
+CREATE TABLE IF NOT EXISTS public.fee_reminders (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    fee_id uuid NOT NULL REFERENCES public.fees(id) ON DELETE CASCADE,
+    student_id uuid NOT NULL REFERENCES public.students(id) ON DELETE CASCADE,
+    rule_id uuid REFERENCES public.fee_reminder_rules(id) ON DELETE SET NULL,
+    due_date date NOT NULL,
+    amount_due numeric(10, 2) NOT NULL,
+    message text NOT NULL,
+    read_at timestamptz,
+    recipient_name text,
+    recipient_phone text,
+    recipient_email text,
+    status public.notification_status,
+    transport text,
+    attempts integer NOT NULL DEFAULT 0,
+    last_error text,
+    dedupe_key text NOT NULL UNIQUE,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    sent_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_fee_reminders_status ON public.fee_reminders(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_fee_reminders_student ON public.fee_reminders(student_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_fee_reminders_fee ON public.fee_reminders(fee_id);
+
+ALTER TABLE public.fee_reminders ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Students can view their own fee reminders" ON public.fee_reminders;
+DROP POLICY IF EXISTS "Admins and Staff can view fee reminders" ON public.fee_reminders;
+DROP POLICY IF EXISTS "Admins can manage fee reminders" ON public.fee_reminders;
+
+CREATE POLICY "Students can view their own fee reminders" ON public.fee_reminders
+  FOR SELECT USING (student_id = auth.uid());
+
+CREATE POLICY "Admins and Staff can view fee reminders" ON public.fee_reminders
+  FOR SELECT USING (public.is_staff());
+
+CREATE POLICY "Admins can manage fee reminders" ON public.fee_reminders
+  FOR ALL USING (public.is_admin()) WITH CHECK (public.is_admin());
+
+-- Step 3: The reminder job.
+CREATE OR REPLACE FUNCTION public.queue_fee_reminders(p_run_date date DEFAULT current_date)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_queued integer := 0;
+BEGIN
+  IF NOT public.is_admin_or_scheduled_job() THEN
+    RAISE EXCEPTION 'Only Admins can run fee reminders.';
+  END IF;
+
+  INSERT INTO public.fee_reminders (
+    fee_id, student_id, rule_id, due_date, amount_due, message,
+    recipient_name, recipient_phone, recipient_email, status, dedupe_key
+  )
+  SELECT
+    d.fee_id,
+    d.student_id,
+    r.id,
+    d.due_date,
+    d.balance,
+    format('%s of %s %s. Please pay from My Fees or at the hostel office.',
+           d.label,
+           to_char(d.balance, 'FM999,999,999,990.00'),
+           CASE
+             WHEN p_run_date < d.due_date THEN format('is due on %s', to_char(d.due_date, 'DD Mon YYYY'))
+             WHEN p_run_date = d.due_date THEN 'is due today'
+             ELSE format('was due on %s and is %s day(s) overdue', to_char(d.due_date, 'DD Mon YYYY'), p_run_date - d.due_date)
+           END),
+    d.full_name,
+    d.contact,
+    d.email,
+    CASE WHEN r.send_message THEN 'Pending'::public.notification_status END,
+    format('%s:%s:%s', r.id, d.fee_id, p_run_date)
+  FROM (
+    SELECT
+      f.id AS fee_id,
+      f.student_id,
+      f.balance,
+      public.fee_next_due_date(f.id) AS due_date,
+      COALESCE(f.description, 'Your hostel fee') AS label,
+      s.full_name,
+      s.contact,
+      s.email
+    FROM public.fees f
+    JOIN public.students s ON s.id = f.student_id
+    WHERE f.status IN ('Due', 'Overdue')
+      AND f.balance > 0
+  ) d
+  JOIN public.fee_reminder_rules r ON r.is_active
+  WHERE p_run_date - d.due_date = r.offset_days
+     OR (r.repeat_every_days IS NOT NULL
+         AND p_run_date - d.due_date > r.offset_days
+         AND (p_run_date - d.due_date - r.offset_days) % r.repeat_every_days = 0)
+  ON CONFLICT (dedupe_key) DO NOTHING;
+  GET DIAGNOSTICS v_queued = ROW_COUNT;
+
+  RETURN v_queued;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.queue_fee_reminders(date) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.queue_fee_reminders(date) TO authenticated;
+
+-- Step 4: Students dismiss their in-app reminders.
+CREATE OR REPLACE FUNCTION public.mark_fee_reminders_read()
+RETURNS void
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  UPDATE public.fee_reminders
+  SET read_at = now()
+  WHERE student_id = auth.uid() AND read_at IS NULL;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.mark_fee_reminders_read() TO authenticated;
+
+-- Step 5: Run daily where pg_cron is available, after the overdue check.
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+    PERFORM cron.schedule('queue-fee-reminders', '45 0 * * *', 'SELECT public.queue_fee_reminders(current_date)');
+  END IF;
+END;
+$$;
@@ -0,0 +1,145 @@
+/*
+# [Feature] Hostel Currency and Locale
+Amounts were shown with a hard-coded `$` although the hostel bills in rupees. This migration stores the billing currency and the display locale in `finance_settings`, so the app can format money and dates with Intl, and makes the server-generated text (fee reminders, document verification) use the same currency.
+
+## Query Description:
+1. Adds `currency` (ISO 4217 code, default 'INR') and `locale` (BCP 47 tag, default 'en-IN') to `public.finance_settings`.
+2. Adds `format_money(amount)`, which renders an amount with the configured currency code for messages built in SQL.
+3. Replaces `queue_fee_reminders(run_date)` so reminder messages use `format_money`.
+4. Re-creates `verify_fee_document(code)` with an extra `currency` column, so the public verification page can show the amount in the hostel's currency.
+This operation is non-destructive. Existing amounts are not converted; only how they are displayed changes.
+
+## Metadata:
+- Schema-Category: "Structural"
+- Impact-Level: "Low"
+- Requires-Backup: false
+- Reversible: true
+
+## Structure Details:
+- Tables Modified: `public.finance_settings` (adds `currency`, `locale`)
+- Functions Created: `public.format_money(numeric)`
+- Functions Replaced: `public.queue_fee_reminders(date)`, `public.verify_fee_document(text)` (return type gains `currency`)
+
+## Security Implications:
+- RLS Status: Unchanged
+- Policy Changes: No. All signed-in users can already read `finance_settings`; only Admins can change it.
+- Auth Requirements: `verify_fee_document` stays granted to `anon` and now also returns the currency code. `queue_fee_reminders` still only runs for Admins, the service role or pg_cron.
+
+## Performance Impact:
+- Indexes: None
+- Triggers: None
+- Estimated Impact: Negligible.
+*/
+
+-- Step 1: Currency and locale.
+ALTER TABLE public.finance_settings
+ADD COLUMN IF NOT EXISTS currency text NOT NULL DEFAULT 'INR' CHECK (currency ~ '^[A-Z]{3}$'),
+ADD COLUMN IF NOT EXISTS locale text NOT NULL DEFAULT 'en-IN' CHECK (locale ~ '^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$');
+
+-- Step 2: Money in server-generated text. The code is used rather than a symbol so it reads
+-- the same in email, SMS and any font.
+CREATE OR REPLACE FUNCTION public.format_money(p_amount numeric)
+RETURNS text
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT COALESCE((SELECT currency FROM public.finance_settings WHERE id), 'INR')
+         || ' ' || to_char(p_amount, 'FM999,999,999,990.00');
+$$;
+
+-- Step 3: Fee reminders use the configured currency.
+CREATE OR REPLACE FUNCTION public.queue_fee_reminders(p_run_date date DEFAULT current_date)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_queued integer := 0;
+BEGIN
+  IF NOT public.is_admin_or_scheduled_job() THEN
+    RAISE EXCEPTION 'Only Admins can run fee reminders.';
+  END IF;
+
+  INSERT INTO public.fee_reminders (
+    fee_id, student_id, rule_id, due_date, amount_due, message,
+    recipient_name, recipient_phone, recipient_email, status, dedupe_key
+  )
+  SELECT
+    d.fee_id,
+    d.student_id,
+    r.id,
+    d.due_date,
+    d.balance,
+    format('%s of %s %s. Please pay from My Fees or at the hostel office.',
+           d.label,
+           public.format_money(d.balance),
+           CASE
+             WHEN p_run_date < d.due_date THEN format('is due on %s', to_char(d.due_date, 'DD Mon YYYY'))
+             WHEN p_run_date = d.due_date THEN 'is due today'
+             ELSE format('was due on %s and is %s day(s) overdue', to_char(d.due_date, 'DD Mon YYYY'), p_run_date - d.due_date)
+           END),
+    d.full_name,
+    d.contact,
+    d.email,
+    CASE WHEN r.send_message THEN 'Pending'::public.notification_status END,
+    format('%s:%s:%s', r.id, d.fee_id, p_run_date)
+  FROM (
+    SELECT
+      f.id AS fee_id,
+      f.student_id,
+      f.balance,
+      public.fee_next_due_date(f.id) AS due_date,
+      COALESCE(f.description, 'Your hostel fee') AS label,
+      s.full_name,
+      s.contact,
+      s.email
+    FROM public.fees f
+    JOIN public.students s ON s.id = f.student_id
+    WHERE f.status IN ('Due', 'Overdue')
+      AND f.balance > 0
+  ) d
+  JOIN public.fee_reminder_rules r ON r.is_active
+  WHERE p_run_date - d.due_date = r.offset_days
+     OR (r.repeat_every_days IS NOT NULL
+         AND p_run_date - d.due_date > r.offset_days
+         AND (p_run_date - d.due_date - r.offset_days) % r.repeat_every_days = 0)
+  ON CONFLICT (dedupe_key) DO NOTHING;
+  GET DIAGNOSTICS v_queued = ROW_COUNT;
+
+  RETURN v_queued;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.queue_fee_reminders(date) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.queue_fee_reminders(date) TO authenticated;
+
+-- Step 4: Verification returns the currency with the amount. The return type changes, so the
+-- function has to be dropped first.
+DROP FUNCTION IF EXISTS public.verify_fee_document(text);
+
+CREATE FUNCTION public.verify_fee_document(p_code text)
+RETURNS TABLE (document_type text, document_number text, student_name text, amount numeric, document_date date, currency text)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT d.*, COALESCE((SELECT fs.currency FROM public.finance_settings fs WHERE fs.id), 'INR')
+  FROM (
+    SELECT 'Receipt', p.receipt_number, pr.full_name, p.amount, p.paid_on::date
+    FROM public.payments p
+    JOIN public.fees f ON f.id = p.fee_id
+    JOIN public.profiles pr ON pr.id = f.student_id
+    WHERE p.verification_code = upper(replace(trim(p_code), '-', ''))
+    UNION ALL
+    SELECT 'Statement', to_char(s.period_from, 'DD Mon YYYY') || ' – ' || to_char(s.period_to, 'DD Mon YYYY'),
+           pr.full_name, s.closing_balance, s.issued_at::date
+    FROM public.issued_statements s
+    JOIN public.profiles pr ON pr.id = s.student_id
+    WHERE s.verification_code = upper(replace(trim(p_code), '-', ''))
+  ) d;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.verify_fee_document(text) TO anon, authenticated;
@@ -0,0 +1,296 @@
+/*
+# [Feature] Bed-Level Room Inventory
+Rooms only had a `type` and an `occupants` number, and `update_room_occupancy` treated that number as the capacity without knowing how many beds a Double or Triple really has. Nothing stopped a room from being allocated beyond it. This migration gives every room an explicit set of beds, takes the number of beds from a capacity per room type, and assigns every allocation to a specific bed, so a room can no longer be over-allocated.
+
+## Query Description:
+1. Creates `public.room_type_capacities` (beds per room type; Single 1, Double 2, Triple 3 by default).
+2. Creates `public.beds`, one row per bed (labelled A, B, C, ...). `sync_room_beds(room_id)` adds or removes free beds so a room matches its type's capacity; it runs when a room is added or its type changes, and for every room of a type when that type's capacity changes. It refuses to remove a bed that is in use.
+3. Adds `room_allocations.bed_id`, with a unique index so a bed can only have one active allocation. Existing rooms get their beds and existing active allocations are placed on them in order.
+4. `rooms.occupants` now holds the number of students living in the room. `update_room_occupancy(room_id)` keeps it up to date and marks a room Occupied only when every bed is taken.
+5. Replaces `allocate_room(student_id, room_id)` with `allocate_room(student_id, room_id, bed_id)`. The bed is optional; without one the first free bed is used. It refuses rooms under maintenance and rooms with no free bed, and keeps raising the security deposit as before.
+This operation changes the meaning of `rooms.occupants` from capacity to head count. Allocations that do not fit in a room's beds during the backfill are left without a bed and reported with a notice.
+
+## Metadata:
+- Schema-Category: "Structural"
+- Impact-Level: "Medium"
+- Requires-Backup: true
+- Reversible: false
+
+## Structure Details:
+- Tables Created: `public.room_type_capacities`, `public.beds`
+- Tables Modified: `public.room_allocations` (adds `bed_id`), `public.rooms` (`occupants` is now a head count)
+- Functions Created: `public.sync_room_beds(uuid)`
+- Functions Replaced: `public.update_room_occupancy(uuid)`, `public.allocate_room(uuid, uuid)` (now `allocate_room(uuid, uuid, uuid)`)
+- Triggers Created: `on_room_type_change` on `rooms`, `on_room_type_capacity_change` on `room_type_capacities`
+
+## Security Implications:
+- RLS Status: Enabled on both new tables
+- Policy Changes: Yes. All signed-in users can view beds and capacities; only Admins can change capacities. Beds are maintained by `sync_room_beds`.
+- Auth Requirements: `allocate_room` now only runs for Admins and Staff.
+
+## Performance Impact:
+- Indexes: Added on `beds(room_id, label)` and a partial unique index on active `room_allocations(bed_id)`
+- Triggers: Added
+- Estimated Impact: Low.
+*/
+
+-- Step 1: Beds per room type.
+CREATE TABLE IF NOT EXISTS public.room_type_capacities (
+    room_type public.room_type PRIMARY KEY,
+    capacity integer NOT NULL CHECK (capacity BETWEEN 1 AND 26),
+    updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+INSERT INTO public.room_type_capacities (room_type, capacity)
+VALUES ('Single', 1), ('Double', 2), ('Triple', 3)
+ON CONFLICT (room_type) DO NOTHING;
+
+ALTER TABLE public.room_type_capacities ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Authenticated users can view room capacities" ON public.room_type_capacities;
+DROP POLICY IF EXISTS "Admins can manage room capacities" ON public.room_type_capacities;
+
+CREATE POLICY "Authenticated users can view room capacities" ON public.room_type_capacities
+  FOR SELECT USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Admins can manage room capacities" ON public.room_type_capacities
+  FOR ALL USING (public.is_admin()) WITH CHECK (public.is_admin());
+
+-- Step 2: Beds.
+CREATE TABLE IF NOT EXISTS public.beds (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    room_id uuid NOT NULL REFERENCES public.rooms(id) ON DELETE CASCADE,
+    label text NOT NULL,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    UNIQUE (room_id, label)
+);
+
+ALTER TABLE public.beds ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Authenticated users can view beds" ON public.beds;
+
+CREATE POLICY "Authenticated users can view beds" ON public.beds
+  FOR SELECT USING (auth.role() = 'authenticated');
+
+ALTER TABLE public.room_allocations
+ADD COLUMN IF NOT EXISTS bed_id uuid REFERENCES public.beds(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_room_allocations_active_bed ON public.room_allocations(bed_id) WHERE is_active AND bed_id IS NOT NULL;
+
+-- Step 3: Keep each room's beds in line with its type's capacity. Beds are labelled A, B, C, ...
+-- and removed from the end, so labels stay stable while students live in them.
+CREATE OR REPLACE FUNCTION public.sync_room_beds(p_room_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_room public.rooms%ROWTYPE;
+  v_capacity integer;
+  v_beds integer;
+  v_in_use integer;
+BEGIN
+  SELECT * INTO v_room FROM public.rooms WHERE id = p_room_id;
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  SELECT capacity INTO v_capacity FROM public.room_type_capacities WHERE room_type = v_room.type;
+  v_capacity := COALESCE(v_capacity, 1);
+  SELECT count(*) INTO v_beds FROM public.beds WHERE room_id = p_room_id;
+
+  IF v_beds < v_capacity THEN
+    INSERT INTO public.beds (room_id, label)
+    SELECT p_room_id, chr(64 + n)
+    FROM generate_series(1, v_capacity) n
+    ON CONFLICT (room_id, label) DO NOTHING;
+  ELSIF v_beds > v_capacity THEN
+    SELECT count(*) INTO v_in_use
+    FROM public.beds b
+    WHERE b.room_id = p_room_id
+      AND ascii(b.label) - 64 > v_capacity
+      AND EXISTS (SELECT 1 FROM public.room_allocations ra WHERE ra.bed_id = b.id AND ra.is_active);
+    IF v_in_use > 0 THEN
+      RAISE EXCEPTION 'Room % would lose % bed(s) that are in use. Move those students first.', v_room.room_number, v_in_use;
+    END IF;
+
+    DELETE FROM public.beds WHERE room_id = p_room_id AND ascii(label) - 64 > v_capacity;
+  END IF;
+
+  PERFORM public.update_room_occupancy(p_room_id);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.sync_beds_on_room_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM public.sync_room_beds(NEW.id);
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_room_type_change ON public.rooms;
+CREATE TRIGGER on_room_type_change
+  AFTER INSERT OR UPDATE OF type ON public.rooms
+  FOR EACH ROW
+  EXECUTE FUNCTION public.sync_beds_on_room_change();
+
+CREATE OR REPLACE FUNCTION public.sync_beds_on_capacity_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM public.sync_room_beds(r.id) FROM public.rooms r WHERE r.type = NEW.room_type;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_room_type_capacity_change ON public.room_type_capacities;
+CREATE TRIGGER on_room_type_capacity_change
+  AFTER INSERT OR UPDATE OF capacity ON public.room_type_capacities
+  FOR EACH ROW
+  EXECUTE FUNCTION public.sync_beds_on_capacity_change();
+
+-- Step 4: Occupancy is counted against beds; `occupants` is now the head count.
+CREATE OR REPLACE FUNCTION public.update_room_occupancy(p_room_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_occupants integer;
+  v_beds integer;
+BEGIN
+  SELECT count(*) INTO v_occupants
+  FROM public.room_allocations
+  WHERE room_id = p_room_id AND is_active = true;
+
+  SELECT count(*) INTO v_beds FROM public.beds WHERE room_id = p_room_id;
+
+  UPDATE public.rooms
+  SET occupants = v_occupants,
+      status = CASE
+        WHEN status = 'Maintenance' THEN status
+        WHEN v_occupants > 0 AND v_occupants >= v_beds THEN 'Occupied'::public.room_status
+        ELSE 'Vacant'::public.room_status
+      END
+  WHERE id = p_room_id;
+END;
+$$;
+
+-- Step 5: Backfill beds for existing rooms and place current residents on them.
+SELECT public.sync_room_beds(id) FROM public.rooms;
+
+DO $$
+DECLARE
+  v_unplaced integer;
+BEGIN
+  WITH free_beds AS (
+    SELECT b.id, b.room_id, row_number() OVER (PARTITION BY b.room_id ORDER BY b.label) AS n
+    FROM public.beds b
+    WHERE NOT EXISTS (SELECT 1 FROM public.room_allocations ra WHERE ra.bed_id = b.id AND ra.is_active)
+  ),
+  unplaced AS (
+    SELECT ra.id, ra.room_id, row_number() OVER (PARTITION BY ra.room_id ORDER BY ra.start_date, ra.id) AS n
+    FROM public.room_allocations ra
+    WHERE ra.is_active AND ra.bed_id IS NULL
+  )
+  UPDATE public.room_allocations ra
+  SET bed_id = fb.id
+  FROM unplaced u
+  JOIN free_beds fb ON fb.room_id = u.room_id AND fb.n = u.n
+  WHERE ra.id = u.id;
+
+  SELECT count(*) INTO v_unplaced FROM public.room_allocations WHERE is_active AND bed_id IS NULL;
+  IF v_unplaced > 0 THEN
+    RAISE NOTICE '% active allocation(s) did not fit in their room''s beds and have no bed assigned.', v_unplaced;
+  END IF;
+END;
+$$;
+
+-- Step 6: Allocation is to a bed. The room row is locked so two allocations cannot take the
+-- last bed at the same time.
+DROP FUNCTION IF EXISTS public.allocate_room(uuid, uuid);
+
+CREATE OR REPLACE FUNCTION public.allocate_room(p_student_id uuid, p_room_id uuid, p_bed_id uuid DEFAULT NULL)
+RETURNS public.room_allocations
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_room public.rooms%ROWTYPE;
+  v_bed_id uuid;
+  v_allocation public.room_allocations%ROWTYPE;
+  v_settings public.finance_settings%ROWTYPE;
+  v_fee_id uuid;
+BEGIN
+  IF NOT public.is_staff() THEN
+    RAISE EXCEPTION 'Only Admins and Staff can allocate rooms.';
+  END IF;
+
+  SELECT * INTO v_room FROM public.rooms WHERE id = p_room_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Room not found.';
+  END IF;
+  IF v_room.status = 'Maintenance' THEN
+    RAISE EXCEPTION 'Room % is under maintenance.', v_room.room_number;
+  END IF;
+
+  -- A bed held by this student's own current allocation counts as free, so a student can be
+  -- moved to another bed in the same room.
+  SELECT b.id INTO v_bed_id
+  FROM public.beds b
+  WHERE b.room_id = p_room_id
+    AND (p_bed_id IS NULL OR b.id = p_bed_id)
+    AND NOT EXISTS (
+      SELECT 1 FROM public.room_allocations ra
+      WHERE ra.bed_id = b.id AND ra.is_active AND ra.student_id <> p_student_id
+    )
+  ORDER BY b.label
+  LIMIT 1;
+
+  IF v_bed_id IS NULL THEN
+    IF p_bed_id IS NOT NULL THEN
+      RAISE EXCEPTION 'That bed is not free in room %.', v_room.room_number;
+    END IF;
+    RAISE EXCEPTION 'Room % has no free bed.', v_room.room_number;
+  END IF;
+
+  -- Deactivate any previous active allocation for the student
+  UPDATE public.room_allocations
+  SET is_active = false, end_date = now()
+  WHERE student_id = p_student_id AND is_active = true;
+
+  -- Create new active allocation
+  INSERT INTO public.room_allocations (student_id, room_id, bed_id, start_date, is_active)
+  VALUES (p_student_id, p_room_id, v_bed_id, now(), true)
+  RETURNING * INTO v_allocation;
+
+  -- The trigger on room_allocations will handle updating the room status and occupancy.
+
+  -- A student moving rooms keeps the deposit they already have.
+  SELECT * INTO v_settings FROM public.finance_settings WHERE id;
+  IF COALESCE(v_settings.security_deposit_amount, 0) > 0
+     AND NOT EXISTS (SELECT 1 FROM public.security_deposits WHERE student_id = p_student_id AND status <> 'Settled') THEN
+    INSERT INTO public.fees (student_id, amount, due_date, status, description)
+    VALUES (p_student_id, v_settings.security_deposit_amount, current_date + v_settings.security_deposit_due_days, 'Due', 'Security deposit')
+    RETURNING id INTO v_fee_id;
+
+    INSERT INTO public.security_deposits (student_id, allocation_id, fee_id, amount)
+    VALUES (p_student_id, v_allocation.id, v_fee_id, v_settings.security_deposit_amount);
+  END IF;
+
+  RETURN v_allocation;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.allocate_room(uuid, uuid, uuid) TO authenticated;
@@ -0,0 +1,265 @@
+/*
+# [Feature] Buildings, Blocks and Floors
+Rooms were one flat list, which does not work once the hostel runs several blocks. This migration adds buildings, blocks and floors, places each room on a floor, and lets a block be restricted by gender and by year of study. `allocate_room` enforces those restrictions.
+
+## Query Description:
+1. Creates `public.buildings`, `public.blocks` (with optional `gender_restriction`, `min_year` and `max_year`) and `public.floors`.
+2. Adds `rooms.floor_id`. Existing rooms stay unassigned until an Admin places them on a floor. A floor that still has rooms cannot be deleted.
+3. Adds `gender` and `year_of_study` to `public.students`, which the block restrictions are checked against.
+4. Adds `room_eligibility_error(student_id, room_id)`, which returns why a student may not live in a room's block, or NULL when they may.
+5. Replaces `allocate_room(student_id, room_id, bed_id)` so it refuses students who do not meet the block's restrictions.
+6. Re-creates `get_unallocated_students()` with the students' `gender` and `year_of_study`, so the allocation screen can show who fits a block.
+This operation is non-destructive.
+
+## Metadata:
+- Schema-Category: "Structural"
+- Impact-Level: "Low"
+- Requires-Backup: false
+- Reversible: true
+
+## Structure Details:
+- Tables Created: `public.buildings`, `public.blocks`, `public.floors`
+- Tables Modified: `public.rooms` (adds `floor_id`), `public.students` (adds `gender`, `year_of_study`)
+- Functions Created: `public.room_eligibility_error(uuid, uuid)`
+- Functions Replaced: `public.allocate_room(uuid, uuid, uuid)`, `public.get_unallocated_students()` (return type gains `gender`, `year_of_study`)
+
+## Security Implications:
+- RLS Status: Enabled on the new tables
+- Policy Changes: Yes. All signed-in users can view buildings, blocks and floors; only Admins can change them.
+- Auth Requirements: None beyond the existing ones.
+
+## Performance Impact:
+- Indexes: Added on `rooms(floor_id)`, `blocks(building_id)` and `floors(block_id)`
+- Triggers: None
+- Estimated Impact: Negligible.
+*/
+
+-- Step 1: The hierarchy.
+CREATE TABLE IF NOT EXISTS public.buildings (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    name text NOT NULL UNIQUE CHECK (btrim(name) <> ''),
+    address text,
+    created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.blocks (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    building_id uuid NOT NULL REFERENCES public.buildings(id) ON DELETE CASCADE,
+    name text NOT NULL CHECK (btrim(name) <> ''),
+    gender_restriction text CHECK (gender_restriction IN ('Male', 'Female')),
+    min_year smallint CHECK (min_year BETWEEN 1 AND 10),
+    max_year smallint CHECK (max_year BETWEEN 1 AND 10),
+    created_at timestamptz NOT NULL DEFAULT now(),
+    UNIQUE (building_id, name),
+    CHECK (min_year IS NULL OR max_year IS NULL OR min_year <= max_year)
+);
+
+COMMENT ON COLUMN public.blocks.gender_restriction IS 'When set, only students of this gender can be allocated rooms in the block.';
+COMMENT ON COLUMN public.blocks.min_year IS 'When set, only students in at least this year of study can be allocated rooms in the block.';
+COMMENT ON COLUMN public.blocks.max_year IS 'When set, only students in at most this year of study can be allocated rooms in the block.';
+
+CREATE INDEX IF NOT EXISTS idx_blocks_building ON public.blocks(building_id);
+
+CREATE TABLE IF NOT EXISTS public.floors (
+    id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+    block_id uuid NOT NULL REFERENCES public.blocks(id) ON DELETE CASCADE,
+    level integer NOT NULL CHECK (level BETWEEN -5 AND 200),
+    name text,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    UNIQUE (block_id, level)
+);
+
+CREATE INDEX IF NOT EXISTS idx_floors_block ON public.floors(block_id);
+
+ALTER TABLE public.buildings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.blocks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.floors ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Authenticated users can view buildings" ON public.buildings;
+DROP POLICY IF EXISTS "Admins can manage buildings" ON public.buildings;
+DROP POLICY IF EXISTS "Authenticated users can view blocks" ON public.blocks;
+DROP POLICY IF EXISTS "Admins can manage blocks" ON public.blocks;
+DROP POLICY IF EXISTS "Authenticated users can view floors" ON public.floors;
+DROP POLICY IF EXISTS "Admins can manage floors" ON public.floors;
+
+CREATE POLICY "Authenticated users can view buildings" ON public.buildings
+  FOR SELECT USING (auth.role() = 'authenticated');
+CREATE POLICY "Admins can manage buildings" ON public.buildings
+  FOR ALL USING (public.is_admin()) WITH CHECK (public.is_admin());
+
+CREATE POLICY "Authenticated users can view blocks" ON public.blocks
+  FOR SELECT USING (auth.role() = 'authenticated');
+CREATE POLICY "Admins can manage blocks" ON public.blocks
+  FOR ALL USING (public.is_admin()) WITH CHECK (public.is_admin());
+
+CREATE POLICY "Authenticated users can view floors" ON public.floors
+  FOR SELECT USING (auth.role() = 'authenticated');
+CREATE POLICY "Admins can manage floors" ON public.floors
+  FOR ALL USING (public.is_admin()) WITH CHECK (public.is_admin());
+
+-- Step 2: Rooms sit on a floor. RESTRICT keeps a floor (and so its block and building) from
+-- being deleted while rooms are still on it.
+ALTER TABLE public.rooms
+ADD COLUMN IF NOT EXISTS floor_id uuid REFERENCES public.floors(id) ON DELETE RESTRICT;
+
+CREATE INDEX IF NOT EXISTS idx_rooms_floor ON public.rooms(floor_id);
+
+-- Step 3: What the block restrictions are checked against.
+ALTER TABLE public.students
+ADD COLUMN IF NOT EXISTS gender text CHECK (gender IN ('Male', 'Female', 'Other')),
+ADD COLUMN IF NOT EXISTS year_of_study smallint CHECK (year_of_study BETWEEN 1 AND 10);
+
+-- Step 4: Block eligibility. A restricted block needs the matching detail on the student's
+-- record; a missing gender or year is not taken as a match.
+CREATE OR REPLACE FUNCTION public.room_eligibility_error(p_student_id uuid, p_room_id uuid)
+RETURNS text
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_block public.blocks%ROWTYPE;
+  v_student public.students%ROWTYPE;
+BEGIN
+  SELECT bl.* INTO v_block
+  FROM public.rooms r
+  JOIN public.floors f ON f.id = r.floor_id
+  JOIN public.blocks bl ON bl.id = f.block_id
+  WHERE r.id = p_room_id;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT * INTO v_student FROM public.students WHERE id = p_student_id;
+
+  IF v_block.gender_restriction IS NOT NULL AND v_student.gender IS DISTINCT FROM v_block.gender_restriction THEN
+    RETURN format('%s is for %s students only.', v_block.name, lower(v_block.gender_restriction));
+  END IF;
+
+  IF (v_block.min_year IS NOT NULL OR v_block.max_year IS NOT NULL) AND v_student.year_of_study IS NULL THEN
+    RETURN format('%s is restricted by year of study; record the student''s year first.', v_block.name);
+  END IF;
+
+  IF v_student.year_of_study < COALESCE(v_block.min_year, 1) OR v_student.year_of_study > COALESCE(v_block.max_year, 10) THEN
+    RETURN format('%s is for students in %s only.', v_block.name,
+                  CASE
+                    WHEN v_block.min_year = v_block.max_year THEN 'year ' || v_block.min_year
+                    WHEN v_block.max_year IS NULL THEN 'year ' || v_block.min_year || ' and above'
+                    WHEN v_block.min_year IS NULL THEN 'year ' || v_block.max_year || ' and below'
+                    ELSE 'years ' || v_block.min_year || '–' || v_block.max_year
+                  END);
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.room_eligibility_error(uuid, uuid) TO authenticated;
+
+-- Step 5: Allocation checks the block.
+CREATE OR REPLACE FUNCTION public.allocate_room(p_student_id uuid, p_room_id uuid, p_bed_id uuid DEFAULT NULL)
+RETURNS public.room_allocations
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_room public.rooms%ROWTYPE;
+  v_bed_id uuid;
+  v_ineligible text;
+  v_allocation public.room_allocations%ROWTYPE;
+  v_settings public.finance_settings%ROWTYPE;
+  v_fee_id uuid;
+BEGIN
+  IF NOT public.is_staff() THEN
+    RAISE EXCEPTION 'Only Admins and Staff can allocate rooms.';
+  END IF;
+
+  SELECT * INTO v_room FROM public.rooms WHERE id = p_room_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Room not found.';
+  END IF;
+  IF v_room.status = 'Maintenance' THEN
+    RAISE EXCEPTION 'Room % is under maintenance.', v_room.room_number;
+  END IF;
+
+  v_ineligible := public.room_eligibility_error(p_student_id, p_room_id);
+  IF v_ineligible IS NOT NULL THEN
+    RAISE EXCEPTION '%', v_ineligible;
+  END IF;
+
+  -- A bed held by this student's own current allocation counts as free, so a student can be
+  -- moved to another bed in the same room.
+  SELECT b.id INTO v_bed_id
+  FROM public.beds b
+  WHERE b.room_id = p_room_id
+    AND (p_bed_id IS NULL OR b.id = p_bed_id)
+    AND NOT EXISTS (
+      SELECT 1 FROM public.room_allocations ra
+      WHERE ra.bed_id = b.id AND ra.is_active AND ra.student_id <> p_student_id
+    )
+  ORDER BY b.label
+  LIMIT 1;
+
+  IF v_bed_id IS NULL THEN
+    IF p_bed_id IS NOT NULL THEN
+      RAISE EXCEPTION 'That bed is not free in room %.', v_room.room_number;
+    END IF;
+    RAISE EXCEPTION 'Room % has no free bed.', v_room.room_number;
+  END IF;
+
+  -- Deactivate any previous active allocation for the student
+  UPDATE public.room_allocations
+  SET is_active = false, end_date = now()
+  WHERE student_id = p_student_id AND is_active = true;
+
+  -- Create new active allocation
+  INSERT INTO public.room_allocations (student_id, room_id, bed_id, start_date, is_active)
+  VALUES (p_student_id, p_room_id, v_bed_id, now(), true)
+  RETURNING * INTO v_allocation;
+
+  -- The trigger on room_allocations will handle updating the room status and occupancy.
+
+  -- A student moving rooms keeps the deposit they already have.
+  SELECT * INTO v_settings FROM public.finance_settings WHERE id;
+  IF COALESCE(v_settings.security_deposit_amount, 0) > 0
+     AND NOT EXISTS (SELECT 1 FROM public.security_deposits WHERE student_id = p_student_id AND status <> 'Settled') THEN
+    INSERT INTO public.fees (student_id, amount, due_date, status, description)
+    VALUES (p_student_id, v_settings.security_deposit_amount, current_date + v_settings.security_deposit_due_days, 'Due', 'Security deposit')
+    RETURNING id INTO v_fee_id;
+
+    INSERT INTO public.security_deposits (student_id, allocation_id, fee_id, amount)
+    VALUES (p_student_id, v_allocation.id, v_fee_id, v_settings.security_deposit_amount);
+  END IF;
+
+  RETURN v_allocation;
+END;
+$$;
+
+-- Step 6: Unallocated students with what the block restrictions need. The return type changes,
+-- so the function has to be dropped first.
+DROP FUNCTION IF EXISTS public.get_unallocated_students();
+
+CREATE FUNCTION public.get_unallocated_students()
+RETURNS TABLE(id uuid, full_name text, email text, course text, contact text, gender text, year_of_study smallint)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT p.id, p.full_name, p.email, p.course, p.mobile_number AS contact, s.gender, s.year_of_study
+  FROM public.profiles p
+  LEFT JOIN public.students s ON s.id = p.id
+  WHERE p.role = 'Student' AND NOT EXISTS (
+    SELECT 1
+    FROM public.room_allocations ra
+    WHERE ra.student_id = p.id AND ra.is_active = true
+  )
+  ORDER BY p.full_name;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_unallocated_students() TO authenticated;
@@ -0,0 +1,130 @@
+/*
+# [Feature] Floor Plans
+Lets each floor be laid out as a grid of cells with rooms placed on it, so allocation can be done on a picture of the floor instead of a list.
+
+## Query Description:
+1. Adds `plan_columns` and `plan_rows` to `public.floors`, the size of the floor's grid.
+2. Adds `plan_x` and `plan_y` to `public.rooms`, the room's cell on its floor's grid (0-based, from the top left). A room without a cell is listed beside the plan. Moving a room to another floor clears its cell.
+3. Adds `save_floor_plan(floor_id, columns, rows, positions)`, which resizes a floor and places all of its rooms in one go, so rooms can swap cells without tripping over each other.
+This operation is non-destructive.
+
+## Metadata:
+- Schema-Category: "Structural"
+- Impact-Level: "Low"
+- Requires-Backup: false
+- Reversible: true
+
+## Structure Details:
+- Tables Modified: `public.floors` (adds `plan_columns`, `plan_rows`), `public.rooms` (adds `plan_x`, `plan_y`)
+- Functions Created: `public.save_floor_plan(uuid, integer, integer, jsonb)`, `public.clear_room_plan_cell()`
+- Triggers Created: `on_room_floor_change` on `public.rooms`
+
+## Security Implications:
+- RLS Status: Unchanged
+- Policy Changes: No
+- Auth Requirements: `save_floor_plan` is Admin only.
+
+## Performance Impact:
+- Indexes: Added a unique index on `rooms(floor_id, plan_x, plan_y)`
+- Triggers: Added one on `rooms` for floor changes.
+- Estimated Impact: Negligible.
+*/
+
+-- Step 1: Grid sizes and room cells.
+ALTER TABLE public.floors
+ADD COLUMN IF NOT EXISTS plan_columns smallint NOT NULL DEFAULT 6 CHECK (plan_columns BETWEEN 1 AND 30),
+ADD COLUMN IF NOT EXISTS plan_rows smallint NOT NULL DEFAULT 3 CHECK (plan_rows BETWEEN 1 AND 30);
+
+ALTER TABLE public.rooms
+ADD COLUMN IF NOT EXISTS plan_x smallint CHECK (plan_x >= 0),
+ADD COLUMN IF NOT EXISTS plan_y smallint CHECK (plan_y >= 0);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'rooms_plan_cell_complete') THEN
+        ALTER TABLE public.rooms
+        ADD CONSTRAINT rooms_plan_cell_complete CHECK ((plan_x IS NULL) = (plan_y IS NULL));
+    END IF;
+END $$;
+
+-- One room per cell. Rooms without a cell have NULLs, which never clash.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_rooms_floor_plan_cell ON public.rooms(floor_id, plan_x, plan_y);
+
+-- Step 2: A cell only means something on the floor it was picked on.
+CREATE OR REPLACE FUNCTION public.clear_room_plan_cell()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+    IF NEW.floor_id IS DISTINCT FROM OLD.floor_id THEN
+        NEW.plan_x := NULL;
+        NEW.plan_y := NULL;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_room_floor_change ON public.rooms;
+CREATE TRIGGER on_room_floor_change
+BEFORE UPDATE OF floor_id ON public.rooms
+FOR EACH ROW EXECUTE FUNCTION public.clear_room_plan_cell();
+
+-- Step 3: Saving a layout. `p_positions` is a JSON array of {"room_id", "x", "y"}; rooms on the
+-- floor that are not in it are taken off the plan.
+CREATE OR REPLACE FUNCTION public.save_floor_plan(
+    p_floor_id uuid,
+    p_columns integer,
+    p_rows integer,
+    p_positions jsonb
+)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_position record;
+BEGIN
+    IF NOT public.is_admin() THEN
+        RAISE EXCEPTION 'Only admins can edit floor plans.';
+    END IF;
+
+    UPDATE public.floors
+    SET plan_columns = p_columns, plan_rows = p_rows
+    WHERE id = p_floor_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Floor not found.';
+    END IF;
+
+    IF EXISTS (
+        SELECT 1
+        FROM jsonb_to_recordset(COALESCE(p_positions, '[]'::jsonb)) AS t(room_id uuid, x integer, y integer)
+        GROUP BY x, y
+        HAVING count(*) > 1
+    ) THEN
+        RAISE EXCEPTION 'Two rooms are placed in the same cell.';
+    END IF;
+
+    UPDATE public.rooms SET plan_x = NULL, plan_y = NULL WHERE floor_id = p_floor_id;
+
+    FOR v_position IN
+        SELECT * FROM jsonb_to_recordset(COALESCE(p_positions, '[]'::jsonb)) AS t(room_id uuid, x integer, y integer)
+    LOOP
+        IF v_position.x NOT BETWEEN 0 AND p_columns - 1 OR v_position.y NOT BETWEEN 0 AND p_rows - 1 THEN
+            RAISE EXCEPTION 'A room is placed outside the % by % grid.', p_columns, p_rows;
+        END IF;
+
+        UPDATE public.rooms
+        SET plan_x = v_position.x, plan_y = v_position.y
+        WHERE id = v_position.room_id AND floor_id = p_floor_id;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'A room on the plan is not on this floor.';
+        END IF;
+    END LOOP;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.save_floor_plan(uuid, integer, integer, jsonb) TO authenticated;
@@ -0,0 +1,382 @@
+/*
+# [Feature] Room Change Requests and Transfers
+Students can ask to move to another room, or to swap rooms with another student, and Admin/Staff approve the request. Approval moves the allocation in one transaction. The old allocation is closed (`is_active = false`, `end_date` set) rather than deleted, so `room_allocations` keeps each student's room history.
+
+## Query Description:
+1. Creates the `room_change_status` ENUM ('Pending', 'Approved', 'Rejected').
+2. Creates `public.room_change_requests`. A request is either a move, with an optional preferred room or block, or a swap with a named student. A student can have one pending request at a time.
+3. Adds `request_room_change(...)`, which students use to raise a request. The swap partner is looked up by email, so students never need to list other students.
+4. Adds `respond_to_room_swap(request_id, accept)`. The partner agrees to or declines a swap; a declined swap is rejected.
+5. Adds `get_my_room_change_requests()`. It returns a student's own requests and the swaps they have been asked to join, with the names and rooms they may see.
+6. Adds `approve_room_change(request_id, room_id, bed_id, note)` for Admin/Staff:
+   - A move goes through `allocate_room`, so the bed and block checks apply.
+   - A swap exchanges both students' rooms and beds at once, after checking each student against the other's block.
+7. Adds `reject_room_change(request_id, note)` for Admin/Staff. Decisions are only made through these two functions; staff have no direct UPDATE on requests.
+This operation is non-destructive.
+
+## Metadata:
+- Schema-Category: "Structural"
+- Impact-Level: "Medium"
+- Requires-Backup: false
+- Reversible: true
+
+## Structure Details:
+- Types Created: `public.room_change_status`
+- Tables Created: `public.room_change_requests`
+- Functions Created: `public.request_room_change(uuid, uuid, text, text)`, `public.respond_to_room_swap(uuid, boolean)`, `public.get_my_room_change_requests()`, `public.approve_room_change(uuid, uuid, uuid, text)`, `public.reject_room_change(uuid, text)`
+
+## Security Implications:
+- RLS Status: Enabled
+- Policy Changes: Yes. Admin/Staff can view all requests but cannot change or delete them directly; they approve or reject pending requests through `approve_room_change` and `reject_room_change`. Students can view requests they raised or are named in, and can withdraw their own pending requests. Requests are raised through `request_room_change`.
+- Auth Requirements: Student to raise or answer a request, Admin/Staff to review.
+
+## Performance Impact:
+- Indexes: Added on `room_change_requests(status)` and a unique index on pending requests per student
+- Triggers: None
+- Estimated Impact: Low.
+*/
+
+-- Step 1: Status type.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'room_change_status') THEN
+    CREATE TYPE public.room_change_status AS ENUM ('Pending', 'Approved', 'Rejected');
+  END IF;
+END;
+$$;
+
+-- Step 2: Requests.
+CREATE TABLE IF NOT EXISTS public.room_change_requests (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL REFERENCES public.students(id) ON DELETE CASCADE,
+  from_allocation_id uuid REFERENCES public.room_allocations(id) ON DELETE SET NULL,
+  preferred_room_id uuid REFERENCES public.rooms(id) ON DELETE SET NULL,
+  preferred_block_id uuid REFERENCES public.blocks(id) ON DELETE SET NULL,
+  swap_with_student_id uuid REFERENCES public.students(id) ON DELETE CASCADE,
+  swap_accepted_at timestamptz,
+  reason text NOT NULL CHECK (btrim(reason) <> ''),
+  status public.room_change_status NOT NULL DEFAULT 'Pending',
+  reviewed_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+  reviewed_at timestamptz,
+  review_note text,
+  resulting_allocation_id uuid REFERENCES public.room_allocations(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (swap_with_student_id IS NULL OR (preferred_room_id IS NULL AND preferred_block_id IS NULL)),
+  CHECK (swap_with_student_id IS DISTINCT FROM student_id)
+);
+
+COMMENT ON COLUMN public.room_change_requests.swap_with_student_id IS 'Set for a mutual swap; the other student has to agree (swap_accepted_at) before it can be approved.';
+COMMENT ON COLUMN public.room_change_requests.resulting_allocation_id IS 'The requesting student''s new allocation once approved.';
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_room_change_requests_pending_student
+  ON public.room_change_requests(student_id) WHERE status = 'Pending';
+CREATE INDEX IF NOT EXISTS idx_room_change_requests_status ON public.room_change_requests(status);
+
+ALTER TABLE public.room_change_requests ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins and Staff can manage room change requests" ON public.room_change_requests;
+DROP POLICY IF EXISTS "Admins and Staff can view room change requests" ON public.room_change_requests;
+DROP POLICY IF EXISTS "Admins and Staff can review room change requests" ON public.room_change_requests;
+DROP POLICY IF EXISTS "Students can view their room change requests" ON public.room_change_requests;
+DROP POLICY IF EXISTS "Students can withdraw pending room change requests" ON public.room_change_requests;
+
+-- Staff cannot write to requests directly; decisions go through approve_room_change and
+-- reject_room_change, so an approval always moves the allocation and decisions stay on record.
+CREATE POLICY "Admins and Staff can view room change requests" ON public.room_change_requests
+  FOR SELECT USING (public.is_staff());
+
+CREATE POLICY "Students can view their room change requests" ON public.room_change_requests
+  FOR SELECT USING (student_id = auth.uid() OR swap_with_student_id = auth.uid());
+
+CREATE POLICY "Students can withdraw pending room change requests" ON public.room_change_requests
+  FOR DELETE USING (student_id = auth.uid() AND status = 'Pending');
+
+-- Step 3: Raising a request. Pass either a preference (room and/or block) or a swap partner's email.
+CREATE OR REPLACE FUNCTION public.request_room_change(
+  p_preferred_room_id uuid DEFAULT NULL,
+  p_preferred_block_id uuid DEFAULT NULL,
+  p_swap_with_email text DEFAULT NULL,
+  p_reason text DEFAULT NULL
+)
+RETURNS public.room_change_requests
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_allocation public.room_allocations%ROWTYPE;
+  v_partner_id uuid;
+  v_partner_allocation public.room_allocations%ROWTYPE;
+  v_request public.room_change_requests%ROWTYPE;
+BEGIN
+  IF COALESCE(btrim(p_reason), '') = '' THEN
+    RAISE EXCEPTION 'Please give a reason for the room change.';
+  END IF;
+
+  SELECT * INTO v_allocation
+  FROM public.room_allocations
+  WHERE student_id = auth.uid() AND is_active = true;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'You do not have a room to change.';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM public.room_change_requests WHERE student_id = auth.uid() AND status = 'Pending') THEN
+    RAISE EXCEPTION 'You already have a pending room change request.';
+  END IF;
+
+  IF NULLIF(btrim(p_swap_with_email), '') IS NOT NULL THEN
+    SELECT id INTO v_partner_id FROM public.students WHERE lower(email) = lower(btrim(p_swap_with_email));
+    IF v_partner_id IS NULL THEN
+      RAISE EXCEPTION 'No student has the email %.', btrim(p_swap_with_email);
+    END IF;
+    IF v_partner_id = auth.uid() THEN
+      RAISE EXCEPTION 'You cannot swap rooms with yourself.';
+    END IF;
+
+    SELECT * INTO v_partner_allocation
+    FROM public.room_allocations
+    WHERE student_id = v_partner_id AND is_active = true;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'That student does not have a room to swap.';
+    END IF;
+    IF v_partner_allocation.room_id = v_allocation.room_id THEN
+      RAISE EXCEPTION 'That student is already in your room.';
+    END IF;
+
+    p_preferred_room_id := NULL;
+    p_preferred_block_id := NULL;
+  END IF;
+
+  INSERT INTO public.room_change_requests (student_id, from_allocation_id, preferred_room_id, preferred_block_id, swap_with_student_id, reason)
+  VALUES (auth.uid(), v_allocation.id, p_preferred_room_id, p_preferred_block_id, v_partner_id, btrim(p_reason))
+  RETURNING * INTO v_request;
+
+  RETURN v_request;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.request_room_change(uuid, uuid, text, text) TO authenticated;
+
+-- Step 4: The swap partner's answer.
+CREATE OR REPLACE FUNCTION public.respond_to_room_swap(p_request_id uuid, p_accept boolean)
+RETURNS public.room_change_requests
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_request public.room_change_requests%ROWTYPE;
+BEGIN
+  SELECT * INTO v_request
+  FROM public.room_change_requests
+  WHERE id = p_request_id AND swap_with_student_id = auth.uid() AND status = 'Pending'
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'This swap request is no longer open.';
+  END IF;
+
+  IF p_accept THEN
+    UPDATE public.room_change_requests SET swap_accepted_at = now()
+    WHERE id = p_request_id
+    RETURNING * INTO v_request;
+  ELSE
+    UPDATE public.room_change_requests
+    SET status = 'Rejected', swap_accepted_at = NULL, reviewed_at = now(),
+        review_note = 'The other student declined the swap.'
+    WHERE id = p_request_id
+    RETURNING * INTO v_request;
+  END IF;
+
+  RETURN v_request;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.respond_to_room_swap(uuid, boolean) TO authenticated;
+
+-- Step 5: A student's view of their requests. Students cannot read each other's records, so
+-- the other student's name and room come from here.
+CREATE OR REPLACE FUNCTION public.get_my_room_change_requests()
+RETURNS TABLE(
+  id uuid,
+  is_incoming boolean,
+  status public.room_change_status,
+  other_student_name text,
+  from_room_number text,
+  other_room_number text,
+  preferred_room_number text,
+  preferred_block_name text,
+  reason text,
+  swap_accepted_at timestamptz,
+  review_note text,
+  reviewed_at timestamptz,
+  created_at timestamptz
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    r.id,
+    r.swap_with_student_id = auth.uid(),
+    r.status,
+    CASE WHEN r.swap_with_student_id = auth.uid() THEN requester.full_name ELSE partner.full_name END,
+    from_room.room_number::text,
+    CASE WHEN r.swap_with_student_id = auth.uid() THEN from_room.room_number::text ELSE partner_room.room_number::text END,
+    preferred_room.room_number::text,
+    preferred_block.name,
+    r.reason,
+    r.swap_accepted_at,
+    r.review_note,
+    r.reviewed_at,
+    r.created_at
+  FROM public.room_change_requests r
+  JOIN public.students requester ON requester.id = r.student_id
+  LEFT JOIN public.students partner ON partner.id = r.swap_with_student_id
+  LEFT JOIN public.room_allocations from_allocation ON from_allocation.id = r.from_allocation_id
+  LEFT JOIN public.rooms from_room ON from_room.id = from_allocation.room_id
+  LEFT JOIN public.room_allocations partner_allocation
+    ON partner_allocation.student_id = r.swap_with_student_id AND partner_allocation.is_active = true
+  LEFT JOIN public.rooms partner_room ON partner_room.id = partner_allocation.room_id
+  LEFT JOIN public.rooms preferred_room ON preferred_room.id = r.preferred_room_id
+  LEFT JOIN public.blocks preferred_block ON preferred_block.id = r.preferred_block_id
+  WHERE r.student_id = auth.uid() OR r.swap_with_student_id = auth.uid()
+  ORDER BY r.created_at DESC;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_my_room_change_requests() TO authenticated;
+
+-- Step 6: Approval. For a move, p_room_id defaults to the preferred room and p_bed_id to the
+-- first free bed; both are ignored for a swap.
+CREATE OR REPLACE FUNCTION public.approve_room_change(
+  p_request_id uuid,
+  p_room_id uuid DEFAULT NULL,
+  p_bed_id uuid DEFAULT NULL,
+  p_note text DEFAULT NULL
+)
+RETURNS public.room_change_requests
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_request public.room_change_requests%ROWTYPE;
+  v_mine public.room_allocations%ROWTYPE;
+  v_theirs public.room_allocations%ROWTYPE;
+  v_ineligible text;
+  v_new_allocation public.room_allocations%ROWTYPE;
+BEGIN
+  IF NOT public.is_staff() THEN
+    RAISE EXCEPTION 'Only Admins and Staff can approve room changes.';
+  END IF;
+
+  SELECT * INTO v_request FROM public.room_change_requests WHERE id = p_request_id FOR UPDATE;
+  IF NOT FOUND OR v_request.status <> 'Pending' THEN
+    RAISE EXCEPTION 'This request is no longer pending.';
+  END IF;
+
+  IF v_request.swap_with_student_id IS NULL THEN
+    IF COALESCE(p_room_id, v_request.preferred_room_id) IS NULL THEN
+      RAISE EXCEPTION 'Choose the room to move the student to.';
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM public.room_allocations WHERE student_id = v_request.student_id AND is_active = true) THEN
+      RAISE EXCEPTION 'The student no longer has a room; allocate one instead.';
+    END IF;
+
+    -- allocate_room closes the current allocation and keeps the existing deposit.
+    v_new_allocation := public.allocate_room(v_request.student_id, COALESCE(p_room_id, v_request.preferred_room_id), p_bed_id);
+  ELSE
+    IF v_request.swap_accepted_at IS NULL THEN
+      RAISE EXCEPTION 'The other student has not agreed to the swap yet.';
+    END IF;
+
+    -- Lock both rooms in a fixed order so two swaps cannot deadlock.
+    PERFORM 1 FROM public.rooms
+    WHERE id IN (
+      SELECT room_id FROM public.room_allocations
+      WHERE student_id IN (v_request.student_id, v_request.swap_with_student_id) AND is_active = true
+    )
+    ORDER BY id
+    FOR UPDATE;
+
+    SELECT * INTO v_mine FROM public.room_allocations WHERE student_id = v_request.student_id AND is_active = true;
+    SELECT * INTO v_theirs FROM public.room_allocations WHERE student_id = v_request.swap_with_student_id AND is_active = true;
+    IF v_mine.id IS NULL OR v_theirs.id IS NULL THEN
+      RAISE EXCEPTION 'Both students need a room to swap.';
+    END IF;
+    IF v_mine.room_id = v_theirs.room_id THEN
+      RAISE EXCEPTION 'The students are already in the same room.';
+    END IF;
+
+    v_ineligible := COALESCE(
+      public.room_eligibility_error(v_request.student_id, v_theirs.room_id),
+      public.room_eligibility_error(v_request.swap_with_student_id, v_mine.room_id)
+    );
+    IF v_ineligible IS NOT NULL THEN
+      RAISE EXCEPTION '%', v_ineligible;
+    END IF;
+
+    UPDATE public.room_allocations
+    SET is_active = false, end_date = now()
+    WHERE id IN (v_mine.id, v_theirs.id);
+
+    INSERT INTO public.room_allocations (student_id, room_id, bed_id, start_date, is_active)
+    VALUES (v_request.swap_with_student_id, v_mine.room_id, v_mine.bed_id, now(), true);
+
+    INSERT INTO public.room_allocations (student_id, room_id, bed_id, start_date, is_active)
+    VALUES (v_request.student_id, v_theirs.room_id, v_theirs.bed_id, now(), true)
+    RETURNING * INTO v_new_allocation;
+  END IF;
+
+  UPDATE public.room_change_requests
+  SET status = 'Approved',
+      reviewed_by = auth.uid(),
+      reviewed_at = now(),
+      review_note = NULLIF(btrim(p_note), ''),
+      resulting_allocation_id = v_new_allocation.id
+  WHERE id = p_request_id
+  RETURNING * INTO v_request;
+
+  RETURN v_request;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.approve_room_change(uuid, uuid, uuid, text) TO authenticated;
+
+-- Step 7: Rejection.
+CREATE OR REPLACE FUNCTION public.reject_room_change(p_request_id uuid, p_note text DEFAULT NULL)
+RETURNS public.room_change_requests
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_request public.room_change_requests%ROWTYPE;
+BEGIN
+  IF NOT public.is_staff() THEN
+    RAISE EXCEPTION 'Only Admins and Staff can reject room changes.';
+  END IF;
+
+  UPDATE public.room_change_requests
+  SET status = 'Rejected',
+      reviewed_by = auth.uid(),
+      reviewed_at = now(),
+      review_note = NULLIF(btrim(p_note), '')
+  WHERE id = p_request_id AND status = 'Pending'
+  RETURNING * INTO v_request;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'This request is no longer pending.';
+  END IF;
+
+  RETURN v_request;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.reject_room_change(uuid, text) TO authenticated;
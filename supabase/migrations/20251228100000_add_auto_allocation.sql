@@ -0,0 +1,165 @@
+/*
+# [Feature] Batch Auto-Allocation
+At the start of a term, hundreds of students were allocated one at a time. Students can now record room preferences. Admins generate a full allocation plan on the Auto Allocation screen, adjust it, and commit it in one transaction.
+
+## Query Description:
+1. Creates `public.allocation_preferences`, one row per student. It holds a preferred room type, a preferred block, a requested roommate and notes.
+2. Adds `set_allocation_preferences(...)` and `get_my_allocation_preferences()` for students. The roommate is looked up by email, so students never need to list other students.
+3. Adds `commit_allocation_plan(plan)` for Admins. It allocates every student in the plan through `allocate_room`, so the bed, maintenance and block checks all apply. The whole plan is saved or, if any entry fails, none of it is.
+This operation is non-destructive.
+
+## Metadata:
+- Schema-Category: "Structural"
+- Impact-Level: "Low"
+- Requires-Backup: false
+- Reversible: true
+
+## Structure Details:
+- Tables Created: `public.allocation_preferences`
+- Functions Created: `public.set_allocation_preferences(public.room_type, uuid, text, text)`, `public.get_my_allocation_preferences()`, `public.commit_allocation_plan(jsonb)`
+
+## Security Implications:
+- RLS Status: Enabled
+- Policy Changes: Yes. Admin/Staff manage all preferences; students can view their own. Students save preferences through `set_allocation_preferences`.
+- Auth Requirements: Student for own preferences, Admin to commit a plan.
+
+## Performance Impact:
+- Indexes: None beyond the primary key
+- Triggers: None
+- Estimated Impact: Committing a plan runs `allocate_room` once per student, inside one transaction.
+*/
+
+-- Step 1: Preferences.
+CREATE TABLE IF NOT EXISTS public.allocation_preferences (
+  student_id uuid PRIMARY KEY REFERENCES public.students(id) ON DELETE CASCADE,
+  preferred_room_type public.room_type,
+  preferred_block_id uuid REFERENCES public.blocks(id) ON DELETE SET NULL,
+  roommate_student_id uuid REFERENCES public.students(id) ON DELETE SET NULL,
+  notes text,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (roommate_student_id IS DISTINCT FROM student_id)
+);
+
+COMMENT ON TABLE public.allocation_preferences IS 'What a student would like from their next allocation. The auto-allocation plan tries to meet it but is not bound by it.';
+
+ALTER TABLE public.allocation_preferences ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins and Staff can manage allocation preferences" ON public.allocation_preferences;
+DROP POLICY IF EXISTS "Students can view their allocation preferences" ON public.allocation_preferences;
+
+CREATE POLICY "Admins and Staff can manage allocation preferences" ON public.allocation_preferences
+  FOR ALL USING (public.is_staff()) WITH CHECK (public.is_staff());
+
+CREATE POLICY "Students can view their allocation preferences" ON public.allocation_preferences
+  FOR SELECT USING (student_id = auth.uid());
+
+-- Step 2: Students' own preferences. An empty roommate email clears the roommate request.
+CREATE OR REPLACE FUNCTION public.set_allocation_preferences(
+  p_room_type public.room_type DEFAULT NULL,
+  p_block_id uuid DEFAULT NULL,
+  p_roommate_email text DEFAULT NULL,
+  p_notes text DEFAULT NULL
+)
+RETURNS public.allocation_preferences
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_roommate_id uuid;
+  v_preferences public.allocation_preferences%ROWTYPE;
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM public.students WHERE id = auth.uid()) THEN
+    RAISE EXCEPTION 'Only students can set room preferences.';
+  END IF;
+
+  IF NULLIF(btrim(p_roommate_email), '') IS NOT NULL THEN
+    SELECT id INTO v_roommate_id FROM public.students WHERE lower(email) = lower(btrim(p_roommate_email));
+    IF v_roommate_id IS NULL THEN
+      RAISE EXCEPTION 'No student has the email %.', btrim(p_roommate_email);
+    END IF;
+    IF v_roommate_id = auth.uid() THEN
+      RAISE EXCEPTION 'You cannot request yourself as a roommate.';
+    END IF;
+  END IF;
+
+  INSERT INTO public.allocation_preferences (student_id, preferred_room_type, preferred_block_id, roommate_student_id, notes, updated_at)
+  VALUES (auth.uid(), p_room_type, p_block_id, v_roommate_id, NULLIF(btrim(p_notes), ''), now())
+  ON CONFLICT (student_id) DO UPDATE
+  SET preferred_room_type = EXCLUDED.preferred_room_type,
+      preferred_block_id = EXCLUDED.preferred_block_id,
+      roommate_student_id = EXCLUDED.roommate_student_id,
+      notes = EXCLUDED.notes,
+      updated_at = EXCLUDED.updated_at
+  RETURNING * INTO v_preferences;
+
+  RETURN v_preferences;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.set_allocation_preferences(public.room_type, uuid, text, text) TO authenticated;
+
+-- Students cannot read each other's records, so the roommate's name and email come from here.
+CREATE OR REPLACE FUNCTION public.get_my_allocation_preferences()
+RETURNS TABLE(preferred_room_type public.room_type, preferred_block_id uuid, roommate_name text, roommate_email text, notes text, updated_at timestamptz)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT ap.preferred_room_type, ap.preferred_block_id, roommate.full_name, roommate.email, ap.notes, ap.updated_at
+  FROM public.allocation_preferences ap
+  LEFT JOIN public.students roommate ON roommate.id = ap.roommate_student_id
+  WHERE ap.student_id = auth.uid();
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_my_allocation_preferences() TO authenticated;
+
+-- Step 3: Committing a plan. `p_plan` is a JSON array of {"student_id", "room_id", "bed_id"}
+-- (bed_id may be null for the first free bed). Any failure rolls back the whole plan.
+CREATE OR REPLACE FUNCTION public.commit_allocation_plan(p_plan jsonb)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_entry record;
+  v_name text;
+  v_count integer := 0;
+BEGIN
+  IF NOT public.is_admin() THEN
+    RAISE EXCEPTION 'Only admins can commit an allocation plan.';
+  END IF;
+
+  IF jsonb_typeof(COALESCE(p_plan, '[]'::jsonb)) <> 'array' OR jsonb_array_length(COALESCE(p_plan, '[]'::jsonb)) = 0 THEN
+    RAISE EXCEPTION 'The plan has no allocations.';
+  END IF;
+
+  FOR v_entry IN
+    SELECT * FROM jsonb_to_recordset(p_plan) AS t(student_id uuid, room_id uuid, bed_id uuid)
+  LOOP
+    SELECT full_name INTO v_name FROM public.students WHERE id = v_entry.student_id;
+
+    -- allocate_room would move a student who was given a room after the plan was made.
+    IF EXISTS (SELECT 1 FROM public.room_allocations WHERE student_id = v_entry.student_id AND is_active = true) THEN
+      RAISE EXCEPTION '% already has a room. Generate the plan again.', COALESCE(v_name, 'A student');
+    END IF;
+
+    BEGIN
+      PERFORM public.allocate_room(v_entry.student_id, v_entry.room_id, v_entry.bed_id);
+    EXCEPTION WHEN OTHERS THEN
+      RAISE EXCEPTION '%: %', COALESCE(v_name, 'A student'), SQLERRM;
+    END;
+
+    v_count := v_count + 1;
+  END LOOP;
+
+  RETURN v_count;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.commit_allocation_plan(jsonb) TO authenticated;